@@ -0,0 +1,149 @@
+// Slash command registry shared by the ShapeTalk chat input and the Terminal app
+//
+// A command is registered once and works in both places:
+//   { name, aliases, args, description, hidden, cooldownMs, handler }
+//   args         [{ name, optional, rest }]: single words in order; a `rest` arg takes the rest of the line as typed
+//   hidden       left out of /help and autocomplete (easter eggs)
+//   cooldownMs   minimum time between uses in this tab
+//   handler(args, context)   context is { chat, write(text, cls), source: 'chat' | 'terminal', raw };
+//                returning false hands the line back to be sent as an ordinary message
+// Chat registers its own commands on init; ShapeOS apps and other modules call ChatCommands.register().
+const ChatCommands = {
+    commands: {},
+    aliases: {},
+    lastUsedAt: {},
+    maxSuggestions: 6,
+
+    register(command) {
+        const name = String((command && command.name) || '').toLowerCase();
+        if (!/^[a-z0-9_-]+$/.test(name) || typeof command.handler !== 'function') {
+            throw new Error(`Cannot register command "${name}"`);
+        }
+        const entry = { args: [], aliases: [], description: '', hidden: false, cooldownMs: 0, ...command, name };
+        this.unregister(name);
+        this.commands[name] = entry;
+        entry.aliases.forEach((alias) => {
+            this.aliases[alias.toLowerCase()] = name;
+        });
+        return entry;
+    },
+
+    unregister(name) {
+        const entry = this.commands[name];
+        if (!entry) return;
+        delete this.commands[name];
+        Object.keys(this.aliases).forEach((alias) => {
+            if (this.aliases[alias] === name) {
+                delete this.aliases[alias];
+            }
+        });
+    },
+
+    get(name) {
+        const key = String(name || '').toLowerCase();
+        return this.commands[key] || this.commands[this.aliases[key]] || null;
+    },
+
+    list(includeHidden = false) {
+        return Object.values(this.commands)
+            .filter((command) => includeHidden || !command.hidden)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // '/Name some args' -> { name: 'name', argText: 'some args' }
+    split(raw) {
+        const match = String(raw || '').trim().match(/^\/(\S+)(?:\s+([\s\S]*))?$/);
+        return match ? { name: match[1].toLowerCase(), argText: (match[2] || '').trim() } : null;
+    },
+
+    // What follows /commandName, with one pair of wrapping quotes taken off, e.g. /namehack "Two Words"
+    parseQuotedCommandValue(raw, commandName) {
+        const prefix = `/${commandName}`;
+        const remainder = String(raw || '').slice(prefix.length).trim();
+        const quoted = remainder.match(/^"([\s\S]+)"$/);
+        return quoted ? quoted[1].trim() : remainder;
+    },
+
+    // Returns { ok: true, args: { [name]: value } } or { ok: false, error }
+    parseArgs(command, argText) {
+        const args = {};
+        let remaining = String(argText || '').trim();
+        for (const spec of command.args) {
+            let value = '';
+            if (spec.rest) {
+                value = remaining;
+                remaining = '';
+            } else {
+                const word = remaining.match(/^"([^"]*)"\s*|^(\S+)\s*/);
+                if (word) {
+                    value = (word[1] !== undefined ? word[1] : word[2]).trim();
+                    remaining = remaining.slice(word[0].length);
+                }
+            }
+            if (!value && !spec.optional) {
+                return { ok: false, error: `Usage: ${this.getUsage(command)}` };
+            }
+            args[spec.name] = value;
+        }
+        if (remaining) {
+            return { ok: false, error: `Usage: ${this.getUsage(command)}` };
+        }
+        return { ok: true, args };
+    },
+
+    getUsage(command) {
+        const args = command.args.map((spec) => (spec.optional ? `[${spec.name}]` : `<${spec.name}>`));
+        return [`/${command.name}`, ...args].join(' ');
+    },
+
+    // Visible commands matching a half-typed name; nothing once the name is followed by a space
+    getSuggestions(text) {
+        const match = String(text || '').match(/^\/(\S*)$/);
+        if (!match) return [];
+        const prefix = match[1].toLowerCase();
+        return this.list().filter((command) => command.name.startsWith(prefix)).slice(0, this.maxSuggestions);
+    },
+
+    getRemainingCooldown(command, now = Date.now()) {
+        if (!command.cooldownMs) return 0;
+        return Math.max(0, (this.lastUsedAt[command.name] || 0) + command.cooldownMs - now);
+    },
+
+    // Resolves true when the line was a command (including one that was refused), false otherwise
+    async run(raw, context = {}) {
+        const parsed = this.split(raw);
+        const command = parsed ? this.get(parsed.name) : null;
+        if (!command) return false;
+
+        const chat = context.chat || null;
+        const write = context.write || ((text) => chat && chat.addSystemMessage(text));
+        const remaining = this.getRemainingCooldown(command);
+        if (remaining > 0) {
+            const wait = chat ? chat.formatCooldown(remaining) : `${Math.ceil(remaining / 1000)}s`;
+            write(`/${command.name} is cooling down. Try again in ${wait}.`, 'err');
+            return true;
+        }
+        const parsedArgs = this.parseArgs(command, parsed.argText);
+        if (!parsedArgs.ok) {
+            write(parsedArgs.error, 'err');
+            return true;
+        }
+
+        const result = await command.handler(parsedArgs.args, {
+            chat,
+            write,
+            source: context.source || 'chat',
+            raw: String(raw).trim()
+        });
+        if (result === false) return false;
+        if (command.cooldownMs) {
+            this.lastUsedAt[command.name] = Date.now();
+        }
+        return true;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCommands;
+}
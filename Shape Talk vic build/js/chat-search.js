@@ -0,0 +1,109 @@
+// Message search shared by the ShapeTalk transports and the local chat server
+//
+// A query is { text, sender, after, before, hasDrawing }: every word of text (plain words or
+// :shortcodes:) must appear in the message, sender matches part of the username, and after/before
+// are millisecond bounds on the message timestamp.
+const ChatSearch = {
+    maxResults: 50,
+    maxQueryLength: 100,
+
+    normalizeQuery(query = {}) {
+        const text = String(query.text || '').trim().slice(0, this.maxQueryLength).toLowerCase();
+        const toTime = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+            ? null
+            : Number(value));
+        return {
+            terms: text ? text.split(/\s+/) : [],
+            sender: String(query.sender || '').trim().slice(0, this.maxQueryLength).toLowerCase(),
+            after: toTime(query.after),
+            before: toTime(query.before),
+            hasDrawing: Boolean(query.hasDrawing)
+        };
+    },
+
+    isEmpty(query) {
+        const normalized = this.normalizeQuery(query);
+        return !normalized.terms.length && !normalized.sender && normalized.after === null
+            && normalized.before === null && !normalized.hasDrawing;
+    },
+
+    matches(message, query) {
+        if (!message || message.deleted) return false;
+        const normalized = query.terms ? query : this.normalizeQuery(query);
+        const content = String(message.content || '').toLowerCase();
+        const timestamp = Number(message.timestamp) || 0;
+        if (!normalized.terms.every((term) => content.includes(term))) return false;
+        if (normalized.sender && !String(message.username || '').toLowerCase().includes(normalized.sender)) return false;
+        if (normalized.after !== null && timestamp < normalized.after) return false;
+        if (normalized.before !== null && timestamp > normalized.before) return false;
+        if (normalized.hasDrawing && !message.drawing) return false;
+        return true;
+    },
+
+    // messages are oldest first; results come back newest first with their neighbours for context
+    search(roomName, messages, query) {
+        const normalized = this.normalizeQuery(query);
+        const list = (messages || []).filter((message) => message && !message.deleted);
+        const results = [];
+        for (let i = list.length - 1; i >= 0 && results.length < this.maxResults; i -= 1) {
+            if (this.matches(list[i], normalized)) {
+                results.push({
+                    room: roomName,
+                    message: list[i],
+                    previous: list[i - 1] || null,
+                    next: list[i + 1] || null
+                });
+            }
+        }
+        return results;
+    },
+
+    mergeResults(resultLists, limit = this.maxResults) {
+        return [].concat(...resultLists)
+            .sort((a, b) => (Number(b.message.timestamp) || 0) - (Number(a.message.timestamp) || 0))
+            .slice(0, limit);
+    },
+
+    // Cuts long messages down to the part around the first match
+    makeSnippet(text, terms, radius = 40) {
+        const content = String(text || '');
+        if (content.length <= radius * 2) return content;
+        const lower = content.toLowerCase();
+        const hit = (terms || []).map((term) => lower.indexOf(term)).filter((index) => index >= 0).sort((a, b) => a - b)[0];
+        const start = Math.max(0, (hit === undefined ? 0 : hit) - radius);
+        const end = Math.min(content.length, start + radius * 2);
+        return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+    },
+
+    // Splits text into [{ text, match }] runs so callers can escape each run before highlighting
+    splitHighlights(text, terms) {
+        const content = String(text || '');
+        const lower = content.toLowerCase();
+        const ranges = [];
+        (terms || []).filter(Boolean).forEach((term) => {
+            let index = lower.indexOf(term);
+            while (index >= 0) {
+                ranges.push([index, index + term.length]);
+                index = lower.indexOf(term, index + term.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const runs = [];
+        let cursor = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= cursor) return;
+            const from = Math.max(start, cursor);
+            if (from > cursor) runs.push({ text: content.slice(cursor, from), match: false });
+            runs.push({ text: content.slice(from, end), match: true });
+            cursor = end;
+        });
+        if (cursor < content.length) runs.push({ text: content.slice(cursor), match: false });
+        return runs;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatSearch;
+}
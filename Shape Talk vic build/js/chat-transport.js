@@ -0,0 +1,89 @@
+// Chat transport registry for ShapeTalk
+//
+// Chat talks to its backend only through a transport. Every transport implements:
+//   name                                         registry key ('firebase', 'websocket', 'memory', ...)
+//   userId                                       id the backend knows this client by
+//   connect(chat, profile) -> boolean            start talking to the backend; false if unavailable
+//   isConnected() -> boolean
+//   joinRoom(roomName, { joinCode }) -> Promise<{ ok, reason, previousRoom }>   leaves the current room first
+//   leaveRoom(roomName) -> Promise
+//   sendMessage(content, drawing, roomConfig, extras) -> Promise<boolean | { ok: false, reason }>
+//       extras: { kind, replyTo, messageBgColor, clientId, resend }. true means the backend has the message;
+//       a clientId it already has is not stored twice (see outbox.js). kind is 'action' for /me or
+//       'roll' for /roll, whose content is the dice (see dice.js); rolls cannot be edited
+//   react(messageId, reaction, nextReactions) -> Promise<boolean>
+//   loadOlderMessages(roomName, beforeMessage, limit) -> Promise<{ messages, hasMore }>   oldest first
+//   editMessage(messageId, content) -> Promise<boolean>   own messages only; sets editedAt
+//   deleteMessage(messageId) -> Promise<boolean>          leaves a { deleted: true } tombstone; moderators may delete any message
+//   reportMessage(report) -> Promise<{ ok, reason }>      report comes from Moderation.makeReport; queued for moderators
+//   kickUser(roomName, userId) -> Promise<{ ok, reason }>            moderators only
+//   banUser(roomName, userId, minutes) -> Promise<{ ok, reason }>    moderators only; also kicks
+//   searchMessages(roomNames, query) -> Promise<[{ room, message, previous, next }]>   newest first, see chat-search.js
+//   saveAccount(accountName, record) -> Promise<{ ok, reason }>   record is sealed by identity.js; owner only
+//   loadAccount(accountName) -> Promise<record | null>
+//   saveEmojiPack(pack) -> Promise<{ ok, reason, packId }>   pack from emoji-packs.js; creates or replaces, owner only
+//   listenForEmojiPacks(onPacks) -> unsubscribe()            onPacks([pack]) with every pack, on each change
+//   saveRoom(room) -> Promise<{ ok, reason }>   room from RoomConfigs.normalizeRoom; creates or edits, owner only
+//   archiveRoom(roomName) -> Promise<{ ok, reason }>   owner only; everyone inside is moved out and nobody can join
+//   listenForRooms(onRooms) -> unsubscribe()           onRooms([room]) with every user-made room not archived, on each change
+//   createDmThread(invitees) -> Promise<{ ok, reason, threadId }>   invitees: [{ userId, username }]; see dm-threads.js
+//   inviteToDmThread(threadId, invitees) -> Promise<{ ok, reason }>   members only
+//   acceptDmInvite(threadId) -> Promise<{ ok, reason }>
+//   leaveDmThread(threadId) -> Promise<{ ok, reason }>   also declines an invite
+//   listenForDmThreads(onThreads) -> unsubscribe()      onThreads([thread]) with every thread this user is in or invited to
+//   setTyping(isTyping) -> Promise              current room only
+//   markRead(roomName, { messageId, timestamp }) -> Promise   moves this user's read pointer
+//   listenForReadReceipts(roomName, onReads) -> unsubscribe()   onReads({ [readerId]: { username, messageId, timestamp } })
+//   updateProfile({ username, mood })
+//   setWatchPresence(roomName, enabled, user) -> Promise
+//   watchRoom(roomName, { onStart, onUsers, onMessage, onError }) -> stop()   onError(reason) when the room cannot be watched
+//   stealIdeas(roomName, history) -> Promise<stolen ideas entry>
+//   getWatchers(roomName) -> Promise<[{ username, stolenIdeas }]>
+//   listenForRoomList(onRooms) -> unsubscribe()
+//   listenForRoomMessages(roomName, onMessage) -> unsubscribe()   new messages only
+//   getRoomOccupancyCounts() -> Promise<{ [roomName]: onlineCount }>
+//
+// Transports push updates back through the ShapeChat UI methods (addMessage, updateUserList,
+// updateTypingUsers, setCurrentRoom, updateRoomMenuOccupancy, handleRoomList, applyServerIdentity, addSystemMessage,
+// setModerator, handleRemovedFromRoom, setConnectionState).
+const ChatTransport = {
+    transports: {},
+    defaultOrder: ['firebase', 'websocket', 'memory'],
+
+    register(transport) {
+        this.transports[transport.name] = transport;
+        return transport;
+    },
+
+    get(name) {
+        return this.transports[name] || null;
+    },
+
+    // The local server sets SHAPETALK_BACKEND; ?backend=memory etc. works for manual testing
+    getPreferredName() {
+        if (window.SHAPETALK_BACKEND) {
+            return window.SHAPETALK_BACKEND;
+        }
+        try {
+            return new URLSearchParams(window.location.search).get('backend');
+        } catch (_) {
+            return null;
+        }
+    },
+
+    connect(chat, profile, preferredName = this.getPreferredName()) {
+        const order = preferredName ? [preferredName, 'memory'] : this.defaultOrder;
+        for (const name of order) {
+            const transport = this.get(name);
+            if (transport && transport.connect(chat, profile)) {
+                return transport;
+            }
+        }
+        return null;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatTransport;
+}
@@ -15,6 +15,11 @@ const Chat = {
     dmName: null,
     chatContextBar: null,
     chatContextName: null,
+    roomEventBar: null,
+    // The room and scheduled event (see room-events.js) the banner last showed, so starts and ends get announced
+    roomEventState: null,
+    // roomName -> when this device last sent there, for slow mode
+    lastSentAt: {},
     roomMenuWrap: null,
     roomMenu: null,
     roomOccupancy: {},
@@ -45,35 +50,71 @@ const Chat = {
     currentTool: 'pen',
     currentColor: '#000000',
     currentSize: 4,
+    currentLayer: 0,
     lastX: 0,
     lastY: 0,
-    hasDrawn: false,
-
-    ws: null,
-    serverId: null,
+    lastWidth: null,
+    layers: [],
+    strokes: [],
+    redoStrokes: [],
+    currentStroke: null,
+    remixBaseLength: 0,
+    // The message being remixed, and the picture under the strokes when it is a PNG from before strokes
+    remixMessageId: null,
+    remixBaseImage: null,
+    fillTolerance: 48,
+    recentColors: [],
+    maxRecentColors: 8,
+    recentColorsStorageKey: 'shapetalk_recent_colors',
+    drawingReplays: {},
+
+    emojiPacks: [],
+    emojiPackListener: null,
+    // User-made rooms by name (see room-configs.js) and the join codes this device has used
+    customRooms: {},
+    customRoomListener: null,
+    roomJoinCodes: {},
+    roomJoinCodesStorageKey: 'shapetalk_room_codes',
+    roomEditorPanel: null,
+    roomEditorStatus: null,
+    editingRoomName: null,
+    emojiEditorPixels: [],
+    emojiEditorColor: '#000000',
+    emojiEditorErasing: false,
+    replayPointMs: 12,
+    maxReplayMs: 4000,
+
+    transport: null,
     watching: false,
     watchRoom: null,
     _watchHistory: null,
-    watchUsersRef: null,
-    watchMessagesRef: null,
-    watchUserListener: null,
-    watchMessageListener: null,
-    watchPresenceRef: null,
-    watchSeenMessageKeys: null,
-    demoWatchTimers: [],
+    watchStop: null,
     renameCooldownMs: 5 * 60 * 1000,
     nameHackCooldownMs: 15 * 60 * 1000,
     renameCooldownStorageKey: 'shapetalk_rename_last_used_at',
     nameHackStorageKey: 'shapetalk_namehack_last_used_at',
+    maxUsernameLength: 40,
     currentReplyTarget: null,
+    currentEditTarget: null,
+    messageEditWindowMs: 15 * 60 * 1000,
     replyPreview: null,
+    replyPreviewLabel: null,
     replyPreviewText: null,
+    replyPreviewThumb: null,
     replyCancelBtn: null,
     messageElements: {},
     messageCache: {},
+    historyPageSize: 50,
+    historyLoading: false,
+    historyExhausted: false,
+    unseenMessageCount: 0,
+    jumpLatestBtn: null,
     messageBgColor: null,
     reactionChoices: [':happy:', ':sad:', ':wink:', ':confused:', ':love:', ':question:', ':exclaim:', ':redshape:', ':greenshape:'],
     dmRooms: [],
+    // threadId -> DM thread this user is in or invited to (see dm-threads.js)
+    dmThreads: {},
+    dmThreadListener: null,
     roomMenuDmList: null,
     lastMainRoom: 'Lobby',
     lastMainRoomUsers: [],
@@ -82,53 +123,56 @@ const Chat = {
     dmUnreadRooms: {},
     mainRoomUnread: false,
     inactiveRoomListeners: {},
+    readReceiptListeners: {},
+    dmReads: {},
+    dmLastSentAt: {},
+    lastMarkedRead: {},
+    readReceiptTimer: null,
+    typingIndicator: null,
+    typingUsers: {},
+    typingThrottleMs: 3000,
+    typingIdleMs: 5000,
+    typingTimeoutMs: 8000,
+    lastTypingSentAt: 0,
+    typingIdleTimer: null,
+    typingExpiryTimer: null,
     lastLobbySpeaker: null,
+    identity: null,
+    accountPanel: null,
+    searchPanel: null,
+    searchRequestId: 0,
+    searchHighlightMs: 2000,
+    searchMaxHistoryPages: 20,
     dmRoomColors: {},
-
-    demoConversations: [
-        {
-            room: 'Shapes',
-            users: ['DiamondDude421', 'TriangleKing007'],
-            messages: [
-                { sender: 'DiamondDude421', text: 'yo did you see that new game dropping tomorrow', delay: 900 },
-                { sender: 'TriangleKing007', text: 'yeah bro the trailer looks crazy', delay: 2400 },
-                { sender: 'DiamondDude421', text: 'i have a better concept for it though', delay: 4100 },
-                { sender: 'TriangleKing007', text: 'what idea', delay: 5500 },
-                { sender: 'DiamondDude421', text: 'what if the whole map changes every 5 min and nobody gets warned', delay: 7200 },
-                { sender: 'TriangleKing007', text: 'bro that is actually genius', delay: 8900 },
-                { sender: 'DiamondDude421', text: 'i been sitting on this for three weeks', delay: 10600 },
-                { sender: 'TriangleKing007', text: 'dont tell nobody. we build this ourselves', delay: 12400 }
-            ]
-        },
-        {
-            room: 'AfterHours',
-            users: ['OctagonWizard333', 'CircleSage099'],
-            messages: [
-                { sender: 'CircleSage099', text: 'i wrote a whole song last night, couldnt sleep', delay: 700 },
-                { sender: 'OctagonWizard333', text: 'for real? what kind', delay: 2000 },
-                { sender: 'CircleSage099', text: 'slow beat with weird samples from old cartoons', delay: 3700 },
-                { sender: 'OctagonWizard333', text: 'that sounds genuinely different', delay: 5300 },
-                { sender: 'CircleSage099', text: 'i call the whole sound shape wave', delay: 6800 },
-                { sender: 'OctagonWizard333', text: 'thats a whole genre right there', delay: 8500 },
-                { sender: 'CircleSage099', text: 'right? nobody is doing this', delay: 10100 },
-                { sender: 'OctagonWizard333', text: 'drop it before someone steals it', delay: 11900 }
-            ]
-        },
-        {
-            room: 'SketchPad',
-            users: ['HexagonHorse212', 'StarLegend556'],
-            messages: [
-                { sender: 'HexagonHorse212', text: 'imagine an app that shows what your friends are doing in real time', delay: 800 },
-                { sender: 'StarLegend556', text: 'like a spy app lmao', delay: 2200 },
-                { sender: 'HexagonHorse212', text: 'no tasteful. what they listening to, watching, reading', delay: 3900 },
-                { sender: 'StarLegend556', text: 'thats actually a cool idea ngl', delay: 5500 },
-                { sender: 'HexagonHorse212', text: 'call it Parallel', delay: 7000 },
-                { sender: 'StarLegend556', text: 'parallel. ok i fw that hard', delay: 8700 },
-                { sender: 'HexagonHorse212', text: 'gonna mock it up tonight', delay: 10300 },
-                { sender: 'StarLegend556', text: 'let me know when you have something', delay: 12000 }
-            ]
-        }
-    ],
+    hiddenUsers: {},
+    isModerator: false,
+    rateLimits: {},
+    outbox: {},
+    pendingElements: {},
+    commandSuggestions: null,
+    commandSuggestionList: [],
+    commandSuggestionIndex: 0,
+    commandSuggestionsDismissedFor: null,
+    mentionSuggestionList: [],
+    mentionSuggestionIndex: 0,
+    // Mentions of this user, newest first (see mentions.js), and the rooms with one waiting
+    mentionInbox: [],
+    mentionedRooms: {},
+    unseenMentionCount: 0,
+    // Mentions older than this came with history, so they fill the inbox without alerts
+    mentionsSince: 0,
+    mentionAlerts: false,
+    mentionsPanel: null,
+    mentionsList: null,
+    mentionsToggleBtn: null,
+    connectionState: 'connecting',
+    connectionStatus: null,
+    trayConnection: null,
+    connectionLabels: {
+        online: 'Online',
+        connecting: 'Connecting...',
+        offline: 'Offline'
+    },
 
     onlineUsers: [],
     aiReplyTimer: null,
@@ -150,26 +194,15 @@ const Chat = {
         'All clear in here so far. :fire:'
     ],
 
-    roomConfigs: {
-        'Lobby': { maxUsers: null, mode: 'open', maxMessages: null },
-        'DMs': { maxUsers: null, mode: 'open', maxMessages: null },
-        'ShapeTalk': { maxUsers: null, mode: 'emoji_draw_only', maxMessages: null },
-        'VIP': { maxUsers: null, mode: 'open', maxMessages: 100 },
-        'Private 1': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 2': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 3': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 4': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 5': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 6': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 7': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 8': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 9': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
-        'Private 10': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true }
-    },
-
-    mainRooms: ['Lobby', 'ShapeTalk', 'VIP'],
+    roomConfigs: RoomConfigs.rooms,
+
+    mainRooms: RoomConfigs.mainRooms,
 
     init() {
+        if (window.SHAPETALK_ROOM_EVENTS) {
+            this.roomConfigs = RoomConfigs.withSchedules();
+        }
+
         // Get DOM elements
         this.messageInput = document.getElementById('messageInput');
         this.chatMessages = document.getElementById('chatMessages');
@@ -179,12 +212,15 @@ const Chat = {
         this.userListHeader = document.getElementById('userListHeader');
         this.previewText = document.getElementById('previewText');
         this.replyPreview = document.getElementById('replyPreview');
+        this.replyPreviewLabel = document.getElementById('replyPreviewLabel');
         this.replyPreviewText = document.getElementById('replyPreviewText');
+        this.replyPreviewThumb = document.getElementById('replyPreviewThumb');
         this.replyCancelBtn = document.getElementById('replyCancelBtn');
         this.roomName = document.getElementById('roomName');
         this.dmName = document.getElementById('dmName');
         this.chatContextBar = document.getElementById('chatContextBar');
         this.chatContextName = document.getElementById('chatContextName');
+        this.roomEventBar = document.getElementById('roomEventBar');
         this.roomMenuWrap = document.getElementById('roomMenuWrap');
         this.roomMenu = document.getElementById('roomMenu');
         this.yourName = document.getElementById('yourName');
@@ -200,10 +236,35 @@ const Chat = {
         this.keyboardArea = document.getElementById('keyboardArea');
         this.emojiToggleIcon = document.getElementById('emojiToggleIcon');
         this.buildVersionBtn = document.getElementById('buildVersion');
-
-        // Generate or retrieve username
-        this.username = NameGenerator.getOrCreateUsername();
-        this.userId = 'session_' + Math.random().toString(36).slice(2, 10) + '_' + Date.now();
+        this.jumpLatestBtn = document.getElementById('jumpLatestBtn');
+        this.typingIndicator = document.getElementById('typingIndicator');
+        this.searchPanel = document.getElementById('searchPanel');
+        this.searchForm = document.getElementById('searchForm');
+        this.searchStatus = document.getElementById('searchStatus');
+        this.searchResults = document.getElementById('searchResults');
+        this.searchToggleBtn = document.getElementById('searchToggleBtn');
+        this.accountPanel = document.getElementById('accountPanel');
+        this.accountToggleBtn = document.getElementById('accountToggleBtn');
+        this.accountStatus = document.getElementById('accountStatus');
+        this.roomEditorPanel = document.getElementById('roomEditorPanel');
+        this.roomEditorStatus = document.getElementById('roomEditorStatus');
+        this.connectionStatus = document.getElementById('connectionStatus');
+        this.trayConnection = document.getElementById('trayConnection');
+        this.commandSuggestions = document.getElementById('commandSuggestions');
+        this.mentionsPanel = document.getElementById('mentionsPanel');
+        this.mentionsList = document.getElementById('mentionsList');
+        this.mentionsToggleBtn = document.getElementById('mentionsToggleBtn');
+
+        // Restore the identity saved on this device, or mint an anonymous one (see identity.js)
+        this.identity = Identity.load();
+        this.username = this.identity.username;
+        this.userId = this.identity.userId;
+        this.hiddenUsers = Moderation.loadHiddenUsers();
+        this.roomJoinCodes = this.loadRoomJoinCodes();
+        this.mentionInbox = Mentions.loadInbox();
+        this.mentionAlerts = Mentions.loadAlerts();
+        this.mentionsSince = Date.now();
+        NameGenerator.currentUsername = this.username;
         this.currentMood = this.moodSelect ? this.moodSelect.value : ':happy:';
         this.keyboardVisible = true;
         this.renderMoodMenuOptions();
@@ -217,43 +278,25 @@ const Chat = {
         this.syncInputAccessibility();
         this.syncKeyboardVisibility();
 
+        this.registerCommands();
+
         // Setup event listeners
         this.setupEventListeners();
         this.setupKeyboard();
         this.setupCanvas();
         this.setupVistaDesktop();
         
-        // Initialize Firebase chat if available
-        if (window.FirebaseChat) {
-            const firebaseConnected = window.FirebaseChat.init({
-                userId: this.userId,
-                username: this.username,
-                mood: this.currentMood
-            });
-            if (firebaseConnected) {
-                this.userId = window.FirebaseChat.userId || this.userId;
-                if (typeof window.FirebaseChat.listenForRoomList === 'function') {
-                    window.FirebaseChat.listenForRoomList((roomNames) => {
-                        roomNames.forEach((roomName) => {
-                            if (this.isDmRoom(roomName) && roomName.includes(this.username)) {
-                                this.registerDmRoom(roomName);
-                            }
-                        });
-                    });
-                }
-                console.log('Connected to Firebase real-time chat');
-            } else {
-                console.log('Firebase not configured, using local test mode');
-                this.connectWS();
-            }
-        } else {
-            this.connectWS();
-        }
+        // Connect to Firebase, the local chat server or demo mode (see chat-transport.js)
+        this.useTransport();
+        this.restoreOutbox();
+        window.addEventListener('online', () => this.flushOutbox(true));
         
         // Initialize emoji picker
-        EmojiSystem.initPicker('emojiGrid', (code) => {
-            this.insertEmoji(code);
-        });
+        this.renderEmojiPicker();
+        this.setupEmojiEditor();
+        this.setupRoomEditor();
+        this.renderRoomEvent();
+        setInterval(() => this.renderRoomEvent(), 1000);
         
         // Welcome message
         this.addSystemMessage(`You joined ${this.currentRoom} as ${this.username}.`);
@@ -385,10 +428,26 @@ const Chat = {
 
         if (this.replyCancelBtn) {
             this.replyCancelBtn.addEventListener('click', () => {
+                if (this.currentEditTarget) {
+                    this.clearEditTarget(true);
+                    return;
+                }
                 this.clearReplyTarget();
             });
         }
 
+        if (this.chatMessages) {
+            this.chatMessages.addEventListener('scroll', () => {
+                this.handleChatScroll();
+            });
+        }
+
+        if (this.jumpLatestBtn) {
+            this.jumpLatestBtn.addEventListener('click', () => {
+                this.jumpToLatest();
+            });
+        }
+
         if (this.copyBtnMobile) {
             this.copyBtnMobile.addEventListener('click', async () => {
                 const draftText = this.messageInput ? this.messageInput.value : '';
@@ -438,6 +497,94 @@ const Chat = {
             });
         }
 
+        if (this.searchPanel) {
+            this.searchToggleBtn.addEventListener('click', () => {
+                this.toggleSearchPanel(this.searchPanel.hidden);
+            });
+            document.getElementById('searchCloseBtn').addEventListener('click', () => this.toggleSearchPanel(false));
+            this.searchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.runSearch();
+            });
+            // Keep Enter and key sounds from reaching the composer's document-level handlers
+            this.searchPanel.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.toggleSearchPanel(false);
+                }
+                const item = e.key === 'Enter' ? e.target.closest('[data-search-message-id]') : null;
+                if (item) {
+                    this.jumpToMessage(item.dataset.searchRoom, item.dataset.searchMessageId);
+                }
+            });
+            this.searchPanel.addEventListener('keyup', (e) => e.stopPropagation());
+            this.searchResults.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-search-message-id]');
+                if (item) {
+                    this.jumpToMessage(item.dataset.searchRoom, item.dataset.searchMessageId);
+                }
+            });
+        }
+
+        if (this.mentionsPanel) {
+            this.mentionsToggleBtn.addEventListener('click', () => {
+                this.toggleMentionsPanel(this.mentionsPanel.hidden);
+            });
+            document.getElementById('mentionsCloseBtn').addEventListener('click', () => this.toggleMentionsPanel(false));
+            this.mentionsPanel.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.toggleMentionsPanel(false);
+                }
+                const item = e.key === 'Enter' ? e.target.closest('[data-search-message-id]') : null;
+                if (item) {
+                    this.jumpToMessage(item.dataset.searchRoom, item.dataset.searchMessageId);
+                }
+            });
+            this.mentionsPanel.addEventListener('keyup', (e) => e.stopPropagation());
+            this.mentionsList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-search-message-id]');
+                if (item) {
+                    this.jumpToMessage(item.dataset.searchRoom, item.dataset.searchMessageId);
+                }
+            });
+            document.getElementById('mentionAlerts').addEventListener('change', (e) => this.setMentionAlerts(e.target.checked));
+            this.renderMentionsButton();
+        }
+
+        if (this.accountPanel) {
+            this.accountToggleBtn.addEventListener('click', () => {
+                this.toggleAccountPanel(this.accountPanel.hidden);
+            });
+            document.getElementById('accountCloseBtn').addEventListener('click', () => this.toggleAccountPanel(false));
+            this.accountPanel.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.toggleAccountPanel(false);
+                }
+            });
+            this.accountPanel.addEventListener('keyup', (e) => e.stopPropagation());
+            document.getElementById('accountForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveAccount(document.getElementById('accountName').value, document.getElementById('accountPassphrase').value);
+            });
+            this.accountPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-account-action]');
+                if (!button) return;
+                const action = button.dataset.accountAction;
+                if (action === 'restore') {
+                    this.restoreAccount(document.getElementById('accountName').value, document.getElementById('accountPassphrase').value);
+                } else if (action === 'export') {
+                    document.getElementById('accountKey').value = Identity.exportKey(this.identity);
+                    this.setAccountStatus('Keep this key private. Paste it on another device to sign in as you.');
+                } else if (action === 'import') {
+                    this.importIdentityKey(document.getElementById('accountKey').value);
+                } else if (action === 'fresh') {
+                    this.startFreshIdentity();
+                }
+            });
+        }
+
         if (this.keyboardToggleBtn) {
             this.keyboardToggleBtn.addEventListener('click', () => {
                 this.nativeKeyboardRequested = false;
@@ -509,7 +656,7 @@ const Chat = {
                 this.emojiPicker.classList.remove('active');
             }
 
-            if (this.drawPicker && !e.target.closest('.draw-picker') && !e.target.closest('.draw-toggle')) {
+            if (this.drawPicker && !e.target.closest('.draw-picker') && !e.target.closest('.draw-toggle') && !e.target.closest('[data-action="remixDrawing"]')) {
                 this.drawPicker.classList.remove('active');
                 const drawBtn = document.getElementById('drawBtn');
                 if (drawBtn) drawBtn.classList.remove('active');
@@ -565,11 +712,22 @@ const Chat = {
             });
         }
 
+        // User-made rooms are added to the menu as they arrive, so clicks are handled here
         if (this.roomMenu) {
-            this.roomMenu.querySelectorAll('[data-room]').forEach((btn) => {
-                btn.addEventListener('click', async () => {
-                    await this.selectRoom(btn.dataset.room);
-                });
+            this.roomMenu.addEventListener('click', async (e) => {
+                const editButton = e.target.closest('[data-room-edit]');
+                if (editButton) {
+                    this.openRoomEditor(editButton.dataset.roomEdit);
+                    return;
+                }
+                if (e.target.closest('[data-room-action="new"]')) {
+                    this.openRoomEditor();
+                    return;
+                }
+                const roomButton = e.target.closest('[data-room]');
+                if (roomButton) {
+                    await this.selectRoom(roomButton.dataset.room);
+                }
             });
         }
 
@@ -600,6 +758,7 @@ const Chat = {
                 this.shift = true;
                 this.updateShiftDisplay();
             }
+            if (this.handleCommandSuggestionKey(e) || this.handleMentionSuggestionKey(e)) return;
             if (e.key === 'Enter') {
                 e.preventDefault();
                 this.sendMessage();
@@ -618,9 +777,27 @@ const Chat = {
             this.updatePreview();
         });
 
+        if (this.commandSuggestions) {
+            this.commandSuggestions.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-command]');
+                if (option) {
+                    this.acceptCommandSuggestion(option.dataset.command);
+                }
+                const mention = e.target.closest('[data-mention]');
+                if (mention) {
+                    this.acceptMentionSuggestion(mention.dataset.mention);
+                }
+            });
+        }
+
         // Update preview on input change
         this.messageInput.addEventListener('input', () => {
             this.updatePreview();
+            this.noteTyping();
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            this.scheduleMarkRead();
         });
 
         this.messageInput.addEventListener('paste', (e) => {
@@ -656,6 +833,22 @@ const Chat = {
 
         if (this.chatMessages) {
             this.chatMessages.addEventListener('click', (e) => {
+                // The first click on a spoiler only reveals it, even when it hides a link
+                const spoiler = e.target.closest('.spoiler:not(.revealed)');
+                if (spoiler) {
+                    e.preventDefault();
+                    spoiler.classList.add('revealed');
+                    return;
+                }
+
+                const shapeLink = e.target.closest('[data-shape-link]');
+                if (shapeLink) {
+                    if (this.openShapeLink(shapeLink.dataset.shapeLink)) {
+                        e.preventDefault();
+                    }
+                    return;
+                }
+
                 const replyBtn = e.target.closest('[data-action="replyMessage"]');
                 if (replyBtn) {
                     const messageId = replyBtn.dataset.messageId;
@@ -665,6 +858,59 @@ const Chat = {
                     return;
                 }
 
+                const editBtn = e.target.closest('[data-action="editMessage"]');
+                if (editBtn) {
+                    this.setEditTarget(this.messageCache[editBtn.dataset.messageId]);
+                    return;
+                }
+
+                const deleteBtn = e.target.closest('[data-action="deleteMessage"]');
+                if (deleteBtn) {
+                    if (window.confirm('Delete this message?')) {
+                        this.deleteMessage(deleteBtn.dataset.messageId);
+                    }
+                    return;
+                }
+
+                const moderationToggle = e.target.closest('[data-action="toggleModerationMenu"]');
+                if (moderationToggle) {
+                    const messageEl = moderationToggle.closest('.message');
+                    if (messageEl) {
+                        messageEl.classList.toggle('moderation-open');
+                    }
+                    return;
+                }
+
+                const moderationBtn = e.target.closest('[data-moderation-action]');
+                if (moderationBtn) {
+                    this.handleModerationAction(moderationBtn.dataset.moderationAction, moderationBtn.dataset.messageId);
+                    return;
+                }
+
+                const replayBtn = e.target.closest('[data-action="replayDrawing"]');
+                if (replayBtn) {
+                    this.replayDrawing(replayBtn.dataset.messageId);
+                    return;
+                }
+
+                const remixBtn = e.target.closest('[data-action="remixDrawing"]');
+                if (remixBtn) {
+                    this.remixDrawing(remixBtn.dataset.messageId);
+                    return;
+                }
+
+                const unhideBtn = e.target.closest('[data-action="unhideUser"]');
+                if (unhideBtn) {
+                    this.unhideUser(unhideBtn.dataset.userId);
+                    return;
+                }
+
+                const outboxBtn = e.target.closest('[data-outbox-action]');
+                if (outboxBtn) {
+                    this.handleOutboxAction(outboxBtn.dataset.outboxAction, outboxBtn.dataset.clientId);
+                    return;
+                }
+
                 const reactionToggle = e.target.closest('[data-action="toggleReactionPicker"]');
                 if (reactionToggle) {
                     const messageEl = reactionToggle.closest('.message');
@@ -733,6 +979,7 @@ const Chat = {
         if (shouldOpen) {
             this.closeMoodMenu();
             this.updateRoomMenuOccupancy();
+            this.refreshRoomOccupancy();
         }
         this.roomMenu.toggleAttribute('hidden', !shouldOpen);
     },
@@ -743,7 +990,7 @@ const Chat = {
     },
 
     getRoomConfig(roomName) {
-        return this.roomConfigs[roomName] || this.roomConfigs.Lobby;
+        return { ...RoomConfigs.defaults, ...(this.roomConfigs[roomName] || this.customRooms[roomName] || { ...this.roomConfigs.Lobby, schedule: null }) };
     },
 
     isMainRoom(roomName = this.currentRoom) {
@@ -768,6 +1015,10 @@ const Chat = {
     },
 
     getDmPartnerName(roomName) {
+        const threadId = DmThreads.getThreadId(roomName);
+        if (threadId) {
+            return this.dmThreads[threadId] ? DmThreads.getTitle(this.dmThreads[threadId], this.userId) : 'DM';
+        }
         const raw = String(roomName || '').replace(/^DM:\s*/, '');
         const names = raw.split('&').map((part) => part.trim()).filter(Boolean);
         const partner = names.find((name) => name !== this.username);
@@ -785,26 +1036,157 @@ const Chat = {
         this.ensureInactiveRoomListeners();
     },
 
+    // DMs invite by userId; a bare name is looked up among the people seen in the room. { invitee } or { reason }
+    getDmInvitee(user) {
+        const target = this.normalizeUser(user);
+        const known = user && typeof user === 'object' && (user.id || user.userId)
+            ? target
+            : [...this.onlineUsers, ...this.lastMainRoomUsers].find((entry) => String(entry.username || '').toLowerCase() === target.username.toLowerCase());
+        if (!known || !known.id || known.id === known.username) {
+            return { reason: `Nobody called ${target.username} is around right now.` };
+        }
+        if (known.id === this.userId) {
+            return { reason: 'You cannot DM yourself.' };
+        }
+        if (known.id === this.aiUser.id) {
+            return { reason: `${known.username} only talks in the main rooms.` };
+        }
+        return { invitee: { userId: known.id, username: known.username } };
+    },
+
+    // Reuses the DM that holds just the two of you, or starts one and invites them
     async openDirectMessage(user) {
         const target = this.normalizeUser(user);
         if (!target || !target.username || target.username === this.username) return;
-        const roomName = this.buildDmRoomName(target.username);
+        const { invitee, reason } = this.getDmInvitee(user);
+        if (!invitee) {
+            this.addSystemMessage(reason);
+            return;
+        }
+        const thread = DmThreads.findDirectThread(Object.values(this.dmThreads), this.userId, invitee.userId);
+        if (thread) {
+            const roomName = DmThreads.getRoomName(thread.id);
+            this.registerDmRoom(roomName);
+            await this.selectRoom(roomName);
+            return;
+        }
+        await this.startDmThread([invitee]);
+    },
+
+    async startDmThread(invitees) {
+        if (!this.transport) return;
+        const result = await this.transport.createDmThread(invitees);
+        if (!result.ok) {
+            this.addSystemMessage(result.reason);
+            return;
+        }
+        const roomName = DmThreads.getRoomName(result.threadId);
+        this.registerDmRoom(roomName);
+        await this.selectRoom(roomName);
+    },
+
+    // The thread behind the current room, when the user is in it
+    getCurrentDmThread() {
+        const thread = this.dmThreads[DmThreads.getThreadId(this.currentRoom)];
+        return DmThreads.getStatus(thread, this.userId) === 'member' ? thread : null;
+    },
+
+    async inviteToCurrentDm(name) {
+        const thread = this.getCurrentDmThread();
+        if (!thread) {
+            return { ok: false, reason: 'Invite people from inside a DM.' };
+        }
+        const { invitee, reason } = this.getDmInvitee(name);
+        if (!invitee) {
+            return { ok: false, reason };
+        }
+        const result = await this.transport.inviteToDmThread(thread.id, [invitee]);
+        return result.ok ? { ok: true, reason: `Invited ${invitee.username}.` } : result;
+    },
+
+    async acceptDmInvite(threadId) {
+        const result = await this.transport.acceptDmInvite(threadId);
+        if (!result.ok) {
+            this.addSystemMessage(result.reason);
+            return;
+        }
+        const roomName = DmThreads.getRoomName(threadId);
+        delete this.dmUnreadRooms[roomName];
         this.registerDmRoom(roomName);
         await this.selectRoom(roomName);
     },
 
+    async declineDmInvite(threadId) {
+        const result = await this.transport.leaveDmThread(threadId);
+        if (!result.ok) {
+            this.addSystemMessage(result.reason);
+            return;
+        }
+        delete this.dmUnreadRooms[DmThreads.getRoomName(threadId)];
+        this.renderCurrentRoomLabel();
+    },
+
+    // Thread rooms follow membership; open invites count as unread until they are answered
+    handleDmThreads(threads) {
+        this.dmThreads = {};
+        (threads || []).forEach((entry) => {
+            const thread = DmThreads.normalizeThread(entry);
+            if (thread) {
+                this.dmThreads[thread.id] = thread;
+            }
+        });
+        Object.values(this.dmThreads).forEach((thread) => {
+            const roomName = DmThreads.getRoomName(thread.id);
+            const status = DmThreads.getStatus(thread, this.userId);
+            if (status === 'member' && !this.dmRooms.includes(roomName)) {
+                this.dmRooms.push(roomName);
+            } else if (status === 'invited' && this.getHiddenLevel(thread.invites[this.userId].by) !== 'block') {
+                this.dmUnreadRooms[roomName] = true;
+            }
+        });
+        Object.keys(this.dmUnreadRooms).forEach((roomName) => {
+            const threadId = DmThreads.getThreadId(roomName);
+            if (threadId && DmThreads.getStatus(this.dmThreads[threadId], this.userId) !== 'invited' && !this.dmRooms.includes(roomName)) {
+                delete this.dmUnreadRooms[roomName];
+            }
+        });
+        this.dmRooms.sort((a, b) => a.localeCompare(b));
+        this.dmRooms
+            .filter((roomName) => DmThreads.getThreadId(roomName) && !this.dmThreads[DmThreads.getThreadId(roomName)])
+            .forEach((roomName) => this.forgetDmRoom(roomName));
+        this.ensureInactiveRoomListeners();
+        this.renderCurrentRoomLabel();
+    },
+
     async startNewDmFromLobbySpeaker() {
         const target = this.lastLobbySpeaker;
         if (!target || !target.username || target.username === this.username) return;
         await this.openDirectMessage(target);
     },
 
+    // Leaving a thread is for good; an older name-based DM only drops off this list
     async closeDmRoom(roomName) {
         if (!roomName || !this.isDmRoom(roomName)) return;
+        const threadId = DmThreads.getThreadId(roomName);
+        if (threadId && this.transport) {
+            const result = await this.transport.leaveDmThread(threadId);
+            if (!result.ok) {
+                this.addSystemMessage(result.reason);
+                return;
+            }
+        }
+        await this.forgetDmRoom(roomName);
+    },
+
+    async forgetDmRoom(roomName) {
+        if (!this.dmRooms.includes(roomName)) return;
         this.dmRooms = this.dmRooms.filter((name) => name !== roomName);
         delete this.dmUnreadRooms[roomName];
         delete this.dmRoomColors[roomName];
+        delete this.dmReads[roomName];
+        delete this.dmLastSentAt[roomName];
         this.detachInactiveRoomListener(roomName);
+        this.ensureReadReceiptListeners();
         if (this.lastDmRoom === roomName) {
             this.lastDmRoom = this.dmRooms[0] || null;
         }
@@ -836,7 +1218,7 @@ const Chat = {
 
     async switchToDmPane() {
         this.closeRoomMenu();
-        const unreadDmRoom = Object.keys(this.dmUnreadRooms)[0] || null;
+        const unreadDmRoom = Object.keys(this.dmUnreadRooms).find((roomName) => this.dmRooms.includes(roomName)) || null;
         const targetDmRoom = this.lastDmRoom || unreadDmRoom || this.dmRooms[0] || null;
         if (targetDmRoom) {
             this.lastDmRoom = targetDmRoom;
@@ -864,6 +1246,7 @@ const Chat = {
 
     clearRoomUnread(roomName) {
         if (!roomName) return;
+        delete this.mentionedRooms[roomName];
         if (this.isDmRoom(roomName)) {
             delete this.dmUnreadRooms[roomName];
         } else if (roomName === this.lastMainRoom) {
@@ -872,31 +1255,21 @@ const Chat = {
     },
 
     attachInactiveRoomListener(roomName) {
-        if (!window.FirebaseChat || !window.FirebaseChat.database || !roomName || this.inactiveRoomListeners[roomName]) return;
-        const query = window.FirebaseChat.database.ref(`rooms/${roomName}/messages`).limitToLast(50);
-        const knownKeys = new Set();
-        const handler = (snapshot) => {
-            if (knownKeys.has(snapshot.key)) return;
-            knownKeys.add(snapshot.key);
-            const message = snapshot.val() || {};
+        if (!this.transport || !roomName || this.inactiveRoomListeners[roomName]) return;
+        this.inactiveRoomListeners[roomName] = this.transport.listenForRoomMessages(roomName, (message) => {
             const isOwnMessage = message.userId ? message.userId === this.userId : message.username === this.username;
-            if (isOwnMessage || this.currentRoom === roomName) return;
+            if (isOwnMessage || this.currentRoom === roomName || this.getHiddenLevel(message.userId) === 'block') return;
+            if (this.noteMention(roomName, message)) {
+                this.mentionedRooms[roomName] = true;
+            }
             this.markRoomUnread(roomName);
-        };
-
-        query.once('value', (snapshot) => {
-            snapshot.forEach((childSnapshot) => {
-                knownKeys.add(childSnapshot.key);
-            });
-            query.on('child_added', handler);
-            this.inactiveRoomListeners[roomName] = { query, handler };
         });
     },
 
     detachInactiveRoomListener(roomName) {
-        const listener = this.inactiveRoomListeners[roomName];
-        if (!listener) return;
-        listener.query.off('child_added', listener.handler);
+        const unsubscribe = this.inactiveRoomListeners[roomName];
+        if (!unsubscribe) return;
+        unsubscribe();
         delete this.inactiveRoomListeners[roomName];
     },
 
@@ -913,6 +1286,146 @@ const Chat = {
         targets.forEach((roomName) => {
             this.attachInactiveRoomListener(roomName);
         });
+        this.ensureReadReceiptListeners();
+    },
+
+    ensureReadReceiptListeners() {
+        if (!this.transport) return;
+        Object.keys(this.readReceiptListeners).forEach((roomName) => {
+            if (!this.dmRooms.includes(roomName)) {
+                this.readReceiptListeners[roomName]();
+                delete this.readReceiptListeners[roomName];
+            }
+        });
+        this.dmRooms.forEach((roomName) => {
+            if (this.readReceiptListeners[roomName]) return;
+            this.readReceiptListeners[roomName] = this.transport.listenForReadReceipts(roomName, (reads) => {
+                this.handleReadReceipts(roomName, reads);
+            });
+        });
+    },
+
+    handleReadReceipts(roomName, reads) {
+        this.dmReads[roomName] = reads || {};
+        if (roomName === this.currentRoom) {
+            Object.values(this.messageCache).forEach((message) => {
+                if (this.isOwnMessage(message) && this.messageElements[message.messageId]) {
+                    this.renderMessage(message);
+                }
+            });
+        }
+        this.renderSidebarList();
+    },
+
+    // Reads are keyed by userId, or by session id on older backends, so names are checked too
+    getPartnerReadAt(roomName) {
+        return Object.entries(this.dmReads[roomName] || {}).reduce((latest, [readerId, read]) => {
+            if (!read || readerId === this.userId || read.username === this.username) return latest;
+            return Math.max(latest, Number(read.timestamp) || 0);
+        }, 0);
+    },
+
+    isSeenByPartner(roomName, message) {
+        return Boolean(message && message.timestamp && this.getPartnerReadAt(roomName) >= Number(message.timestamp));
+    },
+
+    getDmReceiptText(roomName) {
+        const lastSentAt = this.dmLastSentAt[roomName];
+        if (!lastSentAt) return '';
+        return this.getPartnerReadAt(roomName) >= lastSentAt ? 'Seen' : 'Sent';
+    },
+
+    // Batches the read pointer so a history snapshot produces one write, not one per message
+    scheduleMarkRead() {
+        if (this.readReceiptTimer) return;
+        this.readReceiptTimer = setTimeout(() => {
+            this.readReceiptTimer = null;
+            this.markCurrentRoomRead();
+        }, 250);
+    },
+
+    markCurrentRoomRead() {
+        const roomName = this.currentRoom;
+        if (!this.transport || !this.isDmRoom(roomName) || document.visibilityState === 'hidden') return;
+        const newest = Object.values(this.messageCache).reduce((latest, message) => {
+            if (this.isOwnMessage(message) || !message.timestamp) return latest;
+            return !latest || Number(message.timestamp) > Number(latest.timestamp) ? message : latest;
+        }, null);
+        if (!newest || Number(newest.timestamp) <= (this.lastMarkedRead[roomName] || 0)) return;
+        this.lastMarkedRead[roomName] = Number(newest.timestamp);
+        this.transport.markRead(roomName, {
+            messageId: newest.messageId,
+            timestamp: Number(newest.timestamp)
+        });
+    },
+
+    noteTyping() {
+        if (!this.transport || this.watching || this.currentEditTarget) return;
+        if (!this.messageInput.value.trim()) {
+            this.stopTyping();
+            return;
+        }
+        const now = Date.now();
+        if (now - this.lastTypingSentAt >= this.typingThrottleMs) {
+            this.lastTypingSentAt = now;
+            this.transport.setTyping(true);
+        }
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = setTimeout(() => this.stopTyping(), this.typingIdleMs);
+    },
+
+    stopTyping() {
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = null;
+        if (!this.lastTypingSentAt) return;
+        this.lastTypingSentAt = 0;
+        if (this.transport) {
+            this.transport.setTyping(false);
+        }
+    },
+
+    // Entries that stop refreshing (closed tab, lost connection) fade out after typingTimeoutMs
+    updateTypingUsers(users) {
+        const now = Date.now();
+        const next = {};
+        (users || []).forEach((user) => {
+            if (!user || user.id === this.userId || user.username === this.username) return;
+            const previous = this.typingUsers[user.id];
+            next[user.id] = {
+                username: user.username,
+                at: user.at,
+                seenAt: previous && previous.at === user.at ? previous.seenAt : now
+            };
+        });
+        this.typingUsers = next;
+        this.renderTypingIndicator();
+    },
+
+    getTypingNames() {
+        const now = Date.now();
+        return Object.values(this.typingUsers)
+            .filter((entry) => now - entry.seenAt < this.typingTimeoutMs)
+            .map((entry) => entry.username);
+    },
+
+    renderTypingIndicator() {
+        clearTimeout(this.typingExpiryTimer);
+        this.typingExpiryTimer = null;
+        if (!this.typingIndicator) return;
+        const names = this.getTypingNames();
+        let text = '';
+        if (names.length === 1) {
+            text = `${names[0]} is typing…`;
+        } else if (names.length === 2) {
+            text = `${names[0]} and ${names[1]} are typing…`;
+        } else if (names.length > 2) {
+            text = 'Several people are typing…';
+        }
+        this.typingIndicator.textContent = text;
+        this.typingIndicator.hidden = !text;
+        if (names.length) {
+            this.typingExpiryTimer = setTimeout(() => this.renderTypingIndicator(), 1000);
+        }
     },
 
     getMoodClassName(mood) {
@@ -961,10 +1474,11 @@ const Chat = {
         if (this.isMainRoom(roomName)) {
             return `${roomName} (${currentCount})`;
         }
+        const lock = this.customRooms[roomName] && this.customRooms[roomName].hasJoinCode ? ' 🔒' : '';
         if (config.maxUsers) {
-            return `${roomName} ${currentCount}/${config.maxUsers}`;
+            return `${roomName} ${currentCount}/${config.maxUsers}${lock}`;
         }
-        return roomName;
+        return this.customRooms[roomName] ? `${roomName} (${currentCount})${lock}` : roomName;
     },
 
     setUsername(nextUsername, announce = true) {
@@ -973,6 +1487,10 @@ const Chat = {
         if (NameGenerator) {
             NameGenerator.currentUsername = nextUsername;
         }
+        if (this.identity) {
+            this.identity.username = nextUsername;
+            Identity.save(this.identity);
+        }
         this.renderOwnIdentity();
         this.updateUserList(this.onlineUsers.length ? this.onlineUsers.map((user) => {
             if (user.id === this.userId || user.username === this.username) {
@@ -981,8 +1499,8 @@ const Chat = {
             return user;
         }) : [this.getSelfUser()]);
 
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            window.FirebaseChat.updateProfile({
+        if (this.transport) {
+            this.transport.updateProfile({
                 username: this.username,
                 mood: this.currentMood
             });
@@ -993,13 +1511,6 @@ const Chat = {
         }
     },
 
-    parseQuotedCommandValue(raw, commandName) {
-        const prefix = `/${commandName}`;
-        const remainder = String(raw || '').slice(prefix.length).trim();
-        const quoted = remainder.match(/^"([\s\S]+)"$/);
-        return quoted ? quoted[1].trim() : remainder;
-    },
-
     normalizeHexColor(value) {
         const input = String(value || '').trim();
         if (!input) return null;
@@ -1019,7 +1530,8 @@ const Chat = {
     getDmRoomColor(roomName) {
         if (!roomName || !this.isDmRoom(roomName)) return '';
         if (!this.dmRoomColors[roomName]) {
-            const partner = this.getDmPartnerName(roomName);
+            // A thread keeps its colour when people rename
+            const partner = DmThreads.getThreadId(roomName) || this.getDmPartnerName(roomName);
             const palette = ['rgba(255, 245, 184, 0.55)', 'rgba(224, 242, 254, 0.6)', 'rgba(232, 245, 233, 0.6)', 'rgba(252, 228, 236, 0.6)', 'rgba(243, 229, 245, 0.6)', 'rgba(255, 243, 224, 0.6)'];
             let hash = 0;
             for (let i = 0; i < partner.length; i += 1) {
@@ -1041,7 +1553,14 @@ const Chat = {
     },
 
     makeMessagePreviewText(message) {
-        const content = String(message && message.content ? message.content : '').trim();
+        if (message && message.deleted) return '[deleted]';
+        if (message && message.kind === 'roll' && message.messageId) {
+            return this.getRollText(message);
+        }
+        let content = String(message && message.content ? message.content : '').trim();
+        if (content && message.kind === 'action') {
+            content = `* ${message.username} ${content}`;
+        }
         if (content) {
             return content.length > 42 ? `${content.slice(0, 42)}…` : content;
         }
@@ -1050,57 +1569,282 @@ const Chat = {
     },
 
     setReplyTarget(message) {
-        if (!message) return;
+        if (!message || message.deleted) return;
+        this.clearEditTarget(true);
+        // A remix only goes out as a reply to the drawing it started from
+        if (this.remixMessageId && this.remixMessageId !== message.messageId) {
+            this.clearCanvas();
+        }
         this.currentReplyTarget = {
             messageId: message.messageId,
             username: message.username,
-            content: message.content || '',
+            // The quote keeps the words a /me or /roll showed, in case the original is not loaded later
+            content: message.kind ? this.makeMessagePreviewText(message) : message.content || '',
             drawing: message.drawing || null
         };
         if (this.replyPreview && this.replyPreviewText) {
             this.replyPreview.hidden = false;
+            this.setReplyPreviewLabel('Replying to');
             this.replyPreviewText.textContent = `${message.username}: ${this.makeMessagePreviewText(message)}`;
         }
+        this.setReplyPreviewThumb(message.drawing);
     },
 
-    clearReplyTarget() {
-        this.currentReplyTarget = null;
+    setReplyPreviewLabel(text) {
+        if (this.replyPreviewLabel) {
+            this.replyPreviewLabel.textContent = text;
+        }
+    },
+
+    setReplyPreviewThumb(drawing) {
+        if (!this.replyPreviewThumb) return;
+        const thumbHtml = this.renderDrawingThumbHtml(drawing);
+        this.replyPreviewThumb.innerHTML = thumbHtml;
+        this.replyPreviewThumb.hidden = !thumbHtml;
+    },
+
+    canModifyMessage(message) {
+        return Boolean(message
+            && !message.deleted
+            && message.userId
+            && message.userId === this.userId
+            && Date.now() - Number(message.timestamp || 0) <= this.messageEditWindowMs);
+    },
+
+    getEditWindowText() {
+        return `${Math.round(this.messageEditWindowMs / 60000)} minutes`;
+    },
+
+    setEditTarget(message) {
+        if (!message || !message.content) return;
+        if (!this.canModifyMessage(message)) {
+            this.addSystemMessage(`You can only edit your own messages for ${this.getEditWindowText()} after sending.`);
+            return;
+        }
+        this.clearReplyTarget();
+        this.currentEditTarget = { messageId: message.messageId };
+        this.messageInput.value = message.content;
+        this.updatePreview();
+        if (this.replyPreview && this.replyPreviewText) {
+            this.replyPreview.hidden = false;
+            this.setReplyPreviewLabel('Editing');
+            this.replyPreviewText.textContent = this.makeMessagePreviewText(message);
+        }
+    },
+
+    clearEditTarget(clearInput = false) {
+        if (!this.currentEditTarget) return;
+        this.currentEditTarget = null;
+        if (clearInput) {
+            this.messageInput.value = '';
+            this.updatePreview();
+        }
         if (this.replyPreview) {
             this.replyPreview.hidden = true;
         }
         if (this.replyPreviewText) {
             this.replyPreviewText.textContent = '';
         }
+        this.setReplyPreviewLabel('Replying to');
     },
 
-    getReplyReference(message) {
-        const replyId = message && message.replyTo && message.replyTo.messageId;
-        if (replyId && this.messageCache[replyId]) {
-            return this.messageCache[replyId];
+    async editMessage(messageId, content) {
+        const message = this.messageCache[messageId];
+        if (!this.canModifyMessage(message)) {
+            this.addSystemMessage(`You can only edit your own messages for ${this.getEditWindowText()} after sending.`);
+            return false;
         }
-        return message && message.replyTo ? message.replyTo : null;
+        if (message.kind === 'roll') {
+            this.addSystemMessage('Dice rolls cannot be edited.');
+            return false;
+        }
+        if (content === message.content) return true;
+        return this.transport ? this.transport.editMessage(messageId, content) : false;
     },
 
-    getReactionGroups(reactions = {}) {
-        const grouped = {};
-        Object.entries(reactions || {}).forEach(([userId, reaction]) => {
-            if (!reaction) return;
-            if (!grouped[reaction]) grouped[reaction] = [];
-            grouped[reaction].push(userId);
-        });
-        return grouped;
+    async deleteMessage(messageId) {
+        const message = this.messageCache[messageId];
+        if (!this.canModifyMessage(message) && !this.canModerateMessage(message)) {
+            this.addSystemMessage(`You can only delete your own messages for ${this.getEditWindowText()} after sending.`);
+            return false;
+        }
+        if (this.currentEditTarget && this.currentEditTarget.messageId === messageId) {
+            this.clearEditTarget(true);
+        }
+        return this.transport ? this.transport.deleteMessage(messageId) : false;
     },
 
-    renderReactionSummary(message) {
-        const grouped = this.getReactionGroups(message.reactions || {});
-        const entries = Object.entries(grouped);
-        if (!entries.length) return '';
-        return `
-            <div class="message-reactions-summary">
-                ${entries.map(([reaction, userIds]) => `
-                    <button class="reaction-pill ${userIds.includes(this.userId) ? 'active' : ''}" type="button" data-action="reactToMessage" data-message-id="${message.messageId}" data-reaction="${reaction}">
-                        <span class="reaction-pill-emoji">${this.renderMoodEmoji(reaction)}</span>
-                        <span class="reaction-pill-count">${userIds.length}</span>
+    canModerateMessage(message) {
+        return Boolean(this.isModerator && message && !message.deleted && !this.isOwnMessage(message));
+    },
+
+    getHiddenLevel(userId) {
+        const entry = userId ? this.hiddenUsers[userId] : null;
+        return entry ? entry.level : null;
+    },
+
+    // DM rooms are named after usernames, so blocks also remember the name the user had at the time
+    isBlockedUsername(username) {
+        return Object.values(this.hiddenUsers).some((entry) => entry.level === 'block' && entry.username === username);
+    },
+
+    async hideUser(user, level) {
+        const userId = user && (user.userId || user.id);
+        if (!userId || userId === this.userId || !Moderation.levels.includes(level)) return false;
+        const username = user.username || 'Unknown';
+        this.hiddenUsers = { ...this.hiddenUsers, [userId]: { username, level } };
+        Moderation.saveHiddenUsers(this.hiddenUsers);
+        this.refreshRenderedMessages();
+        if (level === 'block') {
+            const dmRoom = this.buildDmRoomName(username);
+            if (this.dmRooms.includes(dmRoom)) {
+                await this.closeDmRoom(dmRoom);
+            }
+            const thread = DmThreads.findDirectThread(Object.values(this.dmThreads), this.userId, userId);
+            if (thread) {
+                await this.closeDmRoom(DmThreads.getRoomName(thread.id));
+            }
+            this.renderCurrentRoomLabel();
+        }
+        this.addSystemMessage(level === 'block'
+            ? `Blocked ${username}. Their messages, DMs and reactions are hidden.`
+            : `Muted ${username}. Their messages are hidden.`);
+        return true;
+    },
+
+    unhideUser(userId) {
+        const entry = this.hiddenUsers[userId];
+        if (!entry) return false;
+        const { [userId]: removed, ...rest } = this.hiddenUsers;
+        this.hiddenUsers = rest;
+        Moderation.saveHiddenUsers(this.hiddenUsers);
+        this.refreshRenderedMessages();
+        this.addSystemMessage(`${entry.level === 'block' ? 'Unblocked' : 'Unmuted'} ${entry.username}.`);
+        return true;
+    },
+
+    refreshRenderedMessages() {
+        Object.values(this.messageCache).forEach((message) => {
+            if (this.messageElements[message.messageId]) {
+                this.renderMessage(message);
+            }
+        });
+    },
+
+    async handleModerationAction(action, messageId) {
+        const message = this.messageCache[messageId];
+        if (!message || !message.userId) return false;
+        if (action === 'mute' || action === 'block') {
+            return this.hideUser(message, action);
+        }
+        if (action === 'report') {
+            const reason = window.prompt('Why are you reporting this message? (optional)', '');
+            return reason === null ? false : this.reportMessage(messageId, reason);
+        }
+        if (action === 'delete') {
+            return window.confirm(`Delete this message from ${message.username}?`) ? this.deleteMessage(messageId) : false;
+        }
+        if (action === 'kick') {
+            return window.confirm(`Remove ${message.username} from ${this.currentRoom}?`) ? this.kickUser(message) : false;
+        }
+        if (action === 'ban') {
+            const minutes = window.prompt(`Ban ${message.username} from ${this.currentRoom} for how many minutes?`, String(Moderation.defaultBanMinutes));
+            return minutes === null ? false : this.banUser(message, minutes);
+        }
+        return false;
+    },
+
+    async reportMessage(messageId, reason = '') {
+        const message = this.messageCache[messageId];
+        if (!message || !this.transport) return false;
+        const report = Moderation.makeReport(this.currentRoom, message, { userId: this.userId, username: this.username }, reason);
+        return this.showModerationResult(await this.transport.reportMessage(report), 'Thanks. The report is in the moderation queue.');
+    },
+
+    async kickUser(user) {
+        if (!this.isModerator || !this.transport) {
+            this.addSystemMessage('Only moderators can remove people from a room.');
+            return false;
+        }
+        const result = await this.transport.kickUser(this.currentRoom, user.userId);
+        return this.showModerationResult(result, `Removed ${user.username} from ${this.currentRoom}.`);
+    },
+
+    async banUser(user, minutes) {
+        if (!this.isModerator || !this.transport) {
+            this.addSystemMessage('Only moderators can ban people from a room.');
+            return false;
+        }
+        const banMinutes = Moderation.normalizeBanMinutes(minutes);
+        const result = await this.transport.banUser(this.currentRoom, user.userId, banMinutes);
+        return this.showModerationResult(result, `Banned ${user.username} from ${this.currentRoom} for ${Moderation.formatBanLength(banMinutes * 60000)}.`);
+    },
+
+    showModerationResult(result, successText) {
+        const ok = Boolean(result && result.ok);
+        this.addSystemMessage(ok ? successText : (result && result.reason) || 'That did not work. Try again.');
+        return ok;
+    },
+
+    setModerator(isModerator) {
+        const next = Boolean(isModerator);
+        if (next === this.isModerator) return;
+        this.isModerator = next;
+        this.refreshRenderedMessages();
+    },
+
+    // Transports call this when a moderator kicks or bans us from the room we are in
+    async handleRemovedFromRoom(roomName, reason) {
+        if (roomName !== this.currentRoom) return;
+        const fallbackRoom = this.lastMainRoom && this.lastMainRoom !== roomName
+            ? this.lastMainRoom
+            : this.mainRooms.find((name) => name !== roomName);
+        await this.selectRoom(fallbackRoom);
+        this.addSystemMessage(reason || Moderation.getKickReason(roomName));
+    },
+
+    clearReplyTarget() {
+        this.currentReplyTarget = null;
+        if (this.remixMessageId) {
+            this.clearCanvas();
+        }
+        if (this.replyPreview) {
+            this.replyPreview.hidden = true;
+        }
+        if (this.replyPreviewText) {
+            this.replyPreviewText.textContent = '';
+        }
+        this.setReplyPreviewThumb(null);
+    },
+
+    getReplyReference(message) {
+        const replyId = message && message.replyTo && message.replyTo.messageId;
+        if (replyId && this.messageCache[replyId]) {
+            return this.messageCache[replyId];
+        }
+        return message && message.replyTo ? message.replyTo : null;
+    },
+
+    getReactionGroups(reactions = {}) {
+        const grouped = {};
+        Object.entries(reactions || {}).forEach(([userId, reaction]) => {
+            if (!reaction || this.getHiddenLevel(userId) === 'block') return;
+            if (!grouped[reaction]) grouped[reaction] = [];
+            grouped[reaction].push(userId);
+        });
+        return grouped;
+    },
+
+    renderReactionSummary(message) {
+        const grouped = this.getReactionGroups(message.reactions || {});
+        const entries = Object.entries(grouped);
+        if (!entries.length) return '';
+        return `
+            <div class="message-reactions-summary">
+                ${entries.map(([reaction, userIds]) => `
+                    <button class="reaction-pill ${userIds.includes(this.userId) ? 'active' : ''}" type="button" data-action="reactToMessage" data-message-id="${message.messageId}" data-reaction="${reaction}">
+                        <span class="reaction-pill-emoji">${this.renderMoodEmoji(reaction)}</span>
+                        <span class="reaction-pill-count">${userIds.length}</span>
                     </button>
                 `).join('')}
             </div>
@@ -1129,8 +1873,8 @@ const Chat = {
             nextReactions[this.userId] = reaction;
         }
 
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            await window.FirebaseChat.updateMessageReactions(messageId, nextReactions);
+        if (this.transport) {
+            await this.transport.react(messageId, reaction, nextReactions);
             return;
         }
 
@@ -1150,124 +1894,312 @@ const Chat = {
     },
 
     async syncWatchPresence(roomName, enabled) {
-        if (this.watchPresenceRef) {
-            try {
-                await this.watchPresenceRef.remove();
-            } catch (_) {}
-            this.watchPresenceRef = null;
-        }
+        if (!this.transport) return;
+        await this.transport.setWatchPresence(roomName, enabled, this.getSelfUser());
+    },
 
-        if (!enabled || !roomName || !(window.FirebaseChat && window.FirebaseChat.database)) {
-            return;
-        }
+    // Slash commands live in the ChatCommands registry (see chat-commands.js); these are the ones Chat provides
+    registerCommands() {
+        ChatCommands.register({
+            name: 'help',
+            args: [{ name: 'command', optional: true }],
+            description: 'List commands, or explain one',
+            handler: ({ command }, { write }) => {
+                if (command) {
+                    const match = ChatCommands.get(command.replace(/^\//, ''));
+                    if (!match || match.hidden) {
+                        write(`No command called ${command}.`, 'err');
+                        return true;
+                    }
+                    write(`${ChatCommands.getUsage(match)} - ${match.description}`, 'muted');
+                    return true;
+                }
+                ChatCommands.list().forEach((entry) => {
+                    write(`${ChatCommands.getUsage(entry)} - ${entry.description}`, 'muted');
+                });
+                return true;
+            }
+        });
 
-        try {
-            const ref = window.FirebaseChat.database.ref(`watchers/${roomName}/${this.userId}`);
-            await ref.set({
-                username: this.username,
-                room: roomName,
-                online: true,
-                updatedAt: firebase.database.ServerValue.TIMESTAMP
-            });
-            ref.onDisconnect().remove();
-            this.watchPresenceRef = ref;
-        } catch (_) {}
-    },
+        ChatCommands.register({
+            name: 'me',
+            args: [{ name: 'action', rest: true }],
+            description: 'Say what you are doing, e.g. /me waves',
+            handler: ({ action }) => this.sendCommandMessage({ content: action, kind: 'action' })
+        });
 
-    async handleSecretCommand(rawCommand, options = {}) {
-        const cmd = String(rawCommand || '').trim();
-        if (!cmd.startsWith('/')) return false;
+        ChatCommands.register({
+            name: 'shrug',
+            args: [{ name: 'text', optional: true, rest: true }],
+            description: 'Send a message with a shrug',
+            handler: ({ text }) => this.sendCommandMessage({ content: `${text} ¯\\_(ツ)_/¯`.trim() })
+        });
 
-        const writeLine = typeof options.writeLine === 'function' ? options.writeLine : null;
-        const write = (text, cls = 'lore') => {
-            if (writeLine) {
-                writeLine(text, cls);
-            } else {
-                this.addSystemMessage(text);
+        ChatCommands.register({
+            name: 'roll',
+            args: [{ name: 'dice', optional: true }],
+            description: 'Roll dice for the room, e.g. /roll 2d6',
+            handler: ({ dice }, { write }) => {
+                const parsed = Dice.parse(dice);
+                if (!parsed) {
+                    write(`Roll up to ${Dice.maxCount} dice with ${Dice.minSides} to ${Dice.maxSides} sides, e.g. /roll 2d6.`, 'err');
+                    return true;
+                }
+                return this.sendCommandMessage({ content: Dice.format(parsed), kind: 'roll' });
             }
-        };
+        });
 
-        if (cmd === '/watching' || cmd.startsWith('/watch ')) {
-            const requestedRoom = cmd === '/watching'
-                ? this.parseQuotedCommandValue(cmd, 'watching')
-                : cmd.slice('/watch '.length).trim();
-            if (!requestedRoom) {
-                write('What room do you want to watch?', 'err');
+        ChatCommands.register({
+            name: 'nick',
+            args: [{ name: 'name', rest: true }],
+            description: 'Change your name',
+            handler: ({ name }, { write }) => {
+                const nextUsername = name.replace(/\s+/g, ' ');
+                if (nextUsername.length > this.maxUsernameLength) {
+                    write(`Names can be up to ${this.maxUsernameLength} characters.`, 'err');
+                    return true;
+                }
+                if (nextUsername === this.username) {
+                    write(`You are already ${nextUsername}.`, 'muted');
+                    return true;
+                }
+                // Shares the cooldown with the rename button in the mood menu
+                const remaining = this.getRemainingCooldown(this.renameCooldownMs, this.renameCooldownStorageKey, true);
+                if (remaining > 0) {
+                    write(`Name change cooldown: ${this.formatCooldown(remaining)} remaining.`, 'err');
+                    return true;
+                }
+                this.setStorageNumber(this.renameCooldownStorageKey, Date.now(), true);
+                this.setUsername(nextUsername, false);
+                write(`You changed your name to ${nextUsername}!`, 'lore');
                 return true;
             }
-            const knownRoomNames = [
-                ...Object.keys(this.roomConfigs),
-                ...this.dmRooms
-            ];
-            const resolvedWatchTarget = knownRoomNames.includes(requestedRoom) || this.isDmRoom(requestedRoom)
-                ? requestedRoom
-                : this.buildDmRoomName(requestedRoom);
-            if (this.isDmRoom(resolvedWatchTarget)) {
-                this.registerDmRoom(resolvedWatchTarget);
-            }
-            if (window.ShapeOS) {
-                window.ShapeOS.internetUnblocked = true;
-                window.ShapeOS.refreshApp('internet');
-            }
-            this.startWatching(resolvedWatchTarget);
-            write(`passive intercept engaged for ${resolvedWatchTarget}.`, 'muted');
-            return true;
-        }
+        });
 
-        if (cmd === '/infinitearchive') {
-            const msg = 'Yo touch some grass if you found this shit dude';
-            const bytes = new TextEncoder().encode(msg);
-            const binary = Array.from(bytes).map((b) => b.toString(2).padStart(8, '0')).join(' ');
-            write(binary, 'bin');
-            return true;
-        }
+        ChatCommands.register({
+            name: 'dm',
+            args: [{ name: 'user', rest: true }],
+            description: 'Open a direct message with someone',
+            handler: async ({ user }, { write }) => {
+                const { invitee, reason } = this.getDmInvitee(user);
+                if (!invitee) {
+                    write(reason, 'err');
+                    return true;
+                }
+                await this.openDirectMessage(invitee);
+                return true;
+            }
+        });
 
-        if (cmd === '/myunc') {
-            write('Unc is real 2007', 'lore');
-            return true;
-        }
+        ChatCommands.register({
+            name: 'invite',
+            args: [{ name: 'user', rest: true }],
+            description: 'Invite someone into the DM you are in',
+            handler: async ({ user }, { write }) => {
+                const result = await this.inviteToCurrentDm(user);
+                write(result.reason, result.ok ? 'lore' : 'err');
+                return true;
+            }
+        });
 
-        if (cmd === '/money') {
-            write('I live in a picture...', 'lore');
-            return true;
-        }
+        ChatCommands.register({
+            name: 'leave',
+            description: 'Leave the DM you are in',
+            handler: async (args, { write }) => {
+                if (!this.isDmRoom()) {
+                    write('You are not in a DM.', 'err');
+                    return true;
+                }
+                await this.closeDmRoom(this.currentRoom);
+                return true;
+            }
+        });
 
-        if (cmd === '/unc me') {
-            this.setMood(':unc:');
-            write('unc mode enabled.', 'lore');
-            return true;
-        }
+        ChatCommands.register({
+            name: 'join',
+            args: [{ name: 'room', rest: true }],
+            description: 'Go to a room, e.g. /join VIP',
+            handler: async ({ room }, { write }) => {
+                const roomName = this.resolveRoomName(room);
+                if (!roomName) {
+                    write(`No room called ${room}. Try ${[...Object.keys(this.roomConfigs), ...Object.keys(this.customRooms)].join(', ')}.`, 'err');
+                    return true;
+                }
+                if (roomName === this.currentRoom) {
+                    write(`You are already in ${roomName}.`, 'muted');
+                    return true;
+                }
+                if (this.isDmRoom(roomName)) {
+                    this.registerDmRoom(roomName);
+                }
+                // selectRoom shows why a room could not be joined, e.g. when it is full
+                await this.selectRoom(roomName);
+                return true;
+            }
+        });
 
-        if (cmd.startsWith('/namehack')) {
-            const remaining = this.getRemainingCooldown(this.nameHackCooldownMs, this.nameHackStorageKey, false);
-            if (remaining > 0) {
-                write(`namehack locked for ${this.formatCooldown(remaining)}.`, 'err');
+        ChatCommands.register({
+            name: 'clear',
+            description: 'Clear the messages on your screen',
+            handler: () => {
+                this.chatMessages.innerHTML = '';
+                this.messageElements = {};
+                this.messageCache = {};
+                this.pendingElements = {};
+                this.resetHistoryState();
+                // Scrolling up should not bring back what was just cleared; switching rooms loads history again
+                this.historyExhausted = true;
+                this.renderOutbox();
+                this.addSystemMessage('Cleared your screen. Nothing was deleted for anyone else.');
                 return true;
             }
-            const hackedName = this.parseQuotedCommandValue(cmd, 'namehack');
-            if (!hackedName) {
-                write('namehack needs a quoted name.', 'err');
+        });
+
+        ChatCommands.register({
+            name: 'watching',
+            aliases: ['watch'],
+            args: [{ name: 'room', optional: true, rest: true }],
+            hidden: true,
+            handler: ({ room: typedRoom }, { write, raw }) => {
+                const room = /^\/watching(\s|$)/i.test(raw)
+                    ? ChatCommands.parseQuotedCommandValue(raw, 'watching')
+                    : typedRoom;
+                if (!room) {
+                    write('What room do you want to watch?', 'err');
+                    return true;
+                }
+                const knownRoomNames = [
+                    ...Object.keys(this.roomConfigs),
+                    ...this.dmRooms
+                ];
+                const resolvedWatchTarget = knownRoomNames.includes(room) || this.isDmRoom(room)
+                    ? room
+                    : this.buildDmRoomName(room);
+                if (this.isDmRoom(resolvedWatchTarget)) {
+                    this.registerDmRoom(resolvedWatchTarget);
+                }
+                if (window.ShapeOS) {
+                    window.ShapeOS.internetUnblocked = true;
+                    window.ShapeOS.refreshApp('internet');
+                }
+                this.startWatching(resolvedWatchTarget);
+                write(`passive intercept engaged for ${resolvedWatchTarget}.`, 'muted');
                 return true;
             }
-            this.setStorageNumber(this.nameHackStorageKey, Date.now(), false);
-            this.setUsername(hackedName, false);
-            write(`identity rewritten as ${hackedName}.`, 'lore');
-            return true;
-        }
+        });
 
-        if (cmd.startsWith('/pimpmybg')) {
-            const rawColor = cmd.slice('/pimpmybg'.length).trim();
-            const nextColor = this.normalizeHexColor(rawColor) || this.getRandomHexColor();
-            if (rawColor && !this.normalizeHexColor(rawColor)) {
-                write('bad hex. using a random color instead.', 'muted');
+        ChatCommands.register({
+            name: 'infinitearchive',
+            hidden: true,
+            handler: (args, { write }) => {
+                const msg = 'Yo touch some grass if you found this shit dude';
+                const bytes = new TextEncoder().encode(msg);
+                const binary = Array.from(bytes).map((b) => b.toString(2).padStart(8, '0')).join(' ');
+                write(binary, 'bin');
+                return true;
             }
-            this.messageBgColor = nextColor;
-            this.renderOwnIdentity();
-            write(`message background set to ${nextColor}.`, 'lore');
-            return true;
+        });
+
+        ChatCommands.register({
+            name: 'myunc',
+            hidden: true,
+            handler: (args, { write }) => {
+                write('Unc is real 2007', 'lore');
+                return true;
+            }
+        });
+
+        ChatCommands.register({
+            name: 'money',
+            hidden: true,
+            handler: (args, { write }) => {
+                write('I live in a picture...', 'lore');
+                return true;
+            }
+        });
+
+        ChatCommands.register({
+            name: 'unc',
+            args: [{ name: 'who', optional: true }],
+            hidden: true,
+            handler: ({ who }, { write }) => {
+                if (who !== 'me') return false;
+                this.setMood(':unc:');
+                write('unc mode enabled.', 'lore');
+                return true;
+            }
+        });
+
+        ChatCommands.register({
+            name: 'namehack',
+            args: [{ name: 'name', optional: true, rest: true }],
+            hidden: true,
+            handler: (args, { write, raw }) => {
+                const name = ChatCommands.parseQuotedCommandValue(raw, 'namehack');
+                const remaining = this.getRemainingCooldown(this.nameHackCooldownMs, this.nameHackStorageKey, false);
+                if (remaining > 0) {
+                    write(`namehack locked for ${this.formatCooldown(remaining)}.`, 'err');
+                    return true;
+                }
+                if (!name) {
+                    write('namehack needs a quoted name.', 'err');
+                    return true;
+                }
+                this.setStorageNumber(this.nameHackStorageKey, Date.now(), false);
+                this.setUsername(name, false);
+                write(`identity rewritten as ${name}.`, 'lore');
+                return true;
+            }
+        });
+
+        ChatCommands.register({
+            name: 'pimpmybg',
+            args: [{ name: 'hex', optional: true }],
+            hidden: true,
+            handler: ({ hex }, { write }) => {
+                const nextColor = this.normalizeHexColor(hex) || this.getRandomHexColor();
+                if (hex && !this.normalizeHexColor(hex)) {
+                    write('bad hex. using a random color instead.', 'muted');
+                }
+                this.messageBgColor = nextColor;
+                this.renderOwnIdentity();
+                write(`message background set to ${nextColor}.`, 'lore');
+                return true;
+            }
+        });
+    },
+
+    // Posts to the current room; refusals (room mode, rate limit) show up as system messages
+    async sendCommandMessage(message) {
+        const entry = this.postMessage(message);
+        if (entry) {
+            await this.deliverOutboxEntry(entry);
         }
+        return true;
+    },
 
-        return false;
+    // Case-insensitive match against the rooms and open DMs; other DM names are taken as typed
+    resolveRoomName(name) {
+        const wanted = String(name || '').trim();
+        const knownRoomNames = [...Object.keys(this.roomConfigs), ...Object.keys(this.customRooms), ...this.dmRooms];
+        return knownRoomNames.find((roomName) => roomName.toLowerCase() === wanted.toLowerCase())
+            || (this.isDmRoom(wanted) ? wanted : null);
+    },
+
+    // options.writeLine sends the command's output somewhere other than the chat (the Terminal app)
+    runCommand(rawCommand, options = {}) {
+        const writeLine = typeof options.writeLine === 'function' ? options.writeLine : null;
+        return ChatCommands.run(rawCommand, {
+            chat: this,
+            write: (text, cls = 'lore') => {
+                if (writeLine) {
+                    writeLine(text, cls);
+                } else {
+                    this.addSystemMessage(text);
+                }
+            },
+            source: writeLine ? 'terminal' : 'chat'
+        });
     },
 
     updateRoomMenuOccupancy(roomCounts = null) {
@@ -1285,14 +2217,211 @@ const Chat = {
         });
     },
 
+    // Keeps the rooms the backend lists; anyone still in one that was archived is moved out
+    handleCustomRooms(rooms) {
+        const wasCustomRoom = Boolean(this.customRooms[this.currentRoom]);
+        this.customRooms = {};
+        (rooms || []).forEach((entry) => {
+            const result = RoomConfigs.normalizeRoom(entry);
+            if (!result.ok || result.room.archived) return;
+            const { joinCode, ...room } = result.room;
+            if (joinCode && room.ownerId === this.userId) {
+                this.rememberRoomJoinCode(room.name, joinCode);
+            }
+            this.customRooms[room.name] = room;
+        });
+        this.renderCustomRoomMenu();
+        if (wasCustomRoom && !this.customRooms[this.currentRoom]) {
+            this.handleRemovedFromRoom(this.currentRoom, `${this.currentRoom} was archived by its owner.`);
+        }
+    },
+
+    renderCustomRoomMenu() {
+        const list = document.getElementById('roomMenuCustomList');
+        if (!list) return;
+        list.innerHTML = Object.keys(this.customRooms).sort((a, b) => a.localeCompare(b)).map((roomName) => {
+            const room = this.customRooms[roomName];
+            const name = this.escapeHtml(roomName);
+            const title = this.escapeHtml(room.topic || RoomConfigs.modes[room.mode]);
+            const edit = room.ownerId === this.userId
+                ? `<button class="room-menu-edit" type="button" data-room-edit="${name}" title="Edit ${name}">EDIT</button>`
+                : '';
+            return `<div class="room-menu-row"><button class="room-menu-item" type="button" data-room="${name}" title="${title}">${name}</button>${edit}</div>`;
+        }).join('');
+        this.updateRoomMenuOccupancy();
+    },
+
+    // '' for rooms that need no code, the code to use, or null when the user backs out of typing one
+    getJoinCode(roomName) {
+        const room = this.customRooms[roomName];
+        if (!room || !room.hasJoinCode || room.ownerId === this.userId) return '';
+        if (this.roomJoinCodes[roomName]) return this.roomJoinCodes[roomName];
+        const typed = window.prompt(`${roomName} needs a join code.`, '');
+        return typed && typed.trim() ? typed.trim() : null;
+    },
+
+    loadRoomJoinCodes() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.roomJoinCodesStorageKey) || '{}');
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (_) {
+            return {};
+        }
+    },
+
+    saveRoomJoinCodes() {
+        try {
+            window.localStorage.setItem(this.roomJoinCodesStorageKey, JSON.stringify(this.roomJoinCodes));
+        } catch (_) {}
+    },
+
+    rememberRoomJoinCode(roomName, joinCode) {
+        this.roomJoinCodes[roomName] = joinCode;
+        this.saveRoomJoinCodes();
+    },
+
+    forgetRoomJoinCode(roomName) {
+        delete this.roomJoinCodes[roomName];
+        this.saveRoomJoinCodes();
+    },
+
+    setupRoomEditor() {
+        if (!this.roomEditorPanel) return;
+        document.getElementById('roomEditorMode').innerHTML = Object.entries(RoomConfigs.modes)
+            .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+            .join('');
+        document.getElementById('roomEditorSchedule').title = RoomConfigs.eventModes
+            .map((mode) => `${mode}: ${RoomEvents.modes[mode].label}`)
+            .join('\n');
+        document.getElementById('roomEditorCloseBtn').addEventListener('click', () => this.closeRoomEditor());
+        document.getElementById('roomEditorArchive').addEventListener('click', () => this.archiveRoom(this.editingRoomName));
+        document.getElementById('roomEditorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRoomSettings();
+        });
+        this.roomEditorPanel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.closeRoomEditor();
+            }
+        });
+        this.roomEditorPanel.addEventListener('keyup', (e) => e.stopPropagation());
+    },
+
+    // roomName opens one of the user's own rooms for editing; without it the form makes a new room
+    openRoomEditor(roomName = null) {
+        if (!this.roomEditorPanel) return;
+        const room = roomName ? this.customRooms[roomName] : null;
+        this.editingRoomName = room ? roomName : null;
+        this.closeRoomMenu();
+        const field = (id) => document.getElementById(id);
+        field('roomEditorTitle').textContent = room ? `Edit ${roomName}` : 'New room';
+        field('roomEditorName').value = room ? roomName : '';
+        field('roomEditorName').disabled = Boolean(room);
+        field('roomEditorTopic').value = room ? room.topic : '';
+        field('roomEditorMode').value = room ? room.mode : 'open';
+        field('roomEditorMaxUsers').value = room && room.maxUsers ? String(room.maxUsers) : '';
+        field('roomEditorMaxMessages').value = room && room.maxMessages ? String(room.maxMessages) : '';
+        field('roomEditorEphemeral').checked = Boolean(room && room.ephemeral);
+        field('roomEditorJoinCode').value = room ? this.roomJoinCodes[roomName] || '' : '';
+        field('roomEditorSchedule').value = room ? RoomEvents.formatSchedule(room.schedule) : '';
+        field('roomEditorArchive').hidden = !room;
+        this.setRoomEditorStatus(room
+            ? 'Changes apply to everyone in the room right away.'
+            : 'Anyone can find your room in the room menu. Add a join code to keep it to the people you tell.');
+        this.roomEditorPanel.hidden = false;
+    },
+
+    closeRoomEditor() {
+        if (!this.roomEditorPanel) return;
+        this.roomEditorPanel.hidden = true;
+        this.editingRoomName = null;
+    },
+
+    setRoomEditorStatus(text, isError = false) {
+        this.roomEditorStatus.textContent = text;
+        this.roomEditorStatus.classList.toggle('error', isError);
+    },
+
+    readRoomEditor() {
+        const field = (id) => document.getElementById(id);
+        return {
+            name: this.editingRoomName || field('roomEditorName').value,
+            topic: field('roomEditorTopic').value,
+            mode: field('roomEditorMode').value,
+            maxUsers: field('roomEditorMaxUsers').value,
+            maxMessages: field('roomEditorMaxMessages').value,
+            ephemeral: field('roomEditorEphemeral').checked,
+            joinCode: field('roomEditorJoinCode').value
+        };
+    },
+
+    async saveRoomSettings() {
+        const schedule = RoomEvents.parseSchedule(document.getElementById('roomEditorSchedule').value);
+        if (!schedule.ok) {
+            this.setRoomEditorStatus(schedule.reason, true);
+            return false;
+        }
+        const result = RoomConfigs.normalizeRoom({ ...this.readRoomEditor(), schedule: schedule.schedule });
+        if (!result.ok) {
+            this.setRoomEditorStatus(result.reason, true);
+            return false;
+        }
+        const room = { ...result.room, ownerId: this.userId };
+        const isNew = !this.editingRoomName;
+        const taken = Object.keys(this.customRooms).find((roomName) => roomName.toLowerCase() === room.name.toLowerCase());
+        if (isNew && taken) {
+            this.setRoomEditorStatus(`There is already a room called ${taken}.`, true);
+            return false;
+        }
+        const saved = await this.transport.saveRoom(room);
+        if (!saved.ok) {
+            this.setRoomEditorStatus(saved.reason || 'That room could not be saved.', true);
+            return false;
+        }
+        if (room.joinCode) {
+            this.rememberRoomJoinCode(room.name, room.joinCode);
+        } else {
+            this.forgetRoomJoinCode(room.name);
+        }
+        // The backend's list may come a moment later; the room is usable straight away
+        const { joinCode, ...listed } = room;
+        this.customRooms[room.name] = listed;
+        this.renderCustomRoomMenu();
+        this.closeRoomEditor();
+        if (isNew) {
+            await this.selectRoom(room.name);
+            this.addSystemMessage(joinCode
+                ? `You made ${room.name}. People need the join code ${joinCode} to get in.`
+                : `You made ${room.name}. Anyone can join it from the room menu.`);
+        } else {
+            this.addSystemMessage(`Saved the settings for ${room.name}.`);
+        }
+        return true;
+    },
+
+    async archiveRoom(roomName) {
+        if (!roomName || !window.confirm(`Archive ${roomName}? Everyone in it is moved out and nobody can join it again.`)) {
+            return false;
+        }
+        // Being moved out of the room already says why
+        const wasInside = this.currentRoom === roomName;
+        const result = await this.transport.archiveRoom(roomName);
+        if (!result.ok) {
+            this.setRoomEditorStatus(result.reason || 'That room could not be archived.', true);
+            return false;
+        }
+        this.closeRoomEditor();
+        this.forgetRoomJoinCode(roomName);
+        if (!wasInside) {
+            this.addSystemMessage(`Archived ${roomName}.`);
+        }
+        return true;
+    },
+
+    // Counts the custom emojis this room can use as well as the built-in ones
     isEmojiOnlyText(text) {
-        const input = String(text || '').trim();
-        if (!input) return false;
-        const stripped = EmojiSystem.emojis.reduce((acc, emoji) => {
-            const escaped = emoji.code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            return acc.replace(new RegExp(escaped, 'g'), ' ');
-        }, input).replace(/\s+/g, '');
-        return stripped.length === 0;
+        return EmojiSystem.isEmojiOnlyText(text);
     },
 
     async selectRoom(roomName) {
@@ -1301,27 +2430,50 @@ const Chat = {
             return;
         }
 
+        const joinCode = this.getJoinCode(roomName);
+        if (joinCode === null) {
+            this.closeRoomMenu();
+            return;
+        }
+
         const previousRoom = this.currentRoom;
         this.closeMoodMenu();
         this.closeRoomMenu();
+        this.stopTyping();
+        this.updateTypingUsers([]);
         this.chatMessages.innerHTML = '';
         this.messageElements = {};
         this.messageCache = {};
+        this.pendingElements = {};
+        this.resetHistoryState();
         this.clearReplyTarget();
+        this.clearEditTarget(true);
         this.setCurrentRoom(roomName);
         this.addSystemMessage(`Switched to ${roomName}.`);
 
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            const result = await window.FirebaseChat.switchRoom(roomName);
+        if (this.transport) {
+            const result = await this.transport.joinRoom(roomName, { joinCode: joinCode || null });
             if (!result || result.ok === false) {
+                if (joinCode) {
+                    this.forgetRoomJoinCode(roomName);
+                }
                 this.setCurrentRoom(result && result.previousRoom ? result.previousRoom : previousRoom);
                 this.chatMessages.innerHTML = '';
                 this.addSystemMessage(result && result.reason ? result.reason : 'Could not join that room.');
                 return;
             }
+            if (joinCode) {
+                this.rememberRoomJoinCode(roomName, joinCode);
+            }
         } else {
             this.updateUserList([this.getSelfUser()]);
         }
+        if (this.customRooms[roomName] && this.customRooms[roomName].topic) {
+            this.addSystemMessage(`Topic: ${this.customRooms[roomName].topic}`);
+        }
+        this.renderOutbox();
+        this.flushOutbox();
+        this.scheduleMarkRead();
         this.maybeScheduleAiReply();
     },
 
@@ -1373,7 +2525,7 @@ const Chat = {
     },
 
     getEmojiModeKeys() {
-        return Array.isArray(EmojiSystem.emojis) ? EmojiSystem.emojis.map((emoji) => emoji.code) : [];
+        return EmojiSystem.getEmojiList().map((emoji) => emoji.code);
     },
 
     getLetterDisplayValue(keyValue) {
@@ -1492,6 +2644,7 @@ const Chat = {
         }
         
         this.updatePreview();
+        this.noteTyping();
 
         if (this.shouldBlockNativeKeyboard()) {
             this.messageInput.blur();
@@ -1564,29 +2717,27 @@ const Chat = {
         this.canvas = document.getElementById('drawCanvas');
         if (!this.canvas) return;
         this.ctx = this.canvas.getContext('2d');
+        // Each layer is drawn offscreen and the picker canvas shows them stacked on white
+        this.layers = this.ctx ? Array.from({ length: Strokes.layerCount }, () => {
+            const layer = document.createElement('canvas');
+            layer.width = this.canvas.width;
+            layer.height = this.canvas.height;
+            return { canvas: layer, ctx: layer.getContext('2d') };
+        }) : [];
         this.clearCanvas();
 
-        this.canvas.addEventListener('mousedown', (event) => this.startDrawing(event));
-        this.canvas.addEventListener('mousemove', (event) => this.draw(event));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseout', () => this.stopDrawing());
-        this.canvas.addEventListener('touchstart', (event) => {
-            event.preventDefault();
-            this.startDrawing(event.touches[0]);
-        }, { passive: false });
-        this.canvas.addEventListener('touchmove', (event) => {
+        // Pointer events cover mouse, touch and pen alike, and a pen reports how hard it is pressed
+        this.canvas.addEventListener('pointerdown', (event) => {
             event.preventDefault();
-            this.draw(event.touches[0]);
-        }, { passive: false });
-        this.canvas.addEventListener('touchend', () => this.stopDrawing());
+            if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(event.pointerId);
+            this.startDrawing(event);
+        });
+        this.canvas.addEventListener('pointermove', (event) => this.draw(event));
+        this.canvas.addEventListener('pointerup', () => this.stopDrawing());
+        this.canvas.addEventListener('pointercancel', () => this.stopDrawing());
 
-        const toolButtons = document.querySelectorAll('.draw-tool-btn');
-        toolButtons.forEach((btn) => {
-            btn.addEventListener('click', () => {
-                toolButtons.forEach((n) => n.classList.remove('active'));
-                btn.classList.add('active');
-                this.currentTool = btn.dataset.tool;
-            });
+        document.querySelectorAll('.draw-tool-btn').forEach((btn) => {
+            btn.addEventListener('click', () => this.setDrawTool(btn.dataset.tool));
         });
 
         const color = document.getElementById('drawColor');
@@ -1603,17 +2754,64 @@ const Chat = {
             });
         }
 
-        const clear = document.getElementById('drawClear');
-        if (clear) {
-            clear.addEventListener('click', () => this.clearCanvas());
+        const layer = document.getElementById('drawLayer');
+        if (layer) {
+            layer.addEventListener('click', () => this.setDrawLayer(this.currentLayer ? 0 : 1));
         }
 
-        const send = document.getElementById('drawSend');
-        if (send) {
+        const undo = document.getElementById('drawUndo');
+        if (undo) {
+            undo.addEventListener('click', () => this.undoDrawing());
+        }
+
+        const redo = document.getElementById('drawRedo');
+        if (redo) {
+            redo.addEventListener('click', () => this.redoDrawing());
+        }
+
+        const palette = document.getElementById('drawPalette');
+        if (palette) {
+            palette.addEventListener('click', (event) => {
+                const swatch = event.target.closest('.draw-swatch');
+                if (swatch) this.setDrawColor(swatch.dataset.color);
+            });
+        }
+        this.recentColors = this.loadRecentColors();
+        this.renderPalette();
+
+        const clear = document.getElementById('drawClear');
+        if (clear) {
+            clear.addEventListener('click', () => this.clearCanvas());
+        }
+
+        const send = document.getElementById('drawSend');
+        if (send) {
             send.addEventListener('click', () => this.sendMessage());
         }
     },
 
+    setDrawTool(tool) {
+        this.currentTool = tool;
+        document.querySelectorAll('.draw-tool-btn').forEach((btn) => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    },
+
+    setDrawColor(color) {
+        this.currentColor = color;
+        const input = document.getElementById('drawColor');
+        if (input) input.value = color;
+    },
+
+    setDrawLayer(layer) {
+        this.currentLayer = layer;
+        const button = document.getElementById('drawLayer');
+        if (button) {
+            button.textContent = layer ? 'FRONT' : 'BACK';
+            button.title = `Drawing on the ${layer ? 'front' : 'back'} layer`;
+        }
+    },
+
     getCanvasCoords(event) {
         const rect = this.canvas.getBoundingClientRect();
         return {
@@ -1622,48 +2820,266 @@ const Chat = {
         };
     },
 
+    // A pen's pressure scales the line between a quarter and twice the chosen size; mouse and touch keep it
+    getPointerWidth(event) {
+        if (event.pointerType !== 'pen' || !(event.pressure > 0)) return null;
+        return Math.max(0.5, this.currentSize * Math.min(2, event.pressure * 2));
+    },
+
     startDrawing(event) {
         if (!this.canvas) return;
         const coords = this.getCanvasCoords(event);
+        if (this.currentTool === 'fill') {
+            this.fillAt(coords);
+            return;
+        }
+        if (this.currentTool === 'picker') {
+            this.pickColorAt(coords);
+            return;
+        }
         this.lastX = coords.x;
         this.lastY = coords.y;
+        this.lastWidth = this.getPointerWidth(event);
         this.isDrawing = true;
+        this.currentStroke = null;
     },
 
     draw(event) {
-        if (!this.isDrawing || !this.ctx) return;
+        if (!this.isDrawing) return;
         const coords = this.getCanvasCoords(event);
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.lastX, this.lastY);
-        this.ctx.lineTo(coords.x, coords.y);
-        this.ctx.strokeStyle = this.currentTool === 'eraser' ? '#ffffff' : this.currentColor;
-        this.ctx.lineWidth = this.currentTool === 'eraser' ? this.currentSize * 3 : this.currentSize;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.stroke();
+        const tool = this.currentTool;
+        const color = tool === 'eraser' ? null : this.currentColor;
+        const size = tool === 'eraser' ? this.currentSize * 3 : this.currentSize;
+
+        // Shapes follow the pointer as a preview and only join the drawing when released
+        if (Strokes.shapeTools.includes(tool)) {
+            this.currentStroke = { tool, color, size, layer: this.currentLayer, points: [[this.lastX, this.lastY], [coords.x, coords.y]] };
+            this.repaintCanvas(this.currentStroke);
+            return;
+        }
+
+        // The stroke starts on the first segment, so a click without a drag adds nothing
+        const width = this.lastWidth === null ? null : this.getPointerWidth(event);
+        const point = width === null ? [coords.x, coords.y] : [coords.x, coords.y, width];
+        if (!this.currentStroke) {
+            const first = width === null ? [this.lastX, this.lastY] : [this.lastX, this.lastY, this.lastWidth];
+            this.currentStroke = { tool, color, size, layer: this.currentLayer, points: [first] };
+            this.addDrawingOp(this.currentStroke);
+        }
+        this.currentStroke.points.push(point);
+        const layer = this.layers[this.currentStroke.layer];
+        if (layer && layer.ctx) {
+            Strokes.paintOp(layer.ctx, this.currentStroke, this.currentStroke.points.length - 1);
+        }
+        this.compositeCanvas();
         this.lastX = coords.x;
         this.lastY = coords.y;
-        this.hasDrawn = true;
     },
 
     stopDrawing() {
+        if (this.isDrawing && this.currentStroke && Strokes.shapeTools.includes(this.currentStroke.tool)) {
+            this.addDrawingOp(this.currentStroke);
+            this.repaintCanvas();
+        }
         this.isDrawing = false;
+        this.currentStroke = null;
     },
 
-    clearCanvas() {
+    // Every finished op lands here: it clears what redo could bring back and keeps its color to hand
+    addDrawingOp(op) {
+        this.strokes.push(op);
+        this.redoStrokes = [];
+        if (op.color) this.rememberColor(op.color);
+        this.updateDrawHistoryButtons();
+    },
+
+    fillAt(coords) {
+        if (!this.ctx) return;
+        const image = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const runs = Strokes.floodFill(image, coords.x, coords.y, this.fillTolerance);
+        if (!runs.length) return;
+        this.addDrawingOp({ tool: 'fill', color: this.currentColor, size: 1, layer: this.currentLayer, points: runs });
+        this.repaintCanvas();
+    },
+
+    pickColorAt(coords) {
+        if (!this.ctx) return;
+        const [red, green, blue] = this.ctx.getImageData(Math.floor(coords.x), Math.floor(coords.y), 1, 1).data;
+        const color = `#${[red, green, blue].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+        this.setDrawColor(color);
+        this.rememberColor(color);
+        this.setDrawTool('pen');
+    },
+
+    undoDrawing() {
+        if (this.isDrawing || this.strokes.length <= this.remixBaseLength) return;
+        this.redoStrokes.push(this.strokes.pop());
+        this.repaintCanvas();
+        this.updateDrawHistoryButtons();
+    },
+
+    redoDrawing() {
+        if (this.isDrawing || !this.redoStrokes.length) return;
+        this.strokes.push(this.redoStrokes.pop());
+        this.repaintCanvas();
+        this.updateDrawHistoryButtons();
+    },
+
+    updateDrawHistoryButtons() {
+        const undo = document.getElementById('drawUndo');
+        const redo = document.getElementById('drawRedo');
+        if (undo) undo.disabled = this.strokes.length <= this.remixBaseLength;
+        if (redo) redo.disabled = !this.redoStrokes.length;
+    },
+
+    // Draws every op into the layers again, plus an unfinished shape if there is one
+    repaintCanvas(preview = null) {
+        this.layers.forEach((layer) => {
+            if (layer.ctx) layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        });
+        (preview ? [...this.strokes, preview] : this.strokes).forEach((op) => {
+            const layer = this.layers[op.layer];
+            if (layer && layer.ctx) Strokes.paintOp(layer.ctx, op);
+        });
+        this.compositeCanvas();
+    },
+
+    compositeCanvas() {
         if (!this.ctx || !this.canvas) return;
-        this.ctx.fillStyle = '#ffffff';
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.fillStyle = Strokes.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        this.hasDrawn = false;
+        if (this.remixBaseImage && this.remixBaseImage.complete) {
+            this.ctx.drawImage(this.remixBaseImage, 0, 0, this.canvas.width, this.canvas.height);
+        }
+        this.layers.forEach((layer) => this.ctx.drawImage(layer.canvas, 0, 0));
+    },
+
+    clearCanvas() {
+        this.strokes = [];
+        this.redoStrokes = [];
+        this.currentStroke = null;
+        this.remixBaseLength = 0;
+        this.remixMessageId = null;
+        this.remixBaseImage = null;
+        this.repaintCanvas();
+        this.updateDrawHistoryButtons();
     },
 
     hasDrawing() {
-        return this.hasDrawn;
+        return this.strokes.length > this.remixBaseLength;
+    },
+
+    loadRecentColors() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.recentColorsStorageKey) || '[]');
+            return Array.isArray(stored) ? stored.filter((color) => /^#[0-9a-f]{6}$/.test(color)).slice(0, this.maxRecentColors) : [];
+        } catch (_) {
+            return [];
+        }
+    },
+
+    rememberColor(color) {
+        const normalized = String(color).toLowerCase();
+        this.recentColors = [normalized, ...this.recentColors.filter((recent) => recent !== normalized)].slice(0, this.maxRecentColors);
+        try {
+            window.localStorage.setItem(this.recentColorsStorageKey, JSON.stringify(this.recentColors));
+        } catch (_) {}
+        this.renderPalette();
     },
 
+    renderPalette() {
+        const palette = document.getElementById('drawPalette');
+        if (!palette) return;
+        palette.innerHTML = this.recentColors.map((color) => (
+            `<button class="draw-swatch" type="button" data-color="${color}" style="background:${color}" title="${color}" aria-label="Draw in ${color}"></button>`
+        )).join('');
+    },
+
+    // Drawings travel as strokes (see strokes.js), a fraction of the size of the PNG the canvas would make.
+    // A remix of a PNG has no strokes underneath, so it goes out as a PNG again.
     getDrawingData() {
-        if (!this.canvas) return null;
-        return this.hasDrawing() ? this.canvas.toDataURL('image/png') : null;
+        if (!this.canvas || !this.hasDrawing()) return null;
+        if (this.remixBaseImage) {
+            return this.canvas.toDataURL('image/png');
+        }
+        return Strokes.encode({ width: this.canvas.width, height: this.canvas.height, strokes: this.strokes });
+    },
+
+    // Stroke drawings render as SVG; messages from before strokes carry a PNG
+    renderDrawingHtml(drawing) {
+        const strokes = Strokes.decode(drawing);
+        if (strokes) {
+            return `<div class="message-drawing message-drawing-strokes">${Strokes.toSvg(strokes)}</div>`;
+        }
+        return Strokes.isImage(drawing) ? `<div class="message-drawing"><img src="${this.escapeHtml(drawing)}" alt="Drawing"></div>` : '';
+    },
+
+    renderDrawingThumbHtml(drawing) {
+        const strokes = Strokes.decode(drawing);
+        if (strokes) {
+            return `<span class="message-reply-thumb">${Strokes.toSvg(strokes)}</span>`;
+        }
+        return Strokes.isImage(drawing) ? `<span class="message-reply-thumb"><img src="${this.escapeHtml(drawing)}" alt="Drawing"></span>` : '';
+    },
+
+    // Opens a drawing in the draw picker to draw over, and sends the result as a reply to it.
+    // The original stays under the new strokes: undo stops at it and it alone is not a drawing.
+    // A PNG from before strokes is loaded into drawCanvas as a picture under the layers.
+    remixDrawing(messageId) {
+        const message = this.messageCache[messageId];
+        const drawing = message && !message.deleted ? message.drawing : null;
+        const strokes = Strokes.decode(drawing);
+        if (!(strokes || Strokes.isImage(drawing)) || !this.canvas) return;
+
+        this.clearCanvas();
+        this.remixMessageId = message.messageId;
+        if (strokes) {
+            this.strokes = strokes.strokes;
+            this.remixBaseLength = strokes.strokes.length;
+        } else {
+            const image = new Image();
+            image.onload = () => {
+                if (this.remixBaseImage === image) this.compositeCanvas();
+            };
+            image.src = drawing;
+            this.remixBaseImage = image;
+        }
+        this.repaintCanvas();
+        this.updateDrawHistoryButtons();
+        this.setReplyTarget(message);
+
+        if (this.drawPicker) {
+            this.drawPicker.classList.add('active');
+            const drawBtn = document.getElementById('drawBtn');
+            if (drawBtn) drawBtn.classList.add('active');
+            this.emojiPicker.classList.remove('active');
+        }
+    },
+
+    // Draws the strokes again point by point, at the pace they were recorded up to maxReplayMs
+    replayDrawing(messageId) {
+        const message = this.messageCache[messageId];
+        const messageEl = this.messageElements[messageId];
+        const drawing = message ? Strokes.decode(message.drawing) : null;
+        const container = messageEl ? messageEl.querySelector('.message-drawing-strokes') : null;
+        if (!drawing || !container) return;
+
+        window.cancelAnimationFrame(this.drawingReplays[messageId]);
+        const totalPoints = Strokes.countPoints(drawing);
+        const duration = Math.min(totalPoints * this.replayPointMs, this.maxReplayMs);
+        let startedAt = null;
+        const step = (now) => {
+            if (startedAt === null) startedAt = now;
+            const shown = Math.ceil(totalPoints * Math.min(1, (now - startedAt) / duration));
+            container.innerHTML = Strokes.toSvg(drawing, shown);
+            if (shown < totalPoints) {
+                this.drawingReplays[messageId] = window.requestAnimationFrame(step);
+            } else {
+                delete this.drawingReplays[messageId];
+            }
+        };
+        this.drawingReplays[messageId] = window.requestAnimationFrame(step);
     },
 
     highlightKey(key, isPressed) {
@@ -1708,53 +3124,218 @@ const Chat = {
         if (this.previewText) {
             this.previewText.textContent = this.messageInput.value;
         }
+        this.updateCommandSuggestions();
+        this.updateMentionSuggestions();
     },
 
-    connectWS() {
-        try {
-            const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const ws = new WebSocket(`${protocol}//${location.host}`);
-            ws.addEventListener('open', () => { this.ws = ws; });
-            ws.addEventListener('message', (e) => {
-                try { this.handleWSMessage(JSON.parse(e.data)); } catch (_) {}
-            });
-            ws.addEventListener('close', () => { this.ws = null; });
-            ws.addEventListener('error', () => { this.ws = null; });
-        } catch (_) {}
+    // Popup above the input while a command name is being typed; Escape hides it until the text changes
+    updateCommandSuggestions() {
+        if (!this.commandSuggestions || !this.messageInput) return;
+        const value = this.messageInput.value;
+        const suggestions = value === this.commandSuggestionsDismissedFor ? [] : ChatCommands.getSuggestions(value);
+        if (value !== this.commandSuggestionsDismissedFor) {
+            this.commandSuggestionsDismissedFor = null;
+        }
+        const previous = this.commandSuggestionList[this.commandSuggestionIndex];
+        const keptIndex = previous ? suggestions.findIndex((command) => command.name === previous.name) : -1;
+        this.commandSuggestionList = suggestions;
+        this.commandSuggestionIndex = Math.max(0, keptIndex);
+        this.renderCommandSuggestions();
     },
 
-    handleWSMessage(data) {
-        if (!data || !data.type) return;
-        if (data.type === 'welcome' || data.type === 'roomSnapshot') {
-            if (data.user) {
-                this.serverId = data.user.id;
-                this.userId = data.user.id || this.userId;
-                this.username = data.user.username || this.username;
-                this.currentMood = data.user.mood || this.currentMood;
-                this.renderOwnIdentity();
-            }
-            if (data.room) {
-                this.setCurrentRoom(data.room);
-            }
-            if (Array.isArray(data.onlineUsers)) {
-                this.updateUserList(data.onlineUsers);
-            }
-        } else if (data.type === 'newMessage' && data.message) {
-            if (!this.watching) {
-                this.addMessage(data.message);
-            }
-        } else if (data.type === 'watchStart') {
-            this.showEavesdropPanel(data.room, data.onlineUsers || [], data.messages || []);
-        } else if (data.type === 'watchMessage' && data.message) {
-            this.addEavesdropMessage(data.message);
-        } else if (data.type === 'stolenIdeas') {
-            this.onIdeasStolen(data);
-        } else if (data.type === 'watcherInfo') {
-            if (window.ShapeOS && typeof window.ShapeOS._pendingWatcherCallback === 'function') {
-                window.ShapeOS._pendingWatcherCallback(data.watchers || []);
-                window.ShapeOS._pendingWatcherCallback = null;
-            }
+    renderCommandSuggestions() {
+        const suggestions = this.commandSuggestionList;
+        this.commandSuggestions.hidden = suggestions.length === 0;
+        this.commandSuggestions.innerHTML = suggestions.map((command, index) => `
+            <button class="command-suggestion${index === this.commandSuggestionIndex ? ' active' : ''}" type="button" role="option" aria-selected="${index === this.commandSuggestionIndex}" data-command="${this.escapeHtml(command.name)}">
+                <span class="command-suggestion-usage">${this.escapeHtml(ChatCommands.getUsage(command))}</span>
+                <span class="command-suggestion-description">${this.escapeHtml(command.description)}</span>
+            </button>
+        `).join('');
+    },
+
+    acceptCommandSuggestion(name) {
+        const command = ChatCommands.get(name);
+        if (!command) return;
+        this.messageInput.value = `/${command.name}${command.args.length ? ' ' : ''}`;
+        this.updatePreview();
+        this.messageInput.focus();
+    },
+
+    // The same popup lists names while an @word is being typed; commands win when both could apply
+    updateMentionSuggestions() {
+        if (!this.commandSuggestions || !this.messageInput) return;
+        const value = this.messageInput.value;
+        const caret = this.messageInput.selectionStart === null ? value.length : this.messageInput.selectionStart;
+        const query = value === this.commandSuggestionsDismissedFor || this.commandSuggestionList.length ? null : Mentions.getQuery(value, caret);
+        const suggestions = query ? Mentions.getSuggestions(query.query, this.getKnownUsernames(), this.username) : [];
+        const previous = this.mentionSuggestionList[this.mentionSuggestionIndex];
+        this.mentionSuggestionList = suggestions;
+        this.mentionSuggestionIndex = Math.max(0, suggestions.indexOf(previous));
+        this.renderMentionSuggestions();
+    },
+
+    renderMentionSuggestions() {
+        if (!this.mentionSuggestionList.length) return;
+        this.commandSuggestions.hidden = false;
+        this.commandSuggestions.innerHTML = this.mentionSuggestionList.map((username, index) => `
+            <button class="command-suggestion${index === this.mentionSuggestionIndex ? ' active' : ''}" type="button" role="option" aria-selected="${index === this.mentionSuggestionIndex}" data-mention="${this.escapeHtml(username)}">
+                <span class="command-suggestion-usage">@${this.escapeHtml(username)}</span>
+            </button>
+        `).join('');
+    },
+
+    acceptMentionSuggestion(username) {
+        const value = this.messageInput.value;
+        const caret = this.messageInput.selectionStart === null ? value.length : this.messageInput.selectionStart;
+        const completed = Mentions.complete(value, caret, username);
+        this.messageInput.value = completed.value.slice(0, this.messageInput.maxLength > 0 ? this.messageInput.maxLength : completed.value.length);
+        this.messageInput.setSelectionRange(completed.caret, completed.caret);
+        this.updatePreview();
+        this.messageInput.focus();
+    },
+
+    handleMentionSuggestionKey(e) {
+        if (!this.mentionSuggestionList.length) return false;
+        const target = e.target;
+        if (target && target !== this.messageInput && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return false;
+        const count = this.mentionSuggestionList.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.mentionSuggestionIndex = (this.mentionSuggestionIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            this.renderMentionSuggestions();
+            return true;
+        }
+        if (e.key === 'Tab' || e.key === 'Enter') {
+            e.preventDefault();
+            this.acceptMentionSuggestion(this.mentionSuggestionList[this.mentionSuggestionIndex]);
+            return true;
+        }
+        if (e.key === 'Escape') {
+            this.commandSuggestionsDismissedFor = this.messageInput.value;
+            this.updatePreview();
+            return true;
+        }
+        return false;
+    },
+
+    // Arrow keys move through the popup, Tab (or Enter on a half-typed name) picks the highlighted command
+    handleCommandSuggestionKey(e) {
+        if (!this.commandSuggestionList.length) return false;
+        const target = e.target;
+        if (target && target !== this.messageInput && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return false;
+        const count = this.commandSuggestionList.length;
+        const selected = this.commandSuggestionList[this.commandSuggestionIndex];
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.commandSuggestionIndex = (this.commandSuggestionIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            this.renderCommandSuggestions();
+            return true;
+        }
+        if (e.key === 'Tab' || (e.key === 'Enter' && this.messageInput.value.trim().toLowerCase() !== `/${selected.name}`)) {
+            e.preventDefault();
+            this.acceptCommandSuggestion(selected.name);
+            return true;
+        }
+        if (e.key === 'Escape') {
+            this.commandSuggestionsDismissedFor = this.messageInput.value;
+            this.updateCommandSuggestions();
+            return true;
+        }
+        return false;
+    },
+
+    useTransport(preferredName) {
+        const profile = {
+            userId: this.userId,
+            secret: this.identity ? this.identity.secret : null,
+            username: this.username,
+            mood: this.currentMood,
+            room: this.currentRoom
+        };
+        this.detachAllRoomListeners();
+        this.transport = ChatTransport.connect(this, profile, preferredName);
+        if (!this.transport) {
+            this.setConnectionState('offline');
+            return null;
+        }
+        this.setConnectionState(this.transport.isConnected() ? 'online' : 'connecting');
+
+        this.userId = this.transport.userId || this.userId;
+        this.transport.listenForRoomList((roomNames) => this.handleRoomList(roomNames));
+        if (this.emojiPackListener) {
+            this.emojiPackListener();
+        }
+        this.emojiPackListener = this.transport.listenForEmojiPacks((packs) => this.handleEmojiPacks(packs));
+        if (this.customRoomListener) {
+            this.customRoomListener();
+        }
+        this.customRoomListener = this.transport.listenForRooms((rooms) => this.handleCustomRooms(rooms));
+        if (this.dmThreadListener) {
+            this.dmThreadListener();
+        }
+        this.dmThreadListener = this.transport.listenForDmThreads((threads) => this.handleDmThreads(threads));
+        this.ensureInactiveRoomListeners();
+        return this.transport;
+    },
+
+    detachAllRoomListeners() {
+        Object.keys(this.inactiveRoomListeners).forEach((roomName) => {
+            this.detachInactiveRoomListener(roomName);
+        });
+        Object.keys(this.readReceiptListeners).forEach((roomName) => {
+            this.readReceiptListeners[roomName]();
+        });
+        this.readReceiptListeners = {};
+    },
+
+    // state: 'online', 'connecting' or 'offline'; retryInMs is how long until the transport tries again
+    setConnectionState(state, retryInMs = 0) {
+        const wasOnline = this.connectionState === 'online';
+        this.connectionState = state;
+        const label = this.connectionLabels[state] || state;
+        const title = state === 'offline' && retryInMs > 0
+            ? `Offline. Reconnecting in ${Math.ceil(retryInMs / 1000)}s.`
+            : label;
+        [this.connectionStatus, this.trayConnection].forEach((element) => {
+            if (!element) return;
+            element.dataset.state = state;
+            element.title = title;
+            element.setAttribute('aria-label', title);
+        });
+        if (this.connectionStatus) {
+            this.connectionStatus.textContent = label;
         }
+        if (state === 'online' && !wasOnline) {
+            this.flushOutbox(true);
+        }
+    },
+
+    applyServerIdentity(user) {
+        if (!user) return;
+        this.userId = user.id || this.userId;
+        this.username = user.username || this.username;
+        this.currentMood = user.mood || this.currentMood;
+        if ('moderator' in user) {
+            this.setModerator(user.moderator);
+        }
+        this.renderOwnIdentity();
+    },
+
+    handleRoomList(roomNames) {
+        (roomNames || []).forEach((roomName) => {
+            // Thread rooms come from handleDmThreads instead
+            if (this.isDmRoom(roomName) && !DmThreads.getThreadId(roomName) && roomName.includes(this.username) && !this.isBlockedUsername(this.getDmPartnerName(roomName))) {
+                this.registerDmRoom(roomName);
+            }
+        });
+    },
+
+    async refreshRoomOccupancy() {
+        if (!this.transport) return;
+        try {
+            this.updateRoomMenuOccupancy(await this.transport.getRoomOccupancyCounts());
+        } catch (_) {}
     },
 
     startWatching() {
@@ -1763,116 +3344,30 @@ const Chat = {
         if (this.watching) {
             this.stopWatching();
         }
+        if (!this.transport) return;
 
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            const database = window.FirebaseChat.database;
-            const roomRef = database.ref(`rooms/${roomName}`);
-            const usersRef = roomRef.child('users');
-            const messagesRef = roomRef.child('messages');
-
-            this.watchRoom = roomName;
-            this.watchUsersRef = usersRef;
-            this.watchMessagesRef = messagesRef;
-            this.watchSeenMessageKeys = new Set();
-
-            Promise.all([
-                usersRef.once('value'),
-                messagesRef.limitToLast(100).once('value')
-            ]).then(([usersSnap, messagesSnap]) => {
-                const users = [];
-                usersSnap.forEach((childSnapshot) => {
-                    const user = childSnapshot.val();
-                    if (user && user.online) {
-                        users.push({
-                            id: childSnapshot.key,
-                            username: user.username,
-                            mood: user.mood || ':happy:'
-                        });
-                    }
-                });
-
-                const history = [];
-                messagesSnap.forEach((childSnapshot) => {
-                    this.watchSeenMessageKeys.add(childSnapshot.key);
-                    const msg = childSnapshot.val() || {};
-                    history.push({
-                        userId: msg.userId,
-                        username: msg.username,
-                        content: msg.content,
-                        drawing: msg.drawing || null,
-                        timestamp: msg.timestamp || Date.now()
-                    });
-                });
-
-                this.showEavesdropPanel(roomName, users, history);
-            }).catch(() => {
-                this.addSystemMessage(`Unable to watch ${roomName}.`);
-            });
-
-            this.watchUserListener = usersRef.on('value', (snapshot) => {
-                const users = [];
-                snapshot.forEach((childSnapshot) => {
-                    const user = childSnapshot.val();
-                    if (user && user.online) {
-                        users.push({
-                            id: childSnapshot.key,
-                            username: user.username,
-                            mood: user.mood || ':happy:'
-                        });
-                    }
-                });
-
+        this.watchRoom = roomName;
+        this.watchStop = this.transport.watchRoom(roomName, {
+            onStart: (room, users, history) => this.showEavesdropPanel(room, users, history),
+            onUsers: (users) => {
                 if (this.watching && this.watchRoom === roomName) {
-                    const targetsEl = document.getElementById('eavesdropTargets');
-                    if (targetsEl) {
-                        targetsEl.innerHTML = users
-                            .map((user) => `<span class="eavesdrop-target">${this.escapeHtml(user.username)}</span>`)
-                            .join('<span class="target-sep">&#8703;</span>');
-                    }
+                    this.renderEavesdropTargets(users);
                 }
-            });
-
-            this.watchMessageListener = messagesRef.limitToLast(100).on('child_added', (snapshot) => {
-                if (!this.watching || this.watchRoom !== roomName) return;
-                if (this.watchSeenMessageKeys && this.watchSeenMessageKeys.has(snapshot.key)) return;
-                if (this.watchSeenMessageKeys) {
-                    this.watchSeenMessageKeys.add(snapshot.key);
-                }
-                const msg = snapshot.val() || {};
-                this.addEavesdropMessage({
-                    userId: msg.userId,
-                    username: msg.username,
-                    content: msg.content,
-                    drawing: msg.drawing || null,
-                    timestamp: msg.timestamp || Date.now()
-                });
-            });
-        } else if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ type: 'watch', room: roomName }));
-        } else {
-            this.startWatchDemo();
-        }
-    },
-
-    startWatchDemo() {
-        const conv = this.demoConversations[
-            Math.floor(Math.random() * this.demoConversations.length)
-        ];
-        const userObjs = conv.users.map((u) => ({ username: u }));
-        this.showEavesdropPanel(conv.room, userObjs, []);
-        conv.messages.forEach((msg) => {
-            const t = setTimeout(() => {
-                if (!this.watching) return;
-                this.addEavesdropMessage({
-                    username: msg.sender,
-                    content: msg.text,
-                    timestamp: new Date().toISOString()
-                });
-            }, msg.delay);
-            this.demoWatchTimers.push(t);
+            },
+            onMessage: (message) => this.addEavesdropMessage(message),
+            onError: (reason) => this.addSystemMessage(reason || `Unable to watch ${roomName}.`)
         });
     },
 
+    renderEavesdropTargets(users) {
+        const targetsEl = document.getElementById('eavesdropTargets');
+        if (!targetsEl) return;
+        const names = users.map((u) => (typeof u === 'string' ? u : u.username));
+        targetsEl.innerHTML = names
+            .map((n) => `<span class="eavesdrop-target">${this.escapeHtml(n)}</span>`)
+            .join('<span class="target-sep">&#8703;</span>');
+    },
+
     showEavesdropPanel(room, users, history) {
         this.watching = true;
         this.watchRoom = room;
@@ -1881,15 +3376,11 @@ const Chat = {
 
         const panel = document.getElementById('eavesdropPanel');
         const roomLabel = document.getElementById('eavesdropRoomName');
-        const targetsEl = document.getElementById('eavesdropTargets');
         const feed = document.getElementById('eavesdropFeed');
         if (!panel) return;
 
         roomLabel.textContent = room;
-        const names = users.map((u) => (typeof u === 'string' ? u : u.username));
-        targetsEl.innerHTML = names
-            .map((n) => `<span class="eavesdrop-target">${this.escapeHtml(n)}</span>`)
-            .join('<span class="target-sep">&#8703;</span>');
+        this.renderEavesdropTargets(users);
 
         feed.innerHTML = '';
         this._watchHistory.forEach((m) => this.addEavesdropMessage(m, false));
@@ -1921,39 +3412,24 @@ const Chat = {
         }
         this.watchRoom = null;
         this._watchHistory = null;
-        this.watchSeenMessageKeys = null;
-        this.demoWatchTimers.forEach((t) => clearTimeout(t));
-        this.demoWatchTimers = [];
-        if (this.watchUsersRef && this.watchUserListener) {
-            this.watchUsersRef.off('value', this.watchUserListener);
-        }
-        if (this.watchMessagesRef && this.watchMessageListener) {
-            this.watchMessagesRef.off('child_added', this.watchMessageListener);
-        }
-        this.watchUsersRef = null;
-        this.watchMessagesRef = null;
-        this.watchUserListener = null;
-        this.watchMessageListener = null;
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ type: 'stopWatch' }));
+        if (this.watchStop) {
+            this.watchStop();
+            this.watchStop = null;
         }
         const panel = document.getElementById('eavesdropPanel');
         if (panel) panel.setAttribute('hidden', '');
     },
 
-    doStealIdeas() {
+    async doStealIdeas() {
         const room = this.watchRoom;
         const history = this._watchHistory || [];
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ type: 'stealIdeas' }));
-        } else {
-            this.onIdeasStolen({
-                room,
-                messages: history,
-                onlineUsers: [],
-                timestamp: new Date().toISOString()
-            });
-        }
+        const stolen = this.transport ? await this.transport.stealIdeas(room, history) : null;
+        this.onIdeasStolen(stolen || {
+            room,
+            messages: history,
+            onlineUsers: [],
+            timestamp: new Date().toISOString()
+        });
     },
 
     onIdeasStolen(data) {
@@ -2001,8 +3477,8 @@ const Chat = {
         this.currentMood = mood || ':happy:';
         this.renderOwnIdentity();
         this.updateUserList(this.onlineUsers.length ? this.onlineUsers : [this.getSelfUser()]);
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            window.FirebaseChat.updateProfile({
+        if (this.transport) {
+            this.transport.updateProfile({
                 username: this.username,
                 mood: this.currentMood
             });
@@ -2012,16 +3488,22 @@ const Chat = {
     renderCurrentRoomLabel() {
         if (!this.roomName) return;
         const mainRoomLabel = this.getRoomDisplayText(this.lastMainRoom || 'Lobby');
-        this.roomName.textContent = mainRoomLabel;
+        // An @ on the tab means someone mentioned you in there
+        const mainRoomMentioned = Boolean(this.mentionedRooms[this.lastMainRoom]) && this.activePane !== 'room';
+        this.roomName.textContent = mainRoomMentioned ? `${mainRoomLabel} @` : mainRoomLabel;
         this.roomName.classList.toggle('active', this.activePane === 'room');
         this.roomName.classList.toggle('unread', this.mainRoomUnread && this.activePane !== 'room');
+        this.roomName.classList.toggle('mentioned', mainRoomMentioned);
         if (this.dmName) {
             const unreadCount = Object.keys(this.dmUnreadRooms).length;
-            this.dmName.textContent = unreadCount > 0 ? `DMs (${unreadCount})` : 'DMs';
+            const dmMentioned = Object.keys(this.mentionedRooms).some((roomName) => this.isDmRoom(roomName));
+            this.dmName.textContent = `${unreadCount > 0 ? `DMs (${unreadCount})` : 'DMs'}${dmMentioned ? ' @' : ''}`;
             this.dmName.classList.toggle('active', this.activePane === 'dm');
             this.dmName.classList.toggle('unread', Object.keys(this.dmUnreadRooms).length > 0 && this.activePane !== 'dm');
+            this.dmName.classList.toggle('mentioned', dmMentioned);
         }
         this.renderChatContext();
+        this.renderRoomEvent();
         this.renderSidebarList();
         this.applyChatRoomTheme();
     },
@@ -2032,6 +3514,40 @@ const Chat = {
         this.chatContextName.textContent = 'DM';
     },
 
+    getRoomEvent(roomName = this.currentRoom, now = Date.now()) {
+        return RoomEvents.getActive(this.getRoomConfig(roomName).schedule, now);
+    },
+
+    // The countdown banner under the room name: the running event, or the next one once it is close
+    renderRoomEvent(now = Date.now()) {
+        if (!this.roomEventBar) return;
+        const schedule = this.isDmRoom() ? null : this.getRoomConfig(this.currentRoom).schedule;
+        const active = RoomEvents.getActive(schedule, now);
+        const next = active ? null : RoomEvents.getNext(schedule, now);
+        const shown = active || (next && next.startsAt - now <= RoomEvents.announceMs ? next : null);
+
+        const previous = this.roomEventState;
+        this.roomEventState = { room: this.currentRoom, active };
+        if (previous && previous.room === this.currentRoom) {
+            if (previous.active && (!active || active.startsAt !== previous.active.startsAt)) {
+                this.addSystemMessage(`${previous.active.name} is over.`);
+            }
+            if (active && (!previous.active || previous.active.startsAt !== active.startsAt)) {
+                this.addSystemMessage(`${active.name} has started: ${RoomEvents.modes[active.mode].label} for the next ${active.minutes} minutes.`);
+            }
+        }
+
+        this.roomEventBar.hidden = !shown;
+        if (!shown) return;
+        const mode = RoomEvents.modes[shown.mode];
+        this.roomEventBar.dataset.state = active ? 'active' : 'upcoming';
+        this.roomEventBar.querySelector('.room-event-name').textContent = `${mode.icon} ${shown.name}`;
+        this.roomEventBar.querySelector('.room-event-rule').textContent = mode.label;
+        this.roomEventBar.querySelector('.room-event-countdown').textContent = active
+            ? `ends in ${RoomEvents.formatCountdown(active.endsAt - now)}`
+            : `starts in ${RoomEvents.formatCountdown(shown.startsAt - now)}`;
+    },
+
     renderSidebarList() {
         if (!this.userList) return;
         this.userList.innerHTML = '';
@@ -2049,6 +3565,7 @@ const Chat = {
                 await this.startNewDmFromLobbySpeaker();
             });
             this.userList.appendChild(newDmLi);
+            this.renderDmInvites();
 
             if (!this.dmRooms.length) {
                 const empty = document.createElement('li');
@@ -2074,16 +3591,20 @@ const Chat = {
 
                 const marker = document.createElement('span');
                 marker.className = 'dm-sidebar-marker';
-                marker.textContent = this.dmUnreadRooms[roomName] ? '•' : '';
+                marker.textContent = this.mentionedRooms[roomName] ? '@' : this.dmUnreadRooms[roomName] ? '•' : '';
 
                 const name = document.createElement('span');
                 name.className = 'dm-sidebar-name';
                 name.textContent = this.getDmPartnerName(roomName);
 
+                const receipt = document.createElement('span');
+                receipt.className = 'dm-sidebar-receipt';
+                receipt.textContent = this.getDmReceiptText(roomName);
+
                 const del = document.createElement('button');
                 del.className = 'dm-sidebar-delete';
                 del.type = 'button';
-                del.title = `Delete DM with ${this.getDmPartnerName(roomName)}`;
+                del.title = `${DmThreads.getThreadId(roomName) ? 'Leave' : 'Delete'} DM with ${this.getDmPartnerName(roomName)}`;
                 del.textContent = '×';
                 del.addEventListener('click', async (e) => {
                     e.stopPropagation();
@@ -2092,9 +3613,11 @@ const Chat = {
 
                 li.appendChild(marker);
                 li.appendChild(name);
+                li.appendChild(receipt);
                 li.appendChild(del);
                 this.userList.appendChild(li);
             });
+            this.renderDmPeople();
             return;
         }
 
@@ -2115,6 +3638,81 @@ const Chat = {
         });
     },
 
+    // Open invites sit above the DM list; answering one is the only way to see inside
+    renderDmInvites() {
+        Object.values(this.dmThreads).forEach((thread) => {
+            const invite = thread.invites[this.userId];
+            if (!invite || this.getHiddenLevel(invite.by) === 'block') return;
+            const li = document.createElement('li');
+            li.className = 'dm-sidebar-row dm-sidebar-invite dm-sidebar-unread';
+            li.title = `${thread.members[invite.by] || 'Someone'} invited you`;
+
+            const marker = document.createElement('span');
+            marker.className = 'dm-sidebar-marker';
+            marker.textContent = '•';
+
+            const name = document.createElement('span');
+            name.className = 'dm-sidebar-name';
+            name.textContent = DmThreads.getTitle(thread, this.userId);
+
+            const accept = document.createElement('button');
+            accept.className = 'dm-sidebar-accept';
+            accept.type = 'button';
+            accept.title = 'Accept the invite';
+            accept.textContent = '✓';
+            accept.addEventListener('click', () => this.acceptDmInvite(thread.id));
+
+            const decline = document.createElement('button');
+            decline.className = 'dm-sidebar-delete';
+            decline.type = 'button';
+            decline.title = 'Decline the invite';
+            decline.textContent = '×';
+            decline.addEventListener('click', () => this.declineDmInvite(thread.id));
+
+            li.appendChild(marker);
+            li.appendChild(name);
+            li.appendChild(accept);
+            li.appendChild(decline);
+            this.userList.appendChild(li);
+        });
+    },
+
+    // Who is in the open thread, with ways to invite more people or leave
+    renderDmPeople() {
+        const thread = this.getCurrentDmThread();
+        if (!thread) return;
+        const heading = document.createElement('li');
+        heading.className = 'dm-sidebar-heading';
+        heading.textContent = 'In this DM';
+        this.userList.appendChild(heading);
+
+        DmThreads.getPeople(thread).forEach((person) => {
+            const li = document.createElement('li');
+            li.className = person.userId === this.userId ? 'you dm-sidebar-person' : 'dm-sidebar-person';
+            const notes = [person.userId === this.userId ? 'you' : '', person.invited ? 'invited' : ''].filter(Boolean);
+            li.textContent = notes.length ? `${person.username} (${notes.join(', ')})` : person.username;
+            this.userList.appendChild(li);
+        });
+
+        const invite = document.createElement('li');
+        invite.className = 'clickable dm-sidebar-action';
+        invite.textContent = '+ Invite someone';
+        invite.title = `DMs hold up to ${DmThreads.maxPeople} people`;
+        invite.addEventListener('click', async () => {
+            const name = window.prompt('Who do you want to invite?', '');
+            if (!name || !name.trim()) return;
+            const result = await this.inviteToCurrentDm(name.trim());
+            this.addSystemMessage(result.reason);
+        });
+        this.userList.appendChild(invite);
+
+        const leave = document.createElement('li');
+        leave.className = 'clickable dm-sidebar-action';
+        leave.textContent = 'Leave DM';
+        leave.addEventListener('click', () => this.closeDmRoom(this.currentRoom));
+        this.userList.appendChild(leave);
+    },
+
     setCurrentRoom(roomName) {
         this.currentRoom = roomName || 'Lobby';
         if (this.isDmRoom(this.currentRoom)) {
@@ -2128,6 +3726,7 @@ const Chat = {
         this.clearRoomUnread(this.currentRoom);
         this.ensureInactiveRoomListeners();
         this.renderCurrentRoomLabel();
+        this.applyEmojiPacks();
     },
 
     promptForRoom() {
@@ -2222,7 +3821,7 @@ const Chat = {
         if (!text && !drawing) return;
 
         if (text.startsWith('/')) {
-            const handled = await this.handleSecretCommand(text);
+            const handled = await this.runCommand(text);
             if (handled) {
                 this.messageInput.value = '';
                 this.updatePreview();
@@ -2231,75 +3830,275 @@ const Chat = {
             }
         }
 
-        const roomConfig = this.getRoomConfig(this.currentRoom);
-        if (roomConfig.mode === 'emoji_draw_only' && text && !this.isEmojiOnlyText(text)) {
-            this.addSystemMessage('This room only allows Shape emojis and drawings.');
+        if (this.currentEditTarget) {
+            if (!text) return;
+            const editing = this.messageCache[this.currentEditTarget.messageId];
+            const refusal = this.getRoomModeRefusal({ content: text, drawing: editing ? editing.drawing : null, kind: editing ? editing.kind : null });
+            if (refusal) {
+                this.addSystemMessage(refusal);
+                return;
+            }
+            const edited = await this.editMessage(this.currentEditTarget.messageId, text);
+            if (edited) {
+                this.clearEditTarget(true);
+            }
             return;
         }
 
-        if (this.isDmRoom(this.currentRoom)) {
-            this.registerDmRoom(this.currentRoom);
+        const entry = this.postMessage({ content: text, drawing });
+        if (!entry) return;
+
+        this.messageInput.value = '';
+        this.updatePreview();
+        this.clearCanvas();
+        this.emojiPicker.classList.remove('active');
+        await this.deliverOutboxEntry(entry);
+    },
+
+    getRoomModeRefusal(message) {
+        return RoomConfigs.getMessageRefusal(this.getRoomConfig(this.currentRoom), message, (text) => this.isEmojiOnlyText(text))
+            || RoomEvents.getRefusal(this.getRoomEvent(), message);
+    },
+
+    // Shared by the message box and commands that post (/me, /shrug, /roll). Returns the outbox entry,
+    // already shown as pending, for the caller to deliver; null (with the reason shown) if refused.
+    postMessage({ content = '', drawing = null, kind = null }) {
+        const refusal = this.getRoomModeRefusal({ content, drawing, kind });
+        if (refusal) {
+            this.addSystemMessage(refusal);
+            return null;
         }
 
-        let sent = false;
-        const replyTo = this.currentReplyTarget ? { ...this.currentReplyTarget } : null;
-        if (window.FirebaseChat && window.FirebaseChat.database) {
-            sent = await window.FirebaseChat.sendMessage(text, drawing, roomConfig, {
-                replyTo,
-                messageBgColor: this.messageBgColor
-            });
-        } else if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'message',
-                content: text,
-                drawing: drawing || null,
-                replyTo,
-                messageBgColor: this.messageBgColor
-            }));
-            sent = true;
+        const event = this.getRoomEvent();
+        const slowModeWait = RoomEvents.getSlowModeWait(event, this.lastSentAt[this.currentRoom]);
+        if (slowModeWait) {
+            this.addSystemMessage(RoomEvents.getSlowModeRefusal(event, slowModeWait));
+            return null;
         }
 
-        if (!sent) {
-            this.addSystemMessage('Message could not be sent in this room right now.');
-            return;
+        const limit = this.checkRateLimit({ content, drawing, kind });
+        if (!limit.ok) {
+            this.addSystemMessage(limit.reason);
+            return null;
         }
+        this.lastSentAt[this.currentRoom] = Date.now();
 
-        if (!window.FirebaseChat || !window.FirebaseChat.database) {
-            this.addMessage({
-                messageId: `local_${Date.now()}_${Math.random().toString(16).slice(2)}`,
-                userId: this.userId,
-                username: this.username,
-                mood: this.currentMood,
-                content: text,
-                drawing: drawing,
-                timestamp: Date.now(),
-                replyTo,
-                reactions: {},
-                messageBgColor: this.messageBgColor
-            });
+        if (this.isDmRoom(this.currentRoom)) {
+            this.registerDmRoom(this.currentRoom);
         }
 
-        this.messageInput.value = '';
-        this.updatePreview();
-        this.clearCanvas();
-        this.emojiPicker.classList.remove('active');
+        // From here the outbox owns the message: it shows as pending until the backend confirms it
+        const entry = Outbox.createEntry(this.currentRoom, {
+            content,
+            drawing,
+            kind,
+            replyTo: this.currentReplyTarget ? { ...this.currentReplyTarget } : null,
+            messageBgColor: this.messageBgColor
+        });
+        this.outbox[entry.clientId] = entry;
+        this.renderPendingMessage(entry);
+
+        this.stopTyping();
         this.clearReplyTarget();
         this.maybeScheduleAiReply();
+        return entry;
     },
 
-    addMessage(sender, text, isOwn = false, drawing = null) {
-        const message = typeof sender === 'object' && sender !== null
-            ? {
-                messageId: sender.messageId || sender.id || `msg_${Date.now()}_${Math.random().toString(16).slice(2)}`,
+    async restoreOutbox() {
+        const entries = await Outbox.loadAll();
+        entries.forEach((entry) => {
+            if (!this.outbox[entry.clientId]) {
+                this.outbox[entry.clientId] = entry;
+            }
+        });
+        this.renderOutbox();
+        await this.flushOutbox();
+    },
+
+    getOutboxEntries(roomName = this.currentRoom) {
+        return Object.values(this.outbox)
+            .filter((entry) => entry.room === roomName)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    renderOutbox() {
+        this.getOutboxEntries().forEach((entry) => this.renderPendingMessage(entry));
+    },
+
+    // Transports only send to the room this client is in, so other rooms' entries wait for a visit.
+    // After a reconnect `immediately` also sends the entries that are waiting out a backoff.
+    async flushOutbox(immediately = false) {
+        for (const entry of this.getOutboxEntries()) {
+            if (entry.status === 'pending' && !entry.sending && (immediately || !entry.retryTimer)) {
+                await this.deliverOutboxEntry(entry);
+            }
+        }
+    },
+
+    async deliverOutboxEntry(entry) {
+        if (!this.outbox[entry.clientId] || entry.sending || entry.room !== this.currentRoom) return false;
+        clearTimeout(entry.retryTimer);
+        entry.retryTimer = null;
+        entry.sending = true;
+        entry.attempts += 1;
+        entry.status = 'pending';
+        entry.error = null;
+        this.renderPendingMessage(entry);
+        // The attempt count is stored while the send is under way, so a reload mid-send resends safely
+        const saved = Outbox.save(entry);
+
+        let sent = false;
+        try {
+            sent = this.transport
+                ? await this.transport.sendMessage(entry.content, entry.drawing, this.getRoomConfig(entry.room), {
+                    kind: entry.kind || null,
+                    replyTo: entry.replyTo,
+                    messageBgColor: entry.messageBgColor,
+                    clientId: entry.clientId,
+                    resend: entry.attempts > 1
+                })
+                : false;
+        } catch (_) {
+            sent = false;
+        }
+        await saved;
+        entry.sending = false;
+        if (!this.outbox[entry.clientId]) return false;
+
+        if (sent && sent.ok !== false) {
+            await this.forgetOutboxEntry(entry.clientId);
+            return true;
+        }
+
+        if (sent && sent.ok === false) {
+            entry.status = 'failed';
+            entry.error = sent.reason || 'Message could not be sent in this room right now.';
+        } else if (entry.attempts >= Outbox.maxAttempts) {
+            entry.status = 'failed';
+            entry.error = 'Message could not be sent in this room right now.';
+        } else {
+            entry.retryTimer = setTimeout(() => {
+                entry.retryTimer = null;
+                this.deliverOutboxEntry(entry);
+            }, Outbox.getRetryDelay(entry.attempts));
+        }
+        this.renderPendingMessage(entry);
+        await Outbox.save(entry);
+        return false;
+    },
+
+    async forgetOutboxEntry(clientId) {
+        const entry = this.outbox[clientId];
+        if (entry) {
+            clearTimeout(entry.retryTimer);
+            delete this.outbox[clientId];
+        }
+        this.removePendingElement(clientId);
+        await Outbox.remove(clientId);
+    },
+
+    // The backend's copy carries the same clientId; once it shows up the pending copy goes away
+    handleOutboxEcho(message) {
+        const entry = message.clientId ? this.outbox[message.clientId] : null;
+        if (!entry || !this.isOwnMessage(message)) return;
+        this.removePendingElement(entry.clientId);
+        if (!entry.sending) {
+            this.forgetOutboxEntry(entry.clientId);
+        }
+    },
+
+    async handleOutboxAction(action, clientId) {
+        const entry = this.outbox[clientId];
+        if (!entry) return;
+        if (action === 'discard') {
+            await this.forgetOutboxEntry(clientId);
+        } else if (action === 'retry') {
+            entry.attempts = 0;
+            entry.status = 'pending';
+            await this.deliverOutboxEntry(entry);
+        }
+    },
+
+    getOutboxStatusText(entry) {
+        if (entry.status === 'failed') return `Not sent: ${entry.error}`;
+        return entry.sending ? 'Sending...' : 'Waiting to resend...';
+    },
+
+    renderPendingMessage(entry) {
+        if (entry.room !== this.currentRoom || !this.chatMessages) return null;
+        const existing = this.pendingElements[entry.clientId];
+        const messageDiv = existing || document.createElement('div');
+        const failed = entry.status === 'failed';
+        messageDiv.className = `message own pending ${this.getMoodClassName(this.currentMood)}`;
+        messageDiv.classList.toggle('failed', failed);
+        messageDiv.dataset.clientId = entry.clientId;
+
+        const replyHtml = entry.replyTo ? `
+            <div class="message-reply-ref">
+                <span class="message-reply-user">${this.escapeHtml(entry.replyTo.username || 'Unknown')}</span>
+                <span class="message-reply-text">${this.escapeHtml(this.makeMessagePreviewText(entry.replyTo))}</span>
+                ${this.renderDrawingThumbHtml(entry.replyTo.drawing)}
+            </div>
+        ` : '';
+        messageDiv.innerHTML = `
+            <div class="message-header">
+                <span class="message-sender">${this.escapeHtml(this.username)} ${this.renderMoodEmoji(this.currentMood)}</span>
+                <span class="message-time message-outbox-status">${this.escapeHtml(this.getOutboxStatusText(entry))}</span>
+            </div>
+            ${replyHtml}
+            ${this.renderMessageContent(entry, this.username)}
+            ${this.renderLinkPreviews(entry)}
+            ${this.renderDrawingHtml(entry.drawing)}
+            ${failed ? `
+                <div class="message-actions-row">
+                    <button class="message-action-btn" type="button" data-outbox-action="retry" data-client-id="${entry.clientId}">Retry</button>
+                    <button class="message-action-btn" type="button" data-outbox-action="discard" data-client-id="${entry.clientId}">Discard</button>
+                </div>
+            ` : ''}
+        `;
+        this.applyMessageStyle(messageDiv, entry);
+
+        if (!existing) {
+            this.pendingElements[entry.clientId] = messageDiv;
+            this.chatMessages.appendChild(messageDiv);
+            this.scrollToBottom();
+        }
+        return messageDiv;
+    },
+
+    removePendingElement(clientId) {
+        const messageDiv = this.pendingElements[clientId];
+        if (messageDiv) {
+            messageDiv.remove();
+            delete this.pendingElements[clientId];
+        }
+    },
+
+    // One bucket per room, matching what the server and database rules enforce (see rate-limit.js)
+    checkRateLimit(message) {
+        if (!this.rateLimits[this.currentRoom]) {
+            this.rateLimits[this.currentRoom] = RateLimit.createState();
+        }
+        return RateLimit.take(this.rateLimits[this.currentRoom], message);
+    },
+
+    normalizeMessage(sender, text, isOwn = false, drawing = null) {
+        return typeof sender === 'object' && sender !== null
+            ? {
+                messageId: sender.messageId || sender.id || `msg_${Date.now()}_${Math.random().toString(16).slice(2)}`,
                 userId: sender.userId || sender.id || null,
                 username: sender.username || 'Unknown',
                 mood: sender.mood || ':happy:',
                 content: sender.content || '',
                 drawing: sender.drawing || null,
+                kind: sender.kind || null,
                 timestamp: sender.timestamp || Date.now(),
                 replyTo: sender.replyTo || null,
                 reactions: sender.reactions || {},
-                messageBgColor: sender.messageBgColor || null
+                messageBgColor: sender.messageBgColor || null,
+                editedAt: sender.editedAt || null,
+                deleted: Boolean(sender.deleted),
+                clientId: sender.clientId || null
             }
             : {
                 messageId: `msg_${Date.now()}_${Math.random().toString(16).slice(2)}`,
@@ -2308,64 +4107,433 @@ const Chat = {
                 mood: isOwn ? this.currentMood : ':happy:',
                 content: text || '',
                 drawing: drawing || null,
+                kind: null,
                 timestamp: Date.now(),
                 replyTo: null,
                 reactions: {},
-                messageBgColor: this.messageBgColor
+                messageBgColor: this.messageBgColor,
+                editedAt: null,
+                deleted: false
             };
+    },
 
-        const ownMessage = message.userId
+    // /me actions read as "* name waves"; a roll shows its dice until the backend has numbered it,
+    // then the faces that id and timestamp give (see dice.js)
+    renderMessageContent(message, username) {
+        if (!message.content) return '';
+        if (message.kind === 'action') {
+            return `<div class="message-content message-action">* ${this.escapeHtml(username)} ${this.renderRichText(message.content)}</div>`;
+        }
+        if (message.kind === 'roll') {
+            return `<div class="message-content message-roll">🎲 ${this.escapeHtml(this.getRollText(message))}</div>`;
+        }
+        return `<div class="message-content">${this.renderRichText(message.content)}</div>`;
+    },
+
+    // Formatting and links (see rich-text.js) around runs of text with @mentions and emojis
+    renderRichText(text) {
+        return RichText.render(text, (run) => this.renderMentions(run));
+    },
+
+    // Cards for the pages in LinkPreviews a message links to
+    renderLinkPreviews(message) {
+        if (!message.content || message.kind === 'roll') return '';
+        return RichText.getPreviewPages(message.content).map((page) => `
+            <a class="link-preview" href="${this.escapeHtml(page.href || '#')}" data-shape-link="${this.escapeHtml(page.url)}">
+                ${page.image ? `<img class="link-preview-image" src="${this.escapeHtml(page.image)}" alt="">` : ''}
+                <span class="link-preview-text">
+                    <span class="link-preview-site">${this.escapeHtml(page.url)}</span>
+                    <span class="link-preview-title">${this.escapeHtml(page.title)}</span>
+                    <span class="link-preview-description">${this.escapeHtml(page.description)}</span>
+                </span>
+            </a>
+        `).join('');
+    },
+
+    // Pages from LinkPreviews open in the ShapeOS Internet app; without ShapeOS the link is followed as usual
+    openShapeLink(url) {
+        if (!window.ShapeOS || !LinkPreviews.find(url)) return false;
+        window.ShapeOS.openInternet(url);
+        return true;
+    },
+
+    // Escapes the text and parses emojis around each @mention; mentions of this user stand out
+    renderMentions(text) {
+        return Mentions.split(text, this.getKnownUsernames()).map((run) => {
+            const html = this.escapeHtml(run.text);
+            if (!run.mention) return EmojiSystem.parseEmojis(html);
+            const self = run.mention.toLowerCase() === this.username.toLowerCase();
+            return `<span class="mention${self ? ' mention-self' : ''}">${html}</span>`;
+        }).join('');
+    },
+
+    // Names a mention can match: everyone in the room and the last main room, and the people in this user's DMs
+    getKnownUsernames() {
+        const threadPeople = Object.values(this.dmThreads).flatMap((thread) => DmThreads.getPeople(thread).map((person) => person.username));
+        return [this.username, ...this.onlineUsers.map((user) => user.username), ...this.lastMainRoomUsers.map((user) => user.username), ...threadPeople];
+    },
+
+    isMentioningMe(message) {
+        return Boolean(message && message.content && message.kind !== 'roll' && !this.isOwnMessage(message)
+            && Mentions.isMentioned(message.content, this.username, this.getKnownUsernames()));
+    },
+
+    // Files a mention of this user in the inbox; true the first time a message is seen
+    noteMention(roomName, message) {
+        if (!message.messageId || message.deleted || this.getHiddenLevel(message.userId) || !this.isMentioningMe(message)) return false;
+        if (this.mentionInbox.some((entry) => entry.messageId === message.messageId)) return false;
+        this.mentionInbox = Mentions.addToInbox(this.mentionInbox, {
+            room: roomName,
+            messageId: message.messageId,
+            username: message.username || 'Anonymous',
+            content: String(message.content).slice(0, Mentions.maxContentLength),
+            timestamp: Number(message.timestamp) || Date.now()
+        });
+        Mentions.saveInbox(this.mentionInbox);
+        if ((Number(message.timestamp) || Date.now()) >= this.mentionsSince) {
+            this.unseenMentionCount += 1;
+            this.sendMentionAlert(roomName, message);
+        }
+        this.renderMentionsButton();
+        if (this.mentionsPanel && !this.mentionsPanel.hidden) {
+            this.renderMentionsInbox();
+        }
+        return true;
+    },
+
+    // A browser notification when the mention is somewhere the user is not looking
+    sendMentionAlert(roomName, message) {
+        if (!this.mentionAlerts || typeof window.Notification !== 'function' || window.Notification.permission !== 'granted') return;
+        if (roomName === this.currentRoom && document.visibilityState !== 'hidden') return;
+        try {
+            new window.Notification(`${message.username} mentioned you in ${this.getSearchRoomLabel(roomName)}`, {
+                body: message.content,
+                tag: message.messageId
+            });
+        } catch (_) {}
+    },
+
+    async setMentionAlerts(enabled) {
+        let allowed = Boolean(enabled);
+        if (allowed && typeof window.Notification !== 'function') {
+            allowed = false;
+            this.setMentionsStatus('This browser cannot show notifications.');
+        } else if (allowed && window.Notification.permission !== 'granted') {
+            try {
+                allowed = await window.Notification.requestPermission() === 'granted';
+            } catch (_) {
+                allowed = false;
+            }
+            if (!allowed) {
+                this.setMentionsStatus('Notifications are blocked for this site. Allow them in the browser to get alerts.');
+            }
+        }
+        this.mentionAlerts = allowed;
+        Mentions.saveAlerts(allowed);
+        document.getElementById('mentionAlerts').checked = allowed;
+        if (allowed) {
+            this.setMentionsStatus('You will get a notification when someone mentions you in another room or while this tab is hidden.');
+        }
+        return allowed;
+    },
+
+    setMentionsStatus(text) {
+        document.getElementById('mentionsStatus').textContent = text;
+    },
+
+    renderMentionsButton() {
+        if (!this.mentionsToggleBtn) return;
+        this.mentionsToggleBtn.textContent = this.unseenMentionCount > 0 ? `@ ${this.unseenMentionCount}` : '@';
+        this.mentionsToggleBtn.classList.toggle('unread', this.unseenMentionCount > 0);
+    },
+
+    toggleMentionsPanel(open) {
+        this.mentionsPanel.hidden = !open;
+        this.mentionsToggleBtn.setAttribute('aria-expanded', String(Boolean(open)));
+        if (open) {
+            this.unseenMentionCount = 0;
+            this.renderMentionsButton();
+            document.getElementById('mentionAlerts').checked = this.mentionAlerts;
+            this.setMentionsStatus(this.mentionInbox.length ? '' : 'Nobody has mentioned you yet. Type @ and a name to mention someone.');
+            this.renderMentionsInbox();
+        }
+    },
+
+    // Laid out like search results, so a click jumps to the message the same way
+    renderMentionsInbox() {
+        this.mentionsList.innerHTML = '';
+        this.mentionInbox.forEach((entry) => {
+            const when = new Date(entry.timestamp);
+            const li = document.createElement('li');
+            li.className = 'search-result';
+            li.dataset.searchRoom = entry.room;
+            li.dataset.searchMessageId = entry.messageId;
+            li.tabIndex = 0;
+            li.innerHTML = `
+                <div class="search-result-meta">
+                    <span class="search-result-room">${this.escapeHtml(this.getSearchRoomLabel(entry.room))}</span>
+                    <span class="search-result-time">${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </div>
+                <div class="search-result-hit">
+                    <span class="search-result-sender">${this.escapeHtml(entry.username)}:</span>
+                    ${this.renderMentions(entry.content)}
+                </div>
+            `;
+            this.mentionsList.appendChild(li);
+        });
+    },
+
+    getRollText(message) {
+        const roll = message.messageId ? Dice.rollFor(message) : null;
+        if (!roll) return `rolling ${message.content}...`;
+        const faces = roll.faces.length > 1 ? `${roll.faces.join(' + ')} = ${roll.total}` : String(roll.total);
+        return `rolled ${Dice.format(roll)}: ${faces}`;
+    },
+
+    isOwnMessage(message) {
+        return message.userId
             ? message.userId === this.userId
             : message.username === this.username;
-        if (this.currentRoom === 'Lobby' && !ownMessage) {
-            this.lastLobbySpeaker = {
-                id: message.userId || message.username,
-                username: message.username,
-                mood: message.mood || ':happy:'
-            };
-        }
+    },
+
+    renderMessage(message) {
+        const ownMessage = this.isOwnMessage(message);
         const existing = this.messageElements[message.messageId];
         const messageDiv = existing || document.createElement('div');
         messageDiv.className = `message ${ownMessage ? 'own' : 'other'}`;
         messageDiv.classList.add(this.getMoodClassName(message.mood));
+        messageDiv.classList.toggle('mentions-me', !message.deleted && this.isMentioningMe(message));
         messageDiv.dataset.messageId = message.messageId;
         
         const time = new Date(message.timestamp || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
-        const parsedText = EmojiSystem.parseEmojis(this.escapeHtml(message.content || ''));
+        const seen = ownMessage && this.isDmRoom(this.currentRoom) && this.isSeenByPartner(this.currentRoom, message);
+        const receiptHtml = ownMessage && this.isDmRoom(this.currentRoom) && !message.deleted
+            ? ` <span class="message-receipt${seen ? ' seen' : ''}">${seen ? 'Seen' : 'Sent'}</span>`
+            : '';
+        const senderHtml = `
+            <div class="message-header">
+                <span class="message-sender">${this.escapeHtml(message.username)} ${this.renderMoodEmoji(message.mood)}</span>
+                <span class="message-time">${time}${message.editedAt && !message.deleted ? ' <span class="message-edited">(edited)</span>' : ''}${receiptHtml}</span>
+            </div>
+        `;
+
+        // Muted and blocked users keep a placeholder so the conversation around them still reads in order
+        const hiddenLevel = ownMessage || message.deleted ? null : this.getHiddenLevel(message.userId);
+        messageDiv.classList.toggle('hidden-user', Boolean(hiddenLevel));
+        if (hiddenLevel) {
+            messageDiv.innerHTML = `
+                <div class="message-hidden-note">
+                    <span>Message from a ${hiddenLevel === 'block' ? 'blocked' : 'muted'} user</span>
+                    <button class="message-action-btn" type="button" data-action="unhideUser" data-user-id="${this.escapeHtml(message.userId)}">${hiddenLevel === 'block' ? 'Unblock' : 'Unmute'}</button>
+                </div>
+            `;
+            this.applyMessageStyle(messageDiv, { ...message, messageBgColor: null });
+            this.messageCache[message.messageId] = message;
+            return messageDiv;
+        }
+
+        // Deleted messages keep their place in the conversation so replies still make sense
+        messageDiv.classList.toggle('deleted', message.deleted);
+        if (message.deleted) {
+            messageDiv.innerHTML = `
+                ${senderHtml}
+                <div class="message-content message-deleted">message deleted</div>
+            `;
+            this.applyMessageStyle(messageDiv, { ...message, messageBgColor: null });
+            this.messageCache[message.messageId] = message;
+            return messageDiv;
+        }
+
         const replyRef = this.getReplyReference(message);
         const replyHtml = replyRef ? `
             <button class="message-reply-ref" type="button" data-action="replyMessage" data-message-id="${replyRef.messageId || message.messageId}">
                 <span class="message-reply-user">${this.escapeHtml(replyRef.username || 'Unknown')}</span>
                 <span class="message-reply-text">${this.escapeHtml(this.makeMessagePreviewText(replyRef))}</span>
+                ${this.renderDrawingThumbHtml(replyRef.drawing)}
             </button>
         ` : '';
-        const drawingHtml = message.drawing ? `<div class="message-drawing"><img src="${message.drawing}" alt="Drawing"></div>` : '';
+        const drawingHtml = this.renderDrawingHtml(message.drawing);
+        const ownActionsHtml = this.canModifyMessage(message) ? `
+                ${message.content && message.kind !== 'roll' ? `<button class="message-action-btn" type="button" data-action="editMessage" data-message-id="${message.messageId}">Edit</button>` : ''}
+                <button class="message-action-btn" type="button" data-action="deleteMessage" data-message-id="${message.messageId}">Delete</button>
+        ` : '';
+        const moderatorActionsHtml = this.canModerateMessage(message) ? `
+                <button class="message-action-btn moderator-action" type="button" data-moderation-action="delete" data-message-id="${message.messageId}">Delete</button>
+                <button class="message-action-btn moderator-action" type="button" data-moderation-action="kick" data-message-id="${message.messageId}">Kick</button>
+                <button class="message-action-btn moderator-action" type="button" data-moderation-action="ban" data-message-id="${message.messageId}">Ban</button>
+        ` : '';
+        const moderationMenuHtml = !ownMessage && message.userId ? `
+            <div class="message-moderation-menu">
+                <button class="message-action-btn" type="button" data-moderation-action="mute" data-message-id="${message.messageId}">Mute</button>
+                <button class="message-action-btn" type="button" data-moderation-action="block" data-message-id="${message.messageId}">Block</button>
+                <button class="message-action-btn" type="button" data-moderation-action="report" data-message-id="${message.messageId}">Report</button>
+                ${moderatorActionsHtml}
+            </div>
+        ` : '';
         
         messageDiv.innerHTML = `
-            <div class="message-header">
-                <span class="message-sender">${this.escapeHtml(message.username)} ${this.renderMoodEmoji(message.mood)}</span>
-                <span class="message-time">${time}</span>
-            </div>
+            ${senderHtml}
             ${replyHtml}
-            ${message.content ? `<div class="message-content">${parsedText}</div>` : ''}
+            ${this.renderMessageContent(message, message.username)}
+            ${this.renderLinkPreviews(message)}
             ${drawingHtml}
             ${this.renderReactionSummary(message)}
             <div class="message-actions-row">
                 <button class="message-action-btn" type="button" data-action="replyMessage" data-message-id="${message.messageId}">Reply</button>
                 <button class="message-action-btn" type="button" data-action="toggleReactionPicker" data-message-id="${message.messageId}">React</button>
+                ${Strokes.isStrokes(message.drawing) ? `<button class="message-action-btn" type="button" data-action="replayDrawing" data-message-id="${message.messageId}">Replay</button>` : ''}
+                ${Strokes.isDrawing(message.drawing) ? `<button class="message-action-btn" type="button" data-action="remixDrawing" data-message-id="${message.messageId}">Remix</button>` : ''}
+                ${ownActionsHtml}
+                ${moderationMenuHtml ? `<button class="message-action-btn" type="button" data-action="toggleModerationMenu" data-message-id="${message.messageId}">More</button>` : ''}
             </div>
             ${this.renderReactionPicker(message)}
+            ${moderationMenuHtml}
         `;
 
         this.applyMessageStyle(messageDiv, message);
         this.messageCache[message.messageId] = message;
-        
-        if (!existing) {
+        return messageDiv;
+    },
+
+    addMessage(sender, text, isOwn = false, drawing = null) {
+        const message = this.normalizeMessage(sender, text, isOwn, drawing);
+        const ownMessage = this.isOwnMessage(message);
+        if (this.currentRoom === 'Lobby' && !ownMessage) {
+            this.lastLobbySpeaker = {
+                id: message.userId || message.username,
+                username: message.username,
+                mood: message.mood || ':happy:'
+            };
+        }
+
+        if (!ownMessage) {
+            this.noteMention(this.currentRoom, message);
+        }
+
+        if (this.isDmRoom(this.currentRoom)) {
+            if (ownMessage) {
+                this.dmLastSentAt[this.currentRoom] = Math.max(this.dmLastSentAt[this.currentRoom] || 0, Number(message.timestamp) || 0);
+            } else {
+                this.scheduleMarkRead();
+            }
+        }
+
+        const existing = this.messageElements[message.messageId];
+        const followLatest = ownMessage || this.isNearBottom();
+        const messageDiv = this.renderMessage(message);
+
+        this.handleOutboxEcho(message);
+        if (existing) {
+            this.refreshReplyReferences(message.messageId);
+        } else {
             this.messageElements[message.messageId] = messageDiv;
-            this.chatMessages.appendChild(messageDiv);
-            this.scrollToBottom();
+            // Messages still in the outbox stay below everything the backend has confirmed
+            this.chatMessages.insertBefore(messageDiv, this.chatMessages.querySelector('.message.pending'));
+            if (followLatest) {
+                this.scrollToBottom();
+            } else {
+                this.unseenMessageCount += 1;
+                this.updateJumpLatest();
+            }
+        }
+    },
+
+    // Replies quote the live original, so redraw them when it is edited, deleted or loaded later
+    refreshReplyReferences(messageId) {
+        Object.values(this.messageCache).forEach((message) => {
+            if (message.replyTo && message.replyTo.messageId === messageId && this.messageElements[message.messageId]) {
+                this.renderMessage(message);
+            }
+        });
+    },
+
+    getOldestMessage() {
+        const firstMessageEl = this.chatMessages.querySelector('.message[data-message-id]');
+        return firstMessageEl ? this.messageCache[firstMessageEl.dataset.messageId] || null : null;
+    },
+
+    getNewestMessage() {
+        const messageEls = this.chatMessages.querySelectorAll('.message[data-message-id]');
+        const lastMessageEl = messageEls[messageEls.length - 1];
+        return lastMessageEl ? this.messageCache[lastMessageEl.dataset.messageId] || null : null;
+    },
+
+    resetHistoryState() {
+        this.historyLoading = false;
+        this.historyExhausted = false;
+        this.unseenMessageCount = 0;
+        this.updateJumpLatest();
+    },
+
+    async loadOlderMessages() {
+        if (this.historyLoading || this.historyExhausted || this.watching || !this.transport) return;
+        const oldest = this.getOldestMessage();
+        if (!oldest) return;
+
+        const roomName = this.currentRoom;
+        this.historyLoading = true;
+        let page = null;
+        try {
+            page = await this.transport.loadOlderMessages(roomName, oldest, this.historyPageSize);
+        } catch (_) {
+            page = null;
         }
+        if (roomName !== this.currentRoom) return;
+        this.historyLoading = false;
+        if (!page) return;
+
+        this.prependMessages(page.messages || []);
+        if (!page.hasMore) {
+            this.historyExhausted = true;
+        }
+    },
+
+    // Older pages go above the first rendered message without moving what the reader is looking at
+    prependMessages(messages) {
+        const anchor = this.chatMessages.querySelector('.message[data-message-id]');
+        const previousHeight = this.chatMessages.scrollHeight;
+        const previousTop = this.chatMessages.scrollTop;
+
+        messages.forEach((entry) => {
+            const message = this.normalizeMessage(entry);
+            if (this.messageElements[message.messageId]) return;
+            const messageDiv = this.renderMessage(message);
+            this.messageElements[message.messageId] = messageDiv;
+            this.chatMessages.insertBefore(messageDiv, anchor);
+            this.refreshReplyReferences(message.messageId);
+        });
+
+        this.chatMessages.scrollTop = previousTop + (this.chatMessages.scrollHeight - previousHeight);
+    },
+
+    isNearBottom() {
+        const el = this.chatMessages;
+        return el.scrollHeight - el.scrollTop - el.clientHeight <= 80;
+    },
+
+    handleChatScroll() {
+        if (this.chatMessages.scrollTop <= 40) {
+            this.loadOlderMessages();
+        }
+        if (this.isNearBottom() && this.unseenMessageCount) {
+            this.unseenMessageCount = 0;
+        }
+        this.updateJumpLatest();
+    },
+
+    updateJumpLatest() {
+        if (!this.jumpLatestBtn) return;
+        this.jumpLatestBtn.hidden = this.isNearBottom() && !this.unseenMessageCount;
+        this.jumpLatestBtn.textContent = this.unseenMessageCount
+            ? `${this.unseenMessageCount} new - Jump to latest`
+            : 'Jump to latest';
+    },
+
+    jumpToLatest() {
+        this.unseenMessageCount = 0;
+        this.scrollToBottom();
+        this.updateJumpLatest();
     },
 
     addSystemMessage(text) {
@@ -2376,9 +4544,204 @@ const Chat = {
         this.scrollToBottom();
     },
 
+    renderEmojiPicker() {
+        EmojiSystem.initPicker('emojiGrid', (code) => {
+            this.insertEmoji(code);
+        });
+    },
+
+    // Every pack the backend has; which of them apply depends on the room (see applyEmojiPacks)
+    handleEmojiPacks(packs) {
+        this.emojiPacks = (packs || []).map((pack) => {
+            const result = EmojiPacks.normalizePack(pack);
+            return result.ok && result.pack.id ? result.pack : null;
+        }).filter(Boolean);
+        this.applyEmojiPacks();
+    },
+
+    // Hands the packs for the current room to EmojiSystem and redraws what shows emojis
+    applyEmojiPacks() {
+        EmojiSystem.setCustomEmojis(EmojiPacks.getEmojis(this.emojiPacks, this.currentRoom));
+        this.renderEmojiPicker();
+        if (this.keyboardMode === 'emoji') {
+            this.updateEmojiKeyboardState();
+        }
+        Object.values(this.messageCache).forEach((message) => {
+            if (this.messageElements[message.messageId]) {
+                this.renderMessage(message);
+            }
+        });
+    },
+
+    setupEmojiEditor() {
+        const grid = document.getElementById('emojiEditorGrid');
+        if (!grid) return;
+        const size = EmojiPacks.gridSize;
+        this.emojiEditorPixels = new Array(size * size).fill(null);
+        grid.innerHTML = this.emojiEditorPixels.map((_, index) => (
+            `<button class="emoji-editor-cell" type="button" data-index="${index}" aria-label="Pixel ${index % size + 1}, ${Math.floor(index / size) + 1}"></button>`
+        )).join('');
+        grid.addEventListener('click', (event) => {
+            const cell = event.target.closest('.emoji-editor-cell');
+            if (cell) this.paintEmojiPixel(Number(cell.dataset.index));
+        });
+        // Dragging with the button held paints every cell it crosses
+        grid.addEventListener('pointerover', (event) => {
+            const cell = event.target.closest('.emoji-editor-cell');
+            if (cell && event.buttons & 1) this.paintEmojiPixel(Number(cell.dataset.index));
+        });
+
+        const makeBtn = document.getElementById('emojiMakeBtn');
+        if (makeBtn) {
+            makeBtn.addEventListener('click', () => this.openEmojiEditor());
+        }
+
+        const color = document.getElementById('emojiEditorColor');
+        if (color) {
+            color.addEventListener('input', () => {
+                this.emojiEditorColor = color.value;
+                this.setEmojiEditorErasing(false);
+            });
+        }
+
+        const erase = document.getElementById('emojiEditorErase');
+        if (erase) {
+            erase.addEventListener('click', () => this.setEmojiEditorErasing(!this.emojiEditorErasing));
+        }
+
+        const clear = document.getElementById('emojiEditorClear');
+        if (clear) {
+            clear.addEventListener('click', () => {
+                this.emojiEditorPixels.fill(null);
+                this.renderEmojiEditor();
+            });
+        }
+
+        const cancel = document.getElementById('emojiEditorCancel');
+        if (cancel) {
+            cancel.addEventListener('click', () => this.closeEmojiEditor());
+        }
+
+        const save = document.getElementById('emojiEditorSave');
+        if (save) {
+            save.addEventListener('click', () => this.saveEditorEmoji());
+        }
+
+        const importBtn = document.getElementById('emojiImportBtn');
+        const importFile = document.getElementById('emojiImportFile');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', async () => {
+                const [file] = importFile.files;
+                importFile.value = '';
+                if (file) await this.importEmojiPack(await file.text());
+            });
+        }
+    },
+
+    openEmojiEditor() {
+        const editor = document.getElementById('emojiEditor');
+        if (!editor) return;
+        this.emojiEditorPixels.fill(null);
+        this.setEmojiEditorErasing(false);
+        ['emojiEditorCode', 'emojiEditorName'].forEach((id) => {
+            document.getElementById(id).value = '';
+        });
+        this.renderEmojiEditor();
+        editor.hidden = false;
+    },
+
+    closeEmojiEditor() {
+        const editor = document.getElementById('emojiEditor');
+        if (editor) editor.hidden = true;
+    },
+
+    setEmojiEditorErasing(erasing) {
+        this.emojiEditorErasing = erasing;
+        const erase = document.getElementById('emojiEditorErase');
+        if (erase) erase.classList.toggle('active', erasing);
+    },
+
+    paintEmojiPixel(index) {
+        if (index < 0 || index >= this.emojiEditorPixels.length) return;
+        this.emojiEditorPixels[index] = this.emojiEditorErasing ? null : this.emojiEditorColor;
+        this.renderEmojiEditor();
+    },
+
+    renderEmojiEditor() {
+        document.querySelectorAll('#emojiEditorGrid .emoji-editor-cell').forEach((cell, index) => {
+            cell.style.background = this.emojiEditorPixels[index] || '';
+        });
+        const preview = document.getElementById('emojiEditorPreview');
+        const art = EmojiPacks.fromColors(this.emojiEditorPixels);
+        if (preview) {
+            preview.hidden = !art;
+            preview.src = art ? `data:image/svg+xml,${encodeURIComponent(EmojiPacks.pixelsToSvg(art.palette, art.pixels))}` : '';
+        }
+    },
+
+    // Adds the drawn emoji to the user's pack of that name and scope, starting the pack if it is new
+    async saveEditorEmoji() {
+        const code = EmojiPacks.normalizeCode(document.getElementById('emojiEditorCode').value);
+        if (!code) {
+            this.addSystemMessage('Give the emoji a shortcode of 2 to 24 lowercase letters, numbers or _.');
+            return false;
+        }
+        const art = EmojiPacks.fromColors(this.emojiEditorPixels);
+        if (!art) {
+            this.addSystemMessage(`Draw the emoji first, with up to ${EmojiPacks.maxPaletteSize} colors.`);
+            return false;
+        }
+        const packName = document.getElementById('emojiEditorPack').value.trim() || `${this.username}'s emojis`.slice(0, EmojiPacks.maxNameLength);
+        const scope = document.getElementById('emojiEditorScope').value === 'room' ? this.currentRoom : 'global';
+        const emoji = { code, name: document.getElementById('emojiEditorName').value, ...art };
+        const existing = this.emojiPacks.find((pack) => pack.ownerId === this.userId && pack.name === packName && pack.scope === scope);
+        const pack = existing
+            ? { ...existing, emojis: [...existing.emojis.filter((entry) => entry.code !== code), emoji] }
+            : { name: packName, scope, emojis: [emoji] };
+        const saved = await this.saveEmojiPack(pack);
+        if (saved) {
+            this.closeEmojiEditor();
+        }
+        return saved;
+    },
+
+    // Imported packs always become a new pack owned by whoever imports them
+    async importEmojiPack(text) {
+        const data = EmojiPacks.parseJson(text);
+        if (!data || typeof data !== 'object') {
+            this.addSystemMessage('That file is not an emoji pack.');
+            return false;
+        }
+        return this.saveEmojiPack({ ...data, id: null });
+    },
+
+    async saveEmojiPack(pack) {
+        const result = EmojiPacks.normalizePack(pack);
+        if (!result.ok) {
+            this.addSystemMessage(result.reason);
+            return false;
+        }
+        const normalized = { ...result.pack, id: result.pack.id || EmojiPacks.createId(), ownerId: this.userId };
+        const collision = EmojiPacks.findCollision(normalized, this.emojiPacks, EmojiSystem.emojis.map((emoji) => emoji.code));
+        if (collision) {
+            this.addSystemMessage(`${collision} is already taken.`);
+            return false;
+        }
+        const saved = this.transport ? await this.transport.saveEmojiPack(normalized) : null;
+        if (!saved || !saved.ok) {
+            this.addSystemMessage((saved && saved.reason) || 'That pack could not be saved.');
+            return false;
+        }
+        const where = normalized.scope === 'global' ? 'every room' : normalized.scope;
+        this.addSystemMessage(`Saved ${normalized.name} for ${where}: ${normalized.emojis.map((emoji) => emoji.code).join(' ')}`);
+        return true;
+    },
+
     insertEmoji(code) {
         this.messageInput.value += code;
         this.updatePreview();
+        this.noteTyping();
     },
 
     regenerateName() {
@@ -2408,6 +4771,237 @@ const Chat = {
         this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
     },
 
+    toggleAccountPanel(open) {
+        this.accountPanel.hidden = !open;
+        this.accountToggleBtn.setAttribute('aria-expanded', String(Boolean(open)));
+        if (open) {
+            document.getElementById('accountName').value = this.identity.accountName || Identity.normalizeAccountName(this.username);
+            document.getElementById('accountPassphrase').value = '';
+            document.getElementById('accountKey').value = '';
+            this.setAccountStatus(this.identity.accountName
+                ? `Signed in as ${this.identity.accountName}. Saving again updates your account.`
+                : `You are ${this.username} on this device. Save an account to be ${this.username} anywhere.`);
+        }
+    },
+
+    setAccountStatus(text, isError = false) {
+        this.accountStatus.textContent = text;
+        this.accountStatus.classList.toggle('error', isError);
+    },
+
+    checkAccountForm(name, passphrase) {
+        if (!Identity.normalizeAccountName(name)) {
+            return 'Pick an account name (letters, numbers, - or _).';
+        }
+        if (String(passphrase || '').length < Identity.minPassphraseLength) {
+            return `Passphrases need at least ${Identity.minPassphraseLength} characters.`;
+        }
+        if (!Identity.canSeal()) {
+            return 'Accounts need a secure (https) page.';
+        }
+        return null;
+    },
+
+    async saveAccount(name, passphrase) {
+        const problem = this.checkAccountForm(name, passphrase);
+        if (problem) {
+            this.setAccountStatus(problem, true);
+            return false;
+        }
+        const accountName = Identity.normalizeAccountName(name);
+        this.setAccountStatus('Saving...');
+        const record = await Identity.sealAccount(this.identity, passphrase);
+        const result = await this.transport.saveAccount(accountName, record);
+        if (!result || !result.ok) {
+            this.setAccountStatus((result && result.reason) || 'Could not save the account.', true);
+            return false;
+        }
+        this.identity.accountName = accountName;
+        Identity.save(this.identity);
+        this.setAccountStatus(`Saved. Restore ${accountName} with your passphrase on any device.`);
+        return true;
+    },
+
+    async restoreAccount(name, passphrase) {
+        const problem = this.checkAccountForm(name, passphrase);
+        if (problem) {
+            this.setAccountStatus(problem, true);
+            return false;
+        }
+        const accountName = Identity.normalizeAccountName(name);
+        this.setAccountStatus('Restoring...');
+        const record = await this.transport.loadAccount(accountName);
+        if (!record) {
+            this.setAccountStatus('No account with that name.', true);
+            return false;
+        }
+        const identity = await Identity.openAccount(record, passphrase);
+        if (!identity) {
+            this.setAccountStatus('That passphrase does not open this account.', true);
+            return false;
+        }
+        identity.accountName = accountName;
+        this.switchIdentity(identity);
+        return true;
+    },
+
+    importIdentityKey(text) {
+        const identity = Identity.importKey(text);
+        if (!identity) {
+            this.setAccountStatus('That is not a ShapeTalk key.', true);
+            return false;
+        }
+        this.switchIdentity(identity);
+        return true;
+    },
+
+    startFreshIdentity() {
+        if (!window.confirm('Forget this identity on this device and start with a new name?')) return false;
+        this.switchIdentity(Identity.create());
+        return true;
+    },
+
+    // Rooms, listeners and the transport are all keyed by userId, so a clean reload is the simplest switch
+    switchIdentity(identity) {
+        Identity.save(identity);
+        this.reloadPage();
+    },
+
+    reloadPage() {
+        window.location.reload();
+    },
+
+    toggleSearchPanel(open) {
+        this.searchPanel.hidden = !open;
+        this.searchToggleBtn.setAttribute('aria-expanded', String(Boolean(open)));
+        if (open) {
+            document.getElementById('searchQuery').focus();
+        }
+    },
+
+    getSearchRooms() {
+        return Array.from(new Set([this.currentRoom, ...this.mainRooms, ...this.dmRooms].filter(Boolean)));
+    },
+
+    // Date inputs are local calendar days; the bounds cover the whole day
+    getSearchQuery() {
+        const dayStart = (value) => (value ? new Date(`${value}T00:00:00`).getTime() : null);
+        const before = dayStart(document.getElementById('searchBefore').value);
+        return {
+            text: document.getElementById('searchQuery').value,
+            sender: document.getElementById('searchSender').value,
+            after: dayStart(document.getElementById('searchAfter').value),
+            before: before === null ? null : before + 24 * 60 * 60 * 1000 - 1,
+            hasDrawing: document.getElementById('searchHasDrawing').checked
+        };
+    },
+
+    async runSearch() {
+        const query = this.getSearchQuery();
+        if (ChatSearch.isEmpty(query)) {
+            this.searchStatus.textContent = 'Type a word, an :emoji: or pick a filter.';
+            this.searchResults.innerHTML = '';
+            return [];
+        }
+        if (!this.transport) return [];
+
+        this.searchRequestId += 1;
+        const requestId = this.searchRequestId;
+        this.searchStatus.textContent = 'Searching...';
+        let results = [];
+        try {
+            results = await this.transport.searchMessages(this.getSearchRooms(), query);
+        } catch (_) {
+            results = [];
+        }
+        // A newer search started while this one was in flight
+        if (requestId !== this.searchRequestId) return results;
+
+        this.renderSearchResults(results, ChatSearch.normalizeQuery(query).terms);
+        return results;
+    },
+
+    getSearchRoomLabel(roomName) {
+        return this.isDmRoom(roomName) ? `DM with ${this.getDmPartnerName(roomName)}` : roomName;
+    },
+
+    highlightSearchText(text, terms) {
+        return ChatSearch.splitHighlights(text, terms)
+            .map((run) => (run.match ? `<mark>${this.escapeHtml(run.text)}</mark>` : this.escapeHtml(run.text)))
+            .join('');
+    },
+
+    renderSearchResults(results, terms) {
+        this.searchStatus.textContent = results.length
+            ? `${results.length} ${results.length === 1 ? 'result' : 'results'}`
+            : 'No messages found.';
+        this.searchResults.innerHTML = '';
+
+        const contextLine = (message) => {
+            if (!message) return '';
+            return `<div class="search-result-context">${this.escapeHtml(message.username || 'Anonymous')}: ${this.escapeHtml(ChatSearch.makeSnippet(message.content || (message.drawing ? '[drawing]' : ''), []))}</div>`;
+        };
+
+        results.forEach((result) => {
+            const message = result.message;
+            const when = new Date(message.timestamp || Date.now());
+            const snippet = ChatSearch.makeSnippet(message.content || '', terms);
+            const li = document.createElement('li');
+            li.className = 'search-result';
+            li.dataset.searchRoom = result.room;
+            li.dataset.searchMessageId = message.messageId;
+            li.tabIndex = 0;
+            li.innerHTML = `
+                <div class="search-result-meta">
+                    <span class="search-result-room">${this.escapeHtml(this.getSearchRoomLabel(result.room))}</span>
+                    <span class="search-result-time">${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </div>
+                ${contextLine(result.previous)}
+                <div class="search-result-hit">
+                    <span class="search-result-sender">${this.escapeHtml(message.username || 'Anonymous')}:</span>
+                    ${this.highlightSearchText(snippet, terms)}${message.drawing ? ' <span class="search-result-drawing">[drawing]</span>' : ''}
+                </div>
+                ${contextLine(result.next)}
+            `;
+            this.searchResults.appendChild(li);
+        });
+    },
+
+    // Opens the room and pages back through history until the message is on screen
+    async jumpToMessage(roomName, messageId) {
+        if (this.isDmRoom(roomName)) {
+            this.registerDmRoom(roomName);
+        }
+        if (this.currentRoom !== roomName) {
+            await this.selectRoom(roomName);
+            if (this.currentRoom !== roomName) return false;
+        }
+
+        for (let page = 0; !this.messageElements[messageId] && page < this.searchMaxHistoryPages; page += 1) {
+            const oldest = this.getOldestMessage();
+            if (!oldest || this.historyExhausted) break;
+            await this.loadOlderMessages();
+            if (this.currentRoom !== roomName) return false;
+            const nextOldest = this.getOldestMessage();
+            if (nextOldest && nextOldest.messageId === oldest.messageId) break;
+        }
+
+        const target = this.messageElements[messageId];
+        if (!target) {
+            this.addSystemMessage('That message is too far back to load.');
+            return false;
+        }
+        this.toggleSearchPanel(false);
+        if (this.mentionsPanel) {
+            this.toggleMentionsPanel(false);
+        }
+        this.chatMessages.scrollTop = target.offsetTop - this.chatMessages.offsetTop
+            - Math.max(0, (this.chatMessages.clientHeight - target.offsetHeight) / 2);
+        target.classList.add('search-hit');
+        setTimeout(() => target.classList.remove('search-hit'), this.searchHighlightMs);
+        return true;
+    },
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
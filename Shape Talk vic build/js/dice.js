@@ -0,0 +1,71 @@
+// Dice for /roll, shared by the ShapeTalk client and the local chat server
+//
+// A roll message only carries the dice, e.g. content '2d6' with kind 'roll'. The faces come from a
+// seed made of the messageId and timestamp the backend gave the message, so every client works out
+// the same result. On the local chat server the sender cannot pick it, since the server assigns both.
+// Firebase only pins the timestamp: the push key comes from the sender's browser and authors may
+// remove their own messages, so a sender can keep rolling until they like the result. The database
+// rules still refuse edits to a roll, so a result nobody removed stays as it was rolled.
+const Dice = {
+    defaultSpec: '1d6',
+    maxCount: 20,
+    minSides: 2,
+    maxSides: 100,
+
+    // '2d6', 'd20' or '' (one six-sided die) -> { count, sides }, or null for anything else
+    parse(spec) {
+        const text = String(spec || '').trim().toLowerCase() || this.defaultSpec;
+        const match = text.match(/^(\d{0,2})d(\d{1,3})$/);
+        if (!match) return null;
+        const count = match[1] ? Number(match[1]) : 1;
+        const sides = Number(match[2]);
+        if (count < 1 || count > this.maxCount || sides < this.minSides || sides > this.maxSides) {
+            return null;
+        }
+        return { count, sides };
+    },
+
+    format(dice) {
+        return `${dice.count}d${dice.sides}`;
+    },
+
+    // FNV-1a, then mulberry32: small and identical in every browser and in Node
+    hashSeed(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i += 1) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    },
+
+    createRandom(seed) {
+        let state = this.hashSeed(String(seed));
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Returns { count, sides, faces, total }, or null when the spec is not a roll this module allows
+    roll(spec, seed) {
+        const dice = this.parse(spec);
+        if (!dice) return null;
+        const random = this.createRandom(seed);
+        const faces = Array.from({ length: dice.count }, () => 1 + Math.floor(random() * dice.sides));
+        return { ...dice, faces, total: faces.reduce((sum, face) => sum + face, 0) };
+    },
+
+    rollFor(message) {
+        if (!message || message.kind !== 'roll') return null;
+        return this.roll(message.content, `${message.messageId}:${message.timestamp}`);
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dice;
+}
@@ -0,0 +1,149 @@
+// DM threads shared by the ShapeTalk client and the local chat server
+//
+// A DM is a thread with its own id, so renaming never moves it. Its room is named DM:<id> and the backend stores:
+//   { id, createdBy, members: { userId: username }, invites: { userId: { username, by } }, updatedAt }
+//   members   who can read and post; each member keeps their own username up to date
+//   invites   people a member asked in, until they accept or decline
+// Older DMs are rooms named 'DM: Amy & Zed' after both usernames; those still open but get no invites.
+const DmThreads = {
+    maxPeople: 8,
+    idPattern: /^dm_[0-9a-z]{8,40}$/,
+
+    createId() {
+        return `dm_${Math.random().toString(36).slice(2, 10)}${Date.now().toString(36)}`;
+    },
+
+    isThreadId(value) {
+        return typeof value === 'string' && this.idPattern.test(value);
+    },
+
+    getRoomName(threadId) {
+        return `DM:${threadId}`;
+    },
+
+    // The thread id behind a DM room name, or null for any other room
+    getThreadId(roomName) {
+        const threadId = String(roomName || '').startsWith('DM:') ? String(roomName).slice(3) : '';
+        return this.isThreadId(threadId) ? threadId : null;
+    },
+
+    // Keeps only the known fields; null when the id is not a thread id
+    normalizeThread(thread) {
+        if (!thread || !this.isThreadId(thread.id)) return null;
+        const members = {};
+        Object.entries(thread.members || {}).forEach(([userId, username]) => {
+            if (typeof username === 'string' && username) members[userId] = username;
+        });
+        const invites = {};
+        Object.entries(thread.invites || {}).forEach(([userId, invite]) => {
+            if (invite && typeof invite.username === 'string' && typeof invite.by === 'string' && !members[userId]) {
+                invites[userId] = { username: invite.username, by: invite.by };
+            }
+        });
+        return {
+            id: thread.id,
+            createdBy: typeof thread.createdBy === 'string' ? thread.createdBy : null,
+            members,
+            invites,
+            updatedAt: Number(thread.updatedAt) || 0
+        };
+    },
+
+    // 'member', 'invited' or null
+    getStatus(thread, userId) {
+        if (!thread || !userId) return null;
+        if (thread.members[userId]) return 'member';
+        return thread.invites[userId] ? 'invited' : null;
+    },
+
+    // Members first, then invites, each by name: [{ userId, username, invited }]
+    getPeople(thread) {
+        const byName = (a, b) => a.username.localeCompare(b.username);
+        return [
+            ...Object.entries(thread.members).map(([userId, username]) => ({ userId, username, invited: false })).sort(byName),
+            ...Object.entries(thread.invites).map(([userId, invite]) => ({ userId, username: invite.username, invited: true })).sort(byName)
+        ];
+    },
+
+    // 'Zed', 'Amy & Zed' or 'Amy, Bob & Zed': everyone but the viewer, members before invites
+    getTitle(thread, viewerId) {
+        const names = this.getPeople(thread).filter((person) => person.userId !== viewerId).map((person) => person.username);
+        if (!names.length) return 'Just you';
+        return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+    },
+
+    // The thread that holds exactly the viewer and one other person, if there is one
+    findDirectThread(threads, viewerId, otherId) {
+        return threads.find((thread) => {
+            const people = this.getPeople(thread).map((person) => person.userId);
+            return people.length === 2 && thread.members[viewerId] && people.includes(otherId);
+        }) || null;
+    },
+
+    // invitees: [{ userId, username }]. Returns { ok, thread } with the invites added, or { ok: false, reason }.
+    invite(thread, byUserId, invitees) {
+        if (!thread.members[byUserId]) {
+            return { ok: false, reason: 'Only people in this DM can invite others.' };
+        }
+        const invites = { ...thread.invites };
+        for (const invitee of invitees || []) {
+            if (!invitee || !invitee.userId || !invitee.username) {
+                return { ok: false, reason: 'Pick someone to invite.' };
+            }
+            if (invitee.userId === byUserId) {
+                return { ok: false, reason: 'You cannot DM yourself.' };
+            }
+            if (thread.members[invitee.userId] || invites[invitee.userId]) {
+                return { ok: false, reason: `${invitee.username} is already in this DM.` };
+            }
+            invites[invitee.userId] = { username: invitee.username, by: byUserId };
+        }
+        if (Object.keys(invites).length === Object.keys(thread.invites).length) {
+            return { ok: false, reason: 'Pick someone to invite.' };
+        }
+        if (Object.keys(thread.members).length + Object.keys(invites).length > this.maxPeople) {
+            return { ok: false, reason: `DMs hold up to ${this.maxPeople} people.` };
+        }
+        return { ok: true, thread: { ...thread, invites } };
+    },
+
+    // A new thread holding its creator, with everyone else invited
+    create(threadId, creator, invitees) {
+        const thread = { id: threadId, createdBy: creator.userId, members: { [creator.userId]: creator.username }, invites: {}, updatedAt: 0 };
+        return this.invite(thread, creator.userId, invitees);
+    },
+
+    accept(thread, userId, username) {
+        if (!thread || !thread.invites[userId]) {
+            return { ok: false, reason: 'That invite is gone.' };
+        }
+        const { [userId]: accepted, ...invites } = thread.invites;
+        return { ok: true, thread: { ...thread, members: { ...thread.members, [userId]: username || accepted.username }, invites } };
+    },
+
+    // Also declines an invite
+    leave(thread, userId) {
+        if (!this.getStatus(thread, userId)) {
+            return { ok: false, reason: 'You are not in that DM.' };
+        }
+        const { [userId]: leftMember, ...members } = thread.members;
+        const { [userId]: leftInvite, ...invites } = thread.invites;
+        return { ok: true, thread: { ...thread, members, invites } };
+    },
+
+    // Renames the user wherever they appear; returns the same thread when nothing changed
+    rename(thread, userId, username) {
+        if (thread.members[userId] && thread.members[userId] !== username) {
+            return { ...thread, members: { ...thread.members, [userId]: username } };
+        }
+        if (thread.invites[userId] && thread.invites[userId].username !== username) {
+            return { ...thread, invites: { ...thread.invites, [userId]: { ...thread.invites[userId], username } } };
+        }
+        return thread;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DmThreads;
+}
@@ -0,0 +1,182 @@
+// Custom emoji packs for EmojiSystem, shared by the ShapeTalk client and the local chat server
+//
+// A pack is made in the pixel editor (or imported as JSON) and stored by the backend:
+//   { id, ownerId, name, scope, emojis: [emoji, ...] }
+//   scope    'global' for every room, or the name of the one room it belongs to
+//   emoji    { code, name, palette, pixels } drawn on a 16x16 grid, or { code, name, svg }
+//   palette  up to 16 '#rrggbb' colors
+//   pixels   16 rows of 16 characters: '.' is transparent and 0-9a-f picks a color from the palette
+//   svg      a hand-made <svg> of at most 4 KB; emojis only ever render as <img>, where scripts do not run
+// Shortcodes are unique across the built-in emojis and every pack, so a code shows the same emoji in every room.
+const EmojiPacks = {
+    gridSize: 16,
+    maxEmojis: 32,
+    maxNameLength: 32,
+    maxScopeLength: 64,
+    maxSvgLength: 4096,
+    maxPaletteSize: 16,
+    codePattern: /^:[a-z0-9_]{2,24}:$/,
+    transparent: '.',
+
+    createId() {
+        return `pack_${Math.random().toString(36).slice(2, 10)}_${Date.now().toString(36)}`;
+    },
+
+    isPackId(value) {
+        return typeof value === 'string' && /^pack_[0-9a-z_]{1,40}$/.test(value);
+    },
+
+    // Accepts 'smile' or ':Smile:' as typed and returns ':smile:', or null if it cannot be a shortcode
+    normalizeCode(value) {
+        const code = `:${String(value || '').trim().replace(/^:|:$/g, '').toLowerCase()}:`;
+        return this.codePattern.test(code) ? code : null;
+    },
+
+    // The editor keeps one color (or null) per pixel; packs store a palette and rows of indexes into it
+    fromColors(colors) {
+        const palette = [];
+        const cells = colors.map((color) => {
+            if (!color) return this.transparent;
+            const normalized = color.toLowerCase();
+            if (!palette.includes(normalized)) palette.push(normalized);
+            return palette.indexOf(normalized).toString(16);
+        });
+        if (palette.length > this.maxPaletteSize || !palette.length) return null;
+        const pixels = [];
+        for (let row = 0; row < this.gridSize; row += 1) {
+            pixels.push(cells.slice(row * this.gridSize, (row + 1) * this.gridSize).join(''));
+        }
+        return { palette, pixels };
+    },
+
+    // Each run of one color along a row becomes a single rect
+    pixelsToSvg(palette, pixels) {
+        const rects = [];
+        pixels.forEach((row, y) => {
+            let x = 0;
+            while (x < row.length) {
+                const cell = row[x];
+                let end = x + 1;
+                while (end < row.length && row[end] === cell) end += 1;
+                if (cell !== this.transparent) {
+                    rects.push(`<rect fill="${palette[parseInt(cell, 16)]}" x="${x}" y="${y}" width="${end - x}" height="1"/>`);
+                }
+                x = end;
+            }
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16" shape-rendering="crispEdges">${rects.join('')}</svg>`;
+    },
+
+    toEmoji(emoji, pack) {
+        return {
+            code: emoji.code,
+            name: emoji.name,
+            svg: emoji.svg || this.pixelsToSvg(emoji.palette, emoji.pixels),
+            packId: pack.id,
+            packName: pack.name
+        };
+    },
+
+    normalizeEmoji(emoji) {
+        if (!emoji || typeof emoji !== 'object') {
+            return { ok: false, reason: 'Every emoji needs a shortcode and a picture.' };
+        }
+        const code = this.normalizeCode(emoji.code);
+        if (!code) {
+            return { ok: false, reason: `${String(emoji.code || 'That')} is not a shortcode. Use 2 to 24 lowercase letters, numbers or _.` };
+        }
+        const name = typeof emoji.name === 'string' && emoji.name.trim() ? emoji.name.trim() : code.slice(1, -1);
+        if (name.length > this.maxNameLength) {
+            return { ok: false, reason: `The name for ${code} can be up to ${this.maxNameLength} characters.` };
+        }
+
+        if (typeof emoji.svg === 'string') {
+            const svg = emoji.svg.trim();
+            if (!svg.startsWith('<svg') || !svg.endsWith('</svg>') || svg.length > this.maxSvgLength) {
+                return { ok: false, reason: `${code} needs an <svg> of up to ${this.maxSvgLength / 1024} KB.` };
+            }
+            return { ok: true, emoji: { code, name, svg } };
+        }
+
+        const palette = Array.isArray(emoji.palette) ? emoji.palette.map((color) => String(color).toLowerCase()) : [];
+        const pixels = Array.isArray(emoji.pixels) ? emoji.pixels.map(String) : [];
+        const validPalette = palette.length >= 1 && palette.length <= this.maxPaletteSize && palette.every((color) => /^#[0-9a-f]{6}$/.test(color));
+        const validPixels = pixels.length === this.gridSize && pixels.every((row) => /^[.0-9a-f]{16}$/.test(row)
+            && row.split('').every((cell) => cell === this.transparent || parseInt(cell, 16) < palette.length));
+        if (!validPalette || !validPixels) {
+            return { ok: false, reason: `${code} needs a 16x16 pixel grid using up to 16 colors, or an SVG.` };
+        }
+        return { ok: true, emoji: { code, name, palette, pixels } };
+    },
+
+    // Returns { ok: true, pack } holding only the known fields, or { ok: false, reason }
+    normalizePack(pack) {
+        if (!pack || typeof pack !== 'object') {
+            return { ok: false, reason: 'That is not an emoji pack.' };
+        }
+        const name = typeof pack.name === 'string' ? pack.name.trim() : '';
+        if (!name || name.length > this.maxNameLength) {
+            return { ok: false, reason: `Give the pack a name of up to ${this.maxNameLength} characters.` };
+        }
+        const scope = typeof pack.scope === 'string' && pack.scope.trim() ? pack.scope.trim() : 'global';
+        if (scope.length > this.maxScopeLength) {
+            return { ok: false, reason: 'Packs belong to every room or to one room.' };
+        }
+        if (!Array.isArray(pack.emojis) || !pack.emojis.length || pack.emojis.length > this.maxEmojis) {
+            return { ok: false, reason: `A pack holds 1 to ${this.maxEmojis} emojis.` };
+        }
+
+        const emojis = [];
+        for (const entry of pack.emojis) {
+            const result = this.normalizeEmoji(entry);
+            if (!result.ok) return result;
+            if (emojis.some((emoji) => emoji.code === result.emoji.code)) {
+                return { ok: false, reason: `${result.emoji.code} is in the pack twice.` };
+            }
+            emojis.push(result.emoji);
+        }
+        return {
+            ok: true,
+            pack: {
+                id: this.isPackId(pack.id) ? pack.id : null,
+                ownerId: typeof pack.ownerId === 'string' ? pack.ownerId : null,
+                name,
+                scope,
+                emojis
+            }
+        };
+    },
+
+    // The first of the pack's codes that a built-in emoji or another pack already uses, or null
+    findCollision(pack, packs, reservedCodes = []) {
+        const taken = new Set(reservedCodes);
+        packs.forEach((other) => {
+            if (other.id !== pack.id) {
+                other.emojis.forEach((emoji) => taken.add(emoji.code));
+            }
+        });
+        const collision = pack.emojis.find((emoji) => taken.has(emoji.code));
+        return collision ? collision.code : null;
+    },
+
+    // Everything usable in roomName: the global packs and that room's own, ready for EmojiSystem
+    getEmojis(packs, roomName) {
+        return packs
+            .filter((pack) => pack.scope === 'global' || pack.scope === roomName)
+            .flatMap((pack) => pack.emojis.map((emoji) => this.toEmoji(emoji, pack)));
+    },
+
+    // Imported files carry a pack without id or owner; those come from whoever imports it
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (_) {
+            return null;
+        }
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmojiPacks;
+}
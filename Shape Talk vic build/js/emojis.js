@@ -366,31 +366,56 @@ const EmojiSystem = {
         }
     ],
 
+    // Emojis from custom packs (see emoji-packs.js) that can be used in the current room
+    customEmojis: [],
+
+    setCustomEmojis(emojis) {
+        this.customEmojis = Array.isArray(emojis) ? emojis : [];
+    },
+
+    getEmojiList() {
+        return this.customEmojis.length ? [...this.emojis, ...this.customEmojis] : this.emojis;
+    },
+
+    // Custom emoji names are typed by users, so they are escaped before going into markup
+    escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
     // Convert emoji code to img tag with data URI
-    codeToImg(code) {
-        const emoji = this.emojis.find(e => e.code === code);
+    codeToImg(code, emojis = this.getEmojiList()) {
+        const emoji = emojis.find(e => e.code === code);
         if (emoji) {
             const dataUri = 'data:image/svg+xml,' + encodeURIComponent(emoji.svg);
-            return `<img class="emoji" src="${dataUri}" alt="${emoji.name}" title="${emoji.code}">`;
+            return `<img class="emoji" src="${dataUri}" alt="${this.escapeAttribute(emoji.name)}" title="${emoji.code}">`;
         }
         return code;
     },
 
-    // Parse text and replace emoji codes with images
-    parseEmojis(text) {
-        let result = text;
-        this.emojis.forEach(emoji => {
-            const regex = new RegExp(emoji.code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-            result = result.replace(regex, this.codeToImg(emoji.code));
-        });
-        return result;
+    // Longest codes first, so one code that contains another is matched whole
+    getCodePattern(emojis) {
+        const codes = emojis.map(emoji => emoji.code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .sort((a, b) => b.length - a.length);
+        return new RegExp(codes.join('|'), 'g');
+    },
+
+    // Parse text and replace emoji codes with images, in one pass so inserted markup is never matched again
+    parseEmojis(text, emojis = this.getEmojiList()) {
+        return text.replace(this.getCodePattern(emojis), (code) => this.codeToImg(code, emojis));
+    },
+
+    isEmojiOnlyText(text, emojis = this.getEmojiList()) {
+        const input = String(text || '').trim();
+        if (!input) return false;
+        return input.replace(this.getCodePattern(emojis), ' ').replace(/\s+/g, '').length === 0;
     },
 
     // Get all emoji data URIs for picker
     getAllEmojis() {
-        return this.emojis.map(emoji => ({
+        return this.getEmojiList().map(emoji => ({
             code: emoji.code,
             name: emoji.name,
+            packName: emoji.packName || null,
             dataUri: 'data:image/svg+xml,' + encodeURIComponent(emoji.svg)
         }));
     },
@@ -403,9 +428,10 @@ const EmojiSystem = {
         container.innerHTML = '';
         this.getAllEmojis().forEach(emoji => {
             const item = document.createElement('div');
-            item.className = 'emoji-item';
-            item.title = emoji.code;
-            item.innerHTML = `<img src="${emoji.dataUri}" alt="${emoji.name}">`;
+            item.className = emoji.packName ? 'emoji-item emoji-item-custom' : 'emoji-item';
+            item.title = emoji.packName ? `${emoji.code} from ${emoji.packName}` : emoji.code;
+            item.dataset.code = emoji.code;
+            item.innerHTML = `<img src="${emoji.dataUri}" alt="${this.escapeAttribute(emoji.name)}">`;
             item.addEventListener('click', () => onSelect(emoji.code));
             container.appendChild(item);
         });
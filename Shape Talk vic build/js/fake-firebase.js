@@ -0,0 +1,610 @@
+// In-memory stand-in for the Firebase Realtime Database (compat API subset used by ShapeTalk)
+//
+// One backend holds the data tree; every namespace created from it acts like a separate
+// browser tab connected to the same project:
+//   const backend = FakeFirebase.createBackend();
+//   const firebase = FakeFirebase.createNamespace(backend);   // drop-in for window.firebase
+//   firebase.database().goOffline();                          // runs this client's onDisconnect() writes
+//
+// Supported: ref/child/parent/root/key, push, set, update (multi-path), remove, transaction,
+// once('value'), on/off for value and child_added/child_changed/child_removed,
+// orderByChild/orderByKey, limitToFirst/limitToLast, startAt/startAfter/endAt/endBefore/equalTo,
+// onDisconnect(), ServerValue.TIMESTAMP/increment, .info/connected and anonymous auth().
+// Security rules are not evaluated; database.rules.json is tested against the Firebase emulator instead.
+// Open the app with ?fakeFirebase=1 to run it on this instead of the real project.
+const FakeFirebase = (() => {
+    const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+    const INVALID_KEY = /[.#$[\]]/;
+
+    const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+    const splitPath = (path) => String(path || '')
+        .split('/')
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+    const joinPath = (parts) => parts.join('/');
+
+    const validateParts = (parts) => {
+        parts.forEach((part) => {
+            if (part !== '.info' && INVALID_KEY.test(part)) {
+                throw new Error(`Firebase.child failed: "${part}" contains one of ".", "#", "$", "[", or "]"`);
+            }
+        });
+    };
+
+    // Firebase drops empty objects and nulls, and stores arrays as index-keyed objects
+    const normalize = (value) => {
+        if (value === undefined || value === null) return null;
+        if (Array.isArray(value)) {
+            const out = {};
+            value.forEach((item, index) => {
+                const normalized = normalize(item);
+                if (normalized !== null) out[index] = normalized;
+            });
+            return Object.keys(out).length ? out : null;
+        }
+        if (typeof value === 'object') {
+            const out = {};
+            Object.keys(value).forEach((key) => {
+                const normalized = normalize(value[key]);
+                if (normalized !== null) out[key] = normalized;
+            });
+            return Object.keys(out).length ? out : null;
+        }
+        return value;
+    };
+
+    const toExportValue = (value) => {
+        if (value === null || typeof value !== 'object') return value;
+        const keys = Object.keys(value);
+        const isArrayLike = keys.length > 0 && keys.every((key) => /^(0|[1-9]\d*)$/.test(key)) &&
+            Math.max(...keys.map(Number)) < keys.length * 2;
+        if (isArrayLike) {
+            const out = [];
+            keys.forEach((key) => {
+                out[Number(key)] = toExportValue(value[key]);
+            });
+            return out;
+        }
+        const out = {};
+        keys.forEach((key) => {
+            out[key] = toExportValue(value[key]);
+        });
+        return out;
+    };
+
+    const getAt = (tree, parts) => {
+        let node = tree;
+        for (const part of parts) {
+            if (node === null || typeof node !== 'object' || !(part in node)) return null;
+            node = node[part];
+        }
+        return node === undefined ? null : node;
+    };
+
+    const setAt = (tree, parts, value) => {
+        if (!parts.length) return normalize(value) || {};
+        const root = tree && typeof tree === 'object' ? tree : {};
+        const stack = [root];
+        let node = root;
+        for (let i = 0; i < parts.length - 1; i += 1) {
+            if (node[parts[i]] === null || typeof node[parts[i]] !== 'object') {
+                node[parts[i]] = {};
+            }
+            node = node[parts[i]];
+            stack.push(node);
+        }
+        const normalized = normalize(value);
+        if (normalized === null) {
+            delete node[parts[parts.length - 1]];
+        } else {
+            node[parts[parts.length - 1]] = normalized;
+        }
+        // Prune parents emptied by the write
+        for (let i = parts.length - 2; i >= 0; i -= 1) {
+            const parent = stack[i];
+            const child = parent[parts[i]];
+            if (child && typeof child === 'object' && !Object.keys(child).length) {
+                delete parent[parts[i]];
+            }
+        }
+        return root;
+    };
+
+    const resolveServerValues = (value, currentValue, now) => {
+        if (value === null || typeof value !== 'object') return value;
+        if (value['.sv'] === 'timestamp') return now;
+        if (value['.sv'] && typeof value['.sv'] === 'object' && 'increment' in value['.sv']) {
+            return (typeof currentValue === 'number' ? currentValue : 0) + Number(value['.sv'].increment);
+        }
+        const out = Array.isArray(value) ? [] : {};
+        Object.keys(value).forEach((key) => {
+            out[key] = resolveServerValues(value[key], currentValue && typeof currentValue === 'object' ? currentValue[key] : null, now);
+        });
+        return out;
+    };
+
+    const typeRank = (value) => {
+        if (value === null || value === undefined) return 0;
+        if (value === false) return 1;
+        if (value === true) return 2;
+        if (typeof value === 'number') return 3;
+        if (typeof value === 'string') return 4;
+        return 5;
+    };
+
+    const compareKeys = (a, b) => {
+        const aInt = /^-?(0|[1-9]\d*)$/.test(a);
+        const bInt = /^-?(0|[1-9]\d*)$/.test(b);
+        if (aInt && bInt) return Number(a) - Number(b);
+        if (aInt) return -1;
+        if (bInt) return 1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    };
+
+    const compareValues = (a, b) => {
+        const rankDiff = typeRank(a) - typeRank(b);
+        if (rankDiff !== 0) return rankDiff;
+        if (typeof a === 'number' || typeof a === 'string') {
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+        return 0;
+    };
+
+    const createPushIdGenerator = () => {
+        let lastPushTime = 0;
+        const lastRandChars = [];
+        return (now) => {
+            const duplicateTime = now === lastPushTime;
+            lastPushTime = now;
+            const timeStampChars = new Array(8);
+            let time = now;
+            for (let i = 7; i >= 0; i -= 1) {
+                timeStampChars[i] = PUSH_CHARS.charAt(time % 64);
+                time = Math.floor(time / 64);
+            }
+            let id = timeStampChars.join('');
+            if (!duplicateTime) {
+                for (let i = 0; i < 12; i += 1) {
+                    lastRandChars[i] = Math.floor(Math.random() * 64);
+                }
+            } else {
+                let i = 11;
+                for (; i >= 0 && lastRandChars[i] === 63; i -= 1) {
+                    lastRandChars[i] = 0;
+                }
+                lastRandChars[i] += 1;
+            }
+            for (let i = 0; i < 12; i += 1) {
+                id += PUSH_CHARS.charAt(lastRandChars[i]);
+            }
+            return id;
+        };
+    };
+
+    function createSnapshot(ref, value, orderedKeys) {
+        const exported = toExportValue(value);
+        const childKeys = () => {
+            if (orderedKeys) return orderedKeys;
+            if (value === null || typeof value !== 'object') return [];
+            return Object.keys(value).sort(compareKeys);
+        };
+        return {
+            key: ref.key,
+            ref,
+            val: () => clone(exported),
+            exportVal: () => clone(exported),
+            exists: () => value !== null,
+            hasChildren: () => childKeys().length > 0,
+            numChildren: () => childKeys().length,
+            hasChild: (path) => getAt(value, splitPath(path)) !== null,
+            child: (path) => createSnapshot(ref.child(path), getAt(value, splitPath(path))),
+            forEach(callback) {
+                const keys = childKeys();
+                for (const key of keys) {
+                    if (callback(createSnapshot(ref.child(key), value[key])) === true) {
+                        return true;
+                    }
+                }
+                return false;
+            },
+            toJSON: () => clone(exported)
+        };
+    }
+
+    function createBackend(options = {}) {
+        const backend = {
+            data: {},
+            clients: new Set(),
+            now: options.now || (() => Date.now()),
+            nextPushId: createPushIdGenerator(),
+
+            read(parts) {
+                return getAt(this.data, parts);
+            },
+
+            // Applies { 'path/to/key': value } writes atomically and notifies every online client
+            write(updates) {
+                const now = this.now();
+                Object.keys(updates).forEach((path) => {
+                    const parts = splitPath(path);
+                    const resolved = resolveServerValues(updates[path], this.read(parts), now);
+                    this.data = setAt(this.data, parts, resolved) || {};
+                });
+                this.notify();
+            },
+
+            notify() {
+                this.clients.forEach((client) => {
+                    if (client.online) client.refreshListeners();
+                });
+            },
+
+            toJSON() {
+                return clone(this.data);
+            },
+
+            reset(data = {}) {
+                this.data = normalize(data) || {};
+                this.notify();
+            }
+        };
+        return backend;
+    }
+
+    function createClient(backend) {
+        const client = {
+            backend,
+            online: true,
+            listeners: [],
+            pendingWrites: [],
+            disconnectWrites: new Map(),
+
+            write(updates) {
+                if (!this.online) {
+                    return new Promise((resolve) => {
+                        this.pendingWrites.push({ updates, resolve });
+                    });
+                }
+                this.backend.write(updates);
+                return Promise.resolve();
+            },
+
+            readLocal(parts) {
+                if (parts[0] === '.info') {
+                    return parts[1] === 'connected' ? this.online : null;
+                }
+                return this.backend.read(parts);
+            },
+
+            refreshListeners() {
+                this.listeners.slice().forEach((listener) => listener.refresh());
+            },
+
+            goOffline() {
+                if (!this.online) return;
+                this.online = false;
+                const writes = Array.from(this.disconnectWrites.values());
+                this.disconnectWrites.clear();
+                writes.forEach((updates) => this.backend.write(updates));
+                this.refreshListeners();
+            },
+
+            goOnline() {
+                if (this.online) return;
+                this.online = true;
+                const pending = this.pendingWrites;
+                this.pendingWrites = [];
+                pending.forEach(({ updates, resolve }) => {
+                    this.backend.write(updates);
+                    resolve();
+                });
+                this.refreshListeners();
+            }
+        };
+        backend.clients.add(client);
+        return client;
+    }
+
+    function createQuery(client, parts, params = {}, ownerRef = null) {
+        const query = {
+            ref: ownerRef,
+            params,
+
+            getEntries() {
+                const value = client.readLocal(parts);
+                if (value === null || typeof value !== 'object') return null;
+                const orderKey = params.orderByChild || null;
+                const sortValue = (key) => {
+                    if (!orderKey) return key;
+                    return orderKey === '.value' ? value[key] : getAt(value[key], splitPath(orderKey));
+                };
+                const comparePair = (a, b) => {
+                    if (!orderKey) return compareKeys(a.key, b.key);
+                    return compareValues(a.sortValue, b.sortValue) || compareKeys(a.key, b.key);
+                };
+                const bound = (limit) => (limit ? { key: limit.key, sortValue: limit.value } : null);
+
+                let entries = Object.keys(value).map((key) => ({ key, sortValue: sortValue(key) }));
+                entries.sort(comparePair);
+
+                const start = bound(params.startAt);
+                const after = bound(params.startAfter);
+                const end = bound(params.endAt);
+                const before = bound(params.endBefore);
+                const compareToBound = (entry, target) => {
+                    if (!orderKey) return compareKeys(entry.key, String(target.sortValue));
+                    const diff = compareValues(entry.sortValue, target.sortValue);
+                    if (diff !== 0 || target.key === undefined) return diff;
+                    return compareKeys(entry.key, target.key);
+                };
+                entries = entries.filter((entry) => {
+                    if (start && compareToBound(entry, start) < 0) return false;
+                    if (after && compareToBound(entry, after) <= 0) return false;
+                    if (end && compareToBound(entry, end) > 0) return false;
+                    if (before && compareToBound(entry, before) >= 0) return false;
+                    return true;
+                });
+
+                if (params.limitToFirst) entries = entries.slice(0, params.limitToFirst);
+                if (params.limitToLast) entries = entries.slice(-params.limitToLast);
+                return { value, keys: entries.map((entry) => entry.key) };
+            },
+
+            snapshot() {
+                if (!params.filtered) {
+                    return createSnapshot(this.ref, client.readLocal(parts));
+                }
+                const result = this.getEntries();
+                if (!result || !result.keys.length) return createSnapshot(this.ref, null);
+                const filteredValue = {};
+                result.keys.forEach((key) => {
+                    filteredValue[key] = result.value[key];
+                });
+                return createSnapshot(this.ref, filteredValue, result.keys);
+            },
+
+            derive(extra) {
+                return createQuery(client, parts, { ...params, ...extra, filtered: true }, this.ref);
+            },
+
+            orderByChild(path) { return this.derive({ orderByChild: path }); },
+            orderByKey() { return this.derive({ orderByChild: null }); },
+            orderByValue() { return this.derive({ orderByChild: '.value' }); },
+            limitToFirst(limit) { return this.derive({ limitToFirst: limit }); },
+            limitToLast(limit) { return this.derive({ limitToLast: limit }); },
+            startAt(value, key) { return this.derive({ startAt: { value, key } }); },
+            startAfter(value, key) { return this.derive({ startAfter: { value, key } }); },
+            endAt(value, key) { return this.derive({ endAt: { value, key } }); },
+            endBefore(value, key) { return this.derive({ endBefore: { value, key } }); },
+            equalTo(value, key) { return this.derive({ startAt: { value, key }, endAt: { value, key } }); },
+
+            once(eventType = 'value', callback) {
+                const snapshot = this.snapshot();
+                if (eventType !== 'value') {
+                    return Promise.reject(new Error(`once('${eventType}') is not supported by FakeFirebase`));
+                }
+                if (typeof callback === 'function') callback(snapshot);
+                return Promise.resolve(snapshot);
+            },
+
+            on(eventType, callback) {
+                const listener = {
+                    query: this,
+                    eventType,
+                    callback,
+                    lastKeys: [],
+                    lastValues: {},
+                    lastJSON: undefined,
+                    refresh() {
+                        const snapshot = this.query.snapshot();
+                        if (this.eventType === 'value') {
+                            const json = JSON.stringify(snapshot.val());
+                            if (json !== this.lastJSON) {
+                                this.lastJSON = json;
+                                this.callback(snapshot);
+                            }
+                            return;
+                        }
+                        const keys = [];
+                        const values = {};
+                        snapshot.forEach((child) => {
+                            keys.push(child.key);
+                            values[child.key] = JSON.stringify(child.val());
+                        });
+                        const previousKeys = new Set(this.lastKeys);
+                        const nextKeys = new Set(keys);
+                        const previousValues = this.lastValues;
+                        this.lastKeys = keys;
+                        this.lastValues = values;
+                        if (this.eventType === 'child_removed') {
+                            previousKeys.forEach((key) => {
+                                if (!nextKeys.has(key)) {
+                                    this.callback(createSnapshot(this.query.ref.child(key), JSON.parse(previousValues[key])));
+                                }
+                            });
+                            return;
+                        }
+                        keys.forEach((key) => {
+                            if (this.eventType === 'child_added' && !previousKeys.has(key)) {
+                                this.callback(snapshot.child(key));
+                            } else if (this.eventType === 'child_changed' && previousKeys.has(key) && previousValues[key] !== values[key]) {
+                                this.callback(snapshot.child(key));
+                            }
+                        });
+                    }
+                };
+                client.listeners.push(listener);
+                listener.refresh();
+                return callback;
+            },
+
+            // off() on a plain reference also detaches queries built from it, like the real SDK
+            off(eventType, callback) {
+                const matchesQuery = (listener) => listener.query === this ||
+                    (!params.filtered && joinPath(listener.query.path) === joinPath(parts));
+                client.listeners = client.listeners.filter((listener) => {
+                    if (!matchesQuery(listener)) return true;
+                    if (eventType && listener.eventType !== eventType) return true;
+                    if (callback && listener.callback !== callback) return true;
+                    return false;
+                });
+            },
+
+            path: parts,
+
+            toString() {
+                return joinPath(parts);
+            }
+        };
+        return query;
+    }
+
+    function createRef(client, parts) {
+        validateParts(parts);
+        const ref = createQuery(client, parts, {});
+        ref.ref = ref;
+        ref.key = parts.length ? parts[parts.length - 1] : null;
+
+        ref.child = (path) => createRef(client, [...parts, ...splitPath(path)]);
+        Object.defineProperty(ref, 'parent', {
+            get: () => (parts.length ? createRef(client, parts.slice(0, -1)) : null)
+        });
+        Object.defineProperty(ref, 'root', {
+            get: () => createRef(client, [])
+        });
+
+        ref.set = (value) => client.write({ [joinPath(parts)]: clone(value) });
+
+        ref.update = (values) => {
+            const updates = {};
+            Object.keys(values || {}).forEach((path) => {
+                updates[joinPath([...parts, ...splitPath(path)])] = clone(values[path]);
+            });
+            return client.write(updates);
+        };
+
+        ref.remove = () => client.write({ [joinPath(parts)]: null });
+
+        ref.push = (value) => {
+            const childRef = ref.child(client.backend.nextPushId(client.backend.now()));
+            if (value === undefined) return childRef;
+            const promise = childRef.set(value);
+            childRef.then = promise.then.bind(promise);
+            childRef.catch = promise.catch.bind(promise);
+            return childRef;
+        };
+
+        ref.transaction = async (updateFn) => {
+            const current = clone(client.readLocal(parts));
+            const next = updateFn(current);
+            if (next === undefined) {
+                return { committed: false, snapshot: createSnapshot(ref, client.readLocal(parts)) };
+            }
+            await client.write({ [joinPath(parts)]: clone(next) });
+            return { committed: true, snapshot: createSnapshot(ref, client.readLocal(parts)) };
+        };
+
+        ref.onDisconnect = () => {
+            const path = joinPath(parts);
+            const queue = (updates) => {
+                client.disconnectWrites.set(`${path}:${Object.keys(updates).join(',')}`, updates);
+                return Promise.resolve();
+            };
+            return {
+                set: (value) => queue({ [path]: clone(value) }),
+                remove: () => queue({ [path]: null }),
+                update: (values) => {
+                    const updates = {};
+                    Object.keys(values || {}).forEach((key) => {
+                        updates[joinPath([...parts, ...splitPath(key)])] = clone(values[key]);
+                    });
+                    return queue(updates);
+                },
+                cancel: () => {
+                    Array.from(client.disconnectWrites.keys()).forEach((key) => {
+                        if (key === path || key.startsWith(`${path}:`) || key.startsWith(`${path}/`)) {
+                            client.disconnectWrites.delete(key);
+                        }
+                    });
+                    return Promise.resolve();
+                }
+            };
+        };
+
+        ref.toString = () => joinPath(parts);
+        return ref;
+    }
+
+    function createDatabase(client) {
+        return {
+            ref: (path) => createRef(client, splitPath(path)),
+            goOffline: () => client.goOffline(),
+            goOnline: () => client.goOnline(),
+            client
+        };
+    }
+
+    // A firebase-compat namespace bound to one simulated connection
+    function createNamespace(backend = createBackend()) {
+        const client = createClient(backend);
+        const db = createDatabase(client);
+        const apps = [];
+        const auth = {
+            currentUser: null,
+            signInAnonymously() {
+                if (!auth.currentUser) {
+                    auth.currentUser = { uid: `anon_${Math.random().toString(36).slice(2, 12)}`, isAnonymous: true };
+                }
+                return Promise.resolve({ user: auth.currentUser });
+            }
+        };
+        const namespace = {
+            apps,
+            backend,
+            client,
+            initializeApp(config) {
+                const app = { name: '[DEFAULT]', options: { ...config }, database: () => db };
+                apps.push(app);
+                return app;
+            },
+            app() {
+                if (!apps.length) throw new Error('No Firebase App \'[DEFAULT]\' has been created');
+                return apps[0];
+            },
+            auth: () => auth,
+            database: Object.assign(() => db, {
+                ServerValue: {
+                    TIMESTAMP: { '.sv': 'timestamp' },
+                    increment: (delta) => ({ '.sv': { increment: delta } })
+                }
+            })
+        };
+        return namespace;
+    }
+
+    return {
+        createBackend,
+        createNamespace,
+        sharedBackend: null,
+
+        // Installs a fake window.firebase when the page asks for it with ?fakeFirebase=1
+        installIfRequested(win) {
+            if (!win || !/[?&]fakeFirebase=1\b/.test(win.location.search || '')) return false;
+            this.sharedBackend = this.sharedBackend || createBackend();
+            win.firebase = createNamespace(this.sharedBackend);
+            console.log('Using in-memory FakeFirebase database');
+            return true;
+        }
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    FakeFirebase.installIfRequested(window);
+}
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FakeFirebase;
+}
@@ -4,8 +4,13 @@ const FirebaseChat = {
     roomRef: null,
     usersRef: null,
     messagesRef: null,
+    typingRef: null,
+    kickRef: null,
+    isModerator: false,
     currentRoom: 'Lobby',
     userId: null,
+    secret: null,
+    authReady: null,
     username: null,
     mood: ':happy:',
     lastMessageKey: null,
@@ -16,6 +21,7 @@ const FirebaseChat = {
         this.username = userProfile.username || null;
         this.mood = userProfile.mood || ':happy:';
         this.userId = userProfile.userId || this.generateUserId();
+        this.secret = userProfile.secret || null;
 
         if (typeof firebase === 'undefined') {
             console.warn('Firebase not loaded, using demo mode');
@@ -36,7 +42,9 @@ const FirebaseChat = {
             }
 
             this.setupRoom(this.currentRoom);
+            this.authReady = this.authenticate();
             this.joinRoom();
+            this.listenForModeratorRole();
             return true;
         } catch (error) {
             console.error('Firebase chat init error:', error);
@@ -48,6 +56,31 @@ const FirebaseChat = {
         return 'user_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
     },
 
+    // database.rules.json only lets an anonymous auth uid write as a userId it has claimed under
+    // identities/. The identity secret is what lets the same user reclaim it from a new session or device.
+    async authenticate() {
+        if (typeof firebase.auth !== 'function') {
+            return false;
+        }
+
+        try {
+            const auth = firebase.auth();
+            if (!auth.currentUser) {
+                await auth.signInAnonymously();
+            }
+            await this.database.ref(`identities/${this.userId}`).set({
+                uid: auth.currentUser.uid,
+                secret: this.secret
+            });
+            // Reads only carry the auth uid, so the rules look up the userId behind it here
+            await this.database.ref(`uids/${auth.currentUser.uid}`).set(this.userId);
+            return true;
+        } catch (error) {
+            console.warn('Firebase sign-in failed, writes will be refused:', error);
+            return false;
+        }
+    },
+
     getRoomConfig(roomName) {
         if (window.ShapeChat && typeof window.ShapeChat.getRoomConfig === 'function') {
             return window.ShapeChat.getRoomConfig(roomName);
@@ -61,12 +94,56 @@ const FirebaseChat = {
         this.roomRef = this.database.ref(`rooms/${roomName}`);
         this.usersRef = this.roomRef.child('users');
         this.messagesRef = this.roomRef.child('messages');
+        this.typingRef = this.roomRef.child('typing');
+    },
+
+    // Bans live outside rooms/ so they outlast ephemeral rooms being cleaned up
+    async getBan(roomName) {
+        const snapshot = await this.database.ref(`moderation/bans/${roomName}/${this.userId}`).once('value');
+        return snapshot.val();
+    },
+
+    // The rules only take a key under roomKeys/ that matches the room's unreadable code, so a
+    // refused write is a wrong code. Posting in the room needs that key too.
+    async unlockRoom(roomName, joinCode) {
+        if (!joinCode) {
+            return { ok: false, reason: `${roomName} needs a join code.` };
+        }
+        try {
+            await this.database.ref(`roomKeys/${roomName}/${this.userId}`).set(joinCode);
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: 'That join code is wrong.' };
+        }
     },
 
-    async canJoinRoom(roomName) {
+    async canJoinRoom(roomName, joinCode = null) {
+        const ban = await this.getBan(roomName);
+        if (Moderation.isBanned(ban)) {
+            return { ok: false, reason: Moderation.getBanReason(roomName, ban) };
+        }
+
+        const threadId = DmThreads.getThreadId(roomName);
+        if (threadId) {
+            const member = await this.database.ref(`dmThreads/${threadId}/members/${this.userId}`).once('value');
+            if (!member.exists()) {
+                return { ok: false, reason: 'You are not in that DM.' };
+            }
+        }
+
+        const roomConfig = this.getRoomConfig(roomName);
+        if (roomConfig.archived) {
+            return { ok: false, reason: `${roomName} has been archived.` };
+        }
+        if (roomConfig.hasJoinCode && roomConfig.ownerId !== this.userId) {
+            const unlocked = await this.unlockRoom(roomName, joinCode);
+            if (!unlocked.ok) {
+                return unlocked;
+            }
+        }
+
         const roomRef = this.database.ref(`rooms/${roomName}`);
         const usersRef = roomRef.child('users');
-        const roomConfig = this.getRoomConfig(roomName);
         if (!roomConfig.maxUsers) {
             return { ok: true };
         }
@@ -94,22 +171,31 @@ const FirebaseChat = {
         return { ok: true };
     },
 
+    // The rooms the menu can show: built-in, user-made and this user's DMs
+    getMenuRoomNames() {
+        const chat = window.ShapeChat || {};
+        return Array.from(new Set([...Object.keys(RoomConfigs.rooms), ...Object.keys(chat.customRooms || {}), ...(chat.dmRooms || [])]));
+    },
+
+    // rooms/ is not readable as a whole, so each room is counted on its own and rooms the rules
+    // keep this user out of are left out
     async getRoomOccupancyCounts() {
         if (!this.database) return {};
-        const snapshot = await this.database.ref('rooms').once('value');
         const counts = {};
 
-        snapshot.forEach((roomSnapshot) => {
-            const roomName = roomSnapshot.key;
-            let count = 0;
-            roomSnapshot.child('users').forEach((userSnapshot) => {
-                const user = userSnapshot.val();
-                if (user && user.online) {
-                    count += 1;
-                }
-            });
-            counts[roomName] = count;
-        });
+        await Promise.all(this.getMenuRoomNames().map(async (roomName) => {
+            try {
+                const snapshot = await this.database.ref(`rooms/${roomName}/users`).once('value');
+                let count = 0;
+                snapshot.forEach((userSnapshot) => {
+                    const user = userSnapshot.val();
+                    if (user && user.online) {
+                        count += 1;
+                    }
+                });
+                counts[roomName] = count;
+            } catch (_) {}
+        }));
 
         return counts;
     },
@@ -122,21 +208,14 @@ const FirebaseChat = {
         window.ShapeChat.updateRoomMenuOccupancy(counts);
     },
 
-    listenForRoomList(onRooms) {
-        if (!this.database || typeof onRooms !== 'function') return () => {};
-        const roomsRef = this.database.ref('rooms');
-        const handler = (snapshot) => {
-            const roomNames = [];
-            snapshot.forEach((roomSnapshot) => {
-                roomNames.push(roomSnapshot.key);
-            });
-            onRooms(roomNames);
-        };
-        roomsRef.on('value', handler);
-        return () => roomsRef.off('value', handler);
+    // There is no list of room names to follow, since rooms/ is not readable as a whole. Thread DMs
+    // arrive through dmInbox and user-made rooms through customRooms instead.
+    listenForRoomList() {
+        return () => {};
     },
 
     async joinRoom() {
+        await this.authReady;
         const canJoin = await this.canJoinRoom(this.currentRoom);
         if (!canJoin.ok) {
             return canJoin;
@@ -159,6 +238,8 @@ const FirebaseChat = {
 
         this.listenForUsers();
         this.listenForMessages();
+        this.listenForTyping();
+        this.listenForKicks();
         await this.syncRoomOccupancyCounts();
         return { ok: true };
     },
@@ -189,66 +270,188 @@ const FirebaseChat = {
         });
     },
 
+    listenForTyping() {
+        this.typingRef.on('value', (snapshot) => {
+            const users = [];
+            snapshot.forEach((childSnapshot) => {
+                const entry = childSnapshot.val();
+                if (entry) {
+                    users.push({ id: childSnapshot.key, username: entry.username, at: entry.at });
+                }
+            });
+
+            if (window.ShapeChat && window.ShapeChat.updateTypingUsers) {
+                window.ShapeChat.updateTypingUsers(users);
+            }
+        });
+    },
+
+    async setTyping(isTyping) {
+        if (!this.typingRef || !this.userId) return;
+        const typingRef = this.typingRef.child(this.userId);
+        if (!isTyping) {
+            await typingRef.remove();
+            return;
+        }
+        await typingRef.set({
+            username: this.username,
+            at: firebase.database.ServerValue.TIMESTAMP
+        });
+        typingRef.onDisconnect().remove();
+    },
+
+    listenForModeratorRole() {
+        this.database.ref(`moderators/${this.userId}`).on('value', (snapshot) => {
+            this.isModerator = snapshot.val() === true;
+            if (window.ShapeChat && window.ShapeChat.setModerator) {
+                window.ShapeChat.setModerator(this.isModerator);
+            }
+        });
+    },
+
+    listenForKicks() {
+        const roomName = this.currentRoom;
+        const kickRef = this.database.ref(`moderation/kicks/${roomName}/${this.userId}`);
+        let initial = true;
+        this.kickRef = kickRef;
+        kickRef.on('value', (snapshot) => {
+            const kick = snapshot.val();
+            // A kick from an earlier visit is already there when we join; only new ones remove us
+            if (initial) {
+                initial = false;
+                return;
+            }
+            if (!kick || this.currentRoom !== roomName) return;
+            const reason = Moderation.isBanned(kick) ? Moderation.getBanReason(roomName, kick) : Moderation.getKickReason(roomName);
+            if (window.ShapeChat && window.ShapeChat.handleRemovedFromRoom) {
+                window.ShapeChat.handleRemovedFromRoom(roomName, reason);
+            }
+        });
+    },
+
+    async kickUser(roomName, userId, until = null) {
+        if (!this.isModerator) {
+            return { ok: false, reason: 'Only moderators can do that.' };
+        }
+        const kick = { by: this.userId, at: firebase.database.ServerValue.TIMESTAMP };
+        if (until) {
+            kick.until = until;
+        }
+        await this.database.ref(`moderation/kicks/${roomName}/${userId}`).set(kick);
+        return { ok: true };
+    },
+
+    async banUser(roomName, userId, minutes) {
+        if (!this.isModerator) {
+            return { ok: false, reason: 'Only moderators can do that.' };
+        }
+        const until = Date.now() + Moderation.normalizeBanMinutes(minutes) * 60000;
+        await this.database.ref(`moderation/bans/${roomName}/${userId}`).set({ until, by: this.userId });
+        return this.kickUser(roomName, userId, until);
+    },
+
+    async reportMessage(report) {
+        await this.database.ref('moderation/reports').push({
+            ...report,
+            at: firebase.database.ServerValue.TIMESTAMP
+        });
+        return { ok: true };
+    },
+
+    toChatMessage(key, message) {
+        const data = message || {};
+        return {
+            messageId: key,
+            userId: data.userId,
+            username: data.username,
+            mood: data.mood || ':happy:',
+            content: data.content || '',
+            drawing: data.drawing || null,
+            kind: data.kind || null,
+            timestamp: data.timestamp || Date.now(),
+            replyTo: data.replyTo || null,
+            reactions: data.reactions || {},
+            messageBgColor: data.messageBgColor || null,
+            editedAt: data.editedAt || null,
+            deleted: Boolean(data.deleted),
+            clientId: data.clientId || null
+        };
+    },
+
     listenForMessages() {
         this.messagesRef.limitToLast(50).on('child_added', (snapshot) => {
             if (snapshot.key === this.lastMessageKey) {
                 this.lastMessageKey = null;
             }
 
-            const message = snapshot.val();
-            
             if (window.ShapeChat && window.ShapeChat.addMessage) {
-                window.ShapeChat.addMessage({
-                    messageId: snapshot.key,
-                    userId: message.userId,
-                    username: message.username,
-                    mood: message.mood || ':happy:',
-                    content: message.content || '',
-                    drawing: message.drawing || null,
-                    timestamp: message.timestamp || Date.now(),
-                    replyTo: message.replyTo || null,
-                    reactions: message.reactions || {},
-                    messageBgColor: message.messageBgColor || null
-                });
+                window.ShapeChat.addMessage(this.toChatMessage(snapshot.key, snapshot.val()));
             }
         });
 
         this.messagesRef.limitToLast(50).on('child_changed', (snapshot) => {
-            const message = snapshot.val();
             if (window.ShapeChat && window.ShapeChat.addMessage) {
-                window.ShapeChat.addMessage({
-                    messageId: snapshot.key,
-                    userId: message.userId,
-                    username: message.username,
-                    mood: message.mood || ':happy:',
-                    content: message.content || '',
-                    drawing: message.drawing || null,
-                    timestamp: message.timestamp || Date.now(),
-                    replyTo: message.replyTo || null,
-                    reactions: message.reactions || {},
-                    messageBgColor: message.messageBgColor || null
-                });
+                window.ShapeChat.addMessage(this.toChatMessage(snapshot.key, snapshot.val()));
+            }
+        });
+    },
+
+    // Push keys sort in creation order, so the page just before a key is the previous page of history
+    async loadMessagesBefore(roomName, beforeKey, limit = 50) {
+        if (!this.database || !beforeKey) {
+            return { messages: [], hasMore: false };
+        }
+        const snapshot = await this.database.ref(`rooms/${roomName}/messages`)
+            .orderByKey()
+            .endAt(beforeKey)
+            .limitToLast(limit + 1)
+            .once('value');
+        const messages = [];
+        snapshot.forEach((childSnapshot) => {
+            if (childSnapshot.key !== beforeKey) {
+                messages.push(this.toChatMessage(childSnapshot.key, childSnapshot.val()));
             }
         });
+        return { messages: messages.slice(-limit), hasMore: messages.length >= limit };
     },
 
+    // The database has no text index, so search scans the newest messages of each room
+    async searchRoom(roomName, query, scanLimit = 500) {
+        if (!this.database) return [];
+        const snapshot = await this.database.ref(`rooms/${roomName}/messages`)
+            .orderByKey()
+            .limitToLast(scanLimit)
+            .once('value');
+        const messages = [];
+        snapshot.forEach((childSnapshot) => {
+            messages.push(this.toChatMessage(childSnapshot.key, childSnapshot.val()));
+        });
+        return ChatSearch.search(roomName, messages, query);
+    },
+
+    // The rules only let a message's author or a moderator remove it, so each user trims what they
+    // may of the overflow: their own old messages, or everyone's for a moderator
     async trimMessages(roomName, maxMessages) {
         if (!maxMessages) return;
         const messagesRef = this.database.ref(`rooms/${roomName}/messages`);
         const snapshot = await messagesRef.orderByChild('timestamp').once('value');
-        const keys = [];
+        const messages = [];
         snapshot.forEach((childSnapshot) => {
-            keys.push(childSnapshot.key);
+            messages.push({ key: childSnapshot.key, userId: (childSnapshot.val() || {}).userId });
         });
 
-        const overflow = keys.length - maxMessages;
+        const overflow = messages.length - maxMessages;
         if (overflow <= 0) return;
 
         const updates = {};
-        keys.slice(0, overflow).forEach((key) => {
-            updates[key] = null;
+        messages.slice(0, overflow).forEach((message) => {
+            if (this.isModerator || message.userId === this.userId) {
+                updates[message.key] = null;
+            }
         });
-        await messagesRef.update(updates);
+        if (Object.keys(updates).length) {
+            await messagesRef.update(updates);
+        }
     },
 
     async sendMessage(content, drawing = null, roomConfig = null, extras = {}) {
@@ -258,6 +461,18 @@ const FirebaseChat = {
         }
 
         const activeRoomConfig = roomConfig || this.getRoomConfig(this.currentRoom);
+        const ban = await this.getBan(this.currentRoom);
+        if (Moderation.isBanned(ban)) {
+            return { ok: false, reason: Moderation.getBanReason(this.currentRoom, ban) };
+        }
+
+        // A resend may follow an attempt that reached the database before the page lost track of it
+        if (extras.resend && extras.clientId) {
+            const existing = await this.messagesRef.orderByChild('clientId').equalTo(extras.clientId).once('value');
+            if (existing.exists()) {
+                return true;
+            }
+        }
 
         const messageData = {
             userId: this.userId,
@@ -271,6 +486,12 @@ const FirebaseChat = {
             messageData.drawing = drawing;
         }
 
+        // A roll's faces come from its push key and server timestamp; the key is made here, so unlike
+        // the local server's rolls these are not proof against a sender who keeps retrying (see dice.js)
+        if (extras.kind) {
+            messageData.kind = extras.kind;
+        }
+
         if (extras.replyTo) {
             messageData.replyTo = extras.replyTo;
         }
@@ -279,18 +500,58 @@ const FirebaseChat = {
             messageData.messageBgColor = extras.messageBgColor;
         }
 
+        if (extras.clientId) {
+            messageData.clientId = extras.clientId;
+        }
+
         messageData.reactions = extras.reactions || {};
 
+        // The database rules only accept a new message alongside a fresh posts/<userId> stamp, which
+        // they refuse if the previous one is too recent (see DEPLOYMENT_GUIDE.md)
         const newMessageRef = this.messagesRef.push();
         this.lastMessageKey = newMessageRef.key;
-        await newMessageRef.set(messageData);
+        try {
+            await this.roomRef.update({
+                [`messages/${newMessageRef.key}`]: messageData,
+                [`posts/${this.userId}`]: firebase.database.ServerValue.TIMESTAMP
+            });
+        } catch (error) {
+            console.warn('Message rejected by the database:', error);
+            return false;
+        }
         await this.trimMessages(this.currentRoom, activeRoomConfig.maxMessages);
         return true;
     },
 
-    async updateMessageReactions(messageId, reactions) {
+    // Each user only writes their own reactions/<userId> key; the rules refuse anything wider
+    async setReaction(messageId, reaction) {
         if (!this.messagesRef || !messageId) return false;
-        await this.messagesRef.child(messageId).child('reactions').set(reactions || {});
+        await this.messagesRef.child(messageId).child('reactions').child(this.userId).set(reaction || null);
+        return true;
+    },
+
+    async editMessage(messageId, content) {
+        if (!this.messagesRef || !messageId) return false;
+        await this.messagesRef.child(messageId).update({
+            content,
+            editedAt: firebase.database.ServerValue.TIMESTAMP
+        });
+        return true;
+    },
+
+    // The message stays as a tombstone so replies and history keep their place
+    async deleteMessage(messageId) {
+        if (!this.messagesRef || !messageId) return false;
+        await this.messagesRef.child(messageId).update({
+            content: '',
+            drawing: null,
+            replyTo: null,
+            reactions: null,
+            messageBgColor: null,
+            deleted: true,
+            deletedBy: this.userId,
+            editedAt: firebase.database.ServerValue.TIMESTAMP
+        });
         return true;
     },
 
@@ -312,12 +573,15 @@ const FirebaseChat = {
         }
     },
 
-    async cleanupRoomIfEmpty(roomName) {
+    // There is no server to clear an ephemeral room once everyone is gone, and the rules only let its
+    // owner or a moderator remove it whole, so everyone else takes their own messages with them
+    async cleanupEphemeralRoom(roomName) {
         const roomConfig = this.getRoomConfig(roomName);
         if (!roomConfig.ephemeral) return;
 
         const roomRef = this.database.ref(`rooms/${roomName}`);
         const usersRef = roomRef.child('users');
+        const messagesRef = roomRef.child('messages');
         const snapshot = await usersRef.once('value');
         let hasOnlineUsers = false;
         snapshot.forEach((childSnapshot) => {
@@ -327,17 +591,33 @@ const FirebaseChat = {
             }
         });
 
-        if (!hasOnlineUsers) {
+        if (!hasOnlineUsers && (this.isModerator || (roomConfig.ownerId && roomConfig.ownerId === this.userId))) {
             await roomRef.remove();
+            return;
+        }
+
+        const messagesSnapshot = await messagesRef.once('value');
+        const updates = {};
+        messagesSnapshot.forEach((childSnapshot) => {
+            if ((childSnapshot.val() || {}).userId === this.userId) {
+                updates[childSnapshot.key] = null;
+            }
+        });
+        if (Object.keys(updates).length) {
+            await messagesRef.update(updates);
         }
     },
 
     async leaveRoom(roomName = this.currentRoom) {
         const activeUsersRef = this.usersRef;
         const activeMessagesRef = this.messagesRef;
+        const activeTypingRef = this.typingRef;
         if (this.usersRef && this.userId) {
             await this.usersRef.child(this.userId).update({ online: false });
         }
+        if (activeTypingRef && this.userId) {
+            await activeTypingRef.child(this.userId).remove();
+        }
         
         if (activeUsersRef) {
             activeUsersRef.off();
@@ -345,18 +625,25 @@ const FirebaseChat = {
         if (activeMessagesRef) {
             activeMessagesRef.off();
         }
+        if (activeTypingRef) {
+            activeTypingRef.off();
+        }
+        if (this.kickRef) {
+            this.kickRef.off();
+            this.kickRef = null;
+        }
 
-        await this.cleanupRoomIfEmpty(roomName);
+        await this.cleanupEphemeralRoom(roomName);
         await this.syncRoomOccupancyCounts();
     },
 
-    async switchRoom(roomName) {
+    async switchRoom(roomName, joinCode = null) {
         if (!roomName || roomName === this.currentRoom) {
             return { ok: true, previousRoom: this.currentRoom };
         }
 
         const previousRoom = this.currentRoom;
-        const canJoin = await this.canJoinRoom(roomName);
+        const canJoin = await this.canJoinRoom(roomName, joinCode);
         if (!canJoin.ok) {
             return { ok: false, reason: canJoin.reason, previousRoom };
         }
@@ -3,6 +3,8 @@ const FirebaseLeaderboard = {
     database: null,
     leaderboardRef: null,
     currentUserScore: 0,
+    // Highest score database.rules.json accepts
+    maxScore: 100000,
 
     init() {
         if (typeof firebase === 'undefined') {
@@ -13,6 +15,10 @@ const FirebaseLeaderboard = {
         try {
             this.database = firebase.database();
             this.leaderboardRef = this.database.ref('leaderboard/ballBounce');
+            // The rules only take scores from signed-in clients; the chat usually signed in already
+            if (typeof firebase.auth === 'function' && !firebase.auth().currentUser) {
+                firebase.auth().signInAnonymously().catch((error) => console.warn('Leaderboard sign-in failed:', error));
+            }
             return true;
         } catch (error) {
             console.error('Firebase leaderboard init error:', error);
@@ -21,7 +27,7 @@ const FirebaseLeaderboard = {
     },
 
     submitScore(username, score) {
-        if (!this.leaderboardRef || score === 0) {
+        if (!this.leaderboardRef || !Number.isInteger(score) || score <= 0 || score > this.maxScore) {
             return false;
         }
 
@@ -31,9 +37,11 @@ const FirebaseLeaderboard = {
             timestamp: firebase.database.ServerValue.TIMESTAMP
         };
 
-        // Use username as key to keep only best score per user
-        this.leaderboardRef.child(username.replace(/[.#$[\]]/g, '_')).set(scoreData);
-        
+        // Use username as key to keep only best score per user; the rules refuse anything lower
+        this.leaderboardRef.child(username.replace(/[.#$[\]]/g, '_'))
+            .transaction((current) => (current && current.score >= score ? undefined : scoreData))
+            .catch((error) => console.warn('Score rejected by the database:', error));
+
         return true;
     },
 
@@ -0,0 +1,154 @@
+// Persistent ShapeTalk identity
+//
+// Every browser keeps { userId, secret, username, accountName } in localStorage so reactions, DMs,
+// cooldowns and leaderboard names survive a refresh. Besides an exported key or a passphrase-sealed
+// account record, the secret only goes to the local chat server or Firebase's unreadable identities/
+// tree, which use it to stop other clients from claiming the same userId.
+const Identity = {
+    storageKey: 'shapetalk_identity',
+    keyPrefix: 'shapetalk-key:',
+    pbkdf2Iterations: 150000,
+    minPassphraseLength: 8,
+
+    randomHex(bytes) {
+        const values = new Uint8Array(bytes);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(values);
+        } else {
+            for (let i = 0; i < bytes; i += 1) {
+                values[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        return Array.from(values, (value) => value.toString(16).padStart(2, '0')).join('');
+    },
+
+    create(username) {
+        return {
+            userId: `user_${this.randomHex(8)}`,
+            secret: this.randomHex(16),
+            username: username || NameGenerator.generate(),
+            accountName: null
+        };
+    },
+
+    isValid(identity) {
+        return Boolean(identity
+            && /^user_[0-9a-f]{16}$/.test(identity.userId)
+            && /^[0-9a-f]{32}$/.test(identity.secret)
+            && typeof identity.username === 'string'
+            && identity.username.trim());
+    },
+
+    load() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || 'null');
+            if (this.isValid(stored)) {
+                return { accountName: null, ...stored };
+            }
+        } catch (_) {}
+        const identity = this.create();
+        this.save(identity);
+        return identity;
+    },
+
+    save(identity) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify({
+                userId: identity.userId,
+                secret: identity.secret,
+                username: identity.username,
+                accountName: identity.accountName || null
+            }));
+        } catch (_) {}
+    },
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return window.btoa(binary);
+    },
+
+    base64ToBytes(text) {
+        return Uint8Array.from(window.atob(text), (char) => char.charCodeAt(0));
+    },
+
+    exportKey(identity) {
+        const json = JSON.stringify({ userId: identity.userId, secret: identity.secret, username: identity.username });
+        return `${this.keyPrefix}${this.bytesToBase64(new TextEncoder().encode(json))}`;
+    },
+
+    importKey(text) {
+        const value = String(text || '').trim();
+        if (!value.startsWith(this.keyPrefix)) return null;
+        try {
+            const json = new TextDecoder().decode(this.base64ToBytes(value.slice(this.keyPrefix.length)));
+            const identity = { ...JSON.parse(json), accountName: null };
+            return this.isValid(identity) ? identity : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    // Account names double as database keys, so they are folded to a safe lowercase form
+    normalizeAccountName(name) {
+        return String(name || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+    },
+
+    canSeal() {
+        return Boolean(window.crypto && window.crypto.subtle && typeof TextEncoder !== 'undefined');
+    },
+
+    async deriveKey(passphrase, salt) {
+        const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.pbkdf2Iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // The stored record is opaque to the backend: only ownerId is readable without the passphrase
+    async sealAccount(identity, passphrase) {
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt);
+        const plain = new TextEncoder().encode(JSON.stringify({
+            userId: identity.userId,
+            secret: identity.secret,
+            username: identity.username
+        }));
+        const sealed = new Uint8Array(await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain));
+        return {
+            ownerId: identity.userId,
+            salt: this.bytesToBase64(salt),
+            iv: this.bytesToBase64(iv),
+            data: this.bytesToBase64(sealed)
+        };
+    },
+
+    // Resolves null for a wrong passphrase or a damaged record
+    async openAccount(record, passphrase) {
+        if (!record || !record.salt || !record.iv || !record.data) return null;
+        try {
+            const key = await this.deriveKey(passphrase, this.base64ToBytes(record.salt));
+            const plain = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToBytes(record.iv) },
+                key,
+                this.base64ToBytes(record.data)
+            );
+            const identity = { ...JSON.parse(new TextDecoder().decode(plain)), accountName: null };
+            return this.isValid(identity) ? identity : null;
+        } catch (_) {
+            return null;
+        }
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Identity;
+}
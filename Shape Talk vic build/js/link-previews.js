@@ -0,0 +1,53 @@
+// Pages a chat link can preview, and open in the ShapeOS Internet app instead of leaving the chat
+//
+// Only pages listed here get a card; nothing is ever fetched to build one.
+//   url    what the Internet app's address bar shows, lowercase (project pages by file name)
+//   href   where the page lives in the site folder around the chat, or null for pages that only exist inside
+//          the Internet app (those are left unlinked when there is no ShapeOS to open them)
+const LinkPreviews = {
+    maxCards: 2,
+
+    pages: [
+        { url: 'shapestore.html', href: '../shapestore.html', title: 'The Shape Store', description: 'Click the door and sort the cubes to get a Shape Necklace.', image: '../logoshapestore.png' },
+        { url: 'dbay.html', href: '../Dbay.html', title: 'DBay', description: 'The World\'s Online Marketplace. Buy It Now!', image: '../dbay.png' },
+        { url: 'dontayvious.html', href: '../dontayvious.html', title: 'Dontayvious Lil Online Shop', description: 'Quality tech and gear... most of it gone though.', image: '../dontay.png' },
+        { url: 'blog.html', href: '../Blog.html', title: 'INFINITE ARCHIVE - Blog', description: 'The internet man... posts from the INFINITE ARCHIVE.', image: null },
+        { url: 'games.html', href: '../Games.html', title: 'INFINITE ARCHIVE - Games', description: 'Game dev work from birdgame3fan.', image: null },
+        { url: 'birdtalk.html', href: '../Birdtalk.html', title: 'Bird Talk', description: 'Keep the bird fed and see what it says.', image: '../birdtalkcover.png' },
+        { url: 'bird.html', href: '../bird.html', title: 'Bird Garden', description: 'Grow flowers and watch out for the hands.', image: '../birdgarden.png' },
+        { url: 'amibeingwatched.com', href: null, title: 'am i being watched?', description: 'Scans your room for passive intercepts.', image: null },
+        { url: 'ideaarchive.local', href: null, title: 'Idea Archive', description: 'Every idea captured so far.', image: null },
+        { url: 'obscuretruthforum.net/threads/archive-protocol', href: null, title: 'The Archive Protocol - What They Don\'t Want You To Know', description: 'ObscureTruthForum.net', image: null },
+        { url: 'reddit.com/r/conspiracy/uncle_2007_mystery', href: null, title: 'My Uncle Disappeared in 2007 and I Think I Know Why', description: 'r/conspiracy', image: null },
+        { url: 'paranoidblogspot.wordpress.com/watchers-proof', href: null, title: 'The Watchers Are Real - Here\'s Proof', description: 'paranoidblogspot', image: null },
+        { url: '4archive.org/x/thread/856234', href: null, title: 'ARCHIVE THEORY: Why Binary Messages Matter', description: '4archive /x/', image: null },
+        { url: 'obscureforum.onion/terminal-secrets', href: null, title: 'Terminal Commands That Shouldn\'t Exist', description: 'obscureforum.onion', image: null },
+        { url: 'techsupportforum.net/weird-terminal-behavior', href: null, title: 'I Think My Computer Is Communicating With Something', description: 'techsupportforum.net', image: null }
+    ],
+
+    // Lowercase, without the scheme, a leading www. or a trailing slash; links to this site keep only the file name
+    normalize(raw) {
+        let url = String(raw || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
+        const host = typeof window !== 'undefined' && window.location ? String(window.location.host).toLowerCase() : '';
+        if (host && url.startsWith(`${host}/`)) {
+            url = url.split(/[?#]/)[0].split('/').pop();
+        }
+        return url;
+    },
+
+    // The listed page a link points at, or null
+    find(raw) {
+        const url = this.normalize(raw);
+        return url ? this.pages.find((page) => page.url === url) || null : null;
+    },
+
+    // Pages without an href only exist inside the ShapeOS Internet app, so they go nowhere without it
+    canOpen(page) {
+        return Boolean(page.href) || (typeof window !== 'undefined' && Boolean(window.ShapeOS));
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkPreviews;
+}
@@ -0,0 +1,130 @@
+// @mentions for the ShapeTalk client
+//
+// A mention is @ followed by someone's username. Names may have spaces in them (see /nick), so text is matched
+// against the names the client knows about, longest first; any other @word still shows as a mention.
+// The inbox keeps the latest mentions of this user on this device:
+//   { room, messageId, username, content, timestamp }
+const Mentions = {
+    storageKey: 'shapetalk_mentions',
+    alertsStorageKey: 'shapetalk_mention_alerts',
+    maxInbox: 50,
+    maxSuggestions: 6,
+    maxContentLength: 200,
+
+    // [{ start, end, username }] in text order; username is the known name it matched, or the @word as typed
+    find(text, usernames = []) {
+        const value = String(text || '');
+        const names = Array.from(new Set(usernames.filter(Boolean))).sort((a, b) => b.length - a.length);
+        const found = [];
+        for (let at = value.indexOf('@'); at >= 0; at = value.indexOf('@', at + 1)) {
+            // amy@example.com is not a mention
+            if (at > 0 && /[\w@]/.test(value[at - 1])) continue;
+            const rest = value.slice(at + 1);
+            const known = names.find((name) => rest.slice(0, name.length).toLowerCase() === name.toLowerCase() && !/\w/.test(rest[name.length] || ''));
+            const username = known || (rest.match(/^[\w-]+/) || [''])[0];
+            if (!username) continue;
+            found.push({ start: at, end: at + 1 + username.length, username });
+            at += username.length;
+        }
+        return found;
+    },
+
+    isMentioned(text, username, usernames = []) {
+        const wanted = String(username || '').toLowerCase();
+        return Boolean(wanted) && this.find(text, [username, ...usernames]).some((mention) => mention.username.toLowerCase() === wanted);
+    },
+
+    // [{ text, mention }] covering the whole text; mention is the username for @runs, otherwise null
+    split(text, usernames = []) {
+        const value = String(text || '');
+        const runs = [];
+        let last = 0;
+        this.find(value, usernames).forEach((mention) => {
+            if (mention.start > last) {
+                runs.push({ text: value.slice(last, mention.start), mention: null });
+            }
+            runs.push({ text: value.slice(mention.start, mention.end), mention: mention.username });
+            last = mention.end;
+        });
+        if (last < value.length || !runs.length) {
+            runs.push({ text: value.slice(last), mention: null });
+        }
+        return runs;
+    },
+
+    // The @word being typed at the caret as { start, query }, or null
+    getQuery(value, caret = String(value || '').length) {
+        const before = String(value || '').slice(0, caret);
+        const match = before.match(/(^|\s)@([^\s@]*)$/);
+        return match ? { start: caret - match[2].length - 1, query: match[2] } : null;
+    },
+
+    // Names starting with the query, leaving out the person typing
+    getSuggestions(query, usernames, selfName) {
+        const wanted = String(query || '').toLowerCase();
+        return Array.from(new Set(usernames))
+            .filter((name) => name && name !== selfName && name.toLowerCase().startsWith(wanted))
+            .sort((a, b) => a.localeCompare(b))
+            .slice(0, this.maxSuggestions);
+    },
+
+    // Swaps the @word at the caret for @username and a space: { value, caret }
+    complete(value, caret, username) {
+        const query = this.getQuery(value, caret);
+        if (!query) return { value, caret };
+        return {
+            value: `${value.slice(0, query.start)}@${username} ${value.slice(caret)}`,
+            caret: query.start + username.length + 2
+        };
+    },
+
+    // Newest first, one entry per message
+    addToInbox(inbox, entry) {
+        return [entry, ...inbox.filter((item) => item.messageId !== entry.messageId)]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, this.maxInbox);
+    },
+
+    loadInbox() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+            return (Array.isArray(stored) ? stored : [])
+                .filter((entry) => entry && typeof entry.room === 'string' && typeof entry.messageId === 'string')
+                .map((entry) => ({
+                    room: entry.room,
+                    messageId: entry.messageId,
+                    username: String(entry.username || 'Anonymous'),
+                    content: String(entry.content || '').slice(0, this.maxContentLength),
+                    timestamp: Number(entry.timestamp) || 0
+                }))
+                .slice(0, this.maxInbox);
+        } catch (_) {
+            return [];
+        }
+    },
+
+    saveInbox(inbox) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(inbox || []));
+        } catch (_) {}
+    },
+
+    loadAlerts() {
+        try {
+            return window.localStorage.getItem(this.alertsStorageKey) === 'on';
+        } catch (_) {
+            return false;
+        }
+    },
+
+    saveAlerts(enabled) {
+        try {
+            window.localStorage.setItem(this.alertsStorageKey, enabled ? 'on' : 'off');
+        } catch (_) {}
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Mentions;
+}
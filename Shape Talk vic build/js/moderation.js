@@ -0,0 +1,78 @@
+// Moderation helpers shared by the ShapeTalk client, its transports and the local chat server
+//
+// Mutes and blocks are personal and only live in this browser: { [userId]: { username, level } } where
+// level is 'mute' (hide their messages) or 'block' (also hide their DMs and reactions). Bans are
+// room-level and enforced by the backend: { until, by } with until in milliseconds.
+const Moderation = {
+    storageKey: 'shapetalk_hidden_users',
+    levels: ['mute', 'block'],
+    defaultBanMinutes: 60,
+    maxBanMinutes: 7 * 24 * 60,
+    maxReasonLength: 200,
+
+    loadHiddenUsers() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || '{}');
+            const hidden = {};
+            Object.entries(stored && typeof stored === 'object' ? stored : {}).forEach(([userId, entry]) => {
+                if (entry && this.levels.includes(entry.level)) {
+                    hidden[userId] = { username: String(entry.username || 'Unknown'), level: entry.level };
+                }
+            });
+            return hidden;
+        } catch (_) {
+            return {};
+        }
+    },
+
+    saveHiddenUsers(hidden) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(hidden || {}));
+        } catch (_) {}
+    },
+
+    normalizeBanMinutes(value) {
+        const minutes = Math.round(Number(value));
+        if (!Number.isFinite(minutes) || minutes <= 0) return this.defaultBanMinutes;
+        return Math.min(minutes, this.maxBanMinutes);
+    },
+
+    isBanned(ban, now = Date.now()) {
+        return Boolean(ban && Number(ban.until) > now);
+    },
+
+    formatBanLength(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.ceil(minutes / 60);
+        return hours < 48 ? `${hours} h` : `${Math.ceil(hours / 24)} days`;
+    },
+
+    getBanReason(roomName, ban, now = Date.now()) {
+        return `You are banned from ${roomName} for another ${this.formatBanLength(Number(ban.until) - now)}.`;
+    },
+
+    getKickReason(roomName) {
+        return `A moderator removed you from ${roomName}.`;
+    },
+
+    // Reports keep a copy of the message so the queue still makes sense after it is edited or deleted
+    makeReport(roomName, message, reporter, reason) {
+        return {
+            room: roomName,
+            messageId: message.messageId,
+            reportedUserId: message.userId || null,
+            reportedUsername: message.username || 'Unknown',
+            content: String(message.content || '').slice(0, 500),
+            hasDrawing: Boolean(message.drawing),
+            reporterId: reporter.userId,
+            reporterName: reporter.username,
+            reason: String(reason || '').trim().slice(0, this.maxReasonLength)
+        };
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Moderation;
+}
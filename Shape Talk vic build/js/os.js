@@ -92,6 +92,8 @@
             if (url === '4archive.org/x/thread/856234') { renderArchiveTheory(); return; }
             if (url === 'obscureforum.onion/terminal-secrets') { renderTerminalSecrets(); return; }
             if (url === 'techsupportforum.net/weird-terminal-behavior') { renderTerminalBehavior(); return; }
+            const page = LinkPreviews.find(url);
+            if (page && page.href) { renderProjectPage(page); return; }
             renderNotFound(url);
           };
 
@@ -615,6 +617,15 @@
             `;
           };
 
+          // Pages that live next to the chat (see link-previews.js) load in a frame, so the chat stays open
+          const renderProjectPage = (page) => {
+            const frame = document.createElement('iframe');
+            frame.className = 'browser-frame';
+            frame.title = page.title;
+            frame.src = page.href;
+            content.replaceChildren(frame);
+          };
+
           const renderNotFound = (url) => {
             content.innerHTML = `
               <div class="bpage-notfound">
@@ -737,41 +748,10 @@
 
             const chat = window.ShapeChat;
             const currentRoom = chat && chat.currentRoom ? chat.currentRoom : 'Lobby';
-            if (window.FirebaseChat && window.FirebaseChat.database) {
-              window.FirebaseChat.database.ref(`watchers/${currentRoom}`).once('value').then((snapshot) => {
-                const watchers = [];
-                snapshot.forEach((childSnapshot) => {
-                  const watcher = childSnapshot.val();
-                  if (!watcher || !watcher.online) return;
-                  if (chat && childSnapshot.key === chat.userId) return;
-                  watchers.push({
-                    username: watcher.username || 'Unknown',
-                    stolenIdeas: watcher.stolenIdeas || []
-                  });
-                });
-                showWatchers(watchers);
-              }).catch(() => showWatchers([]));
-            } else if (chat && chat.ws && chat.ws.readyState === WebSocket.OPEN) {
-              OS._pendingWatcherCallback = showWatchers;
-              chat.ws.send(JSON.stringify({ type: 'checkWatchers' }));
+            if (chat && chat.transport) {
+              chat.transport.getWatchers(currentRoom).then(showWatchers).catch(() => showWatchers([]));
             } else {
-              setTimeout(() => {
-                showWatchers([{
-                    username: 'TriangleKing007',
-                    color: '#00b4ff',
-                    stolenIdeas: [{
-                      room: currentRoom,
-                      timestamp: new Date(Date.now() - 8 * 60000).toISOString(),
-                      messages: [
-                        { username: 'RhombusRacer99', content: 'what if the game UI transforms completely every round' },
-                        { username: 'PentagonPulse88', content: 'like mood-based?' },
-                        { username: 'RhombusRacer99', content: 'horror round then cartoon then retro. nobody has done this' },
-                        { username: 'PentagonPulse88', content: 'thats genuinely wild. build it' },
-                        { username: 'RhombusRacer99', content: 'got sketches already. just need a partner' }
-                      ]
-                    }]
-                  }]);
-              }, 1400);
+              showWatchers([]);
             }
           };
 
@@ -1447,29 +1427,14 @@
             out.scrollTop = out.scrollHeight;
           };
 
-          const toBinary = (text) => {
-            const bytes = new TextEncoder().encode(text);
-            return Array.from(bytes)
-              .map((b) => b.toString(2).padStart(8, '0'))
-              .join(' ');
-          };
-
+          // Same registry as the chat box (see chat-commands.js), with output going to this window
           const runCommand = async (raw) => {
             const cmd = String(raw || '').trim();
             if (!cmd) return;
-            if (window.ShapeChat && typeof window.ShapeChat.handleSecretCommand === 'function') {
-              const handled = await window.ShapeChat.handleSecretCommand(cmd, { writeLine });
-              if (handled) {
-                return;
-              }
+            const handled = await ChatCommands.run(cmd, { chat: window.ShapeChat || null, write: writeLine, source: 'terminal' });
+            if (!handled) {
+              writeLine('command not recognized. type /help for a list.', 'err');
             }
-
-            if (cmd === '/infinitearchive') {
-              writeLine(toBinary('Yo touch some grass if you found this shit dude'), 'bin');
-              return;
-            }
-
-            writeLine('command not recognized', 'err');
           };
 
           input.addEventListener('keydown', (e) => {
@@ -1566,6 +1531,12 @@ ha ha ha ha ha</pre>
       this.launcherToggle.style.borderColor = secondary;
     },
 
+    // Opens (or reopens) the Internet app at a url, e.g. from a chat link
+    openInternet(url) {
+      this._openBrowserTo = url;
+      return this.refreshApp('internet');
+    },
+
     refreshApp(appId) {
       for (const [winId, winState] of this.windows.entries()) {
         if (winState.appId === appId) {
@@ -2073,6 +2044,24 @@ ha ha ha ha ha</pre>
 
   window.ShapeOS = OS;
 
+  // Apps add their own slash commands; this one works from the chat box and the Terminal alike
+  ChatCommands.register({
+    name: 'open',
+    args: [{ name: 'app', rest: true }],
+    description: 'Open a desktop app',
+    handler: ({ app }, { write }) => {
+      const wanted = app.toLowerCase();
+      const match = Object.values(OS.apps).find((entry) => entry.id === wanted || entry.name.toLowerCase() === wanted);
+      if (!match) {
+        write(`No app called ${app}. Try ${Object.values(OS.apps).map((entry) => entry.name).join(', ')}.`, 'err');
+        return true;
+      }
+      OS.openApp(match.id);
+      write(`Opened ${match.name}.`, 'muted');
+      return true;
+    }
+  });
+
   document.addEventListener('DOMContentLoaded', () => {
     OS.init();
 
@@ -0,0 +1,120 @@
+// Offline outbox for ShapeTalk messages
+//
+// A message waits here from the moment it is sent until the backend confirms it, so a dropped
+// connection or a refresh does not lose it. Entries live in IndexedDB (in memory when that is not
+// available, e.g. some private windows) keyed by a clientId that travels with the message; the
+// backends use it to drop repeats, so resending after an unconfirmed attempt is always safe:
+//   { clientId, room, content, drawing, kind, replyTo, messageBgColor, createdAt, attempts, status, error }
+// status is 'pending' while the message is being sent or waiting to be retried, 'failed' once it needs
+// the user to retry or discard it.
+const Outbox = {
+    dbName: 'shapetalk',
+    storeName: 'outbox',
+    baseRetryMs: 1000,
+    maxRetryMs: 30000,
+    maxAttempts: 6,
+    dbPromise: null,
+    memoryEntries: new Map(),
+
+    createClientId() {
+        return `out_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    isClientId(value) {
+        return typeof value === 'string' && /^out_[0-9a-z_]{1,36}$/.test(value);
+    },
+
+    createEntry(roomName, message, now = Date.now()) {
+        return {
+            clientId: this.createClientId(),
+            room: roomName,
+            content: message.content || '',
+            drawing: message.drawing || null,
+            kind: message.kind || null,
+            replyTo: message.replyTo || null,
+            messageBgColor: message.messageBgColor || null,
+            createdAt: now,
+            attempts: 0,
+            status: 'pending',
+            error: null
+        };
+    },
+
+    // Chat keeps timers and in-flight flags on its entries; only the message itself is stored
+    toRecord(entry) {
+        const { clientId, room, content, drawing, kind, replyTo, messageBgColor, createdAt, attempts, status, error } = entry;
+        return { clientId, room, content, drawing, kind, replyTo, messageBgColor, createdAt, attempts, status, error };
+    },
+
+    getRetryDelay(attempts) {
+        return Math.min(this.baseRetryMs * (2 ** Math.max(0, attempts - 1)), this.maxRetryMs);
+    },
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof window === 'undefined' || !window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            try {
+                const request = window.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'clientId' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (_) {
+                resolve(null);
+            }
+        });
+        return this.dbPromise;
+    },
+
+    async run(mode, action) {
+        const db = await this.open();
+        if (!db) return null;
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = action(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => resolve(null);
+                transaction.onabort = () => resolve(null);
+            } catch (_) {
+                resolve(null);
+            }
+        });
+    },
+
+    async loadAll() {
+        const db = await this.open();
+        const entries = db
+            ? (await this.run('readonly', (store) => store.getAll())) || []
+            : Array.from(this.memoryEntries.values());
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async save(entry) {
+        const record = this.toRecord(entry);
+        if (await this.open()) {
+            await this.run('readwrite', (store) => store.put(record));
+        } else {
+            this.memoryEntries.set(record.clientId, record);
+        }
+    },
+
+    async remove(clientId) {
+        if (await this.open()) {
+            await this.run('readwrite', (store) => store.delete(clientId));
+        } else {
+            this.memoryEntries.delete(clientId);
+        }
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Outbox;
+}
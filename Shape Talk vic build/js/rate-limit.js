@@ -0,0 +1,83 @@
+// Send throttling shared by the ShapeTalk client and the local chat server
+//
+// Each user gets a token bucket per room: a burst of `capacity` messages, then one more every `refillMs`.
+// Emptying the bucket earns a strike and a slowdown that doubles with each strike until the user has
+// been quiet for `strikeResetMs`. Repeats of a recent message and oversized drawings are refused outright;
+// dice rolls (kind 'roll') may repeat, since the same dice come up different each time.
+const RateLimit = {
+    defaults: {
+        capacity: 5,
+        refillMs: 1000,
+        baseSlowdownMs: 5000,
+        maxSlowdownMs: 60000,
+        strikeResetMs: 60000,
+        duplicateWindowMs: 30000,
+        duplicateHistory: 3,
+        maxDrawingLength: 200000
+    },
+
+    createState(now = Date.now(), limits = this.defaults) {
+        return { tokens: limits.capacity, updatedAt: now, strikes: 0, lastStrikeAt: 0, slowUntil: 0, recent: [] };
+    },
+
+    // Small non-cryptographic hash so drawings can be compared without keeping the whole data URL
+    hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i += 1) {
+            hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    },
+
+    fingerprint(message) {
+        const content = String(message.content || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return `${content}\n${message.drawing ? this.hashString(message.drawing) : ''}`;
+    },
+
+    formatWait(ms) {
+        return `${Math.max(1, Math.ceil(ms / 1000))}s`;
+    },
+
+    // Returns { ok: true } and spends a token, or { ok: false, reason, retryInMs } without spending one
+    take(state, message, now = Date.now(), limits = this.defaults) {
+        if (message.drawing && message.drawing.length > limits.maxDrawingLength) {
+            return { ok: false, reason: 'That drawing is too big to send. Try a simpler one.', retryInMs: 0 };
+        }
+        if (now < state.slowUntil) {
+            const retryInMs = state.slowUntil - now;
+            return { ok: false, reason: `Slow down. You can send again in ${this.formatWait(retryInMs)}.`, retryInMs };
+        }
+        if (state.strikes && now - state.lastStrikeAt >= limits.strikeResetMs) {
+            state.strikes = 0;
+        }
+
+        state.tokens = Math.min(limits.capacity, state.tokens + Math.max(0, now - state.updatedAt) / limits.refillMs);
+        state.updatedAt = now;
+
+        const fingerprint = this.fingerprint(message);
+        state.recent = state.recent.filter((entry) => now - entry.at < limits.duplicateWindowMs);
+        if (message.kind !== 'roll' && state.recent.some((entry) => entry.fingerprint === fingerprint)) {
+            return { ok: false, reason: 'You just sent that. Say something new.', retryInMs: 0 };
+        }
+
+        if (state.tokens < 1) {
+            state.strikes += 1;
+            state.lastStrikeAt = now;
+            const slowdownMs = Math.min(limits.baseSlowdownMs * (2 ** (state.strikes - 1)), limits.maxSlowdownMs);
+            state.slowUntil = now + slowdownMs;
+            return { ok: false, reason: `You're sending too fast. Wait ${this.formatWait(slowdownMs)} before the next message.`, retryInMs: slowdownMs };
+        }
+
+        state.tokens -= 1;
+        state.recent.push({ fingerprint, at: now });
+        if (state.recent.length > limits.duplicateHistory) {
+            state.recent.shift();
+        }
+        return { ok: true };
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateLimit;
+}
@@ -0,0 +1,148 @@
+// Markdown-lite for chat messages: links, **bold**, *italic* or _italic_, `code`, ||spoilers|| and > quotes
+//
+// Code and links are escaped here and shown as typed. Every other run of plain text goes through the
+// renderText callback, which must escape it too (chat.js adds @mentions and :emoji: there).
+const RichText = {
+    // The earliest match wins; on a tie, the rule listed first
+    rules: [
+        { type: 'code', pattern: /`([^`\n]+)`/ },
+        { type: 'link', pattern: null },
+        { type: 'spoiler', pattern: /\|\|([^|\n](?:[^\n]*?[^|\n])?)\|\|/ },
+        { type: 'bold', pattern: /\*\*([^\s*](?:[^\n]*?[^\s*])?)\*\*/ },
+        // snake_case, 2 * 3 * 4 and ¯\_(ツ)_/¯ stay as they are
+        { type: 'italic', pattern: /\*([^\s*](?:[^*\n]*?[^\s*])?)\*|(?<![\w\\])_(\S(?:[^_\n]*?\S)?)_(?!\w)/ }
+    ],
+    linkPattern: null,
+
+    // http(s) links, www. links and the pages LinkPreviews knows by name, like shapestore.html or amibeingwatched.com
+    getLinkPattern() {
+        if (!this.linkPattern) {
+            const pages = LinkPreviews.pages.map((page) => page.url.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+            this.linkPattern = new RegExp(`\\bhttps?:\\/\\/[^\\s<>"]+|(?<![\\w.@/-])www\\.[^\\s<>"]+|(?<![\\w.@/-])(?:${pages.join('|')})(?![\\w/-])`, 'i');
+        }
+        return this.linkPattern;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Sentence punctuation after a link is not part of it; a closing bracket is when the link opened one
+    trimLink(raw) {
+        let url = raw;
+        while (/[.,!?;:'")\]]$/.test(url)) {
+            const closer = url.endsWith(')') ? ['(', ')'] : url.endsWith(']') ? ['[', ']'] : null;
+            if (closer && url.split(closer[0]).length >= url.split(closer[1]).length) break;
+            url = url.slice(0, -1);
+        }
+        return url;
+    },
+
+    // Where an external link goes, or null when it is not an http(s) address
+    getHref(raw) {
+        try {
+            const url = new URL(/^www\./i.test(raw) ? `https://${raw}` : raw);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    render(text, renderText) {
+        const blocks = [];
+        String(text || '').split('\n').forEach((line) => {
+            const quote = line.match(/^>(?:\s+(.*))?$/);
+            const last = blocks[blocks.length - 1];
+            if (quote && last && last.quote) {
+                last.lines.push(quote[1] || '');
+            } else {
+                blocks.push({ quote: Boolean(quote), lines: [quote ? quote[1] || '' : line] });
+            }
+        });
+        return blocks.map((block) => {
+            const html = block.lines.map((line) => this.renderInline(line, renderText)).join('\n');
+            return block.quote ? `<blockquote class="message-quote">${html}</blockquote>` : html;
+        }).join('\n');
+    },
+
+    renderInline(text, renderText) {
+        let html = '';
+        let rest = text;
+        while (rest) {
+            const token = this.findToken(rest);
+            if (!token) {
+                html += renderText(rest);
+                break;
+            }
+            if (token.index > 0) {
+                html += renderText(rest.slice(0, token.index));
+            }
+            html += this.renderToken(token, renderText);
+            rest = rest.slice(token.index + token.length);
+        }
+        return html;
+    },
+
+    // The first piece of markup in the text: { type, index, length, inner }
+    findToken(text) {
+        let found = null;
+        this.rules.forEach((rule) => {
+            const match = (rule.pattern || this.getLinkPattern()).exec(text);
+            if (!match || (found && found.index <= match.index)) return;
+            if (rule.type === 'link') {
+                const url = this.trimLink(match[0]);
+                found = { type: 'link', index: match.index, length: url.length, inner: url };
+                return;
+            }
+            found = { type: rule.type, index: match.index, length: match[0].length, inner: match[1] !== undefined ? match[1] : match[2] };
+        });
+        return found;
+    },
+
+    renderToken(token, renderText) {
+        if (token.type === 'code') {
+            return `<code class="message-code">${this.escape(token.inner)}</code>`;
+        }
+        if (token.type === 'link') {
+            return this.renderLink(token.inner) || renderText(token.inner);
+        }
+        const inner = this.renderInline(token.inner, renderText);
+        if (token.type === 'spoiler') {
+            return `<span class="spoiler" title="Click to reveal">${inner}</span>`;
+        }
+        return token.type === 'bold' ? `<strong>${inner}</strong>` : `<em>${inner}</em>`;
+    },
+
+    // Listed pages carry data-shape-link so the chat can open them in the Internet app; the rest open in a new tab.
+    // A listed page nothing can open is treated like any other text or address.
+    renderLink(raw) {
+        const page = LinkPreviews.find(raw);
+        if (page && LinkPreviews.canOpen(page)) {
+            return `<a class="message-link message-link-local" href="${this.escape(page.href || '#')}" data-shape-link="${this.escape(page.url)}">${this.escape(raw)}</a>`;
+        }
+        const href = this.getHref(raw);
+        return href ? `<a class="message-link" href="${this.escape(href)}" target="_blank" rel="noopener noreferrer nofollow">${this.escape(raw)}</a>` : null;
+    },
+
+    // The listed pages a message links to that can be opened, in order, without code or spoilers giving any away
+    getPreviewPages(text) {
+        const visible = String(text || '').replace(/`[^`\n]+`/g, ' ').replace(/\|\|[^\n]*?\|\|/g, ' ');
+        const pattern = new RegExp(this.getLinkPattern().source, 'gi');
+        const pages = [];
+        for (const match of visible.matchAll(pattern)) {
+            const page = LinkPreviews.find(this.trimLink(match[0]));
+            if (page && LinkPreviews.canOpen(page) && !pages.includes(page)) pages.push(page);
+        }
+        return pages.slice(0, LinkPreviews.maxCards);
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RichText;
+}
@@ -0,0 +1,201 @@
+// Room limits shared by the ShapeTalk client and the local chat server
+//
+// The built-in rooms are listed below. Users can also make their own rooms, which the backend stores as:
+//   { name, ownerId, mode, maxUsers, maxMessages, ephemeral, topic, hasJoinCode, archived, schedule }
+// plus joinCode when it is being saved. The code itself is only ever shown to the room's owner.
+// Any room may have a schedule of themed events (see room-events.js): the built-in ones take theirs
+// from schedules below, a user-made room from its owner.
+const RoomConfigs = {
+    defaults: { maxUsers: null, mode: 'open', maxMessages: null, ephemeral: false, schedule: null },
+
+    rooms: {
+        'Lobby': { maxUsers: null, mode: 'open', maxMessages: null },
+        'DMs': { maxUsers: null, mode: 'open', maxMessages: null },
+        'ShapeTalk': { maxUsers: null, mode: 'emoji_draw_only', maxMessages: null },
+        'VIP': { maxUsers: null, mode: 'open', maxMessages: 100 },
+        'Private 1': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 2': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 3': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 4': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 5': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 6': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 7': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 8': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 9': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true },
+        'Private 10': { maxUsers: 2, mode: 'open', maxMessages: null, ephemeral: true }
+    },
+
+    // Themed hours for the built-in rooms, in UTC. They are off unless a deployment switches them on:
+    // the page with window.SHAPETALK_ROOM_EVENTS, the local server with SHAPETALK_ROOM_EVENTS=1.
+    schedules: {
+        'Lobby': [
+            { name: 'Doodle Hour', mode: 'draw_only', days: [6], start: '18:00', minutes: 60 },
+            { name: 'One Word Story', mode: 'one_word', days: [3], start: '19:00', minutes: 60 },
+            { name: 'Slow Sunday', mode: 'slow', days: [0], start: '15:00', minutes: 60 },
+            { name: 'CAPS LOCK HOUR', mode: 'all_caps', days: [5], start: '20:00', minutes: 60 }
+        ]
+    },
+
+    mainRooms: ['Lobby', 'ShapeTalk', 'VIP'],
+
+    // mode -> label for the room editor
+    modes: {
+        open: 'Anything goes',
+        emoji_draw_only: 'Emojis and drawings only',
+        draw_only: 'Drawings only',
+        text_only: 'No drawings'
+    },
+
+    // Keep in step with customRooms in database.rules.json
+    namePattern: /^[A-Za-z0-9][A-Za-z0-9 _-]{0,31}$/,
+    joinCodePattern: /^[A-Za-z0-9]{4,16}$/,
+    maxTopicLength: 120,
+    userLimits: { min: 2, max: 50 },
+    messageLimits: { min: 10, max: 500 },
+    // The event modes a user-made room can schedule; keep in step with RoomEvents.modes
+    eventModes: ['draw_only', 'one_word', 'slow', 'all_caps'],
+    maxEvents: 8,
+    maxEventNameLength: 40,
+    maxEventMinutes: 24 * 60,
+
+    // Unknown rooms (DMs, ad-hoc names) fall back to the Lobby limits; customRooms maps name -> user-created room
+    get(roomName, customRooms = {}) {
+        return { ...this.defaults, ...(this.rooms[roomName] || customRooms[roomName] || this.rooms.Lobby) };
+    },
+
+    // The built-in rooms with their themed hours attached
+    withSchedules(schedules = this.schedules) {
+        const rooms = {};
+        Object.keys(this.rooms).forEach((roomName) => {
+            rooms[roomName] = schedules[roomName] ? { ...this.rooms[roomName], schedule: schedules[roomName] } : this.rooms[roomName];
+        });
+        return rooms;
+    },
+
+    // Built-in names (in any case) and every Private room number stay with the app
+    isReservedName(roomName) {
+        const wanted = String(roomName || '').trim().toLowerCase();
+        return Object.keys(this.rooms).some((name) => name.toLowerCase() === wanted) || /^private [0-9]+$/.test(wanted);
+    },
+
+    // Returns { ok: true, room } holding only the known fields, or { ok: false, reason }.
+    // maxUsers and maxMessages are null for no limit; joinCode is null for an open room.
+    normalizeRoom(room) {
+        if (!room || typeof room !== 'object') {
+            return { ok: false, reason: 'That is not a room.' };
+        }
+        const name = typeof room.name === 'string' ? room.name.trim().replace(/\s+/g, ' ') : '';
+        if (!this.namePattern.test(name)) {
+            return { ok: false, reason: 'Room names are 1 to 32 letters, numbers, spaces, - or _.' };
+        }
+        if (this.isReservedName(name)) {
+            return { ok: false, reason: `${name} is one of the built-in rooms.` };
+        }
+        const mode = Object.prototype.hasOwnProperty.call(this.modes, room.mode) ? room.mode : null;
+        if (!mode) {
+            return { ok: false, reason: 'Pick what the room allows.' };
+        }
+        const limit = (value, { min, max }) => {
+            if (value === null || value === undefined || value === '' || value === 0) return null;
+            const number = Number(value);
+            return Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+        };
+        const maxUsers = limit(room.maxUsers, this.userLimits);
+        if (maxUsers === undefined) {
+            return { ok: false, reason: `Rooms hold ${this.userLimits.min} to ${this.userLimits.max} people, or leave it empty for no limit.` };
+        }
+        const maxMessages = limit(room.maxMessages, this.messageLimits);
+        if (maxMessages === undefined) {
+            return { ok: false, reason: `Rooms keep ${this.messageLimits.min} to ${this.messageLimits.max} messages, or leave it empty to keep them all.` };
+        }
+        const topic = typeof room.topic === 'string' ? room.topic.trim() : '';
+        if (topic.length > this.maxTopicLength) {
+            return { ok: false, reason: `Topics can be up to ${this.maxTopicLength} characters.` };
+        }
+        const joinCode = typeof room.joinCode === 'string' && room.joinCode.trim() ? room.joinCode.trim() : null;
+        if (joinCode && !this.joinCodePattern.test(joinCode)) {
+            return { ok: false, reason: 'Join codes are 4 to 16 letters or numbers.' };
+        }
+        const schedule = this.normalizeSchedule(room.schedule);
+        if (!schedule.ok) {
+            return { ok: false, reason: schedule.reason };
+        }
+        return {
+            ok: true,
+            room: {
+                name,
+                ownerId: typeof room.ownerId === 'string' ? room.ownerId : null,
+                mode,
+                maxUsers,
+                maxMessages,
+                ephemeral: room.ephemeral === true,
+                topic,
+                joinCode,
+                hasJoinCode: Boolean(joinCode) || (room.joinCode === undefined && room.hasJoinCode === true),
+                archived: room.archived === true,
+                schedule: schedule.schedule
+            }
+        };
+    },
+
+    // Returns { ok: true, schedule } holding only the known fields, or { ok: false, reason }.
+    // schedule is null when there are no events; an event without days runs every day.
+    normalizeSchedule(schedule) {
+        if (schedule === null || schedule === undefined || (Array.isArray(schedule) && !schedule.length)) {
+            return { ok: true, schedule: null };
+        }
+        if (!Array.isArray(schedule) || schedule.length > this.maxEvents) {
+            return { ok: false, reason: `Rooms can have up to ${this.maxEvents} themed hours.` };
+        }
+        const events = [];
+        for (const event of schedule) {
+            const name = event && typeof event.name === 'string' ? event.name.trim().replace(/\s+/g, ' ') : '';
+            if (!name || name.length > this.maxEventNameLength) {
+                return { ok: false, reason: `Themed hours need a name of up to ${this.maxEventNameLength} characters.` };
+            }
+            if (!this.eventModes.includes(event.mode)) {
+                return { ok: false, reason: `${name} needs one of these modes: ${this.eventModes.join(', ')}.` };
+            }
+            if (typeof event.start !== 'string' || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(event.start)) {
+                return { ok: false, reason: `${name} needs a start time in UTC like 18:00.` };
+            }
+            if (!Number.isInteger(event.minutes) || event.minutes < 1 || event.minutes > this.maxEventMinutes) {
+                return { ok: false, reason: `${name} can last 1 to ${this.maxEventMinutes} minutes.` };
+            }
+            const days = event.days === undefined || event.days === null ? null : event.days;
+            if (days !== null && !(Array.isArray(days) && days.length && days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+                return { ok: false, reason: `${name} needs days from 0 (Sunday) to 6, or none for every day.` };
+            }
+            events.push(days
+                ? { name, mode: event.mode, days: Array.from(new Set(days)).sort((a, b) => a - b), start: event.start, minutes: event.minutes }
+                : { name, mode: event.mode, start: event.start, minutes: event.minutes });
+        }
+        return { ok: true, schedule: events };
+    },
+
+    // The definition everyone may see: the join code is left to the owner
+    toPublicRoom(room, viewerId = null) {
+        const { joinCode, ...rest } = room;
+        return rest.ownerId === viewerId && joinCode ? { ...rest, joinCode } : rest;
+    },
+
+    // Why a message cannot be posted in a room with this config, or null. isEmojiOnlyText(content)
+    // comes from the caller so each side can count the custom emojis the room has.
+    getMessageRefusal(config, { content = '', drawing = null, kind = null }, isEmojiOnlyText) {
+        if (config.mode === 'emoji_draw_only' && content && (kind === 'roll' || !isEmojiOnlyText(content))) {
+            return 'This room only allows Shape emojis and drawings.';
+        }
+        if (config.mode === 'draw_only' && !drawing) {
+            return 'This room only allows drawings.';
+        }
+        if (config.mode === 'text_only' && drawing) {
+            return 'This room does not take drawings.';
+        }
+        return null;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoomConfigs;
+}
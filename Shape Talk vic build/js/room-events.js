@@ -0,0 +1,131 @@
+// Scheduled room events shared by the ShapeTalk client and the local chat server
+//
+// A room config may carry a weekly schedule (see RoomConfigs.normalizeSchedule). While an event runs, its mode adds a rule
+// on top of the room's own mode:
+//   { name, mode, days, start, minutes }
+//   mode     a key of RoomEvents.modes
+//   days     0 (Sunday) to 6 in UTC; leave it out for every day
+//   start    'HH:MM' in UTC
+//   minutes  how long the event lasts; it may run past midnight
+// Both sides work the schedule out from the clock, so nothing about events travels over the wire.
+const RoomEvents = {
+    dayMs: 24 * 60 * 60 * 1000,
+    slowModeMs: 30000,
+    // How long before an event the countdown banner appears
+    announceMs: 60 * 60 * 1000,
+    dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    // mode -> label and icon for the banner
+    modes: {
+        draw_only: { label: 'Drawings only', icon: '🎨' },
+        one_word: { label: 'One word per message', icon: '☝️' },
+        slow: { label: 'Slow mode: 1 message every 30s', icon: '🐢' },
+        all_caps: { label: 'ALL CAPS', icon: '📢' }
+    },
+
+    // Every run of the schedule that overlaps [from, to), as { ...event, startsAt, endsAt }, earliest first
+    getRuns(schedule, from, to) {
+        if (!Array.isArray(schedule)) return [];
+        const runs = [];
+        const firstDay = Math.floor(from / this.dayMs) - 1;
+        const lastDay = Math.floor(to / this.dayMs);
+        schedule.forEach((event) => {
+            const time = /^([01][0-9]|2[0-3]):([0-5][0-9])$/.exec(event.start || '');
+            if (!time || !this.modes[event.mode] || !(event.minutes > 0)) return;
+            for (let day = firstDay; day <= lastDay; day += 1) {
+                const dayStart = day * this.dayMs;
+                if (Array.isArray(event.days) && !event.days.includes(new Date(dayStart).getUTCDay())) continue;
+                const startsAt = dayStart + (Number(time[1]) * 60 + Number(time[2])) * 60000;
+                const endsAt = startsAt + event.minutes * 60000;
+                if (endsAt > from && startsAt < to) {
+                    runs.push({ ...event, startsAt, endsAt });
+                }
+            }
+        });
+        return runs.sort((a, b) => a.startsAt - b.startsAt);
+    },
+
+    // The event running at `now`, or null
+    getActive(schedule, now = Date.now()) {
+        return this.getRuns(schedule, now, now + 1).find((run) => run.startsAt <= now) || null;
+    },
+
+    // The next event to start within the coming week, or null
+    getNext(schedule, now = Date.now()) {
+        return this.getRuns(schedule, now + 1, now + 7 * this.dayMs).find((run) => run.startsAt > now) || null;
+    },
+
+    // Why a message breaks the running event's rule, or null. Slow mode is checked with getSlowModeWait.
+    getRefusal(event, { content = '', drawing = null, kind = null }) {
+        if (!event) return null;
+        const text = String(content || '').trim();
+        if (event.mode === 'draw_only' && !drawing) {
+            return `${event.name} is on. Only drawings until it ends.`;
+        }
+        if (event.mode === 'one_word' && /\s/.test(text)) {
+            return `${event.name} is on. One word per message.`;
+        }
+        // Shortcodes are lowercase by design and dice are written 2d6, so neither counts against ALL CAPS
+        if (event.mode === 'all_caps' && kind !== 'roll') {
+            const words = text.replace(/:[a-z0-9_]+:/g, '');
+            if (words !== words.toUpperCase()) {
+                return `${event.name} is on. TYPE IN ALL CAPS.`;
+            }
+        }
+        return null;
+    },
+
+    // Milliseconds before someone whose last message went out at lastSentAt may send again
+    getSlowModeWait(event, lastSentAt, now = Date.now()) {
+        if (!event || event.mode !== 'slow' || !lastSentAt) return 0;
+        return Math.max(0, lastSentAt + this.slowModeMs - now);
+    },
+
+    getSlowModeRefusal(event, waitMs) {
+        return `${event.name} is on. You can send again in ${Math.max(1, Math.ceil(waitMs / 1000))}s.`;
+    },
+
+    // The room editor shows a schedule one event per line: days (or daily), start, minutes, mode and name
+    formatSchedule(schedule) {
+        return (Array.isArray(schedule) ? schedule : []).map((event) => [
+            Array.isArray(event.days) ? event.days.map((day) => this.dayNames[day]).join(',') : 'daily',
+            event.start,
+            event.minutes,
+            event.mode,
+            event.name
+        ].join(' ')).join('\n');
+    },
+
+    // Reads formatSchedule's lines back into { ok: true, schedule } for RoomConfigs.normalizeRoom to check,
+    // or { ok: false, reason } for a line it cannot make out
+    parseSchedule(text) {
+        const schedule = [];
+        const lines = String(text || '').split('\n').map((line) => line.trim()).filter(Boolean);
+        for (const line of lines) {
+            const match = /^(\S+)\s+(\S+)\s+([0-9]+)\s+(\S+)\s+(.+)$/.exec(line);
+            const days = !match || match[1].toLowerCase() === 'daily'
+                ? null
+                : match[1].split(',').map((day) => this.dayNames.findIndex((name) => name.toLowerCase() === day.toLowerCase()));
+            if (!match || (days && days.includes(-1))) {
+                return { ok: false, reason: 'Write each themed hour as days, start, minutes, mode and name, like: Sat,Sun 18:00 60 draw_only Doodle Hour' };
+            }
+            const event = { name: match[5], mode: match[4], start: match[2], minutes: Number(match[3]) };
+            schedule.push(days ? { ...event, days } : event);
+        }
+        return { ok: true, schedule };
+    },
+
+    // 1:02:03 for an hour or more, otherwise 42:05
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoomEvents;
+}
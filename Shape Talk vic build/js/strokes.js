@@ -0,0 +1,288 @@
+// Vector drawings for ShapeTalk messages, shared by the client and the local chat server
+//
+// The draw picker records each change to the drawing as an op:
+//   { tool, color, size, layer, points }
+//   tool     'pen' | 'eraser' | 'line' | 'rect' | 'ellipse' | 'fill'
+//   points   pen/eraser: [[x, y], ...], or [[x, y, width], ...] when drawn with pressure
+//            line/rect/ellipse: the two corners the shape was dragged between
+//            fill: [[x, y, length], ...] the rows the fill covered, worked out when it was placed
+//   layer    0 (back) or 1 (front); the eraser clears its own layer to transparent
+// A message's `drawing` holds the ops as one compact string instead of a PNG data URL:
+//   strokes:2|<width>,<height>|<op>|<op>...
+//   op       <letter>[#rrggbb][@layer]/<size>:<numbers>
+//   letter   p pen, P pen with pressure, e eraser, l line, r rect, o ellipse, f fill
+// Numbers are whole canvas pixels (pressure widths in tenths of a pixel); each point after the first is
+// stored as the step from the one before, which keeps most numbers to a digit or two. Version 1 strings
+// (pen and a white-painting eraser only) still decode, and older messages with PNG data URLs still
+// render as images.
+const Strokes = {
+    prefix: 'strokes:2',
+    legacyPrefix: 'strokes:1',
+    maxDimension: 4096,
+    maxSize: 200,
+    layerCount: 2,
+    background: '#ffffff',
+    letters: { pen: 'p', eraser: 'e', line: 'l', rect: 'r', ellipse: 'o', fill: 'f' },
+    shapeTools: ['line', 'rect', 'ellipse'],
+    svgCount: 0,
+
+    isStrokes(value) {
+        return typeof value === 'string' && (value.startsWith(`${this.prefix}|`) || value.startsWith(`${this.legacyPrefix}|`));
+    },
+
+    isImage(value) {
+        return typeof value === 'string' && value.startsWith('data:image/');
+    },
+
+    // What backends accept in a message's drawing field
+    isDrawing(value) {
+        return this.isImage(value) || Boolean(this.decode(value));
+    },
+
+    hasPressure(op) {
+        return op.tool === 'pen' && op.points.length > 0 && op.points[0].length === 3;
+    },
+
+    // Returns null when no op would draw anything
+    encode({ width, height, strokes }) {
+        const encoded = (strokes || []).map((op) => this.encodeOp(op)).filter(Boolean);
+        if (!encoded.length) return null;
+        return [this.prefix, `${Math.round(width)},${Math.round(height)}`, ...encoded].join('|');
+    },
+
+    encodeOp(op) {
+        const letter = this.hasPressure(op) ? 'P' : this.letters[op.tool];
+        if (!letter) return null;
+        const tuples = [];
+        (op.points || []).forEach((point) => {
+            const tuple = [Math.round(point[0]), Math.round(point[1])];
+            if (letter === 'P') tuple.push(Math.max(1, Math.round(point[2] * 10)));
+            if (letter === 'f') tuple.push(Math.round(point[2]));
+            const previous = tuples[tuples.length - 1];
+            // Repeats add nothing to a line; a shape keeps both corners even if they round together
+            if (previous && (letter === 'p' || letter === 'e') && previous[0] === tuple[0] && previous[1] === tuple[1]) return;
+            tuples.push(tuple);
+        });
+        if (letter === 'f' ? !tuples.length : tuples.length < 2) return null;
+
+        const numbers = [];
+        tuples.forEach((tuple, index) => {
+            const previous = index ? tuples[index - 1] : tuple.map(() => 0);
+            tuple.forEach((value, i) => numbers.push(value - previous[i]));
+        });
+        const color = op.tool === 'eraser' ? '' : String(op.color || '#000000').toLowerCase();
+        const layer = op.layer ? `@${op.layer}` : '';
+        return `${letter}${color}${layer}/${Math.round(op.size) || 1}:${numbers.join(',')}`;
+    },
+
+    // Returns { width, height, strokes } or null for anything that is not a well-formed stroke string
+    decode(value) {
+        if (!this.isStrokes(value)) return null;
+        const legacy = value.startsWith(`${this.legacyPrefix}|`);
+        const [, dimensions, ...parts] = value.split('|');
+        const size = (dimensions || '').match(/^(\d{1,4}),(\d{1,4})$/);
+        if (!size || !parts.length) return null;
+        const width = Number(size[1]);
+        const height = Number(size[2]);
+        if (!width || !height || width > this.maxDimension || height > this.maxDimension) return null;
+
+        const strokes = [];
+        for (const part of parts) {
+            const op = legacy ? this.decodeLegacyOp(part) : this.decodeOp(part);
+            if (!op) return null;
+            strokes.push(op);
+        }
+        return { width, height, strokes };
+    },
+
+    decodeOp(part) {
+        const match = part.match(/^([pPelrof])(#[0-9a-f]{6})?(?:@(\d))?\/(\d{1,3}):(-?\d+(?:,-?\d+)*)$/);
+        if (!match) return null;
+        const [, letter, color, layerText, sizeText, numberText] = match;
+        const tool = letter === 'P' ? 'pen' : Object.keys(this.letters).find((name) => this.letters[name] === letter);
+        const layer = Number(layerText || 0);
+        const opSize = Number(sizeText);
+        if ((tool === 'eraser') === Boolean(color) || layer >= this.layerCount || !opSize || opSize > this.maxSize) {
+            return null;
+        }
+
+        const arity = letter === 'P' || letter === 'f' ? 3 : 2;
+        const numbers = numberText.split(',').map(Number);
+        if (numbers.length % arity) return null;
+        const points = [];
+        for (let i = 0; i < numbers.length; i += arity) {
+            const previous = points.length ? points[points.length - 1] : [0, 0, 0];
+            points.push(numbers.slice(i, i + arity).map((step, index) => previous[index] + step));
+        }
+        if (letter === 'P') {
+            points.forEach((point) => { point[2] /= 10; });
+        }
+        const enough = tool === 'fill' ? points.length >= 1 : points.length >= 2;
+        if (!enough || (this.shapeTools.includes(tool) && points.length !== 2)) return null;
+        return { tool, color: color || null, size: opSize, layer, points };
+    },
+
+    // Version 1: pen strokes and an eraser that painted white, both on the one layer
+    decodeLegacyOp(part) {
+        const match = part.match(/^(e|p(#[0-9a-f]{6}))\/(\d{1,3}):(-?\d+(?:,-?\d+)+)$/);
+        if (!match) return null;
+        const numbers = match[4].split(',').map(Number);
+        const opSize = Number(match[3]);
+        if (numbers.length % 2 || !opSize || opSize > this.maxSize) return null;
+        const points = [];
+        for (let i = 0; i < numbers.length; i += 2) {
+            const [previousX, previousY] = points.length ? points[points.length - 1] : [0, 0];
+            points.push([previousX + numbers[i], previousY + numbers[i + 1]]);
+        }
+        return { tool: 'pen', color: match[1] === 'e' ? this.background : match[2], size: opSize, layer: 0, points };
+    },
+
+    countPoints(drawing) {
+        return drawing.strokes.reduce((total, op) => total + op.points.length, 0);
+    },
+
+    getShapeBox([[x0, y0], [x1, y1]]) {
+        return { x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) };
+    },
+
+    // Scanline flood fill over RGBA pixels ({ width, height, data }). Colors within `tolerance` of the
+    // one clicked count as the same, so anti-aliased edges do not leave a halo. Returns [[x, y, length], ...].
+    floodFill(image, startX, startY, tolerance = 48) {
+        const { width, height, data } = image;
+        const x0 = Math.floor(startX);
+        const y0 = Math.floor(startY);
+        if (x0 < 0 || y0 < 0 || x0 >= width || y0 >= height) return [];
+        const start = (y0 * width + x0) * 4;
+        const target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+        const matches = (x, y) => {
+            const i = (y * width + x) * 4;
+            return Math.abs(data[i] - target[0]) <= tolerance
+                && Math.abs(data[i + 1] - target[1]) <= tolerance
+                && Math.abs(data[i + 2] - target[2]) <= tolerance
+                && Math.abs(data[i + 3] - target[3]) <= tolerance;
+        };
+
+        const filled = new Uint8Array(width * height);
+        const runs = [];
+        const stack = [[x0, y0]];
+        while (stack.length) {
+            const [seedX, y] = stack.pop();
+            if (filled[y * width + seedX] || !matches(seedX, y)) continue;
+            let left = seedX;
+            while (left > 0 && !filled[y * width + left - 1] && matches(left - 1, y)) left -= 1;
+            let right = seedX;
+            while (right < width - 1 && !filled[y * width + right + 1] && matches(right + 1, y)) right += 1;
+            filled.fill(1, y * width + left, y * width + right + 1);
+            runs.push([left, y, right - left + 1]);
+            [y - 1, y + 1].forEach((nextY) => {
+                if (nextY < 0 || nextY >= height) return;
+                for (let x = left; x <= right; x += 1) {
+                    if (!filled[nextY * width + x] && matches(x, nextY)) {
+                        stack.push([x, nextY]);
+                        while (x < right && matches(x + 1, nextY)) x += 1;
+                    }
+                }
+            });
+        }
+        return runs.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+    },
+
+    // Paints one op onto a layer's 2D context. Pen and eraser strokes can carry on from point `from`,
+    // which is how the draw picker adds each new segment as it is drawn.
+    paintOp(ctx, op, from = 0) {
+        ctx.save();
+        ctx.globalCompositeOperation = op.tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = op.tool === 'eraser' ? '#000000' : op.color;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = op.size;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        if (op.tool === 'fill') {
+            op.points.slice(from).forEach(([x, y, length]) => ctx.fillRect(x, y, length, 1));
+        } else if (this.shapeTools.includes(op.tool)) {
+            const [[x0, y0], [x1, y1]] = op.points;
+            const box = this.getShapeBox(op.points);
+            ctx.beginPath();
+            if (op.tool === 'line') {
+                ctx.moveTo(x0, y0);
+                ctx.lineTo(x1, y1);
+            } else if (op.tool === 'rect') {
+                ctx.rect(box.x, box.y, box.width, box.height);
+            } else {
+                ctx.ellipse(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2, 0, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+        } else {
+            for (let i = Math.max(1, from); i < op.points.length; i += 1) {
+                const [fromX, fromY, fromWidth] = op.points[i - 1];
+                const [toX, toY, toWidth] = op.points[i];
+                if (toWidth) {
+                    ctx.lineWidth = (fromWidth + toWidth) / 2;
+                }
+                ctx.beginPath();
+                ctx.moveTo(fromX, fromY);
+                ctx.lineTo(toX, toY);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    },
+
+    svgNumber(value) {
+        return Math.round(value * 10) / 10;
+    },
+
+    toSvgElement(op, points) {
+        const color = op.tool === 'eraser' ? '#000000' : op.color;
+        const line = `fill="none" stroke="${color}" stroke-width="${op.size}" stroke-linecap="round" stroke-linejoin="round"`;
+        if (op.tool === 'fill') {
+            const rows = points.map(([x, y, length]) => `M${x} ${y}h${length}v1h-${length}z`).join('');
+            return `<path d="${rows}" fill="${color}" shape-rendering="crispEdges"/>`;
+        }
+        if (this.shapeTools.includes(op.tool)) {
+            const [[x0, y0], [x1, y1]] = points;
+            const box = this.getShapeBox(points);
+            if (op.tool === 'line') return `<line x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}" ${line}/>`;
+            if (op.tool === 'rect') return `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" ${line}/>`;
+            return `<ellipse cx="${this.svgNumber(box.x + box.width / 2)}" cy="${this.svgNumber(box.y + box.height / 2)}" rx="${this.svgNumber(box.width / 2)}" ry="${this.svgNumber(box.height / 2)}" ${line}/>`;
+        }
+        if (points[0].length === 3) {
+            const segments = points.slice(1).map(([x, y, width], i) => {
+                const [fromX, fromY, fromWidth] = points[i];
+                return `<line x1="${fromX}" y1="${fromY}" x2="${x}" y2="${y}" stroke-width="${this.svgNumber((fromWidth + width) / 2)}"/>`;
+            });
+            return `<g stroke="${color}" stroke-linecap="round">${segments.join('')}</g>`;
+        }
+        return `<polyline points="${points.map(([x, y]) => `${x},${y}`).join(' ')}" ${line}/>`;
+    },
+
+    // SVG markup for a decoded drawing; pointLimit draws only the first points, in drawing order, for replays.
+    // Each layer is its own group and an eraser masks out what its layer had drawn before it.
+    toSvg(drawing, pointLimit = Infinity) {
+        const id = `strokes${this.svgCount += 1}`;
+        const { width, height } = drawing;
+        const layers = Array.from({ length: this.layerCount }, () => '');
+        const masks = [];
+        let remaining = pointLimit;
+        for (const op of drawing.strokes) {
+            const points = op.points.slice(0, Math.max(0, remaining));
+            remaining -= points.length;
+            if (points.length < (op.tool === 'fill' ? 1 : 2)) break;
+            if (op.tool === 'eraser') {
+                const maskId = `${id}-m${masks.length}`;
+                masks.push(`<mask id="${maskId}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="#ffffff"/>${this.toSvgElement(op, points)}</mask>`);
+                layers[op.layer] = `<g mask="url(#${maskId})">${layers[op.layer]}</g>`;
+            } else {
+                layers[op.layer] += this.toSvgElement(op, points);
+            }
+        }
+        return `<svg class="drawing-strokes" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Drawing">`
+            + `${masks.length ? `<defs>${masks.join('')}</defs>` : ''}<rect width="${width}" height="${height}" fill="${this.background}"/>`
+            + `${layers.map((content) => (content ? `<g>${content}</g>` : '')).join('')}</svg>`;
+    }
+};
+
+// Export for module use if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Strokes;
+}
@@ -0,0 +1,486 @@
+// Firebase Realtime Database transport (wraps FirebaseChat)
+const FirebaseTransport = {
+    name: 'firebase',
+    chat: null,
+    userId: null,
+    watchPresenceRef: null,
+    connectionRef: null,
+    // threadId -> last thread seen by listenForDmThreads, so invites and renames can be checked first
+    dmThreads: {},
+
+    get database() {
+        return window.FirebaseChat ? window.FirebaseChat.database : null;
+    },
+
+    connect(chat, profile) {
+        this.chat = chat;
+        if (!window.FirebaseChat || !window.FirebaseChat.init(profile)) {
+            console.log('Firebase not configured, trying the next chat transport');
+            return false;
+        }
+
+        this.userId = window.FirebaseChat.userId || profile.userId;
+        this.listenForConnection();
+        console.log('Connected to Firebase real-time chat');
+        return true;
+    },
+
+    isConnected() {
+        return Boolean(this.database);
+    },
+
+    // The SDK reconnects by itself; .info/connected says whether it is currently through
+    listenForConnection() {
+        if (this.connectionRef) return;
+        this.connectionRef = this.database.ref('.info/connected');
+        this.connectionRef.on('value', (snapshot) => {
+            const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            this.chat.setConnectionState(snapshot.val() ? 'online' : offline ? 'offline' : 'connecting');
+        });
+    },
+
+    joinRoom(roomName, options = {}) {
+        return window.FirebaseChat.switchRoom(roomName, options.joinCode || null);
+    },
+
+    leaveRoom(roomName) {
+        return window.FirebaseChat.leaveRoom(roomName);
+    },
+
+    sendMessage(content, drawing, roomConfig, extras = {}) {
+        return window.FirebaseChat.sendMessage(content, drawing, roomConfig, extras);
+    },
+
+    // child_changed only covers the live window, so messages loaded from older pages are redrawn here
+    redrawMessage(messageId, changes) {
+        const message = this.chat.messageCache[messageId];
+        if (message) {
+            this.chat.addMessage({ ...message, ...changes });
+        }
+    },
+
+    async react(messageId, reaction, nextReactions) {
+        const updated = await window.FirebaseChat.setReaction(messageId, (nextReactions || {})[this.userId]);
+        if (updated) {
+            this.redrawMessage(messageId, { reactions: { ...(nextReactions || {}) } });
+        }
+        return updated;
+    },
+
+    async editMessage(messageId, content) {
+        const updated = await window.FirebaseChat.editMessage(messageId, content);
+        if (updated) {
+            this.redrawMessage(messageId, { content, editedAt: Date.now() });
+        }
+        return updated;
+    },
+
+    async deleteMessage(messageId) {
+        const updated = await window.FirebaseChat.deleteMessage(messageId);
+        if (updated) {
+            this.redrawMessage(messageId, { content: '', drawing: null, replyTo: null, reactions: {}, deleted: true });
+        }
+        return updated;
+    },
+
+    reportMessage(report) {
+        return window.FirebaseChat.reportMessage(report);
+    },
+
+    kickUser(roomName, userId) {
+        return window.FirebaseChat.kickUser(roomName, userId);
+    },
+
+    banUser(roomName, userId, minutes) {
+        return window.FirebaseChat.banUser(roomName, userId, minutes);
+    },
+
+    loadOlderMessages(roomName, beforeMessage, limit) {
+        return window.FirebaseChat.loadMessagesBefore(roomName, beforeMessage.messageId, limit);
+    },
+
+    updateProfile(profile) {
+        window.FirebaseChat.updateProfile(profile);
+        // Invites keep the name they were sent with; members carry their own name into each thread
+        Object.values(this.dmThreads).forEach((thread) => {
+            if (profile.username && DmThreads.getStatus(thread, this.userId) === 'member' && thread.members[this.userId] !== profile.username) {
+                this.database.ref(`dmThreads/${thread.id}/members/${this.userId}`).set(profile.username).catch(() => {});
+            }
+        });
+    },
+
+    async setWatchPresence(roomName, enabled, user) {
+        if (this.watchPresenceRef) {
+            try {
+                await this.watchPresenceRef.remove();
+            } catch (_) {}
+            this.watchPresenceRef = null;
+        }
+
+        if (!enabled || !roomName || !this.database) {
+            return;
+        }
+
+        try {
+            const ref = this.database.ref(`watchers/${roomName}/${this.userId}`);
+            await ref.set({
+                username: user.username,
+                room: roomName,
+                online: true,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            ref.onDisconnect().remove();
+            this.watchPresenceRef = ref;
+        } catch (_) {}
+    },
+
+    readOnlineUsers(snapshot) {
+        const users = [];
+        snapshot.forEach((childSnapshot) => {
+            const user = childSnapshot.val();
+            if (user && user.online) {
+                users.push({
+                    id: childSnapshot.key,
+                    username: user.username,
+                    mood: user.mood || ':happy:'
+                });
+            }
+        });
+        return users;
+    },
+
+    toWatchMessage(msg) {
+        return {
+            userId: msg.userId,
+            username: msg.username,
+            content: msg.content,
+            drawing: msg.drawing || null,
+            timestamp: msg.timestamp || Date.now()
+        };
+    },
+
+    watchRoom(roomName, handlers) {
+        const roomRef = this.database.ref(`rooms/${roomName}`);
+        const usersRef = roomRef.child('users');
+        const messagesRef = roomRef.child('messages');
+        const seenMessageKeys = new Set();
+        let active = true;
+
+        Promise.all([
+            usersRef.once('value'),
+            messagesRef.limitToLast(100).once('value')
+        ]).then(([usersSnap, messagesSnap]) => {
+            if (!active) return;
+            const history = [];
+            messagesSnap.forEach((childSnapshot) => {
+                seenMessageKeys.add(childSnapshot.key);
+                const message = childSnapshot.val() || {};
+                if (!message.deleted) {
+                    history.push(this.toWatchMessage(message));
+                }
+            });
+            handlers.onStart(roomName, this.readOnlineUsers(usersSnap), history);
+        }).catch(() => {
+            if (active && handlers.onError) handlers.onError();
+        });
+
+        const userListener = usersRef.on('value', (snapshot) => {
+            if (active) handlers.onUsers(this.readOnlineUsers(snapshot));
+        });
+
+        const messageQuery = messagesRef.limitToLast(100);
+        const messageListener = messageQuery.on('child_added', (snapshot) => {
+            if (!active || seenMessageKeys.has(snapshot.key)) return;
+            seenMessageKeys.add(snapshot.key);
+            handlers.onMessage(this.toWatchMessage(snapshot.val() || {}));
+        });
+
+        return () => {
+            active = false;
+            usersRef.off('value', userListener);
+            messageQuery.off('child_added', messageListener);
+        };
+    },
+
+    async stealIdeas(roomName, history) {
+        return {
+            room: roomName,
+            messages: history,
+            onlineUsers: [],
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    async getWatchers(roomName) {
+        const snapshot = await this.database.ref(`watchers/${roomName}`).once('value');
+        const watchers = [];
+        snapshot.forEach((childSnapshot) => {
+            const watcher = childSnapshot.val();
+            if (!watcher || !watcher.online || childSnapshot.key === this.userId) return;
+            watchers.push({
+                username: watcher.username || 'Unknown',
+                stolenIdeas: watcher.stolenIdeas || []
+            });
+        });
+        return watchers;
+    },
+
+    async searchMessages(roomNames, query) {
+        const resultLists = await Promise.all(roomNames.map((roomName) => window.FirebaseChat.searchRoom(roomName, query)));
+        return ChatSearch.mergeResults(resultLists);
+    },
+
+    // Only the userId that created an account name may overwrite it
+    async saveAccount(accountName, record) {
+        const result = await this.database.ref(`accounts/${accountName}`).transaction((current) => {
+            if (current && current.ownerId !== record.ownerId) return undefined;
+            return { ...record, updatedAt: Date.now() };
+        });
+        return result.committed ? { ok: true } : { ok: false, reason: 'That account name is taken.' };
+    },
+
+    async loadAccount(accountName) {
+        const snapshot = await this.database.ref(`accounts/${accountName}`).once('value');
+        return snapshot.val();
+    },
+
+    // The rules keep packs to their owner; shortcode clashes are checked by the client before saving
+    async saveEmojiPack(pack) {
+        try {
+            await this.database.ref(`emojiPacks/${pack.id}`).set({
+                ownerId: this.userId,
+                name: pack.name,
+                scope: pack.scope,
+                emojis: pack.emojis,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            return { ok: true, packId: pack.id };
+        } catch (_) {
+            return { ok: false, reason: 'That pack could not be saved.' };
+        }
+    },
+
+    listenForEmojiPacks(onPacks) {
+        const ref = this.database.ref('emojiPacks');
+        const handler = (snapshot) => {
+            onPacks(Object.entries(snapshot.val() || {}).map(([packId, pack]) => ({ ...pack, id: packId })));
+        };
+        ref.on('value', handler);
+        return () => ref.off('value', handler);
+    },
+
+    // The code goes to roomCodes/, which nobody can read; the owner keeps a key like everyone who joins
+    async saveRoom(room) {
+        try {
+            await this.database.ref(`customRooms/${room.name}`).set({
+                ownerId: this.userId,
+                mode: room.mode,
+                maxUsers: room.maxUsers,
+                maxMessages: room.maxMessages,
+                ephemeral: room.ephemeral,
+                topic: room.topic,
+                hasJoinCode: Boolean(room.joinCode),
+                archived: false,
+                schedule: room.schedule,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            await this.database.ref(`roomCodes/${room.name}`).set(room.joinCode || null);
+            if (room.joinCode) {
+                await this.database.ref(`roomKeys/${room.name}/${this.userId}`).set(room.joinCode);
+            }
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: `${room.name} could not be saved.` };
+        }
+    },
+
+    async archiveRoom(roomName) {
+        try {
+            await this.database.ref(`customRooms/${roomName}`).update({
+                archived: true,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: 'Only the person who made a room can archive it.' };
+        }
+    },
+
+    listenForRooms(onRooms) {
+        const ref = this.database.ref('customRooms');
+        const handler = (snapshot) => {
+            onRooms(Object.entries(snapshot.val() || {})
+                .filter(([, room]) => !room.archived)
+                .map(([roomName, room]) => ({ ...room, name: roomName })));
+        };
+        ref.on('value', handler);
+        return () => ref.off('value', handler);
+    },
+
+    // Each invite is written before the invitee's inbox entry, which the rules only allow once the invite exists
+    async writeDmInvites(threadId, invites) {
+        for (const [userId, invite] of Object.entries(invites)) {
+            await this.database.ref(`dmThreads/${threadId}/invites/${userId}`).set(invite);
+            await this.database.ref(`dmInbox/${userId}/${threadId}`).set(true);
+        }
+        await this.database.ref(`dmThreads/${threadId}/updatedAt`).set(firebase.database.ServerValue.TIMESTAMP);
+    },
+
+    async createDmThread(invitees) {
+        const threadId = DmThreads.createId();
+        const result = DmThreads.create(threadId, { userId: this.userId, username: window.FirebaseChat.username }, invitees);
+        if (!result.ok) {
+            return result;
+        }
+        try {
+            await this.database.ref(`dmThreads/${threadId}`).set({
+                createdBy: this.userId,
+                members: result.thread.members,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            await this.database.ref(`dmInbox/${this.userId}/${threadId}`).set(true);
+            await this.writeDmInvites(threadId, result.thread.invites);
+            return { ok: true, threadId };
+        } catch (_) {
+            return { ok: false, reason: 'That DM could not be started.' };
+        }
+    },
+
+    async inviteToDmThread(threadId, invitees) {
+        const thread = this.dmThreads[threadId];
+        const result = thread ? DmThreads.invite(thread, this.userId, invitees) : { ok: false, reason: 'You are not in that DM.' };
+        if (!result.ok) {
+            return result;
+        }
+        try {
+            const added = Object.entries(result.thread.invites).filter(([userId]) => !thread.invites[userId]);
+            await this.writeDmInvites(threadId, Object.fromEntries(added));
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: 'That invite could not be sent.' };
+        }
+    },
+
+    async acceptDmInvite(threadId) {
+        try {
+            await this.database.ref(`dmThreads/${threadId}`).update({
+                [`members/${this.userId}`]: window.FirebaseChat.username,
+                [`invites/${this.userId}`]: null,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: 'That invite is gone.' };
+        }
+    },
+
+    async leaveDmThread(threadId) {
+        try {
+            await this.database.ref(`dmThreads/${threadId}`).update({
+                [`members/${this.userId}`]: null,
+                [`invites/${this.userId}`]: null,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            await this.database.ref(`dmInbox/${this.userId}/${threadId}`).remove();
+            return { ok: true };
+        } catch (_) {
+            return { ok: false, reason: 'You are not in that DM.' };
+        }
+    },
+
+    // dmInbox/<userId> lists the threads to follow; each thread is listened to on its own
+    listenForDmThreads(onThreads) {
+        const inboxRef = this.database.ref(`dmInbox/${this.userId}`);
+        const threadRefs = {};
+        const notify = () => {
+            onThreads(Object.values(this.dmThreads).filter((thread) => DmThreads.getStatus(thread, this.userId)));
+        };
+        const unfollow = (threadId) => {
+            const { ref, handler } = threadRefs[threadId];
+            ref.off('value', handler);
+            delete threadRefs[threadId];
+            delete this.dmThreads[threadId];
+        };
+        const inboxHandler = (snapshot) => {
+            const threadIds = Object.keys(snapshot.val() || {}).filter((threadId) => DmThreads.isThreadId(threadId));
+            Object.keys(threadRefs).filter((threadId) => !threadIds.includes(threadId)).forEach(unfollow);
+            threadIds.filter((threadId) => !threadRefs[threadId]).forEach((threadId) => {
+                const ref = this.database.ref(`dmThreads/${threadId}`);
+                const handler = (threadSnapshot) => {
+                    const thread = DmThreads.normalizeThread({ ...(threadSnapshot.val() || {}), id: threadId });
+                    this.dmThreads[threadId] = thread;
+                    notify();
+                };
+                threadRefs[threadId] = { ref, handler };
+                ref.on('value', handler);
+            });
+            notify();
+        };
+        inboxRef.on('value', inboxHandler);
+        return () => {
+            inboxRef.off('value', inboxHandler);
+            Object.keys(threadRefs).forEach(unfollow);
+        };
+    },
+
+    setTyping(isTyping) {
+        return window.FirebaseChat.setTyping(isTyping);
+    },
+
+    markRead(roomName, message) {
+        return this.database.ref(`rooms/${roomName}/reads/${this.userId}`).set({
+            username: window.FirebaseChat.username,
+            messageId: message.messageId,
+            timestamp: message.timestamp,
+            at: firebase.database.ServerValue.TIMESTAMP
+        });
+    },
+
+    listenForReadReceipts(roomName, onReads) {
+        const readsRef = this.database.ref(`rooms/${roomName}/reads`);
+        const handler = (snapshot) => {
+            onReads(snapshot.val() || {});
+        };
+        readsRef.on('value', handler);
+        return () => readsRef.off('value', handler);
+    },
+
+    listenForRoomList(onRooms) {
+        return window.FirebaseChat.listenForRoomList(onRooms);
+    },
+
+    listenForRoomMessages(roomName, onMessage) {
+        const query = this.database.ref(`rooms/${roomName}/messages`).limitToLast(50);
+        const knownKeys = new Set();
+        let attached = false;
+        let stopped = false;
+        const handler = (snapshot) => {
+            if (knownKeys.has(snapshot.key)) return;
+            knownKeys.add(snapshot.key);
+            onMessage({ messageId: snapshot.key, ...(snapshot.val() || {}) });
+        };
+
+        // Skip what is already in the room so only new messages count as unread
+        query.once('value', (snapshot) => {
+            if (stopped) return;
+            snapshot.forEach((childSnapshot) => {
+                knownKeys.add(childSnapshot.key);
+            });
+            query.on('child_added', handler);
+            attached = true;
+        });
+
+        return () => {
+            stopped = true;
+            if (attached) {
+                query.off('child_added', handler);
+            }
+        };
+    },
+
+    getRoomOccupancyCounts() {
+        return window.FirebaseChat.getRoomOccupancyCounts();
+    }
+};
+
+ChatTransport.register(FirebaseTransport);
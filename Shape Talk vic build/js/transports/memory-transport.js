@@ -0,0 +1,418 @@
+// In-memory transport: single-client demo mode used when no backend is reachable
+const MemoryTransport = {
+    name: 'memory',
+    chat: null,
+    userId: null,
+    profile: null,
+    currentRoom: 'Lobby',
+    rooms: {},
+    roomMessageListeners: {},
+    readReceiptListeners: {},
+    accounts: {},
+    emojiPacks: {},
+    emojiPackListeners: [],
+    customRooms: {},
+    customRoomListeners: [],
+    dmThreads: {},
+    dmThreadListeners: [],
+    reports: [],
+    roomListListeners: [],
+    demoWatchTimers: [],
+
+    demoConversations: [
+        {
+            room: 'Shapes',
+            users: ['DiamondDude421', 'TriangleKing007'],
+            messages: [
+                { sender: 'DiamondDude421', text: 'yo did you see that new game dropping tomorrow', delay: 900 },
+                { sender: 'TriangleKing007', text: 'yeah bro the trailer looks crazy', delay: 2400 },
+                { sender: 'DiamondDude421', text: 'i have a better concept for it though', delay: 4100 },
+                { sender: 'TriangleKing007', text: 'what idea', delay: 5500 },
+                { sender: 'DiamondDude421', text: 'what if the whole map changes every 5 min and nobody gets warned', delay: 7200 },
+                { sender: 'TriangleKing007', text: 'bro that is actually genius', delay: 8900 },
+                { sender: 'DiamondDude421', text: 'i been sitting on this for three weeks', delay: 10600 },
+                { sender: 'TriangleKing007', text: 'dont tell nobody. we build this ourselves', delay: 12400 }
+            ]
+        },
+        {
+            room: 'AfterHours',
+            users: ['OctagonWizard333', 'CircleSage099'],
+            messages: [
+                { sender: 'CircleSage099', text: 'i wrote a whole song last night, couldnt sleep', delay: 700 },
+                { sender: 'OctagonWizard333', text: 'for real? what kind', delay: 2000 },
+                { sender: 'CircleSage099', text: 'slow beat with weird samples from old cartoons', delay: 3700 },
+                { sender: 'OctagonWizard333', text: 'that sounds genuinely different', delay: 5300 },
+                { sender: 'CircleSage099', text: 'i call the whole sound shape wave', delay: 6800 },
+                { sender: 'OctagonWizard333', text: 'thats a whole genre right there', delay: 8500 },
+                { sender: 'CircleSage099', text: 'right? nobody is doing this', delay: 10100 },
+                { sender: 'OctagonWizard333', text: 'drop it before someone steals it', delay: 11900 }
+            ]
+        },
+        {
+            room: 'SketchPad',
+            users: ['HexagonHorse212', 'StarLegend556'],
+            messages: [
+                { sender: 'HexagonHorse212', text: 'imagine an app that shows what your friends are doing in real time', delay: 800 },
+                { sender: 'StarLegend556', text: 'like a spy app lmao', delay: 2200 },
+                { sender: 'HexagonHorse212', text: 'no tasteful. what they listening to, watching, reading', delay: 3900 },
+                { sender: 'StarLegend556', text: 'thats actually a cool idea ngl', delay: 5500 },
+                { sender: 'HexagonHorse212', text: 'call it Parallel', delay: 7000 },
+                { sender: 'StarLegend556', text: 'parallel. ok i fw that hard', delay: 8700 },
+                { sender: 'HexagonHorse212', text: 'gonna mock it up tonight', delay: 10300 },
+                { sender: 'StarLegend556', text: 'let me know when you have something', delay: 12000 }
+            ]
+        }
+    ],
+
+    demoWatchers: [
+        {
+            username: 'TriangleKing007',
+            color: '#00b4ff',
+            messages: [
+                { username: 'RhombusRacer99', content: 'what if the game UI transforms completely every round' },
+                { username: 'PentagonPulse88', content: 'like mood-based?' },
+                { username: 'RhombusRacer99', content: 'horror round then cartoon then retro. nobody has done this' },
+                { username: 'PentagonPulse88', content: 'thats genuinely wild. build it' },
+                { username: 'RhombusRacer99', content: 'got sketches already. just need a partner' }
+            ]
+        }
+    ],
+
+    connect(chat, profile) {
+        this.chat = chat;
+        this.userId = profile.userId;
+        this.profile = { username: profile.username, mood: profile.mood };
+        this.currentRoom = profile.room || 'Lobby';
+        console.log('Using local demo chat');
+        return true;
+    },
+
+    isConnected() {
+        return true;
+    },
+
+    getRoom(roomName) {
+        if (!this.rooms[roomName]) {
+            this.rooms[roomName] = { messages: [], reads: {} };
+        }
+        return this.rooms[roomName];
+    },
+
+    async joinRoom(roomName) {
+        const previousRoom = this.currentRoom;
+        this.currentRoom = roomName;
+        this.chat.updateUserList([this.chat.getSelfUser()]);
+        this.getRoom(roomName).messages.forEach((message) => this.chat.addMessage(message));
+        this.roomListListeners.forEach((onRooms) => onRooms(Object.keys(this.rooms)));
+        return { ok: true, previousRoom };
+    },
+
+    async leaveRoom() {},
+
+    async sendMessage(content, drawing, roomConfig, extras = {}) {
+        const room = this.getRoom(this.currentRoom);
+        if (extras.clientId && room.messages.some((entry) => entry.clientId === extras.clientId)) {
+            return true;
+        }
+        const message = {
+            messageId: `local_${Date.now()}_${Math.random().toString(16).slice(2)}`,
+            userId: this.userId,
+            username: this.profile.username,
+            mood: this.profile.mood,
+            content,
+            drawing: drawing || null,
+            kind: extras.kind || null,
+            timestamp: Date.now(),
+            replyTo: extras.replyTo || null,
+            reactions: {},
+            messageBgColor: extras.messageBgColor || null,
+            clientId: extras.clientId || null
+        };
+        room.messages.push(message);
+        if (roomConfig && roomConfig.maxMessages && room.messages.length > roomConfig.maxMessages) {
+            room.messages.splice(0, room.messages.length - roomConfig.maxMessages);
+        }
+        this.chat.addMessage(message);
+        (this.roomMessageListeners[this.currentRoom] || []).forEach((onMessage) => onMessage(message));
+        return true;
+    },
+
+    updateMessage(messageId, changes) {
+        const message = this.getRoom(this.currentRoom).messages.find((entry) => entry.messageId === messageId)
+            || this.chat.messageCache[messageId];
+        if (!message) return false;
+        Object.assign(message, changes);
+        this.chat.addMessage({ ...message });
+        return true;
+    },
+
+    async react(messageId, reaction, nextReactions) {
+        return this.updateMessage(messageId, { reactions: { ...(nextReactions || {}) } });
+    },
+
+    async editMessage(messageId, content) {
+        return this.updateMessage(messageId, { content, editedAt: Date.now() });
+    },
+
+    async deleteMessage(messageId) {
+        return this.updateMessage(messageId, {
+            content: '',
+            drawing: null,
+            replyTo: null,
+            reactions: {},
+            deleted: true,
+            editedAt: Date.now()
+        });
+    },
+
+    async reportMessage(report) {
+        this.reports.push({ ...report, at: Date.now() });
+        return { ok: true };
+    },
+
+    // Demo mode has nobody else to moderate
+    async kickUser() {
+        return { ok: false, reason: 'Moderation needs a chat server.' };
+    },
+
+    async banUser() {
+        return { ok: false, reason: 'Moderation needs a chat server.' };
+    },
+
+    async loadOlderMessages(roomName, beforeMessage, limit) {
+        const messages = this.getRoom(roomName).messages;
+        const end = messages.findIndex((message) => message.messageId === beforeMessage.messageId);
+        if (end <= 0) {
+            return { messages: [], hasMore: false };
+        }
+        const start = Math.max(0, end - limit);
+        return { messages: messages.slice(start, end), hasMore: start > 0 };
+    },
+
+    async searchMessages(roomNames, query) {
+        return ChatSearch.mergeResults(roomNames
+            .filter((roomName) => this.rooms[roomName])
+            .map((roomName) => ChatSearch.search(roomName, this.rooms[roomName].messages, query)));
+    },
+
+    // Demo mode has no backend, so accounts only last as long as the page
+    async saveAccount(accountName, record) {
+        const current = this.accounts[accountName];
+        if (current && current.ownerId !== record.ownerId) {
+            return { ok: false, reason: 'That account name is taken.' };
+        }
+        this.accounts[accountName] = { ...record };
+        return { ok: true };
+    },
+
+    async loadAccount(accountName) {
+        return this.accounts[accountName] ? { ...this.accounts[accountName] } : null;
+    },
+
+    // Packs made in demo mode last as long as the page, like accounts
+    async saveEmojiPack(pack) {
+        const current = this.emojiPacks[pack.id];
+        if (current && current.ownerId !== this.userId) {
+            return { ok: false, reason: 'Only the person who made a pack can change it.' };
+        }
+        this.emojiPacks[pack.id] = { ...pack, ownerId: this.userId, updatedAt: Date.now() };
+        this.notifyEmojiPacks();
+        return { ok: true, packId: pack.id };
+    },
+
+    notifyEmojiPacks() {
+        const packs = Object.values(this.emojiPacks);
+        this.emojiPackListeners.forEach((onPacks) => onPacks(packs));
+    },
+
+    listenForEmojiPacks(onPacks) {
+        this.emojiPackListeners.push(onPacks);
+        onPacks(Object.values(this.emojiPacks));
+        return () => {
+            this.emojiPackListeners = this.emojiPackListeners.filter((listener) => listener !== onPacks);
+        };
+    },
+
+    // Rooms, like packs, last as long as the page; there is nobody else to keep out with a join code
+    async saveRoom(room) {
+        const current = Object.values(this.customRooms).find((entry) => entry.name.toLowerCase() === room.name.toLowerCase());
+        if (current && current.name !== room.name) {
+            return { ok: false, reason: `There is already a room called ${current.name}.` };
+        }
+        if (current && current.archived) {
+            return { ok: false, reason: `${room.name} has been archived.` };
+        }
+        this.customRooms[room.name] = { ...room, ownerId: this.userId, archived: false, updatedAt: Date.now() };
+        this.notifyRooms();
+        return { ok: true };
+    },
+
+    async archiveRoom(roomName) {
+        const room = this.customRooms[roomName];
+        if (!room || room.archived) {
+            return { ok: false, reason: 'Only the person who made a room can archive it.' };
+        }
+        room.archived = true;
+        this.notifyRooms();
+        return { ok: true };
+    },
+
+    notifyRooms() {
+        const rooms = Object.values(this.customRooms).filter((room) => !room.archived);
+        this.customRoomListeners.forEach((onRooms) => onRooms(rooms));
+    },
+
+    listenForRooms(onRooms) {
+        this.customRoomListeners.push(onRooms);
+        onRooms(Object.values(this.customRooms).filter((room) => !room.archived));
+        return () => {
+            this.customRoomListeners = this.customRoomListeners.filter((listener) => listener !== onRooms);
+        };
+    },
+
+    // DM threads last as long as the page too; invites go nowhere but still show up in the thread
+    saveDmThread(result) {
+        if (result.ok) {
+            this.dmThreads[result.thread.id] = { ...result.thread, updatedAt: Date.now() };
+            this.notifyDmThreads();
+        }
+        return { ok: result.ok, reason: result.reason, threadId: result.ok ? result.thread.id : null };
+    },
+
+    async createDmThread(invitees) {
+        return this.saveDmThread(DmThreads.create(DmThreads.createId(), { userId: this.userId, username: this.profile.username }, invitees));
+    },
+
+    async inviteToDmThread(threadId, invitees) {
+        const thread = this.dmThreads[threadId];
+        return this.saveDmThread(thread ? DmThreads.invite(thread, this.userId, invitees) : { ok: false, reason: 'You are not in that DM.' });
+    },
+
+    async acceptDmInvite(threadId) {
+        return this.saveDmThread(DmThreads.accept(this.dmThreads[threadId], this.userId, this.profile.username));
+    },
+
+    async leaveDmThread(threadId) {
+        const thread = this.dmThreads[threadId];
+        return this.saveDmThread(thread ? DmThreads.leave(thread, this.userId) : { ok: false, reason: 'You are not in that DM.' });
+    },
+
+    getDmThreadList() {
+        return Object.values(this.dmThreads).filter((thread) => DmThreads.getStatus(thread, this.userId));
+    },
+
+    notifyDmThreads() {
+        const threads = this.getDmThreadList();
+        this.dmThreadListeners.forEach((onThreads) => onThreads(threads));
+    },
+
+    listenForDmThreads(onThreads) {
+        this.dmThreadListeners.push(onThreads);
+        onThreads(this.getDmThreadList());
+        return () => {
+            this.dmThreadListeners = this.dmThreadListeners.filter((listener) => listener !== onThreads);
+        };
+    },
+
+    // Nobody else is here to see it
+    async setTyping() {},
+
+    async markRead(roomName, message) {
+        const room = this.getRoom(roomName);
+        room.reads = {
+            ...room.reads,
+            [this.userId]: { username: this.profile.username, messageId: message.messageId, timestamp: message.timestamp }
+        };
+        (this.readReceiptListeners[roomName] || []).forEach((onReads) => onReads({ ...room.reads }));
+    },
+
+    listenForReadReceipts(roomName, onReads) {
+        if (!this.readReceiptListeners[roomName]) {
+            this.readReceiptListeners[roomName] = [];
+        }
+        this.readReceiptListeners[roomName].push(onReads);
+        onReads({ ...(this.getRoom(roomName).reads || {}) });
+        return () => {
+            this.readReceiptListeners[roomName] = (this.readReceiptListeners[roomName] || []).filter((listener) => listener !== onReads);
+        };
+    },
+
+    updateProfile(profile) {
+        this.profile = { ...this.profile, ...profile };
+        Object.values(this.dmThreads).forEach((thread) => {
+            this.dmThreads[thread.id] = DmThreads.rename(thread, this.userId, this.profile.username);
+        });
+        this.notifyDmThreads();
+    },
+
+    async setWatchPresence() {},
+
+    watchRoom(roomName, handlers) {
+        const conv = this.demoConversations[
+            Math.floor(Math.random() * this.demoConversations.length)
+        ];
+        handlers.onStart(conv.room, conv.users.map((u) => ({ username: u })), []);
+        conv.messages.forEach((msg) => {
+            const t = setTimeout(() => {
+                handlers.onMessage({
+                    username: msg.sender,
+                    content: msg.text,
+                    timestamp: new Date().toISOString()
+                });
+            }, msg.delay);
+            this.demoWatchTimers.push(t);
+        });
+        return () => {
+            this.demoWatchTimers.forEach((t) => clearTimeout(t));
+            this.demoWatchTimers = [];
+        };
+    },
+
+    async stealIdeas(roomName, history) {
+        return {
+            room: roomName,
+            messages: history,
+            onlineUsers: [],
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    getWatchers(roomName) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve(this.demoWatchers.map((watcher) => ({
+                    username: watcher.username,
+                    color: watcher.color,
+                    stolenIdeas: [{
+                        room: roomName,
+                        timestamp: new Date(Date.now() - 8 * 60000).toISOString(),
+                        messages: watcher.messages
+                    }]
+                })));
+            }, 1400);
+        });
+    },
+
+    listenForRoomList(onRooms) {
+        this.roomListListeners.push(onRooms);
+        return () => {
+            this.roomListListeners = this.roomListListeners.filter((listener) => listener !== onRooms);
+        };
+    },
+
+    listenForRoomMessages(roomName, onMessage) {
+        if (!this.roomMessageListeners[roomName]) {
+            this.roomMessageListeners[roomName] = [];
+        }
+        this.roomMessageListeners[roomName].push(onMessage);
+        return () => {
+            this.roomMessageListeners[roomName] = (this.roomMessageListeners[roomName] || []).filter((listener) => listener !== onMessage);
+        };
+    },
+
+    async getRoomOccupancyCounts() {
+        return { [this.currentRoom]: 1 };
+    }
+};
+
+ChatTransport.register(MemoryTransport);
@@ -0,0 +1,662 @@
+// WebSocket transport for the local ShapeTalk server (server/chat-server.js)
+const WebSocketTransport = {
+    name: 'websocket',
+    chat: null,
+    ws: null,
+    opened: false,
+    userId: null,
+    currentRoom: null,
+    pendingJoin: null,
+    pendingSteal: null,
+    pendingWatcherRequests: [],
+    pendingHistory: {},
+    pendingSearches: {},
+    pendingAccounts: {},
+    pendingEmojiPacks: {},
+    pendingRooms: {},
+    pendingDms: {},
+    pendingModeration: {},
+    pendingSends: {},
+    sendTimeoutMs: 10000,
+    profile: null,
+    everOpened: false,
+    reconnectBaseMs: 1000,
+    reconnectMaxMs: 30000,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    listeningForNetwork: false,
+    requestCounter: 0,
+    watchHandlers: null,
+    watchRoomName: null,
+    roomListListeners: [],
+    emojiPackListeners: [],
+    lastEmojiPacks: null,
+    customRoomListeners: [],
+    lastCustomRooms: null,
+    dmThreadListeners: [],
+    lastDmThreads: null,
+    // roomName -> join code last used for it, so a reconnect gets back in
+    joinCodes: {},
+    roomMessageListeners: {},
+    readReceiptListeners: {},
+    lastRoomList: [],
+    lastOccupancyCounts: {},
+
+    connect(chat, profile) {
+        this.chat = chat;
+        this.userId = profile.userId || null;
+        this.profile = { ...profile };
+        if (typeof WebSocket === 'undefined' || !window.location.host) {
+            return false;
+        }
+        if (!this.listeningForNetwork) {
+            this.listeningForNetwork = true;
+            // The browser knows before a reconnect timer does when the network comes back
+            window.addEventListener('online', () => this.reconnectNow());
+        }
+        return this.openSocket();
+    },
+
+    // Rejoins the room this client was in; `since` asks the server for whatever arrived while it was away
+    getSocketUrl() {
+        const chat = this.chat;
+        const room = this.currentRoom || this.profile.room || 'Lobby';
+        const newest = chat && room === chat.currentRoom && typeof chat.getNewestMessage === 'function'
+            ? chat.getNewestMessage()
+            : null;
+        const params = new URLSearchParams({
+            userId: this.userId || this.profile.userId || '',
+            secret: this.profile.secret || '',
+            username: (chat && chat.username) || this.profile.username || '',
+            mood: (chat && chat.currentMood) || this.profile.mood || ':happy:',
+            room
+        });
+        if (newest && newest.messageId) {
+            params.set('since', newest.messageId);
+        }
+        if (this.joinCodes[room]) {
+            params.set('code', this.joinCodes[room]);
+        }
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/?${params.toString()}`;
+    },
+
+    openSocket() {
+        try {
+            const ws = new WebSocket(this.getSocketUrl());
+            this.ws = ws;
+            this.setConnectionState('connecting');
+            ws.addEventListener('open', () => {
+                this.opened = true;
+                this.everOpened = true;
+                this.reconnectAttempts = 0;
+            });
+            ws.addEventListener('message', (e) => {
+                try { this.handleMessage(JSON.parse(e.data)); } catch (_) {}
+            });
+            const handleDown = () => {
+                if (this.ws !== ws) return;
+                this.ws = null;
+                this.opened = false;
+                this.failPendingRequests();
+                // No server behind this page: keep the app usable in local demo mode
+                if (!this.everOpened) {
+                    if (this.chat && typeof this.chat.useTransport === 'function') {
+                        this.chat.useTransport('memory');
+                    }
+                    return;
+                }
+                this.scheduleReconnect();
+            };
+            ws.addEventListener('close', handleDown);
+            ws.addEventListener('error', handleDown);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    },
+
+    getReconnectDelay(attempts) {
+        return Math.min(this.reconnectBaseMs * (2 ** Math.max(0, attempts - 1)), this.reconnectMaxMs);
+    },
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts += 1;
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.setConnectionState('offline', delay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket();
+        }, delay);
+    },
+
+    reconnectNow() {
+        if (!this.reconnectTimer) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.openSocket();
+    },
+
+    setConnectionState(state, retryInMs) {
+        if (this.chat && typeof this.chat.setConnectionState === 'function') {
+            this.chat.setConnectionState(state, retryInMs);
+        }
+    },
+
+    // Nothing answers requests sent on a socket that went down, so they get the same answers as when offline
+    failPendingRequests() {
+        const offline = 'Lost connection to the chat server.';
+        Object.keys(this.pendingSends).forEach((clientId) => this.settleSend(clientId, false));
+        if (this.pendingJoin) {
+            const { previousRoom, resolve } = this.pendingJoin;
+            this.pendingJoin = null;
+            resolve({ ok: false, reason: offline, previousRoom });
+        }
+        Object.values(this.pendingHistory).forEach((resolve) => resolve({ messages: [], hasMore: false }));
+        Object.values(this.pendingSearches).forEach((resolve) => resolve([]));
+        Object.values(this.pendingAccounts).forEach(({ resolve, fallback }) => resolve(fallback));
+        Object.values(this.pendingEmojiPacks).forEach((resolve) => resolve({ ok: false, reason: offline }));
+        Object.values(this.pendingRooms).forEach((resolve) => resolve({ ok: false, reason: offline }));
+        Object.values(this.pendingDms).forEach((resolve) => resolve({ ok: false, reason: offline }));
+        Object.values(this.pendingModeration).forEach((resolve) => resolve({ ok: false, reason: offline }));
+        this.pendingWatcherRequests.forEach((resolve) => resolve([]));
+        this.pendingHistory = {};
+        this.pendingSearches = {};
+        this.pendingAccounts = {};
+        this.pendingEmojiPacks = {};
+        this.pendingRooms = {};
+        this.pendingDms = {};
+        this.pendingModeration = {};
+        this.pendingWatcherRequests = [];
+    },
+
+    isConnected() {
+        return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+    },
+
+    send(payload) {
+        if (!this.isConnected()) return false;
+        this.ws.send(JSON.stringify(payload));
+        return true;
+    },
+
+    handleMessage(data) {
+        if (!data || !data.type) return;
+        const chat = this.chat;
+
+        if (data.type === 'welcome' || data.type === 'roomSnapshot') {
+            if (data.user) {
+                this.userId = data.user.id || this.userId;
+                chat.applyServerIdentity(data.user);
+            }
+            if (data.type === 'welcome') {
+                // Receipt subscriptions and a watch made before the socket (re)opened are sent now
+                Object.keys(this.readReceiptListeners).forEach((roomName) => {
+                    this.send({ type: 'watchReads', room: roomName });
+                });
+                if (this.watchHandlers && this.watchRoomName) {
+                    this.send({ type: 'watch', room: this.watchRoomName });
+                }
+            }
+            const isJoin = data.type === 'welcome' || Array.isArray(data.messages);
+            if (isJoin && data.room) {
+                this.currentRoom = data.room;
+                chat.setCurrentRoom(data.room);
+                if (this.pendingJoin && this.pendingJoin.roomName === data.room) {
+                    this.pendingJoin.resolve({ ok: true, previousRoom: this.pendingJoin.previousRoom });
+                    this.pendingJoin = null;
+                }
+            }
+            if (data.type === 'welcome' && !data.room) {
+                // Refused everywhere: connected all the same, and the joinError before this says why
+                this.setConnectionState('online');
+                return;
+            }
+            if (data.room !== chat.currentRoom) return;
+            if (Array.isArray(data.onlineUsers)) {
+                chat.updateUserList(data.onlineUsers);
+            }
+            if (Array.isArray(data.messages)) {
+                data.messages.forEach((message) => chat.addMessage(message));
+            }
+            if (data.type === 'welcome') {
+                // Set last so the outbox flush sees the room and its resynced messages
+                this.setConnectionState('online');
+            }
+        } else if ((data.type === 'newMessage' || data.type === 'messageChanged') && data.message) {
+            if (data.type === 'newMessage' && data.message.clientId) {
+                this.settleSend(data.message.clientId, true);
+            }
+            if (!chat.watching) {
+                chat.addMessage(data.message);
+            }
+        } else if (data.type === 'history') {
+            const key = `${data.room}\n${data.before}`;
+            const resolve = this.pendingHistory[key];
+            delete this.pendingHistory[key];
+            if (resolve) {
+                resolve({ messages: data.messages || [], hasMore: Boolean(data.hasMore) });
+            }
+        } else if (data.type === 'searchResults') {
+            const resolve = this.pendingSearches[data.requestId];
+            delete this.pendingSearches[data.requestId];
+            if (resolve) {
+                resolve(data.results || []);
+            }
+        } else if (data.type === 'accountSaved' || data.type === 'accountRecord') {
+            const pending = this.pendingAccounts[data.requestId];
+            delete this.pendingAccounts[data.requestId];
+            if (pending) {
+                pending.resolve(data.type === 'accountSaved' ? { ok: Boolean(data.ok), reason: data.reason } : data.record || null);
+            }
+        } else if (data.type === 'emojiPacks') {
+            this.lastEmojiPacks = Array.isArray(data.packs) ? data.packs : [];
+            this.emojiPackListeners.forEach((onPacks) => onPacks(this.lastEmojiPacks));
+        } else if (data.type === 'emojiPackResult') {
+            const resolve = this.pendingEmojiPacks[data.requestId];
+            delete this.pendingEmojiPacks[data.requestId];
+            if (resolve) {
+                resolve({ ok: Boolean(data.ok), reason: data.reason, packId: data.packId || null });
+            }
+        } else if (data.type === 'customRooms') {
+            this.lastCustomRooms = Array.isArray(data.rooms) ? data.rooms : [];
+            this.customRoomListeners.forEach((onRooms) => onRooms(this.lastCustomRooms));
+        } else if (data.type === 'roomResult') {
+            const resolve = this.pendingRooms[data.requestId];
+            delete this.pendingRooms[data.requestId];
+            if (resolve) {
+                resolve({ ok: Boolean(data.ok), reason: data.reason });
+            }
+        } else if (data.type === 'dmThreads') {
+            this.lastDmThreads = Array.isArray(data.threads) ? data.threads : [];
+            this.dmThreadListeners.forEach((onThreads) => onThreads(this.lastDmThreads));
+        } else if (data.type === 'dmResult') {
+            const resolve = this.pendingDms[data.requestId];
+            delete this.pendingDms[data.requestId];
+            if (resolve) {
+                resolve({ ok: Boolean(data.ok), reason: data.reason, threadId: data.threadId || null });
+            }
+        } else if (data.type === 'moderationResult') {
+            const resolve = this.pendingModeration[data.requestId];
+            delete this.pendingModeration[data.requestId];
+            if (resolve) {
+                resolve({ ok: Boolean(data.ok), reason: data.reason });
+            }
+        } else if (data.type === 'removed' && data.room) {
+            chat.handleRemovedFromRoom(data.room, data.reason);
+        } else if (data.type === 'typing') {
+            if (data.room === chat.currentRoom) {
+                chat.updateTypingUsers(data.users || []);
+            }
+        } else if (data.type === 'readReceipts' && data.room) {
+            (this.readReceiptListeners[data.room] || []).forEach((onReads) => onReads(data.reads || {}));
+        } else if (data.type === 'roomList') {
+            this.lastRoomList = data.rooms || [];
+            this.lastOccupancyCounts = data.counts || {};
+            this.roomListListeners.forEach((onRooms) => onRooms(this.lastRoomList));
+            chat.updateRoomMenuOccupancy(this.lastOccupancyCounts);
+        } else if (data.type === 'roomActivity' && data.room) {
+            const message = {
+                messageId: data.messageId,
+                userId: data.userId,
+                username: data.username,
+                content: data.content,
+                kind: data.kind || null,
+                timestamp: data.timestamp,
+                replyTo: data.replyTo || null
+            };
+            (this.roomMessageListeners[data.room] || []).forEach((onMessage) => onMessage(message));
+        } else if (data.type === 'joinError') {
+            if (this.pendingJoin) {
+                const { roomName, previousRoom, resolve } = this.pendingJoin;
+                this.pendingJoin = null;
+                delete this.joinCodes[roomName];
+                resolve({ ok: false, reason: data.reason, previousRoom });
+                // Ask for the old room again so its history comes back after the view was cleared
+                this.send({ type: 'join', room: previousRoom, code: this.joinCodes[previousRoom] || null });
+            } else {
+                chat.addSystemMessage(data.reason || 'Could not join that room.');
+            }
+        } else if (data.type === 'error' && data.clientId && this.pendingSends[data.clientId]) {
+            // The outbox shows the refusal on the message itself
+            this.settleSend(data.clientId, { ok: false, reason: data.message });
+        } else if (data.type === 'error' && data.message) {
+            chat.addSystemMessage(data.message);
+        } else if (data.type === 'watchStart') {
+            if (this.watchHandlers) {
+                this.watchHandlers.onStart(data.room, data.onlineUsers || [], data.messages || []);
+            }
+        } else if (data.type === 'watchError') {
+            const handlers = this.watchHandlers;
+            if (handlers && data.room === this.watchRoomName) {
+                this.watchHandlers = null;
+                this.watchRoomName = null;
+                if (handlers.onError) handlers.onError(data.reason);
+            }
+            // A refused steal comes back empty-handed
+            if (this.pendingSteal) {
+                this.pendingSteal({ room: data.room, messages: [], onlineUsers: [], timestamp: new Date().toISOString() });
+                this.pendingSteal = null;
+            }
+        } else if (data.type === 'watchMessage' && data.message) {
+            if (this.watchHandlers) {
+                this.watchHandlers.onMessage(data.message);
+            }
+        } else if (data.type === 'stolenIdeas') {
+            if (this.pendingSteal) {
+                this.pendingSteal(data);
+                this.pendingSteal = null;
+            }
+        } else if (data.type === 'watcherInfo') {
+            const requests = this.pendingWatcherRequests;
+            this.pendingWatcherRequests = [];
+            requests.forEach((resolve) => resolve(data.watchers || []));
+        }
+    },
+
+    joinRoom(roomName, options = {}) {
+        const previousRoom = this.currentRoom;
+        if (options.joinCode) {
+            this.joinCodes[roomName] = options.joinCode;
+        }
+        if (!this.send({ type: 'join', room: roomName, code: this.joinCodes[roomName] || null })) {
+            return Promise.resolve({ ok: false, reason: 'Not connected to the chat server.', previousRoom });
+        }
+        return new Promise((resolve) => {
+            this.pendingJoin = { roomName, previousRoom, resolve };
+        });
+    },
+
+    async leaveRoom() {
+        // The server moves this client out of its room on the next join or on disconnect
+    },
+
+    // The server echoes the message back as newMessage, so nothing is rendered here. With a clientId
+    // this resolves once that echo (or a refusal) arrives, which is what lets the outbox let go of it.
+    sendMessage(content, drawing, roomConfig, extras = {}) {
+        const sent = this.send({
+            type: 'message',
+            content,
+            drawing: drawing || null,
+            kind: extras.kind || null,
+            replyTo: extras.replyTo || null,
+            messageBgColor: extras.messageBgColor || null,
+            clientId: extras.clientId || null
+        });
+        if (!sent || !extras.clientId) {
+            return Promise.resolve(sent);
+        }
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => this.settleSend(extras.clientId, false), this.sendTimeoutMs);
+            this.pendingSends[extras.clientId] = { resolve, timer };
+        });
+    },
+
+    settleSend(clientId, result) {
+        const pending = this.pendingSends[clientId];
+        if (!pending) return;
+        delete this.pendingSends[clientId];
+        clearTimeout(pending.timer);
+        pending.resolve(result);
+    },
+
+    async react(messageId, reaction) {
+        return this.send({ type: 'react', messageId, reaction });
+    },
+
+    async editMessage(messageId, content) {
+        return this.send({ type: 'edit', messageId, content });
+    },
+
+    async deleteMessage(messageId) {
+        return this.send({ type: 'delete', messageId });
+    },
+
+    loadOlderMessages(roomName, beforeMessage, limit) {
+        const before = beforeMessage.messageId;
+        if (!this.send({ type: 'history', room: roomName, before, limit })) {
+            return Promise.resolve({ messages: [], hasMore: false });
+        }
+        return new Promise((resolve) => {
+            this.pendingHistory[`${roomName}\n${before}`] = resolve;
+        });
+    },
+
+    nextRequestId(prefix) {
+        this.requestCounter += 1;
+        return `${prefix}_${this.requestCounter}`;
+    },
+
+    sendAccountRequest(payload, fallback) {
+        const requestId = this.nextRequestId('account');
+        if (!this.send({ ...payload, requestId })) {
+            return Promise.resolve(fallback);
+        }
+        return new Promise((resolve) => {
+            this.pendingAccounts[requestId] = { resolve, fallback };
+        });
+    },
+
+    saveAccount(accountName, record) {
+        return this.sendAccountRequest({ type: 'saveAccount', accountName, record }, { ok: false, reason: 'Not connected to the chat server.' });
+    },
+
+    loadAccount(accountName) {
+        return this.sendAccountRequest({ type: 'loadAccount', accountName }, null);
+    },
+
+    sendEmojiPackRequest(payload) {
+        const requestId = this.nextRequestId('emojiPack');
+        if (!this.send({ ...payload, requestId })) {
+            return Promise.resolve({ ok: false, reason: 'Not connected to the chat server.' });
+        }
+        return new Promise((resolve) => {
+            this.pendingEmojiPacks[requestId] = resolve;
+        });
+    },
+
+    saveEmojiPack(pack) {
+        return this.sendEmojiPackRequest({ type: 'saveEmojiPack', pack });
+    },
+
+    sendRoomRequest(payload) {
+        const requestId = this.nextRequestId('room');
+        if (!this.send({ ...payload, requestId })) {
+            return Promise.resolve({ ok: false, reason: 'Not connected to the chat server.' });
+        }
+        return new Promise((resolve) => {
+            this.pendingRooms[requestId] = resolve;
+        });
+    },
+
+    saveRoom(room) {
+        return this.sendRoomRequest({ type: 'saveRoom', room });
+    },
+
+    archiveRoom(roomName) {
+        return this.sendRoomRequest({ type: 'archiveRoom', room: roomName });
+    },
+
+    sendDmRequest(payload) {
+        const requestId = this.nextRequestId('dm');
+        if (!this.send({ ...payload, requestId })) {
+            return Promise.resolve({ ok: false, reason: 'Not connected to the chat server.' });
+        }
+        return new Promise((resolve) => {
+            this.pendingDms[requestId] = resolve;
+        });
+    },
+
+    createDmThread(invitees) {
+        return this.sendDmRequest({ type: 'createDm', invitees });
+    },
+
+    inviteToDmThread(threadId, invitees) {
+        return this.sendDmRequest({ type: 'inviteDm', threadId, invitees });
+    },
+
+    acceptDmInvite(threadId) {
+        return this.sendDmRequest({ type: 'acceptDm', threadId });
+    },
+
+    leaveDmThread(threadId) {
+        return this.sendDmRequest({ type: 'leaveDm', threadId });
+    },
+
+    sendModerationRequest(payload) {
+        const requestId = this.nextRequestId('moderation');
+        if (!this.send({ ...payload, requestId })) {
+            return Promise.resolve({ ok: false, reason: 'Not connected to the chat server.' });
+        }
+        return new Promise((resolve) => {
+            this.pendingModeration[requestId] = resolve;
+        });
+    },
+
+    reportMessage(report) {
+        return this.sendModerationRequest({ type: 'report', report });
+    },
+
+    kickUser(roomName, userId) {
+        return this.sendModerationRequest({ type: 'kick', room: roomName, userId });
+    },
+
+    banUser(roomName, userId, minutes) {
+        return this.sendModerationRequest({ type: 'ban', room: roomName, userId, minutes });
+    },
+
+    searchMessages(roomNames, query) {
+        const requestId = this.nextRequestId('search');
+        if (!this.send({ type: 'search', requestId, rooms: roomNames, query })) {
+            return Promise.resolve([]);
+        }
+        return new Promise((resolve) => {
+            this.pendingSearches[requestId] = resolve;
+        });
+    },
+
+    async setTyping(isTyping) {
+        return this.send({ type: 'typing', typing: Boolean(isTyping) });
+    },
+
+    async markRead(roomName, message) {
+        return this.send({ type: 'read', room: roomName, messageId: message.messageId, timestamp: message.timestamp });
+    },
+
+    listenForReadReceipts(roomName, onReads) {
+        if (!this.readReceiptListeners[roomName]) {
+            this.readReceiptListeners[roomName] = [];
+            this.send({ type: 'watchReads', room: roomName });
+        }
+        this.readReceiptListeners[roomName].push(onReads);
+        return () => {
+            const remaining = (this.readReceiptListeners[roomName] || []).filter((listener) => listener !== onReads);
+            if (remaining.length) {
+                this.readReceiptListeners[roomName] = remaining;
+                return;
+            }
+            delete this.readReceiptListeners[roomName];
+            this.send({ type: 'unwatchReads', room: roomName });
+        };
+    },
+
+    updateProfile(profile) {
+        this.send({ type: 'profile', username: profile.username, mood: profile.mood });
+    },
+
+    async setWatchPresence() {
+        // The server tracks watchers from the watch/stopWatch messages themselves
+    },
+
+    watchRoom(roomName, handlers) {
+        this.watchHandlers = handlers;
+        this.watchRoomName = roomName;
+        if (!this.send({ type: 'watch', room: roomName })) {
+            this.watchHandlers = null;
+            this.watchRoomName = null;
+            if (handlers.onError) handlers.onError();
+        }
+        return () => {
+            if (this.watchHandlers === handlers) {
+                this.watchHandlers = null;
+                this.watchRoomName = null;
+            }
+            this.send({ type: 'stopWatch' });
+        };
+    },
+
+    stealIdeas(roomName, history) {
+        if (!this.send({ type: 'stealIdeas' })) {
+            return Promise.resolve({ room: roomName, messages: history, onlineUsers: [], timestamp: new Date().toISOString() });
+        }
+        return new Promise((resolve) => {
+            this.pendingSteal = resolve;
+        });
+    },
+
+    getWatchers() {
+        if (!this.send({ type: 'checkWatchers' })) {
+            return Promise.resolve([]);
+        }
+        return new Promise((resolve) => {
+            this.pendingWatcherRequests.push(resolve);
+        });
+    },
+
+    listenForRoomList(onRooms) {
+        this.roomListListeners.push(onRooms);
+        if (this.lastRoomList.length) {
+            onRooms(this.lastRoomList);
+        }
+        return () => {
+            this.roomListListeners = this.roomListListeners.filter((listener) => listener !== onRooms);
+        };
+    },
+
+    listenForEmojiPacks(onPacks) {
+        this.emojiPackListeners.push(onPacks);
+        if (this.lastEmojiPacks) {
+            onPacks(this.lastEmojiPacks);
+        }
+        return () => {
+            this.emojiPackListeners = this.emojiPackListeners.filter((listener) => listener !== onPacks);
+        };
+    },
+
+    listenForRooms(onRooms) {
+        this.customRoomListeners.push(onRooms);
+        if (this.lastCustomRooms) {
+            onRooms(this.lastCustomRooms);
+        }
+        return () => {
+            this.customRoomListeners = this.customRoomListeners.filter((listener) => listener !== onRooms);
+        };
+    },
+
+    listenForDmThreads(onThreads) {
+        this.dmThreadListeners.push(onThreads);
+        if (this.lastDmThreads) {
+            onThreads(this.lastDmThreads);
+        }
+        return () => {
+            this.dmThreadListeners = this.dmThreadListeners.filter((listener) => listener !== onThreads);
+        };
+    },
+
+    listenForRoomMessages(roomName, onMessage) {
+        if (!this.roomMessageListeners[roomName]) {
+            this.roomMessageListeners[roomName] = [];
+        }
+        this.roomMessageListeners[roomName].push(onMessage);
+        return () => {
+            this.roomMessageListeners[roomName] = (this.roomMessageListeners[roomName] || []).filter((listener) => listener !== onMessage);
+        };
+    },
+
+    async getRoomOccupancyCounts() {
+        return { ...this.lastOccupancyCounts };
+    }
+};
+
+ChatTransport.register(WebSocketTransport);
@@ -0,0 +1,1028 @@
+// Local WebSocket chat server for ShapeTalk
+// Speaks the protocol of js/transports/websocket-transport.js so the app works without Firebase.
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const RoomConfigs = require('../js/room-configs.js');
+const EmojiSystem = require('../js/emojis.js');
+const EmojiPacks = require('../js/emoji-packs.js');
+const DmThreads = require('../js/dm-threads.js');
+const NameGenerator = require('../js/nameGenerator.js');
+const ChatSearch = require('../js/chat-search.js');
+const Moderation = require('../js/moderation.js');
+const RateLimit = require('../js/rate-limit.js');
+const RoomEvents = require('../js/room-events.js');
+const Outbox = require('../js/outbox.js');
+const Dice = require('../js/dice.js');
+const Strokes = require('../js/strokes.js');
+
+const DEFAULT_ROOM = 'Lobby';
+const SNAPSHOT_MESSAGES = 50;
+const HISTORY_PAGE_MAX = 100;
+const WATCH_MESSAGES = 100;
+const MAX_SEARCH_ROOMS = 50;
+const MAX_ACCOUNT_FIELD_LENGTH = 4096;
+const MAX_REPORTS = 1000;
+const MAX_EMOJI_PACKS = 200;
+const MAX_CUSTOM_ROOMS = 100;
+const MAX_DM_THREADS = 1000;
+// A little more burst than the client allows, so network jitter never trips a well-behaved client
+const SERVER_RATE_LIMITS = { ...RateLimit.defaults, capacity: RateLimit.defaults.capacity + 2 };
+const MAX_HISTORY = 500;
+const MAX_CONTENT_LENGTH = 200;
+const MESSAGE_KINDS = ['action', 'roll'];
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_NAME_LENGTH = 40;
+const MAX_ROOM_NAME_LENGTH = 64;
+const HEARTBEAT_MS = 30000;
+
+function createId(prefix) {
+    return `${prefix}_${Math.random().toString(36).slice(2, 10)}_${Date.now()}`;
+}
+
+// How a moderator's identity secret is pinned in SHAPETALK_MODERATORS
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function cleanString(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// emojis defaults to the built-in set; rooms add the custom packs they can use
+function isEmojiOnlyText(text, emojis = EmojiSystem.emojis) {
+    return EmojiSystem.isEmojiOnlyText(text, emojis);
+}
+
+// Sealed account records from js/identity.js: only ownerId is meaningful to the server
+function normalizeAccountRecord(record) {
+    if (!record || typeof record !== 'object') return null;
+    const fields = ['ownerId', 'salt', 'iv', 'data'];
+    if (!fields.every((field) => typeof record[field] === 'string' && record[field] && record[field].length <= MAX_ACCOUNT_FIELD_LENGTH)) {
+        return null;
+    }
+    return { ownerId: record.ownerId, salt: record.salt, iv: record.iv, data: record.data };
+}
+
+function normalizeReplyTo(replyTo) {
+    if (!replyTo || typeof replyTo !== 'object' || typeof replyTo.messageId !== 'string') return null;
+    return {
+        messageId: replyTo.messageId.slice(0, 80),
+        username: cleanString(replyTo.username, MAX_NAME_LENGTH) || 'Unknown',
+        content: cleanString(replyTo.content, MAX_CONTENT_LENGTH),
+        // The quoted drawing is held to the same size as a sent one (and the database rules); a bigger one is dropped
+        drawing: Strokes.isDrawing(replyTo.drawing) && replyTo.drawing.length <= RateLimit.defaults.maxDrawingLength ? replyTo.drawing : null
+    };
+}
+
+// [{ userId, username }] from a DM request; anything else is dropped and DmThreads says who is missing
+function normalizeInvitees(invitees) {
+    if (!Array.isArray(invitees)) return [];
+    return invitees.slice(0, DmThreads.maxPeople).map((invitee) => ({
+        userId: invitee && typeof invitee.userId === 'string' ? invitee.userId.slice(0, 80) : '',
+        username: invitee ? cleanString(invitee.username, MAX_NAME_LENGTH) : ''
+    }));
+}
+
+function createChatServer(options = {}) {
+    const roomConfigs = options.roomConfigs || RoomConfigs;
+    const wss = new WebSocketServer(options.server ? { server: options.server } : { port: options.port || 0 });
+    const rooms = new Map();
+    const clients = new Map();
+    // Read receipts are followed for DMs the client is not currently in, so subscribers live outside the room
+    const readSubscribers = new Map();
+    // userId -> secret from the first connection that claimed it; later claims must match
+    const identities = new Map();
+    const accounts = new Map();
+    // packId -> pack from js/emoji-packs.js, with ownerId set to the userId that made it
+    const emojiPacks = new Map();
+    // roomName -> room made by a user (see js/room-configs.js), joinCode included
+    const customRooms = new Map();
+    // threadId -> DM thread (see js/dm-threads.js)
+    const dmThreads = new Map();
+    // options.moderators holds '<userId>:<sha256 of its identity secret>' entries (see server/index.js). Claims
+    // are forgotten on restart, so a moderator's userId only goes to a connection with the pinned secret.
+    const moderatorSecrets = new Map((options.moderators || [])
+        .map((entry) => String(entry).trim().split(':'))
+        .filter(([userId, secretHash]) => /^user_[0-9a-f]{16}$/.test(userId) && /^[0-9a-f]{64}$/.test(secretHash || '')));
+    // Bans are roomName -> userId -> { until, by }
+    const moderators = new Set(moderatorSecrets.keys());
+    const bans = new Map();
+    const reports = [];
+    // `${userId}\n${roomName}` -> RateLimit state, shared by all of a user's tabs; options.rateLimits: null turns it off
+    const rateLimits = new Map();
+    const rateLimitConfig = options.rateLimits === undefined ? SERVER_RATE_LIMITS : options.rateLimits;
+    // Scheduled room events (see js/room-events.js); options.roomEvents: true gives the built-in rooms their themed hours
+    const schedules = options.roomEvents ? RoomConfigs.schedules : {};
+    const getRoomEvent = (config) => RoomEvents.getActive(config.schedule);
+
+    const claimUserId = (userId, secret) => {
+        if (!/^user_[0-9a-f]{16}$/.test(userId || '') || !/^[0-9a-f]{32}$/.test(secret || '')) {
+            return createId('ws');
+        }
+        const pinned = moderatorSecrets.get(userId);
+        if (pinned ? hashSecret(secret) !== pinned : identities.has(userId) && identities.get(userId) !== secret) {
+            return createId('ws');
+        }
+        identities.set(userId, secret);
+        return userId;
+    };
+
+    const getRoomConfig = (roomName) => {
+        if (customRooms.has(roomName)) {
+            return { ...RoomConfigs.defaults, ...customRooms.get(roomName) };
+        }
+        const config = roomConfigs.get(roomName);
+        return schedules[roomName] ? { ...config, schedule: schedules[roomName] } : config;
+    };
+
+    const getRoom = (roomName) => {
+        if (!rooms.has(roomName)) {
+            rooms.set(roomName, { name: roomName, users: new Map(), messages: [], watchers: new Map(), typing: new Map(), reads: new Map() });
+        }
+        return rooms.get(roomName);
+    };
+
+    // Rooms that are in use, built in or saved by a user; anything else is a name nobody made
+    const isKnownRoom = (roomName) => rooms.has(roomName) || customRooms.has(roomName)
+        || Object.prototype.hasOwnProperty.call(roomConfigs.rooms || {}, roomName);
+
+    const send = (client, payload) => {
+        if (client && client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify(payload));
+        }
+    };
+
+    const getPublicUser = (client) => ({
+        id: client.id,
+        username: client.username,
+        mood: client.mood
+    });
+
+    // Only the user themselves hears about their moderator role; presence never says who moderates
+    const getOwnUser = (client) => ({ ...getPublicUser(client), moderator: moderators.has(client.id) });
+
+    // One user can be connected from several tabs; list them once
+    const getOnlineUsers = (room) => Array.from(new Map(Array.from(room.users.values())
+        .map((client) => [client.id, getPublicUser(client)])).values());
+
+    const getOccupancyCounts = (roomNames = Array.from(rooms.keys())) => {
+        const counts = {};
+        roomNames.forEach((roomName) => {
+            counts[roomName] = rooms.get(roomName).users.size;
+        });
+        return counts;
+    };
+
+    // DM threads and coded rooms only show up for the people who can get in
+    const broadcastRoomList = () => {
+        clients.forEach((client) => {
+            const roomNames = Array.from(rooms.keys()).filter((roomName) => isDmMember(client, roomName) && hasUnlocked(client, roomName));
+            send(client, { type: 'roomList', rooms: roomNames, counts: getOccupancyCounts(roomNames) });
+        });
+    };
+
+    const broadcastPresence = (room) => {
+        const onlineUsers = getOnlineUsers(room);
+        room.users.forEach((client) => {
+            send(client, { type: 'roomSnapshot', user: getOwnUser(client), room: room.name, onlineUsers });
+        });
+    };
+
+    const broadcastTyping = (room) => {
+        const users = Array.from(room.typing.values());
+        room.users.forEach((member) => send(member, { type: 'typing', room: room.name, users }));
+    };
+
+    const clearTyping = (client, room) => {
+        if (room && room.typing.delete(client.id)) {
+            broadcastTyping(room);
+        }
+    };
+
+    const broadcastReads = (room) => {
+        const payload = { type: 'readReceipts', room: room.name, reads: Object.fromEntries(room.reads) };
+        const recipients = new Set([...room.users.values(), ...(readSubscribers.get(room.name) || [])]);
+        recipients.forEach((recipient) => send(recipient, payload));
+    };
+
+    const unwatchReads = (client, roomName) => {
+        const subscribers = readSubscribers.get(roomName);
+        if (!subscribers) return;
+        subscribers.delete(client);
+        if (!subscribers.size) {
+            readSubscribers.delete(roomName);
+        }
+    };
+
+    // Bans outlast ephemeral rooms, so they are kept apart from the room and pruned once they run out
+    const getBan = (roomName, userId) => {
+        const roomBans = bans.get(roomName);
+        const ban = roomBans ? roomBans.get(userId) : null;
+        if (ban && !Moderation.isBanned(ban)) {
+            roomBans.delete(userId);
+            if (!roomBans.size) {
+                bans.delete(roomName);
+            }
+            return null;
+        }
+        return ban || null;
+    };
+
+    const hasUnlocked = (client, roomName) => {
+        const config = getRoomConfig(roomName);
+        return !config.joinCode || config.ownerId === client.id || client.unlockedRooms.has(roomName);
+    };
+
+    // Only members get into a DM thread's room; older name-based DM rooms stay open to anyone
+    const isDmMember = (client, roomName) => {
+        const threadId = DmThreads.getThreadId(roomName);
+        return !threadId || DmThreads.getStatus(dmThreads.get(threadId), client.id) === 'member';
+    };
+
+    // Everything but capacity, so watching a room asks for the same as joining it.
+    // A join code is asked for once per connection; the owner never needs one.
+    const canViewRoom = (client, roomName, joinCode = null) => {
+        const ban = getBan(roomName, client.id);
+        if (ban) {
+            return { ok: false, reason: Moderation.getBanReason(roomName, ban) };
+        }
+        if (!isDmMember(client, roomName)) {
+            return { ok: false, reason: 'You are not in that DM.' };
+        }
+        const config = getRoomConfig(roomName);
+        if (config.archived) {
+            return { ok: false, reason: `${roomName} has been archived.` };
+        }
+        if (!hasUnlocked(client, roomName)) {
+            if (joinCode !== config.joinCode) {
+                return { ok: false, reason: joinCode ? 'That join code is wrong.' : `${roomName} needs a join code.` };
+            }
+            client.unlockedRooms.add(roomName);
+        }
+        return { ok: true };
+    };
+
+    const canJoinRoom = (client, roomName, joinCode) => {
+        const canView = canViewRoom(client, roomName, joinCode);
+        if (!canView.ok) return canView;
+        const config = getRoomConfig(roomName);
+        const room = rooms.get(roomName);
+        if (!config.maxUsers || !room || room.users.has(client.connectionId)) {
+            return { ok: true };
+        }
+        if (room.users.size >= config.maxUsers) {
+            return { ok: false, reason: `${roomName} is full right now.` };
+        }
+        return { ok: true };
+    };
+
+    const leaveRoom = (client) => {
+        const room = client.room ? rooms.get(client.room) : null;
+        client.room = null;
+        if (!room) return;
+        room.users.delete(client.connectionId);
+        clearTyping(client, room);
+        if (!room.users.size && !room.watchers.size && getRoomConfig(room.name).ephemeral) {
+            rooms.delete(room.name);
+            return;
+        }
+        broadcastPresence(room);
+    };
+
+    // A reconnecting client names the last message it saw: it gets everything after that as well as the
+    // usual snapshot, so nothing sent while it was away is skipped and recent edits still come through
+    const getSnapshotMessages = (room, since) => {
+        const seenIndex = since ? room.messages.findIndex((message) => message.messageId === since) : -1;
+        const start = Math.max(0, room.messages.length - SNAPSHOT_MESSAGES);
+        return room.messages.slice(seenIndex >= 0 ? Math.min(seenIndex + 1, start) : start);
+    };
+
+    const joinRoom = (client, roomName, since = null, joinCode = null) => {
+        const canJoin = canJoinRoom(client, roomName, joinCode);
+        if (!canJoin.ok) return canJoin;
+        if (client.room !== roomName) {
+            leaveRoom(client);
+        }
+        const room = getRoom(roomName);
+        room.users.set(client.connectionId, client);
+        client.room = roomName;
+        send(client, {
+            type: client.welcomed ? 'roomSnapshot' : 'welcome',
+            user: getOwnUser(client),
+            room: roomName,
+            onlineUsers: getOnlineUsers(room),
+            messages: getSnapshotMessages(room, since)
+        });
+        client.welcomed = true;
+        broadcastPresence(room);
+        broadcastRoomList();
+        return { ok: true };
+    };
+
+    const trimHistory = (room) => {
+        const config = getRoomConfig(room.name);
+        const limit = config.maxMessages ? Math.min(config.maxMessages, MAX_HISTORY) : MAX_HISTORY;
+        if (room.messages.length > limit) {
+            room.messages.splice(0, room.messages.length - limit);
+        }
+    };
+
+    // Authors may change their own messages for a short while after sending them; moderators may delete any
+    const findEditableMessage = (client, messageId, allowModerator = false) => {
+        const room = rooms.get(client.room);
+        const message = room && room.messages.find((entry) => entry.messageId === messageId);
+        if (!message || message.deleted) return null;
+        const isAuthor = message.userId === client.id && Date.now() - message.timestamp <= MESSAGE_EDIT_WINDOW_MS;
+        if (!isAuthor && !(allowModerator && moderators.has(client.id))) {
+            send(client, { type: 'error', message: 'You can only change your own recent messages.' });
+            return null;
+        }
+        return { room, message };
+    };
+
+    // Every tab of the user leaves the room; their client picks somewhere else to go
+    const removeFromRoom = (roomName, userId, reason) => {
+        clients.forEach((target) => {
+            if (target.id !== userId || target.room !== roomName) return;
+            leaveRoom(target);
+            send(target, { type: 'removed', room: roomName, reason });
+        });
+        broadcastRoomList();
+    };
+
+    const replyModeration = (client, data, ok, reason) => {
+        send(client, { type: 'moderationResult', requestId: data.requestId, ok, reason });
+    };
+
+    // Checks the caller is a moderator and names someone else; returns { roomName, userId } or null
+    const getModerationTarget = (client, data) => {
+        if (!moderators.has(client.id)) {
+            replyModeration(client, data, false, 'Only moderators can do that.');
+            return null;
+        }
+        const roomName = cleanString(data.room, MAX_ROOM_NAME_LENGTH);
+        const userId = typeof data.userId === 'string' ? data.userId : '';
+        if (!roomName || !userId || userId === client.id) {
+            replyModeration(client, data, false, 'Pick someone else to moderate.');
+            return null;
+        }
+        return { roomName, userId };
+    };
+
+    const takeRateLimit = (client, room, message) => {
+        if (!rateLimitConfig) return { ok: true };
+        const key = `${client.id}\n${room.name}`;
+        if (!rateLimits.has(key)) {
+            rateLimits.set(key, RateLimit.createState(Date.now(), rateLimitConfig));
+        }
+        return RateLimit.take(rateLimits.get(key), message, Date.now(), rateLimitConfig);
+    };
+
+    // Slow mode counts from the user's latest message in the room, whichever tab sent it
+    const getLastSentAt = (client, room) => {
+        const last = room.messages.filter((message) => message.userId === client.id).pop();
+        return last ? last.timestamp : 0;
+    };
+
+    const forgetRateLimits = (userId) => {
+        if (Array.from(clients.values()).some((client) => client.id === userId)) return;
+        Array.from(rateLimits.keys()).forEach((key) => {
+            if (key.startsWith(`${userId}\n`)) {
+                rateLimits.delete(key);
+            }
+        });
+    };
+
+    const getRoomEmojis = (roomName) => [...EmojiSystem.emojis, ...EmojiPacks.getEmojis(Array.from(emojiPacks.values()), roomName)];
+
+    const broadcastEmojiPacks = () => {
+        const payload = { type: 'emojiPacks', packs: Array.from(emojiPacks.values()) };
+        clients.forEach((client) => send(client, payload));
+    };
+
+    // Archived rooms drop out of the list; each owner also gets the join codes of their own rooms
+    const getCustomRoomList = (client) => Array.from(customRooms.values())
+        .filter((room) => !room.archived)
+        .map((room) => RoomConfigs.toPublicRoom(room, client.id));
+
+    const broadcastCustomRooms = () => {
+        clients.forEach((client) => send(client, { type: 'customRooms', rooms: getCustomRoomList(client) }));
+    };
+
+    // Everyone sees the DM threads they are in or invited to
+    const getDmThreadList = (userId) => Array.from(dmThreads.values()).filter((thread) => DmThreads.getStatus(thread, userId));
+
+    const sendDmThreads = (userIds) => {
+        const targets = new Set(userIds);
+        clients.forEach((client) => {
+            if (targets.has(client.id)) {
+                send(client, { type: 'dmThreads', threads: getDmThreadList(client.id) });
+            }
+        });
+    };
+
+    // Stores the thread and tells everyone in it, and anyone who just dropped out of it
+    const saveDmThread = (thread, previous = null) => {
+        const saved = { ...thread, updatedAt: Date.now() };
+        dmThreads.set(saved.id, saved);
+        const people = DmThreads.getPeople(saved).map((person) => person.userId);
+        sendDmThreads(previous ? [...people, ...DmThreads.getPeople(previous).map((person) => person.userId)] : people);
+        return saved;
+    };
+
+    const stopWatching = (client) => {
+        const room = client.watchRoom ? rooms.get(client.watchRoom) : null;
+        client.watchRoom = null;
+        if (!room) return;
+        room.watchers.delete(client.connectionId);
+        if (!room.users.size && !room.watchers.size && getRoomConfig(room.name).ephemeral) {
+            rooms.delete(room.name);
+        }
+    };
+
+    const handlers = {
+        message(client, data) {
+            const room = rooms.get(client.room);
+            if (!room) {
+                send(client, { type: 'error', message: 'You are not in a room.', clientId: Outbox.isClientId(data.clientId) ? data.clientId : null });
+                return;
+            }
+            const kind = MESSAGE_KINDS.includes(data.kind) ? data.kind : null;
+            let content = cleanString(data.content, MAX_CONTENT_LENGTH);
+            const drawing = Strokes.isDrawing(data.drawing) && !kind ? data.drawing : null;
+            if (!content && !drawing) return;
+
+            // Outbox resends carry the clientId of the first attempt; one that already arrived is only echoed again
+            const clientId = Outbox.isClientId(data.clientId) ? data.clientId : null;
+            const delivered = clientId && room.messages.find((entry) => entry.userId === client.id && entry.clientId === clientId);
+            if (delivered) {
+                send(client, { type: 'newMessage', message: delivered });
+                return;
+            }
+
+            const ban = getBan(room.name, client.id);
+            if (ban) {
+                send(client, { type: 'error', message: Moderation.getBanReason(room.name, ban), clientId });
+                return;
+            }
+            if (!isDmMember(client, room.name)) {
+                send(client, { type: 'error', message: 'You are not in that DM.', clientId });
+                return;
+            }
+
+            const config = getRoomConfig(room.name);
+            const event = getRoomEvent(config);
+            const refusal = RoomConfigs.getMessageRefusal(config, { content, drawing, kind }, (text) => isEmojiOnlyText(text, getRoomEmojis(room.name)))
+                || RoomEvents.getRefusal(event, { content, drawing, kind });
+            if (refusal) {
+                send(client, { type: 'error', message: refusal, clientId });
+                return;
+            }
+            const slowModeWait = RoomEvents.getSlowModeWait(event, getLastSentAt(client, room));
+            if (slowModeWait) {
+                send(client, { type: 'error', message: RoomEvents.getSlowModeRefusal(event, slowModeWait), clientId });
+                return;
+            }
+
+            // Only the dice travel with a roll; the faces come from the id and timestamp assigned below
+            if (kind === 'roll') {
+                const dice = Dice.parse(content);
+                if (!dice) {
+                    send(client, { type: 'error', message: 'That is not a roll. Try /roll 2d6.', clientId });
+                    return;
+                }
+                content = Dice.format(dice);
+            }
+
+            const limit = takeRateLimit(client, room, { content, drawing, kind });
+            if (!limit.ok) {
+                send(client, { type: 'error', message: limit.reason, clientId });
+                return;
+            }
+
+            const message = {
+                messageId: createId('msg'),
+                userId: client.id,
+                username: client.username,
+                mood: client.mood,
+                content,
+                drawing,
+                kind,
+                timestamp: Date.now(),
+                replyTo: normalizeReplyTo(data.replyTo),
+                reactions: {},
+                messageBgColor: /^#[0-9a-fA-F]{6}$/.test(data.messageBgColor || '') ? data.messageBgColor : null,
+                clientId
+            };
+            room.messages.push(message);
+            trimHistory(room);
+            clearTyping(client, room);
+
+            room.users.forEach((member) => send(member, { type: 'newMessage', message }));
+            room.watchers.forEach((watcher) => send(watcher, { type: 'watchMessage', message }));
+            // Activity elsewhere only reaches people who could open the room, so private rooms stay private.
+            // It carries enough of the message to file a mention of someone who is looking at another room.
+            const activity = {
+                type: 'roomActivity',
+                room: room.name,
+                messageId: message.messageId,
+                userId: client.id,
+                username: client.username,
+                content,
+                kind,
+                timestamp: message.timestamp,
+                replyTo: message.replyTo
+            };
+            clients.forEach((other) => {
+                if (other.room !== room.name && isDmMember(other, room.name) && hasUnlocked(other, room.name)) {
+                    send(other, activity);
+                }
+            });
+        },
+
+        react(client, data) {
+            const room = rooms.get(client.room);
+            const message = room && room.messages.find((entry) => entry.messageId === data.messageId);
+            if (!message || message.deleted) return;
+            const reaction = typeof data.reaction === 'string' ? data.reaction : null;
+            if (!reaction || message.reactions[client.id] === reaction) {
+                delete message.reactions[client.id];
+            } else {
+                message.reactions[client.id] = reaction;
+            }
+            room.users.forEach((member) => send(member, { type: 'messageChanged', message }));
+        },
+
+        history(client, data) {
+            const room = rooms.get(client.room);
+            if (!room || data.room !== room.name) return;
+            const limit = Math.min(Math.max(Number(data.limit) || SNAPSHOT_MESSAGES, 1), HISTORY_PAGE_MAX);
+            const end = room.messages.findIndex((entry) => entry.messageId === data.before);
+            const start = Math.max(0, end - limit);
+            send(client, {
+                type: 'history',
+                room: room.name,
+                before: data.before,
+                messages: end > 0 ? room.messages.slice(start, end) : [],
+                hasMore: end > 0 && start > 0
+            });
+        },
+
+        search(client, data) {
+            const roomNames = Array.isArray(data.rooms) ? data.rooms.slice(0, MAX_SEARCH_ROOMS) : [];
+            const resultLists = roomNames
+                .filter((roomName) => typeof roomName === 'string' && rooms.has(roomName) && hasUnlocked(client, roomName) && isDmMember(client, roomName))
+                .map((roomName) => ChatSearch.search(roomName, rooms.get(roomName).messages, data.query || {}));
+            send(client, { type: 'searchResults', requestId: data.requestId, results: ChatSearch.mergeResults(resultLists) });
+        },
+
+        edit(client, data) {
+            const found = findEditableMessage(client, data.messageId);
+            if (!found) return;
+            if (found.message.kind === 'roll') {
+                send(client, { type: 'error', message: 'Dice rolls cannot be edited.' });
+                return;
+            }
+            const content = cleanString(data.content, MAX_CONTENT_LENGTH);
+            if (!content) return;
+            const config = getRoomConfig(found.room.name);
+            const refusal = RoomConfigs.getMessageRefusal(config, { content, drawing: found.message.drawing }, (text) => isEmojiOnlyText(text, getRoomEmojis(found.room.name)))
+                || RoomEvents.getRefusal(getRoomEvent(config), { content, drawing: found.message.drawing, kind: found.message.kind });
+            if (refusal) {
+                send(client, { type: 'error', message: refusal });
+                return;
+            }
+            found.message.content = content;
+            found.message.editedAt = Date.now();
+            found.room.users.forEach((member) => send(member, { type: 'messageChanged', message: found.message }));
+        },
+
+        delete(client, data) {
+            const found = findEditableMessage(client, data.messageId, true);
+            if (!found) return;
+            Object.assign(found.message, {
+                content: '',
+                drawing: null,
+                replyTo: null,
+                reactions: {},
+                messageBgColor: null,
+                deleted: true,
+                editedAt: Date.now()
+            });
+            found.room.users.forEach((member) => send(member, { type: 'messageChanged', message: found.message }));
+        },
+
+        // The server files its own copy of the message so reporters cannot put words in anyone's mouth
+        report(client, data) {
+            const report = data.report && typeof data.report === 'object' ? data.report : {};
+            const room = rooms.get(cleanString(report.room, MAX_ROOM_NAME_LENGTH));
+            const message = room && room.messages.find((entry) => entry.messageId === report.messageId);
+            if (!message) {
+                replyModeration(client, data, false, 'That message can no longer be reported.');
+                return;
+            }
+            reports.push({
+                reportId: createId('report'),
+                ...Moderation.makeReport(room.name, message, { userId: client.id, username: client.username }, report.reason),
+                at: Date.now()
+            });
+            if (reports.length > MAX_REPORTS) {
+                reports.splice(0, reports.length - MAX_REPORTS);
+            }
+            replyModeration(client, data, true);
+        },
+
+        kick(client, data) {
+            const target = getModerationTarget(client, data);
+            if (!target) return;
+            removeFromRoom(target.roomName, target.userId, Moderation.getKickReason(target.roomName));
+            replyModeration(client, data, true);
+        },
+
+        ban(client, data) {
+            const target = getModerationTarget(client, data);
+            if (!target) return;
+            const ban = { until: Date.now() + Moderation.normalizeBanMinutes(data.minutes) * 60000, by: client.id };
+            if (!bans.has(target.roomName)) {
+                bans.set(target.roomName, new Map());
+            }
+            bans.get(target.roomName).set(target.userId, ban);
+            removeFromRoom(target.roomName, target.userId, Moderation.getBanReason(target.roomName, ban));
+            replyModeration(client, data, true);
+        },
+
+        typing(client, data) {
+            const room = rooms.get(client.room);
+            if (!room) return;
+            if (!data.typing) {
+                clearTyping(client, room);
+                return;
+            }
+            room.typing.set(client.id, { id: client.id, username: client.username, at: Date.now() });
+            broadcastTyping(room);
+        },
+
+        read(client, data) {
+            const room = rooms.get(client.room);
+            if (!room || data.room !== room.name) return;
+            const message = room.messages.find((entry) => entry.messageId === data.messageId);
+            if (!message) return;
+            room.reads.set(client.id, {
+                username: client.username,
+                messageId: message.messageId,
+                timestamp: message.timestamp
+            });
+            broadcastReads(room);
+        },
+
+        watchReads(client, data) {
+            const roomName = cleanString(data.room, MAX_ROOM_NAME_LENGTH);
+            if (!roomName || !isDmMember(client, roomName)) return;
+            if (!readSubscribers.has(roomName)) {
+                readSubscribers.set(roomName, new Set());
+            }
+            readSubscribers.get(roomName).add(client);
+            const room = rooms.get(roomName);
+            send(client, { type: 'readReceipts', room: roomName, reads: room ? Object.fromEntries(room.reads) : {} });
+        },
+
+        unwatchReads(client, data) {
+            unwatchReads(client, data.room);
+        },
+
+        join(client, data) {
+            const roomName = cleanString(data.room, MAX_ROOM_NAME_LENGTH);
+            if (!roomName) return;
+            const result = joinRoom(client, roomName, null, typeof data.code === 'string' ? data.code : null);
+            if (!result.ok) {
+                send(client, { type: 'joinError', room: roomName, reason: result.reason });
+            }
+        },
+
+        profile(client, data) {
+            client.username = cleanString(data.username, MAX_NAME_LENGTH) || client.username;
+            client.mood = cleanString(data.mood, 32) || client.mood;
+            const room = rooms.get(client.room);
+            if (room) broadcastPresence(room);
+            // DM threads are keyed by userId, so a rename only changes the name the others see
+            getDmThreadList(client.id).forEach((thread) => {
+                const renamed = DmThreads.rename(thread, client.id, client.username);
+                if (renamed !== thread) {
+                    saveDmThread(renamed);
+                }
+            });
+        },
+
+        // Only known rooms can be watched, and only by someone who could join them
+        watch(client, data) {
+            const roomName = cleanString(data.room, MAX_ROOM_NAME_LENGTH) || client.room;
+            stopWatching(client);
+            const canView = isKnownRoom(roomName) ? canViewRoom(client, roomName) : { ok: false, reason: `There is no room called ${roomName}.` };
+            if (!canView.ok) {
+                send(client, { type: 'watchError', room: roomName, reason: canView.reason });
+                return;
+            }
+            const room = getRoom(roomName);
+            room.watchers.set(client.connectionId, client);
+            client.watchRoom = roomName;
+            send(client, {
+                type: 'watchStart',
+                room: roomName,
+                onlineUsers: getOnlineUsers(room),
+                messages: room.messages.slice(-WATCH_MESSAGES).filter((message) => !message.deleted)
+            });
+        },
+
+        stopWatch(client) {
+            stopWatching(client);
+        },
+
+        stealIdeas(client) {
+            const room = client.watchRoom ? rooms.get(client.watchRoom) : null;
+            if (!room) return;
+            // A ban or a lost DM place since the watch started ends it
+            const canView = canViewRoom(client, room.name);
+            if (!canView.ok) {
+                stopWatching(client);
+                send(client, { type: 'watchError', room: room.name, reason: canView.reason });
+                return;
+            }
+            const entry = {
+                room: room.name,
+                messages: room.messages.slice(-WATCH_MESSAGES).filter((message) => !message.deleted).map((message) => ({
+                    username: message.username,
+                    content: message.content
+                })),
+                onlineUsers: getOnlineUsers(room),
+                timestamp: new Date().toISOString()
+            };
+            client.stolenIdeas.push({ room: entry.room, messages: entry.messages, timestamp: entry.timestamp });
+            stopWatching(client);
+            send(client, { type: 'stolenIdeas', ...entry });
+        },
+
+        saveAccount(client, data) {
+            const accountName = typeof data.accountName === 'string' ? data.accountName : '';
+            const record = normalizeAccountRecord(data.record);
+            const reply = (ok, reason) => send(client, { type: 'accountSaved', requestId: data.requestId, ok, reason });
+            if (!/^[a-z0-9_-]{1,32}$/.test(accountName) || !record || record.ownerId !== client.id) {
+                reply(false, 'That account could not be saved.');
+                return;
+            }
+            const current = accounts.get(accountName);
+            if (current && current.ownerId !== client.id) {
+                reply(false, 'That account name is taken.');
+                return;
+            }
+            accounts.set(accountName, record);
+            reply(true);
+        },
+
+        loadAccount(client, data) {
+            send(client, { type: 'accountRecord', requestId: data.requestId, record: accounts.get(data.accountName) || null });
+        },
+
+        // Packs can be changed only by whoever made them, and no two emojis share a shortcode
+        saveEmojiPack(client, data) {
+            const reply = (ok, reason, packId = null) => send(client, { type: 'emojiPackResult', requestId: data.requestId, ok, reason, packId });
+            const result = EmojiPacks.normalizePack(data.pack);
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            const pack = { ...result.pack, id: result.pack.id || EmojiPacks.createId(), ownerId: client.id };
+            const current = emojiPacks.get(pack.id);
+            if (current && current.ownerId !== client.id) {
+                reply(false, 'Only the person who made a pack can change it.');
+                return;
+            }
+            if (!current && emojiPacks.size >= MAX_EMOJI_PACKS) {
+                reply(false, 'This server has no room for more emoji packs.');
+                return;
+            }
+            const collision = EmojiPacks.findCollision(pack, Array.from(emojiPacks.values()), EmojiSystem.emojis.map((emoji) => emoji.code));
+            if (collision) {
+                reply(false, `${collision} is already taken.`);
+                return;
+            }
+            emojiPacks.set(pack.id, { ...pack, updatedAt: Date.now() });
+            reply(true, null, pack.id);
+            broadcastEmojiPacks();
+        },
+
+        // Anyone can make a room; only its owner can change it. Names are unique regardless of case.
+        saveRoom(client, data) {
+            const reply = (ok, reason) => send(client, { type: 'roomResult', requestId: data.requestId, ok, reason });
+            const result = RoomConfigs.normalizeRoom(data.room);
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            const room = { ...result.room, ownerId: client.id, archived: false };
+            const current = Array.from(customRooms.values()).find((entry) => entry.name.toLowerCase() === room.name.toLowerCase());
+            if (current && (current.ownerId !== client.id || current.name !== room.name)) {
+                reply(false, `There is already a room called ${current.name}.`);
+                return;
+            }
+            if (current && current.archived) {
+                reply(false, `${room.name} has been archived.`);
+                return;
+            }
+            if (!current && customRooms.size >= MAX_CUSTOM_ROOMS) {
+                reply(false, 'This server cannot hold any more rooms.');
+                return;
+            }
+            customRooms.set(room.name, { ...room, updatedAt: Date.now() });
+            if (rooms.has(room.name)) {
+                trimHistory(rooms.get(room.name));
+            }
+            reply(true);
+            broadcastCustomRooms();
+        },
+
+        // Everyone inside is moved out; the history stays but nobody can join again
+        archiveRoom(client, data) {
+            const reply = (ok, reason) => send(client, { type: 'roomResult', requestId: data.requestId, ok, reason });
+            const room = customRooms.get(data.room);
+            if (!room || room.archived || room.ownerId !== client.id) {
+                reply(false, 'Only the person who made a room can archive it.');
+                return;
+            }
+            room.archived = true;
+            room.updatedAt = Date.now();
+            const live = rooms.get(room.name);
+            if (live) {
+                Array.from(live.users.values()).forEach((member) => {
+                    leaveRoom(member);
+                    send(member, { type: 'removed', room: room.name, reason: `${room.name} was archived by its owner.` });
+                });
+            }
+            reply(true);
+            broadcastCustomRooms();
+            broadcastRoomList();
+        },
+
+        createDm(client, data) {
+            const reply = (ok, reason, threadId = null) => send(client, { type: 'dmResult', requestId: data.requestId, ok, reason, threadId });
+            if (dmThreads.size >= MAX_DM_THREADS) {
+                reply(false, 'This server cannot hold any more DMs.');
+                return;
+            }
+            const result = DmThreads.create(DmThreads.createId(), { userId: client.id, username: client.username }, normalizeInvitees(data.invitees));
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            const thread = saveDmThread(result.thread);
+            reply(true, null, thread.id);
+        },
+
+        inviteDm(client, data) {
+            const reply = (ok, reason) => send(client, { type: 'dmResult', requestId: data.requestId, ok, reason, threadId: data.threadId });
+            const thread = dmThreads.get(data.threadId);
+            const result = thread ? DmThreads.invite(thread, client.id, normalizeInvitees(data.invitees)) : { ok: false, reason: 'You are not in that DM.' };
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            saveDmThread(result.thread);
+            reply(true);
+        },
+
+        acceptDm(client, data) {
+            const reply = (ok, reason) => send(client, { type: 'dmResult', requestId: data.requestId, ok, reason, threadId: data.threadId });
+            const result = DmThreads.accept(dmThreads.get(data.threadId), client.id, client.username);
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            saveDmThread(result.thread);
+            reply(true);
+        },
+
+        // Leaving also declines an invite; every tab of the user leaves the room and stops watching it
+        leaveDm(client, data) {
+            const reply = (ok, reason) => send(client, { type: 'dmResult', requestId: data.requestId, ok, reason, threadId: data.threadId });
+            const thread = dmThreads.get(data.threadId);
+            const result = thread ? DmThreads.leave(thread, client.id) : { ok: false, reason: 'You are not in that DM.' };
+            if (!result.ok) {
+                reply(false, result.reason);
+                return;
+            }
+            saveDmThread(result.thread, thread);
+            reply(true);
+            const roomName = DmThreads.getRoomName(thread.id);
+            clients.forEach((target) => {
+                if (target.id === client.id && target.watchRoom === roomName) {
+                    stopWatching(target);
+                    send(target, { type: 'watchError', room: roomName, reason: 'You left that DM.' });
+                }
+            });
+            removeFromRoom(roomName, client.id, 'You left that DM.');
+        },
+
+        checkWatchers(client) {
+            const room = rooms.get(client.room);
+            const watchers = room
+                ? Array.from(room.watchers.values())
+                    .filter((watcher) => watcher.id !== client.id)
+                    .map((watcher) => ({ username: watcher.username, stolenIdeas: watcher.stolenIdeas }))
+                : [];
+            send(client, { type: 'watcherInfo', watchers });
+        }
+    };
+
+    wss.on('connection', (socket, request) => {
+        const params = new URL(request.url || '/', 'http://localhost').searchParams;
+        const client = {
+            id: claimUserId(params.get('userId'), params.get('secret')),
+            connectionId: createId('conn'),
+            socket,
+            username: cleanString(params.get('username'), MAX_NAME_LENGTH) || NameGenerator.generate(),
+            mood: cleanString(params.get('mood'), 32) || ':happy:',
+            room: null,
+            watchRoom: null,
+            stolenIdeas: [],
+            unlockedRooms: new Set(),
+            welcomed: false,
+            alive: true
+        };
+        clients.set(client.connectionId, client);
+
+        socket.on('pong', () => {
+            client.alive = true;
+        });
+
+        socket.on('message', (raw) => {
+            let data = null;
+            try {
+                data = JSON.parse(String(raw));
+            } catch (_) {
+                return;
+            }
+            const handler = data && Object.prototype.hasOwnProperty.call(handlers, data.type) ? handlers[data.type] : null;
+            if (handler) {
+                handler(client, data);
+            }
+        });
+
+        socket.on('close', () => {
+            clients.delete(client.connectionId);
+            forgetRateLimits(client.id);
+            readSubscribers.forEach((subscribers, roomName) => unwatchReads(client, roomName));
+            stopWatching(client);
+            leaveRoom(client);
+            broadcastRoomList();
+        });
+
+        // Packs and rooms come first so the welcome already shows its emojis and the room it is in
+        send(client, { type: 'emojiPacks', packs: Array.from(emojiPacks.values()) });
+        send(client, { type: 'customRooms', rooms: getCustomRoomList(client) });
+        send(client, { type: 'dmThreads', threads: getDmThreadList(client.id) });
+        const requestedRoom = cleanString(params.get('room'), MAX_ROOM_NAME_LENGTH) || DEFAULT_ROOM;
+        const joined = joinRoom(client, requestedRoom, params.get('since'), params.get('code'));
+        if (!joined.ok) {
+            send(client, { type: 'joinError', room: requestedRoom, reason: joined.reason });
+            // The first main room they may join, Lobby first; without one the welcome has no room,
+            // so the client still stops connecting and can show why
+            const fallbackRooms = [DEFAULT_ROOM, ...roomConfigs.mainRooms].filter((roomName) => roomName !== requestedRoom);
+            const fallback = fallbackRooms.find((roomName) => joinRoom(client, roomName).ok);
+            if (!fallback) {
+                send(client, { type: 'welcome', user: getOwnUser(client), room: null, onlineUsers: [], messages: [], reason: joined.reason });
+                client.welcomed = true;
+            }
+        }
+    });
+
+    const heartbeat = setInterval(() => {
+        clients.forEach((client) => {
+            if (!client.alive) {
+                client.socket.terminate();
+                return;
+            }
+            client.alive = false;
+            client.socket.ping();
+        });
+    }, options.heartbeatMs || HEARTBEAT_MS);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return {
+        wss,
+        rooms,
+        clients,
+        bans,
+        reports,
+        emojiPacks,
+        customRooms,
+        dmThreads,
+        getOccupancyCounts,
+        close() {
+            clearInterval(heartbeat);
+            clients.forEach((client) => client.socket.terminate());
+            return new Promise((resolve) => wss.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createChatServer, isEmojiOnlyText, hashSecret };
@@ -0,0 +1,120 @@
+// Serves the ShapeTalk app and its WebSocket chat on one port, for LAN play without Firebase.
+// The app sits under its own folder name, so the project pages the chat links to (see js/link-previews.js)
+// load from the same relative paths as online. Only those pages and the pictures, sounds, scripts and
+// styles next to them are served from the site folder around the app.
+// Usage: node server/index.js  (PORT and HOST env vars override the defaults;
+// SHAPETALK_MODERATORS is a comma-separated list of <userId>:<sha256 of its identity secret> entries
+// for the people allowed to delete, kick and ban; SHAPETALK_ROOM_EVENTS=1 turns on the themed hours in js/room-configs.js)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createChatServer } = require('./chat-server.js');
+const LinkPreviews = require('../js/link-previews.js');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const SITE_ROOT = path.resolve(APP_ROOT, '..');
+const APP_PATH = `/${encodeURIComponent(path.basename(APP_ROOT))}/`;
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const MODERATORS = String(process.env.SHAPETALK_MODERATORS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+const ROOM_EVENTS = process.env.SHAPETALK_ROOM_EVENTS === '1';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+const SITE_PAGES = new Set(LinkPreviews.pages.filter((page) => page.href).map((page) => path.resolve(APP_ROOT, page.href)));
+const SITE_ASSET_TYPES = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.mp4', '.mp3', '.wav', '.js', '.css'];
+
+// Tells chat.js to talk to this server instead of Firebase, and whether the themed hours are on
+const BACKEND_SNIPPET = `<script>window.SHAPETALK_BACKEND = 'websocket';${ROOM_EVENTS ? ' window.SHAPETALK_ROOM_EVENTS = true;' : ''}</script>`;
+
+function resolveStaticPath(requestUrl) {
+    const pathname = decodeURIComponent(new URL(requestUrl, 'http://localhost').pathname);
+    const filePath = path.resolve(SITE_ROOT, `.${pathname.endsWith('/') ? `${pathname}index.html` : pathname}`);
+    if (filePath.startsWith(APP_ROOT + path.sep)) {
+        const parts = path.relative(APP_ROOT, filePath).split(path.sep);
+        return parts.some((part) => part.startsWith('.') || part === 'node_modules') || parts[0] === 'server' ? null : filePath;
+    }
+    if (SITE_PAGES.has(filePath)) {
+        return filePath;
+    }
+    const isSiteAsset = path.dirname(filePath) === SITE_ROOT && !path.basename(filePath).startsWith('.')
+        && SITE_ASSET_TYPES.includes(path.extname(filePath).toLowerCase());
+    return isSiteAsset ? filePath : null;
+}
+
+function handleRequest(req, res) {
+    if (new URL(req.url, 'http://localhost').pathname === '/') {
+        res.writeHead(302, { Location: APP_PATH });
+        res.end();
+        return;
+    }
+
+    let filePath = null;
+    try {
+        filePath = resolveStaticPath(req.url);
+    } catch (_) {}
+
+    if (!filePath) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        const ext = path.extname(filePath).toLowerCase();
+        const headers = { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' };
+        if (ext === '.html') {
+            headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
+        }
+        // Only the chat's own pages talk to this server; the project pages around it are sent as they are
+        if (ext === '.html' && filePath.startsWith(APP_ROOT + path.sep)) {
+            const html = String(data).replace('</head>', `    ${BACKEND_SNIPPET}\n</head>`);
+            res.writeHead(200, headers);
+            res.end(html);
+            return;
+        }
+
+        res.writeHead(200, headers);
+        res.end(data);
+    });
+}
+
+function startServer(port = PORT, host = HOST) {
+    const server = http.createServer(handleRequest);
+    const chatServer = createChatServer({ server, moderators: MODERATORS, roomEvents: ROOM_EVENTS });
+    return new Promise((resolve) => {
+        server.listen(port, host, () => resolve({ server, chatServer }));
+    });
+}
+
+if (require.main === module) {
+    startServer().then(({ server }) => {
+        const address = server.address();
+        console.log(`ShapeTalk server running at http://localhost:${address.port}${APP_PATH}`);
+        MODERATORS.filter((entry) => !/^user_[0-9a-f]{16}:[0-9a-f]{64}$/.test(entry)).forEach((entry) => {
+            console.warn(`Ignoring moderator "${entry}": expected <userId>:<sha256 of its identity secret>`);
+        });
+    });
+}
+
+module.exports = { startServer, handleRequest };
@@ -0,0 +1,221 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChatCommands = require('../js/chat-commands.js');
+const { loadApp, plain } = require('./helpers/load-app');
+
+describe('ChatCommands', () => {
+    let calls;
+    let lines;
+    const write = (text, cls) => lines.push({ text, cls });
+
+    beforeEach(() => {
+        calls = [];
+        lines = [];
+        ChatCommands.register({
+            name: 'greet',
+            aliases: ['hi'],
+            args: [{ name: 'who' }, { name: 'message', optional: true, rest: true }],
+            description: 'Say hello',
+            handler: (args) => {
+                calls.push(args);
+            }
+        });
+    });
+
+    afterEach(() => {
+        ChatCommands.unregister('greet');
+        ChatCommands.unregister('slow');
+        ChatCommands.lastUsedAt = {};
+    });
+
+    it('parses words, quoted words and the rest of the line as typed', async () => {
+        await ChatCommands.run('/greet Amy', { write });
+        await ChatCommands.run('/GREET "Amy Lee" "nice to see you"', { write });
+        await ChatCommands.run('/hi Zed  how are you', { write });
+        assert.deepEqual(calls, [
+            { who: 'Amy', message: '' },
+            { who: 'Amy Lee', message: '"nice to see you"' },
+            { who: 'Zed', message: 'how are you' }
+        ]);
+    });
+
+    it('takes the quotes off a value the way /namehack and /watching read it', () => {
+        assert.equal(ChatCommands.parseQuotedCommandValue('/namehack "Two Words"', 'namehack'), 'Two Words');
+        assert.equal(ChatCommands.parseQuotedCommandValue('/namehack " padded "', 'namehack'), 'padded');
+        assert.equal(ChatCommands.parseQuotedCommandValue('/namehack "half', 'namehack'), '"half');
+        assert.equal(ChatCommands.parseQuotedCommandValue('/namehack ""', 'namehack'), '""');
+        assert.equal(ChatCommands.parseQuotedCommandValue('/watching', 'watching'), '');
+    });
+
+    it('prints the usage for missing or extra arguments', async () => {
+        ChatCommands.register({ name: 'slow', handler: () => {} });
+        assert.equal(await ChatCommands.run('/greet', { write }), true);
+        assert.equal(await ChatCommands.run('/slow down', { write }), true);
+        assert.deepEqual(lines, [
+            { text: 'Usage: /greet <who> [message]', cls: 'err' },
+            { text: 'Usage: /slow', cls: 'err' }
+        ]);
+        assert.equal(calls.length, 0);
+    });
+
+    it('leaves unknown commands and declined lines to be sent as messages', async () => {
+        ChatCommands.register({ name: 'slow', handler: () => false });
+        assert.equal(await ChatCommands.run('/nope', { write }), false);
+        assert.equal(await ChatCommands.run('/slow', { write }), false);
+        assert.equal(await ChatCommands.run('hello', { write }), false);
+    });
+
+    it('enforces a cooldown between uses', async () => {
+        let now = 1_000_000;
+        mock.method(Date, 'now', () => now);
+        ChatCommands.register({ name: 'slow', cooldownMs: 5000, handler: () => {} });
+        await ChatCommands.run('/slow', { write });
+        now += 1000;
+        await ChatCommands.run('/slow', { write });
+        assert.deepEqual(lines, [{ text: '/slow is cooling down. Try again in 4s.', cls: 'err' }]);
+        now += 4000;
+        await ChatCommands.run('/slow', { write });
+        assert.equal(lines.length, 1);
+        mock.restoreAll();
+    });
+
+    it('suggests visible commands for a half-typed name', () => {
+        ChatCommands.register({ name: 'grin', hidden: true, handler: () => {} });
+        assert.deepEqual(ChatCommands.getSuggestions('/gr').map((command) => command.name), ['greet']);
+        assert.deepEqual(ChatCommands.getSuggestions('/greet '), []);
+        assert.deepEqual(ChatCommands.getSuggestions('hello'), []);
+        ChatCommands.unregister('grin');
+    });
+
+    it('refuses names that could not be typed', () => {
+        assert.throws(() => ChatCommands.register({ name: 'two words', handler: () => {} }));
+        assert.throws(() => ChatCommands.register({ name: 'nohandler' }));
+    });
+});
+
+describe('Chat commands', () => {
+    let app;
+    let chat;
+    let window;
+
+    const key = (name) => window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true }));
+    const typeInto = (text) => {
+        chat.messageInput.value = text;
+        chat.messageInput.dispatchEvent(new window.Event('input'));
+    };
+    const popup = () => chat.commandSuggestions;
+    const options = () => Array.from(popup().querySelectorAll('[data-command]'), (option) => option.dataset.command);
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        // jsdom has no Web Audio for the key clicks
+        mock.method(chat, 'playKeySound', () => {});
+        chat.rateLimits = {};
+        typeInto('');
+    });
+
+    it('lists visible commands with /help and explains one', async () => {
+        const addSystemMessage = mock.method(chat, 'addSystemMessage', () => {});
+        await chat.runCommand('/help');
+        const listed = addSystemMessage.mock.calls.map((call) => call.arguments[0]);
+        assert.ok(listed.includes('/help [command] - List commands, or explain one'));
+        assert.ok(listed.includes('/open <app> - Open a desktop app'));
+        assert.ok(!listed.some((line) => line.startsWith('/namehack')));
+
+        await chat.runCommand('/help /open');
+        assert.equal(addSystemMessage.mock.calls.at(-1).arguments[0], '/open <app> - Open a desktop app');
+        await chat.runCommand('/help namehack');
+        assert.equal(addSystemMessage.mock.calls.at(-1).arguments[0], 'No command called namehack.');
+    });
+
+    it('shows matching commands above the input while a name is typed', () => {
+        typeInto('/he');
+        assert.equal(popup().hidden, false);
+        assert.deepEqual(options(), ['help']);
+        typeInto('/help me');
+        assert.equal(popup().hidden, true);
+        typeInto('/namehac');
+        assert.equal(popup().hidden, true);
+    });
+
+    it('completes with Tab or Enter and moves with the arrow keys', () => {
+        typeInto('/');
+        const names = options();
+        assert.ok(names.length > 1);
+        key('ArrowDown');
+        assert.equal(popup().querySelector('.active').dataset.command, names[1]);
+        key('ArrowUp');
+        key('ArrowUp');
+        assert.equal(popup().querySelector('.active').dataset.command, names.at(-1));
+
+        typeInto('/he');
+        key('Tab');
+        assert.equal(chat.messageInput.value, '/help ');
+        assert.equal(popup().hidden, true);
+
+        const sendMessage = mock.method(chat, 'sendMessage', async () => {});
+        typeInto('/op');
+        key('Enter');
+        assert.equal(chat.messageInput.value, '/open ');
+        assert.equal(sendMessage.mock.callCount(), 0);
+    });
+
+    it('sends a fully typed command on Enter and hides the popup on Escape', () => {
+        const sendMessage = mock.method(chat, 'sendMessage', async () => {});
+        typeInto('/help');
+        key('Enter');
+        assert.equal(sendMessage.mock.callCount(), 1);
+
+        typeInto('/he');
+        key('Escape');
+        assert.equal(popup().hidden, true);
+        chat.updatePreview();
+        assert.equal(popup().hidden, true);
+        typeInto('/h');
+        assert.equal(popup().hidden, false);
+    });
+
+    it('picks a command with a click', () => {
+        typeInto('/o');
+        popup().querySelector('[data-command="open"]').click();
+        assert.equal(chat.messageInput.value, '/open ');
+    });
+
+    it('runs commands other modules registered, from the chat box', async () => {
+        const openApp = mock.method(window.ShapeOS, 'openApp', () => {});
+        chat.messageInput.value = '/open terminal';
+        await chat.sendMessage();
+        assert.deepEqual(plain(openApp.mock.calls[0].arguments), ['computer']);
+        assert.equal(chat.messageInput.value, '');
+    });
+
+    it('shares the registry with the Terminal app', async () => {
+        window.ShapeOS.openApp('computer');
+        const terminal = window.document.querySelector('.app-terminal');
+        const input = terminal.querySelector('[data-el="in"]');
+        const run = async (text) => {
+            input.value = text;
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        };
+        const output = () => Array.from(terminal.querySelectorAll('.term-line'), (line) => line.textContent);
+
+        await run('/myunc');
+        await run('/help open');
+        await run('/definitelynotacommand');
+        assert.deepEqual(output(), [
+            'Unc is real 2007',
+            '/open <app> - Open a desktop app',
+            'command not recognized. type /help for a list.'
+        ]);
+    });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const makeMessages = (count) => Array.from({ length: count }, (_, i) => ({
+    messageId: `msg_${String(i).padStart(3, '0')}`,
+    userId: 'someone_else',
+    username: 'Amy',
+    content: `message ${i}`,
+    timestamp: 1000 + i,
+    reactions: {}
+}));
+
+const renderedIds = (chat) => Array.from(chat.chatMessages.querySelectorAll('.message'))
+    .map((el) => el.dataset.messageId);
+
+describe('Chat history scroll-back', () => {
+    let app;
+    let chat;
+    let room;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        const roomName = chat.currentRoom === 'VIP' ? 'Lobby' : 'VIP';
+        room = chat.transport.getRoom(roomName);
+        room.messages = [];
+        await chat.selectRoom(roomName);
+        room.messages = makeMessages(7);
+        // Render only the newest messages, like a join snapshot would
+        room.messages.slice(-2).forEach((message) => chat.addMessage(message));
+        chat.historyPageSize = 2;
+    });
+
+    it('prepends the previous page in order', async () => {
+        await chat.loadOlderMessages();
+        assert.deepEqual(renderedIds(chat), ['msg_003', 'msg_004', 'msg_005', 'msg_006']);
+        assert.equal(chat.historyExhausted, false);
+    });
+
+    it('keeps paging until the start of the room', async () => {
+        await chat.loadOlderMessages();
+        await chat.loadOlderMessages();
+        await chat.loadOlderMessages();
+        assert.equal(renderedIds(chat).length, 7);
+        assert.equal(renderedIds(chat)[0], 'msg_000');
+        assert.equal(chat.historyExhausted, true);
+
+        const loadOlder = mock.method(chat.transport, 'loadOlderMessages');
+        await chat.loadOlderMessages();
+        assert.equal(loadOlder.mock.callCount(), 0);
+    });
+
+    it('skips messages that are already rendered', async () => {
+        chat.addMessage(room.messages[4]);
+        mock.method(chat.transport, 'loadOlderMessages', async () => ({
+            messages: room.messages.slice(3, 5),
+            hasMore: true
+        }));
+        await chat.loadOlderMessages();
+        assert.deepEqual(renderedIds(chat), ['msg_003', 'msg_005', 'msg_006', 'msg_004']);
+    });
+
+    it('keeps the reader in place when older messages arrive', async () => {
+        // jsdom has no layout, so give every message a fixed height
+        Object.defineProperty(chat.chatMessages, 'scrollHeight', {
+            configurable: true,
+            get: () => chat.chatMessages.querySelectorAll('.message').length * 100
+        });
+        chat.chatMessages.scrollTop = 10;
+
+        await chat.loadOlderMessages();
+        assert.equal(chat.chatMessages.scrollTop, 210);
+        delete chat.chatMessages.scrollHeight;
+    });
+
+    it('drops a page that arrives after switching rooms', async () => {
+        let finish;
+        mock.method(chat.transport, 'loadOlderMessages', () => new Promise((resolve) => {
+            finish = resolve;
+        }));
+        const loading = chat.loadOlderMessages();
+        chat.transport.getRoom('Private 3').messages = [];
+        await chat.selectRoom('Private 3');
+        finish({ messages: room.messages.slice(3, 5), hasMore: true });
+        await loading;
+        assert.equal(chat.messageElements.msg_003, undefined);
+        assert.equal(chat.historyLoading, false);
+    });
+
+    it('loads when scrolled to the top', () => {
+        const loadOlder = mock.method(chat, 'loadOlderMessages', async () => {});
+        chat.chatMessages.scrollTop = 0;
+        chat.handleChatScroll();
+        assert.equal(loadOlder.mock.callCount(), 1);
+    });
+});
+
+describe('Chat jump to latest', () => {
+    let app;
+    let chat;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        chat.jumpToLatest();
+    });
+
+    it('stays hidden while following the conversation', () => {
+        chat.addMessage(makeMessages(1)[0]);
+        assert.equal(chat.jumpLatestBtn.hidden, true);
+        assert.equal(chat.unseenMessageCount, 0);
+    });
+
+    it('counts new messages while the reader is scrolled up', () => {
+        mock.method(chat, 'isNearBottom', () => false);
+        const scrollToBottom = mock.method(chat, 'scrollToBottom');
+        makeMessages(3).forEach((message) => chat.addMessage({ ...message, messageId: `${message.messageId}_up` }));
+
+        assert.equal(scrollToBottom.mock.callCount(), 0);
+        assert.equal(chat.jumpLatestBtn.hidden, false);
+        assert.equal(chat.jumpLatestBtn.textContent, '3 new - Jump to latest');
+    });
+
+    it('still follows your own messages', () => {
+        mock.method(chat, 'isNearBottom', () => false);
+        const scrollToBottom = mock.method(chat, 'scrollToBottom');
+        chat.addMessage({ messageId: 'msg_own', userId: chat.userId, username: chat.username, content: 'me' });
+        assert.equal(scrollToBottom.mock.callCount(), 1);
+        assert.equal(chat.unseenMessageCount, 0);
+    });
+
+    it('clears the count when jumping', () => {
+        const nearBottom = mock.method(chat, 'isNearBottom', () => false);
+        chat.addMessage({ ...makeMessages(1)[0], messageId: 'msg_jump' });
+        nearBottom.mock.mockImplementation(() => true);
+        chat.jumpLatestBtn.click();
+        assert.equal(chat.unseenMessageCount, 0);
+        assert.equal(chat.jumpLatestBtn.hidden, true);
+    });
+});
+
+describe('FirebaseChat.loadMessagesBefore', () => {
+    let app;
+    let db;
+    let keys;
+
+    before(async () => {
+        const backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        app = loadApp({ backend });
+        await nextTick(10);
+        const ref = db.ref('rooms/Lobby/messages');
+        keys = [];
+        for (let i = 0; i < 5; i += 1) {
+            const messageRef = ref.push();
+            keys.push(messageRef.key);
+            await messageRef.set({ userId: 'u', username: 'Amy', content: `m${i}`, timestamp: 1000 + i });
+        }
+    });
+
+    after(() => app.close());
+
+    it('returns the page before a push key, oldest first', async () => {
+        const page = await app.window.FirebaseChat.loadMessagesBefore('Lobby', keys[4], 2);
+        assert.deepEqual(plain(page.messages.map((message) => message.content)), ['m2', 'm3']);
+        assert.equal(page.messages[0].messageId, keys[2]);
+        assert.equal(page.hasMore, true);
+    });
+
+    it('reports the end of the room', async () => {
+        const page = await app.window.FirebaseChat.loadMessagesBefore('Lobby', keys[2], 5);
+        assert.deepEqual(plain(page.messages.map((message) => message.content)), ['m0', 'm1']);
+        assert.equal(page.hasMore, false);
+    });
+
+    it('pages through the Firebase transport', async () => {
+        const { chat } = app;
+        chat.historyPageSize = 2;
+        chat.addMessage({ messageId: keys[4], username: 'Amy', content: 'm4', timestamp: 1004 });
+        await chat.loadOlderMessages();
+        assert.equal(chat.messageCache[keys[3]].content, 'm3');
+        assert.equal(chat.messageCache[keys[2]].content, 'm2');
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app');
+
+describe('Chat.applyReaction', () => {
+    let app;
+    let chat;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        chat.addMessage({
+            messageId: 'msg_reacted',
+            userId: 'someone_else',
+            username: 'Amy',
+            content: 'hi :happy:',
+            reactions: { someone_else: ':sad:' }
+        });
+    });
+
+    it('adds the reaction for this user and keeps the others', async () => {
+        await chat.applyReaction('msg_reacted', ':love:');
+        assert.deepEqual(plain(chat.messageCache.msg_reacted.reactions), {
+            someone_else: ':sad:',
+            [chat.userId]: ':love:'
+        });
+    });
+
+    it('removes the reaction when the same one is picked again', async () => {
+        await chat.applyReaction('msg_reacted', ':love:');
+        await chat.applyReaction('msg_reacted', ':love:');
+        assert.deepEqual(plain(chat.messageCache.msg_reacted.reactions), { someone_else: ':sad:' });
+    });
+
+    it('replaces the reaction when a different one is picked', async () => {
+        await chat.applyReaction('msg_reacted', ':love:');
+        await chat.applyReaction('msg_reacted', ':wink:');
+        assert.equal(chat.messageCache.msg_reacted.reactions[chat.userId], ':wink:');
+    });
+
+    it('passes the toggled reactions to the transport', async () => {
+        const react = mock.method(chat.transport, 'react', async () => true);
+        await chat.applyReaction('msg_reacted', ':star:');
+        assert.deepEqual(plain(react.mock.calls[0].arguments), ['msg_reacted', ':star:', {
+            someone_else: ':sad:',
+            [chat.userId]: ':star:'
+        }]);
+        react.mock.restore();
+    });
+
+    it('ignores unknown messages', async () => {
+        const react = mock.method(chat.transport, 'react', async () => true);
+        await chat.applyReaction('msg_missing', ':love:');
+        assert.equal(react.mock.callCount(), 0);
+        react.mock.restore();
+    });
+});
+
+describe('Chat.sendMessage room modes', () => {
+    let app;
+    let chat;
+    let sendMessage;
+    let systemMessages;
+
+    const send = async (text, drawing = null) => {
+        chat.messageInput.value = text;
+        mock.method(chat, 'getDrawingData', () => drawing);
+        await chat.sendMessage();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        await chat.selectRoom('ShapeTalk');
+        systemMessages = [];
+        mock.method(chat, 'addSystemMessage', (text) => systemMessages.push(text));
+        sendMessage = mock.method(chat.transport, 'sendMessage', async () => true);
+    });
+
+    it('blocks plain text in emoji_draw_only rooms', async () => {
+        await send('hello there');
+        assert.equal(sendMessage.mock.callCount(), 0);
+        assert.deepEqual(systemMessages, ['This room only allows Shape emojis and drawings.']);
+        assert.equal(chat.messageInput.value, 'hello there');
+    });
+
+    it('blocks text mixed with emoji codes', async () => {
+        await send(':happy: hello');
+        assert.equal(sendMessage.mock.callCount(), 0);
+    });
+
+    it('sends emoji-only text', async () => {
+        await send(':happy: :shapecat:');
+        assert.equal(sendMessage.mock.callCount(), 1);
+        assert.equal(sendMessage.mock.calls[0].arguments[0], ':happy: :shapecat:');
+        assert.equal(sendMessage.mock.calls[0].arguments[2].mode, 'emoji_draw_only');
+        assert.equal(chat.messageInput.value, '');
+    });
+
+    it('sends drawings without text', async () => {
+        await send('', 'data:image/png;base64,AAAA');
+        assert.equal(sendMessage.mock.callCount(), 1);
+        assert.equal(sendMessage.mock.calls[0].arguments[1], 'data:image/png;base64,AAAA');
+    });
+
+    it('lets plain text through in open rooms', async () => {
+        await chat.selectRoom('Lobby');
+        systemMessages = [];
+        await send('hello there');
+        assert.equal(sendMessage.mock.callCount(), 1);
+        assert.deepEqual(systemMessages, []);
+    });
+});
@@ -0,0 +1,238 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChatSearch = require('../js/chat-search.js');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const message = (id, content, extras = {}) => ({
+    messageId: id,
+    userId: 'u',
+    username: 'Amy',
+    content,
+    drawing: null,
+    timestamp: 1000,
+    ...extras
+});
+
+describe('ChatSearch', () => {
+    it('needs every word and ignores case', () => {
+        const entry = message('m1', 'Big Triangle energy');
+        assert.equal(ChatSearch.matches(entry, { text: 'triangle BIG' }), true);
+        assert.equal(ChatSearch.matches(entry, { text: 'triangle square' }), false);
+    });
+
+    it('matches emoji shortcodes as written', () => {
+        const entry = message('m1', 'lol :laugh: :fire:');
+        assert.equal(ChatSearch.matches(entry, { text: ':fire:' }), true);
+        assert.equal(ChatSearch.matches(entry, { text: ':sad:' }), false);
+    });
+
+    it('filters by sender, date range and drawings', () => {
+        const entry = message('m1', 'look', { username: 'ZedTheDrawer', timestamp: 5000, drawing: 'data:image/png;base64,x' });
+        assert.equal(ChatSearch.matches(entry, { sender: 'zed' }), true);
+        assert.equal(ChatSearch.matches(entry, { sender: 'amy' }), false);
+        assert.equal(ChatSearch.matches(entry, { after: 5000, before: 5000 }), true);
+        assert.equal(ChatSearch.matches(entry, { after: 5001 }), false);
+        assert.equal(ChatSearch.matches(entry, { before: 4999 }), false);
+        assert.equal(ChatSearch.matches(entry, { hasDrawing: true }), true);
+        assert.equal(ChatSearch.matches(message('m2', 'words'), { hasDrawing: true }), false);
+    });
+
+    it('never returns deleted messages', () => {
+        assert.equal(ChatSearch.matches(message('m1', '', { deleted: true }), { sender: 'amy' }), false);
+    });
+
+    it('treats a query without words or filters as empty', () => {
+        assert.equal(ChatSearch.isEmpty({ text: '   ', sender: '', after: null, before: '' }), true);
+        assert.equal(ChatSearch.isEmpty({ hasDrawing: true }), false);
+    });
+
+    it('returns newest hits first with their neighbours', () => {
+        const messages = [
+            message('m1', 'hello'),
+            message('m2', 'nope', { deleted: true }),
+            message('m3', 'hello again'),
+            message('m4', 'bye')
+        ];
+        const results = ChatSearch.search('Lobby', messages, { text: 'hello' });
+        assert.deepEqual(results.map((result) => result.message.messageId), ['m3', 'm1']);
+        assert.equal(results[0].previous.messageId, 'm1');
+        assert.equal(results[0].next.messageId, 'm4');
+        assert.equal(results[1].previous, null);
+        assert.equal(results[0].room, 'Lobby');
+    });
+
+    it('merges rooms by time and caps the total', () => {
+        const lobby = ChatSearch.search('Lobby', [message('a', 'x', { timestamp: 10 }), message('b', 'x', { timestamp: 30 })], { text: 'x' });
+        const vip = ChatSearch.search('VIP', [message('c', 'x', { timestamp: 20 })], { text: 'x' });
+        assert.deepEqual(ChatSearch.mergeResults([lobby, vip]).map((result) => result.message.messageId), ['b', 'c', 'a']);
+        assert.equal(ChatSearch.mergeResults([lobby, vip], 2).length, 2);
+    });
+
+    it('cuts snippets around the first match', () => {
+        const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+        const snippet = ChatSearch.makeSnippet(text, ['needle'], 10);
+        assert.ok(snippet.startsWith('…'));
+        assert.ok(snippet.endsWith('…'));
+        assert.ok(snippet.includes('needle'));
+        assert.equal(ChatSearch.makeSnippet('short', ['x']), 'short');
+    });
+
+    it('splits text into highlighted runs', () => {
+        assert.deepEqual(ChatSearch.splitHighlights('Hi hi there', ['hi']), [
+            { text: 'Hi', match: true },
+            { text: ' ', match: false },
+            { text: 'hi', match: true },
+            { text: ' there', match: false }
+        ]);
+    });
+});
+
+describe('Chat search panel', () => {
+    let app;
+    let chat;
+    let window;
+    let document;
+
+    const setRoom = (roomName, messages) => {
+        chat.transport.getRoom(roomName).messages = messages;
+    };
+
+    const search = async (text, filters = {}) => {
+        document.getElementById('searchQuery').value = text;
+        document.getElementById('searchSender').value = filters.sender || '';
+        document.getElementById('searchAfter').value = filters.after || '';
+        document.getElementById('searchBefore').value = filters.before || '';
+        document.getElementById('searchHasDrawing').checked = Boolean(filters.hasDrawing);
+        return chat.runSearch();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+        document = window.document;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        setRoom('Lobby', []);
+        setRoom('VIP', []);
+        await chat.selectRoom('Lobby');
+        chat.searchResults.innerHTML = '';
+    });
+
+    it('opens from the top bar and closes with Escape', () => {
+        document.getElementById('searchToggleBtn').click();
+        assert.equal(chat.searchPanel.hidden, false);
+        document.getElementById('searchQuery').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(chat.searchPanel.hidden, true);
+    });
+
+    it('does not send the composer message when Enter submits a search', () => {
+        const sendMessage = mock.method(chat, 'sendMessage', async () => {});
+        document.getElementById('searchQuery').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        assert.equal(sendMessage.mock.callCount(), 0);
+    });
+
+    it('searches the main rooms and open DMs', async () => {
+        const dm = chat.buildDmRoomName('Zed');
+        chat.registerDmRoom(dm);
+        setRoom('VIP', [message('vip_1', 'pizza party', { timestamp: 2000 })]);
+        setRoom(dm, [message('dm_1', 'pizza later?', { username: 'Zed', timestamp: 3000 })]);
+        setRoom('Private 4', [message('p_1', 'pizza secret', { timestamp: 4000 })]);
+
+        const results = await search('pizza');
+        assert.deepEqual(plain(results.map((result) => result.room)), [dm, 'VIP']);
+        assert.equal(chat.searchStatus.textContent, '2 results');
+        const first = chat.searchResults.querySelector('.search-result');
+        assert.equal(first.querySelector('.search-result-room').textContent, 'DM with Zed');
+        assert.equal(first.querySelector('mark').textContent, 'pizza');
+    });
+
+    it('applies the filters from the form', async () => {
+        const day = new Date('2026-03-02T12:00:00').getTime();
+        setRoom('Lobby', [
+            message('l_1', 'sketch', { username: 'Amy', timestamp: day, drawing: 'data:image/png;base64,x' }),
+            message('l_2', 'sketch', { username: 'Zed', timestamp: day }),
+            message('l_3', 'sketch', { username: 'Zed', timestamp: day + 2 * 24 * 60 * 60 * 1000 })
+        ]);
+
+        const ids = (results) => plain(results.map((result) => result.message.messageId));
+        assert.deepEqual(ids(await search('sketch', { sender: 'zed', after: '2026-03-02', before: '2026-03-02' })), ['l_2']);
+        assert.deepEqual(ids(await search('', { hasDrawing: true })), ['l_1']);
+    });
+
+    it('asks for something to search instead of returning everything', async () => {
+        const searchMessages = mock.method(chat.transport, 'searchMessages');
+        assert.deepEqual(plain(await search('  ')), []);
+        assert.equal(searchMessages.mock.callCount(), 0);
+        assert.equal(chat.searchStatus.textContent, 'Type a word, an :emoji: or pick a filter.');
+    });
+
+    it('escapes message text in results', async () => {
+        setRoom('Lobby', [message('l_1', '<img src=x> hi')]);
+        await search('hi');
+        assert.equal(chat.searchResults.querySelector('img'), null);
+        assert.match(chat.searchResults.querySelector('.search-result-hit').textContent, /<img src=x>/);
+    });
+
+    it('jumps to a result in another room, loading older history', async () => {
+        const messages = Array.from({ length: 8 }, (_, i) => message(`vip_${i}`, i === 1 ? 'the needle' : `hay ${i}`, { timestamp: 1000 + i }));
+        chat.historyPageSize = 2;
+        setRoom('VIP', messages);
+        chat.toggleSearchPanel(true);
+        await search('needle');
+
+        // Joining replays every stored message, so trim the view to the newest two like a real snapshot
+        mock.method(chat.transport, 'joinRoom', async function (roomName) {
+            this.currentRoom = roomName;
+            messages.slice(-2).forEach((entry) => chat.addMessage(entry));
+            return { ok: true, previousRoom: 'Lobby' };
+        });
+        chat.searchResults.querySelector('.search-result').click();
+        await nextTick(10);
+
+        assert.equal(chat.currentRoom, 'VIP');
+        assert.ok(chat.messageElements.vip_1.classList.contains('search-hit'));
+        assert.equal(chat.searchPanel.hidden, true);
+    });
+
+    it('says so when the message cannot be found', async () => {
+        const addSystemMessage = mock.method(chat, 'addSystemMessage', () => {});
+        assert.equal(await chat.jumpToMessage('Lobby', 'msg_gone'), false);
+        assert.deepEqual(plain(addSystemMessage.mock.calls[0].arguments), ['That message is too far back to load.']);
+    });
+});
+
+describe('FirebaseChat.searchRoom', () => {
+    let app;
+    let db;
+
+    before(async () => {
+        const backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        app = loadApp({ backend });
+        await nextTick(10);
+        const ref = db.ref('rooms/VIP/messages');
+        await ref.push({ userId: 'u', username: 'Amy', content: 'first :fire:', timestamp: 1000 });
+        await ref.push({ userId: 'u', username: 'Zed', content: 'second :fire:', timestamp: 2000 });
+        await ref.push({ userId: 'u', username: 'Zed', content: 'gone', timestamp: 3000, deleted: true });
+    });
+
+    after(() => app.close());
+
+    it('scans the newest messages of a room', async () => {
+        const results = await app.window.FirebaseChat.searchRoom('VIP', { text: ':fire:' });
+        assert.deepEqual(plain(results.map((result) => result.message.content)), ['second :fire:', 'first :fire:']);
+        assert.equal(results[0].room, 'VIP');
+    });
+
+    it('searches every requested room through the transport', async () => {
+        await db.ref('rooms/Lobby/messages').push({ userId: 'u', username: 'Amy', content: 'lobby :fire:', timestamp: 2500 });
+        const results = await app.chat.transport.searchMessages(['Lobby', 'VIP'], { text: 'fire', sender: 'zed' });
+        assert.deepEqual(plain(results.map((result) => result.message.content)), ['second :fire:']);
+    });
+});
@@ -0,0 +1,327 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createChatServer } = require('../server/chat-server');
+const { handleRequest } = require('../server/index');
+const { connect } = require('./helpers/ws-client');
+
+describe('chat server history', () => {
+    let chatServer;
+    let port;
+    let client;
+
+    before(async () => {
+        // Sixty messages in a row would trip the flood limiter
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        port = chatServer.wss.address().port;
+        client = connect(port, 'username=Amy&room=Lobby');
+        await client.next('welcome');
+        for (let i = 0; i < 60; i += 1) {
+            client.send({ type: 'message', content: `m${i}` });
+            await client.next('newMessage');
+        }
+    });
+
+    after(async () => {
+        client.close();
+        await chatServer.close();
+    });
+
+    it('only sends the newest messages on join', async () => {
+        const late = connect(port, 'username=Zed&room=Lobby');
+        const welcome = await late.next('welcome');
+        late.close();
+        assert.equal(welcome.messages.length, 50);
+        assert.equal(welcome.messages[0].content, 'm10');
+    });
+
+    it('resends everything after the last message a reconnecting client saw', async () => {
+        const messages = chatServer.rooms.get('Lobby').messages;
+        const back = connect(port, `username=Amy&room=Lobby&since=${messages[4].messageId}`);
+        const welcome = await back.next('welcome');
+        back.close();
+        assert.equal(welcome.messages.length, 55);
+        assert.equal(welcome.messages[0].content, 'm5');
+    });
+
+    it('falls back to the usual snapshot for a recent or unknown last message', async () => {
+        const messages = chatServer.rooms.get('Lobby').messages;
+        for (const since of [messages[58].messageId, 'msg_missing']) {
+            const back = connect(port, `username=Amy&room=Lobby&since=${since}`);
+            const welcome = await back.next('welcome');
+            back.close();
+            assert.equal(welcome.messages.length, 50);
+        }
+    });
+
+    it('returns the page before a message, oldest first', async () => {
+        const messages = chatServer.rooms.get('Lobby').messages;
+        client.send({ type: 'history', room: 'Lobby', before: messages[10].messageId, limit: 4 });
+        const page = await client.next('history');
+        assert.deepEqual(page.messages.map((message) => message.content), ['m6', 'm7', 'm8', 'm9']);
+        assert.equal(page.before, messages[10].messageId);
+        assert.equal(page.hasMore, true);
+    });
+
+    it('reports the start of the room', async () => {
+        const messages = chatServer.rooms.get('Lobby').messages;
+        client.send({ type: 'history', room: 'Lobby', before: messages[3].messageId, limit: 10 });
+        const page = await client.next('history');
+        assert.deepEqual(page.messages.map((message) => message.content), ['m0', 'm1', 'm2']);
+        assert.equal(page.hasMore, false);
+    });
+
+    it('returns nothing for unknown messages', async () => {
+        client.send({ type: 'history', room: 'Lobby', before: 'msg_missing', limit: 10 });
+        const page = await client.next('history');
+        assert.deepEqual(page.messages, []);
+        assert.equal(page.hasMore, false);
+    });
+});
+
+describe('chat server edits', () => {
+    let chatServer;
+    let amy;
+    let zed;
+
+    const post = async (content) => {
+        amy.send({ type: 'message', content });
+        const { message } = await amy.next('newMessage');
+        await zed.next('newMessage');
+        return message;
+    };
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        const { port } = chatServer.wss.address();
+        amy = connect(port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+        zed = connect(port, 'username=Zed&room=Lobby');
+        await zed.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        zed.close();
+        await chatServer.close();
+    });
+
+    it('lets the author edit and tells the room', async () => {
+        const message = await post('helo');
+        amy.send({ type: 'edit', messageId: message.messageId, content: 'hello' });
+        const { message: changed } = await zed.next('messageChanged');
+        assert.equal(changed.messageId, message.messageId);
+        assert.equal(changed.content, 'hello');
+        assert.equal(typeof changed.editedAt, 'number');
+    });
+
+    it('leaves a tombstone on delete', async () => {
+        const message = await post('oops');
+        amy.send({ type: 'delete', messageId: message.messageId });
+        const { message: changed } = await zed.next('messageChanged');
+        assert.equal(changed.deleted, true);
+        assert.equal(changed.content, '');
+        assert.equal(chatServer.rooms.get('Lobby').messages.some((entry) => entry.content === 'oops'), false);
+    });
+
+    it('refuses changes from anyone but the author', async () => {
+        const message = await post('mine');
+        zed.send({ type: 'edit', messageId: message.messageId, content: 'hijacked' });
+        const error = await zed.next('error');
+        assert.equal(error.message, 'You can only change your own recent messages.');
+        zed.send({ type: 'delete', messageId: message.messageId });
+        await zed.next('error');
+        assert.equal(chatServer.rooms.get('Lobby').messages.find((entry) => entry.messageId === message.messageId).content, 'mine');
+    });
+
+    it('refuses changes after the edit window', async () => {
+        const message = await post('old');
+        chatServer.rooms.get('Lobby').messages.find((entry) => entry.messageId === message.messageId).timestamp -= 16 * 60 * 1000;
+        amy.send({ type: 'edit', messageId: message.messageId, content: 'new' });
+        assert.equal((await amy.next('error')).message, 'You can only change your own recent messages.');
+    });
+});
+
+describe('chat server typing and read receipts', () => {
+    let chatServer;
+    let port;
+    let amy;
+    let zed;
+    const dm = 'DM: Amy & Zed';
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        port = chatServer.wss.address().port;
+        amy = connect(port, `username=Amy&room=${encodeURIComponent(dm)}`);
+        await amy.next('welcome');
+        zed = connect(port, `username=Zed&room=${encodeURIComponent(dm)}`);
+        await zed.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        zed.close();
+        await chatServer.close();
+    });
+
+    it('tells the room who is typing and clears it on send', async () => {
+        amy.send({ type: 'typing', typing: true });
+        const typing = await zed.next('typing');
+        assert.equal(typing.room, dm);
+        assert.deepEqual(typing.users.map((user) => user.username), ['Amy']);
+
+        amy.send({ type: 'message', content: 'hi zed' });
+        assert.deepEqual((await zed.next('typing')).users, []);
+        await zed.next('newMessage');
+    });
+
+    it('shares read pointers with the room and with subscribers elsewhere', async () => {
+        const message = chatServer.rooms.get(dm).messages[0];
+        const lurker = connect(port, 'username=Amy&room=Lobby');
+        await lurker.next('welcome');
+        lurker.send({ type: 'watchReads', room: dm });
+        assert.deepEqual((await lurker.next('readReceipts')).reads, {});
+
+        zed.send({ type: 'read', room: dm, messageId: message.messageId });
+        const { reads } = await amy.next('readReceipts');
+        const pointer = Object.values(reads)[0];
+        assert.equal(pointer.username, 'Zed');
+        assert.equal(pointer.messageId, message.messageId);
+        assert.equal(pointer.timestamp, message.timestamp);
+        assert.equal(Object.values((await lurker.next('readReceipts')).reads)[0].username, 'Zed');
+        lurker.close();
+    });
+
+    it('ignores reads for rooms the client is not in', async () => {
+        zed.send({ type: 'read', room: 'Lobby', messageId: 'msg_missing' });
+        zed.send({ type: 'history', room: dm, before: 'msg_missing', limit: 1 });
+        await zed.next('history');
+        assert.equal(chatServer.rooms.get('Lobby').reads.size, 0);
+    });
+});
+
+describe('chat server search', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+        for (const content of ['hello :wave:', 'nothing here', 'hello again']) {
+            amy.send({ type: 'message', content });
+            await amy.next('newMessage');
+        }
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('answers with newest matches first', async () => {
+        amy.send({ type: 'search', requestId: 'q1', rooms: ['Lobby', 'Nowhere'], query: { text: 'hello' } });
+        const reply = await amy.next('searchResults');
+        assert.equal(reply.requestId, 'q1');
+        assert.deepEqual(reply.results.map((result) => result.message.content), ['hello again', 'hello :wave:']);
+        assert.equal(reply.results[0].previous.content, 'nothing here');
+    });
+
+    it('returns nothing for a bad request', async () => {
+        amy.send({ type: 'search', requestId: 'q2', rooms: 'Lobby', query: { text: 'hello' } });
+        assert.deepEqual((await amy.next('searchResults')).results, []);
+    });
+});
+
+describe('chat server identities', () => {
+    let chatServer;
+    let port;
+    const userId = 'user_0123456789abcdef';
+    const secret = '0123456789abcdef0123456789abcdef';
+    const as = (id, key, name = 'Amy') => connect(port, `username=${name}&room=Lobby&userId=${id}&secret=${key}`);
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        port = chatServer.wss.address().port;
+    });
+
+    after(() => chatServer.close());
+
+    it('keeps a userId for whoever holds its secret, across tabs', async () => {
+        const first = as(userId, secret);
+        assert.equal((await first.next('welcome')).user.id, userId);
+        const second = as(userId, secret);
+        const welcome = await second.next('welcome');
+        assert.equal(welcome.user.id, userId);
+        assert.equal(welcome.onlineUsers.filter((user) => user.id === userId).length, 1);
+        first.close();
+        second.close();
+    });
+
+    it('refuses a userId claimed with the wrong secret', async () => {
+        const impostor = as(userId, 'f'.repeat(32), 'Zed');
+        const { user } = await impostor.next('welcome');
+        assert.notEqual(user.id, userId);
+        assert.match(user.id, /^ws_/);
+        impostor.close();
+    });
+
+    it('stores account records for their owner only', async () => {
+        const record = { ownerId: userId, salt: 's', iv: 'i', data: 'sealed' };
+        const owner = as(userId, secret);
+        await owner.next('welcome');
+        owner.send({ type: 'saveAccount', requestId: 'a1', accountName: 'amy', record });
+        assert.deepEqual(await owner.next('accountSaved'), { type: 'accountSaved', requestId: 'a1', ok: true });
+
+        const other = connect(port, 'username=Zed&room=Lobby');
+        const { user } = await other.next('welcome');
+        other.send({ type: 'saveAccount', requestId: 'a2', accountName: 'amy', record: { ...record, ownerId: user.id } });
+        assert.equal((await other.next('accountSaved')).reason, 'That account name is taken.');
+        other.send({ type: 'loadAccount', requestId: 'a3', accountName: 'amy' });
+        assert.deepEqual((await other.next('accountRecord')).record, record);
+        owner.close();
+        other.close();
+    });
+});
+
+describe('LAN server pages', () => {
+    let server;
+    let base;
+    const get = (pathname) => fetch(`${base}${pathname}`, { redirect: 'manual' });
+
+    before(async () => {
+        server = http.createServer(handleRequest);
+        await new Promise((resolve) => server.listen(0, resolve));
+        base = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('serves the chat under its folder and points it at this server', async () => {
+        const home = await get('/');
+        assert.equal(home.status, 302);
+        const chat = await get(home.headers.get('location'));
+        assert.equal(chat.status, 200);
+        assert.match(await chat.text(), /window\.SHAPETALK_BACKEND = 'websocket'/);
+    });
+
+    it('serves the project pages the chat links to, as they are', async () => {
+        const page = await get('/shapestore.html');
+        assert.equal(page.status, 200);
+        assert.doesNotMatch(await page.text(), /SHAPETALK_BACKEND/);
+        assert.equal((await get('/logoshapestore.png')).status, 200);
+    });
+
+    it('keeps the server code, packages, dotfiles and the rest of the site folder private', async () => {
+        const home = (await get('/')).headers.get('location');
+        for (const pathname of [`${home}server/index.js`, '/node_modules/ws/package.json', '/.git/config', '/%2e%2e/etc/passwd',
+            '/package.json', '/requests.jsonl', '/backupnewbgs.html', '/node_modules/ws/index.js']) {
+            assert.equal((await get(pathname)).status, 404, pathname);
+        }
+    });
+});
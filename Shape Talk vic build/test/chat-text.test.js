@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('Chat text helpers', () => {
+    let app;
+    let chat;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    describe('isEmojiOnlyText', () => {
+        it('accepts one or more Shape emoji codes', () => {
+            assert.equal(chat.isEmojiOnlyText(':happy:'), true);
+            assert.equal(chat.isEmojiOnlyText(':happy: :love:'), true);
+            assert.equal(chat.isEmojiOnlyText(':happy::shapecat:'), true);
+            assert.equal(chat.isEmojiOnlyText('  :unc:  '), true);
+        });
+
+        it('rejects empty input', () => {
+            assert.equal(chat.isEmojiOnlyText(''), false);
+            assert.equal(chat.isEmojiOnlyText('   '), false);
+            assert.equal(chat.isEmojiOnlyText(null), false);
+        });
+
+        it('rejects plain text and unknown codes', () => {
+            assert.equal(chat.isEmojiOnlyText('hi :happy:'), false);
+            assert.equal(chat.isEmojiOnlyText(':happy: !'), false);
+            assert.equal(chat.isEmojiOnlyText(':notanemoji:'), false);
+            assert.equal(chat.isEmojiOnlyText('happy'), false);
+        });
+    });
+
+    describe('DM room names', () => {
+        it('builds the same room name from both sides', () => {
+            chat.username = 'Zed';
+            const fromZed = chat.buildDmRoomName('Amy');
+            chat.username = 'Amy';
+            const fromAmy = chat.buildDmRoomName('Zed');
+
+            assert.equal(fromZed, 'DM: Amy & Zed');
+            assert.equal(fromAmy, fromZed);
+        });
+
+        it('trims names before sorting them', () => {
+            chat.username = 'Zed';
+            assert.equal(chat.buildDmRoomName('  Amy '), 'DM: Amy & Zed');
+        });
+
+        it('finds the partner for either participant', () => {
+            chat.username = 'Amy';
+            assert.equal(chat.getDmPartnerName('DM: Amy & Zed'), 'Zed');
+            chat.username = 'Zed';
+            assert.equal(chat.getDmPartnerName('DM: Amy & Zed'), 'Amy');
+        });
+
+        it('round-trips names with spaces', () => {
+            chat.username = 'Foo Bar';
+            const roomName = chat.buildDmRoomName('Cool Cat');
+            assert.equal(chat.getDmPartnerName(roomName), 'Cool Cat');
+        });
+
+        it('falls back when the room has no partner', () => {
+            chat.username = 'Amy';
+            assert.equal(chat.getDmPartnerName('DM: Amy & Amy'), 'Amy');
+            assert.equal(chat.getDmPartnerName(''), 'DM');
+        });
+    });
+});
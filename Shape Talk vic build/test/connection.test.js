@@ -0,0 +1,180 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, nextTick, plain } = require('./helpers/load-app');
+
+// Stands in for the browser WebSocket so the test decides when sockets open, talk and drop
+function installFakeSocket(window) {
+    class FakeSocket extends window.EventTarget {
+        constructor(url) {
+            super();
+            this.url = new URL(url);
+            this.readyState = FakeSocket.CONNECTING;
+            this.sent = [];
+            FakeSocket.instances.push(this);
+        }
+
+        send(raw) {
+            this.sent.push(JSON.parse(raw));
+        }
+
+        open() {
+            this.readyState = FakeSocket.OPEN;
+            this.dispatchEvent(new window.Event('open'));
+        }
+
+        receive(data) {
+            this.dispatchEvent(new window.MessageEvent('message', { data: JSON.stringify(data) }));
+        }
+
+        drop() {
+            this.readyState = FakeSocket.CLOSED;
+            this.dispatchEvent(new window.Event('close'));
+        }
+    }
+    FakeSocket.CONNECTING = 0;
+    FakeSocket.OPEN = 1;
+    FakeSocket.CLOSED = 3;
+    FakeSocket.instances = [];
+    window.WebSocket = FakeSocket;
+    return FakeSocket;
+}
+
+describe('WebSocket reconnect', () => {
+    let app;
+    let chat;
+    let window;
+    let FakeSocket;
+    let transport;
+
+    const latest = () => FakeSocket.instances.at(-1);
+    const welcome = (messages = []) => latest().receive({
+        type: 'welcome',
+        room: 'Lobby',
+        user: { id: chat.userId, username: chat.username, mood: chat.currentMood },
+        onlineUsers: [],
+        messages
+    });
+    const message = (id) => ({ messageId: id, userId: 'user_ffffffffffffffff', username: 'Zed', content: id, timestamp: Date.now() });
+    const reconnectTimer = () => window.setTimeout.mock.calls.find((call) => call.result === transport.reconnectTimer);
+    const status = () => window.document.getElementById('connectionStatus');
+    const tray = () => window.document.getElementById('trayConnection');
+
+    before(async () => {
+        app = loadApp({ beforeInit: (page) => { FakeSocket = installFakeSocket(page); } });
+        chat = app.chat;
+        window = app.window;
+        transport = window.eval('WebSocketTransport');
+        await nextTick(10);
+        // Timers are handed out but never fire; the tests run the reconnect themselves
+        let timerId = 0;
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        mock.method(window, 'setTimeout', () => {
+            timerId += 1;
+            return timerId;
+        });
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        transport.ws = null;
+        await app.close();
+    });
+
+    it('shows the connection state in the header and the tray', () => {
+        chat.useTransport('websocket');
+        assert.equal(status().dataset.state, 'connecting');
+        assert.equal(tray().dataset.state, 'connecting');
+
+        latest().open();
+        welcome([message('m1')]);
+        assert.equal(chat.transport, transport);
+        assert.equal(status().dataset.state, 'online');
+        assert.equal(status().textContent, 'Online');
+        assert.equal(tray().title, 'Online');
+    });
+
+    it('backs off between attempts and says when it will retry', () => {
+        const first = latest();
+        first.drop();
+        assert.equal(status().dataset.state, 'offline');
+        assert.equal(tray().title, 'Offline. Reconnecting in 1s.');
+        assert.equal(reconnectTimer().arguments[1], transport.reconnectBaseMs);
+
+        reconnectTimer().arguments[0]();
+        assert.notEqual(latest(), first);
+        assert.equal(status().dataset.state, 'connecting');
+        latest().drop();
+        assert.equal(reconnectTimer().arguments[1], transport.reconnectBaseMs * 2);
+        assert.equal(chat.transport, transport);
+        assert.equal(transport.getReconnectDelay(50), transport.reconnectMaxMs);
+    });
+
+    it('rejoins with the last message seen and fills in what was missed', () => {
+        reconnectTimer().arguments[0]();
+        const socket = latest();
+        assert.equal(socket.url.searchParams.get('room'), 'Lobby');
+        assert.equal(socket.url.searchParams.get('since'), 'm1');
+
+        socket.open();
+        welcome([message('m1'), message('m2')]);
+        const rendered = Array.from(chat.chatMessages.querySelectorAll('.message[data-message-id]'), (element) => element.dataset.messageId);
+        assert.deepEqual(rendered.filter((id) => id.startsWith('m')), ['m1', 'm2']);
+        assert.equal(transport.reconnectAttempts, 0);
+    });
+
+    it('restores an active watch and read receipts', () => {
+        const stop = transport.watchRoom('VIP', { onStart() {}, onMessage() {} });
+        const stopReads = transport.listenForReadReceipts('DM_x', () => {});
+        latest().drop();
+        reconnectTimer().arguments[0]();
+        latest().open();
+        welcome();
+        const sent = latest().sent.map((payload) => `${payload.type} ${payload.room}`);
+        assert.ok(sent.includes('watch VIP'));
+        assert.ok(sent.includes('watchReads DM_x'));
+        stop();
+        stopReads();
+    });
+
+    it('answers requests that were lost with the connection', async () => {
+        const results = transport.searchMessages(['Lobby'], 'hello');
+        const moderation = transport.kickUser('Lobby', 'user_ffffffffffffffff');
+        latest().drop();
+        assert.deepEqual(plain(await results), []);
+        assert.equal((await moderation).ok, false);
+    });
+
+    it('sends the outbox as soon as it is back', async () => {
+        chat.messageInput.value = 'sent while offline';
+        await chat.sendMessage();
+        assert.equal(chat.chatMessages.querySelectorAll('.message.pending').length, 1);
+
+        reconnectTimer().arguments[0]();
+        latest().open();
+        welcome();
+        await nextTick(10);
+        const resent = latest().sent.find((payload) => payload.type === 'message');
+        assert.equal(resent.content, 'sent while offline');
+        assert.equal(resent.clientId, Object.keys(chat.outbox)[0]);
+    });
+
+    it('comes online even when every room refuses it', () => {
+        latest().drop();
+        reconnectTimer().arguments[0]();
+        latest().open();
+        assert.equal(status().dataset.state, 'connecting');
+        latest().receive({ type: 'joinError', room: 'Lobby', reason: 'You are banned from Lobby for another 5 min.' });
+        latest().receive({ type: 'welcome', room: null, user: { id: chat.userId, username: chat.username, mood: chat.currentMood }, onlineUsers: [], messages: [] });
+        assert.equal(status().dataset.state, 'online');
+        assert.match(Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent, /banned from Lobby/);
+    });
+
+    it('falls back to demo mode when no server ever answers', () => {
+        transport.ws = null;
+        transport.everOpened = false;
+        chat.useTransport('websocket');
+        latest().drop();
+        assert.equal(chat.transport.name, 'memory');
+        assert.equal(status().dataset.state, 'online');
+    });
+});
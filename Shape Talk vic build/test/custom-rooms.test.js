@@ -0,0 +1,377 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomConfigs = require('../js/room-configs.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const DRAWING = 'strokes:2|100,100|p#000000/4:1,1,2,2';
+
+describe('RoomConfigs for user-made rooms', () => {
+    it('keeps only well-formed rooms', () => {
+        assert.deepEqual(RoomConfigs.normalizeRoom({ name: '  Night   Owls ', mode: 'draw_only', maxUsers: '8', maxMessages: '', ephemeral: true, topic: ' late ', joinCode: 'hoot42', extra: 1 }), {
+            ok: true,
+            room: { name: 'Night Owls', ownerId: null, mode: 'draw_only', maxUsers: 8, maxMessages: null, ephemeral: true, topic: 'late', joinCode: 'hoot42', hasJoinCode: true, archived: false, schedule: null }
+        });
+        const reason = (room) => RoomConfigs.normalizeRoom({ name: 'Owls', mode: 'open', ...room }).reason;
+        assert.equal(reason({ name: 'no/slashes' }), 'Room names are 1 to 32 letters, numbers, spaces, - or _.');
+        assert.equal(reason({ name: 'vip' }), 'vip is one of the built-in rooms.');
+        assert.equal(reason({ name: 'Private 42' }), 'Private 42 is one of the built-in rooms.');
+        assert.equal(reason({ mode: 'shouting' }), 'Pick what the room allows.');
+        assert.equal(reason({ maxUsers: 1 }), 'Rooms hold 2 to 50 people, or leave it empty for no limit.');
+        assert.equal(reason({ maxMessages: 5000 }), 'Rooms keep 10 to 500 messages, or leave it empty to keep them all.');
+        assert.equal(reason({ topic: 'x'.repeat(121) }), 'Topics can be up to 120 characters.');
+        assert.equal(reason({ joinCode: 'no' }), 'Join codes are 4 to 16 letters or numbers.');
+    });
+
+    it('keeps only well-formed themed hours', () => {
+        const event = { name: ' Doodle   Hour ', mode: 'draw_only', days: [6, 0, 6], start: '18:00', minutes: 60, extra: 1 };
+        assert.deepEqual(RoomConfigs.normalizeRoom({ name: 'Owls', mode: 'open', schedule: [event, { ...event, days: null }] }).room.schedule, [
+            { name: 'Doodle Hour', mode: 'draw_only', days: [0, 6], start: '18:00', minutes: 60 },
+            { name: 'Doodle Hour', mode: 'draw_only', start: '18:00', minutes: 60 }
+        ]);
+        assert.equal(RoomConfigs.normalizeRoom({ name: 'Owls', mode: 'open', schedule: [] }).room.schedule, null);
+        const reason = (changes) => RoomConfigs.normalizeRoom({ name: 'Owls', mode: 'open', schedule: [{ ...event, ...changes }] }).reason;
+        assert.equal(reason({ name: '' }), 'Themed hours need a name of up to 40 characters.');
+        assert.equal(reason({ mode: 'text_only' }), 'Doodle Hour needs one of these modes: draw_only, one_word, slow, all_caps.');
+        assert.equal(reason({ start: '9:00' }), 'Doodle Hour needs a start time in UTC like 18:00.');
+        assert.equal(reason({ minutes: 0 }), 'Doodle Hour can last 1 to 1440 minutes.');
+        assert.equal(reason({ days: [7] }), 'Doodle Hour needs days from 0 (Sunday) to 6, or none for every day.');
+        assert.equal(reason({ days: [] }), 'Doodle Hour needs days from 0 (Sunday) to 6, or none for every day.');
+        assert.equal(RoomConfigs.normalizeRoom({ name: 'Owls', mode: 'open', schedule: Array(9).fill(event) }).reason, 'Rooms can have up to 8 themed hours.');
+    });
+
+    it('keeps join codes from everyone but the owner', () => {
+        const room = RoomConfigs.normalizeRoom({ name: 'Owls', ownerId: 'user_a', mode: 'open', joinCode: 'hoot' }).room;
+        assert.equal(RoomConfigs.toPublicRoom(room, 'user_b').joinCode, undefined);
+        assert.equal(RoomConfigs.toPublicRoom(room, 'user_b').hasJoinCode, true);
+        assert.equal(RoomConfigs.toPublicRoom(room, 'user_a').joinCode, 'hoot');
+        // A listed room carries only hasJoinCode, which survives normalizing again
+        assert.equal(RoomConfigs.normalizeRoom(RoomConfigs.toPublicRoom(room, 'user_b')).room.hasJoinCode, true);
+    });
+
+    it('looks up user-made rooms after the built-in ones', () => {
+        const customRooms = { Owls: { mode: 'text_only', maxUsers: 4 } };
+        assert.equal(RoomConfigs.get('Owls', customRooms).mode, 'text_only');
+        assert.equal(RoomConfigs.get('VIP', customRooms).maxMessages, 100);
+        assert.equal(RoomConfigs.get('Nowhere', customRooms).mode, 'open');
+    });
+
+    it('says why a message does not fit the room mode', () => {
+        const refusal = (mode, message) => RoomConfigs.getMessageRefusal({ mode }, message, (text) => text === ':happy:');
+        assert.equal(refusal('open', { content: 'hi', drawing: DRAWING }), null);
+        assert.equal(refusal('emoji_draw_only', { content: 'hi' }), 'This room only allows Shape emojis and drawings.');
+        assert.equal(refusal('emoji_draw_only', { content: ':happy:' }), null);
+        assert.equal(refusal('draw_only', { content: 'hi' }), 'This room only allows drawings.');
+        assert.equal(refusal('draw_only', { content: '', drawing: DRAWING }), null);
+        assert.equal(refusal('text_only', { content: '', drawing: DRAWING }), 'This room does not take drawings.');
+        assert.equal(refusal('text_only', { content: 'hi' }), null);
+    });
+});
+
+describe('Chat user-made rooms', () => {
+    let app;
+    let chat;
+    let document;
+
+    const lastSystemMessage = () => Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent.trim();
+    const fillEditor = (fields) => {
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        document = app.window.document;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+        if (chat.currentRoom !== 'Lobby') {
+            await chat.selectRoom('Lobby');
+        }
+    });
+
+    it('makes a room from the room menu and lists it with its occupancy', async () => {
+        chat.toggleRoomMenu();
+        document.querySelector('[data-room-action="new"]').click();
+        assert.equal(chat.roomEditorPanel.hidden, false);
+        assert.equal(chat.roomMenu.hidden, true);
+        assert.deepEqual(Array.from(document.querySelectorAll('#roomEditorMode option'), (option) => option.value), Object.keys(RoomConfigs.modes));
+
+        fillEditor({ roomEditorName: 'Sketch Club', roomEditorTopic: 'Only drawings', roomEditorMode: 'draw_only', roomEditorMaxUsers: '6', roomEditorMaxMessages: '50' });
+        assert.equal(await chat.saveRoomSettings(), true);
+        assert.equal(chat.roomEditorPanel.hidden, true);
+        assert.equal(chat.currentRoom, 'Sketch Club');
+        const messages = Array.from(chat.chatMessages.querySelectorAll('.system-message'), (element) => element.textContent.trim());
+        assert.deepEqual(messages.slice(-3), ['★ Switched to Sketch Club.', '★ Topic: Only drawings', '★ You made Sketch Club. Anyone can join it from the room menu.']);
+
+        assert.deepEqual(plain(chat.getRoomConfig('Sketch Club')), {
+            maxUsers: 6, mode: 'draw_only', maxMessages: 50, ephemeral: false, schedule: null, name: 'Sketch Club', ownerId: chat.userId, topic: 'Only drawings', hasJoinCode: false, archived: false
+        });
+        chat.updateRoomMenuOccupancy({ 'Sketch Club': 2 });
+        const item = document.querySelector('#roomMenuCustomList [data-room="Sketch Club"]');
+        assert.equal(item.textContent, 'Sketch Club 2/6');
+        assert.equal(item.title, 'Only drawings');
+        assert.ok(document.querySelector('#roomMenuCustomList [data-room-edit="Sketch Club"]'));
+    });
+
+    it('holds messages to the room mode', async () => {
+        await chat.selectRoom('Sketch Club');
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        chat.messageInput.value = 'words';
+        await chat.sendMessage();
+        assert.equal(sendMessage.mock.callCount(), 0);
+        assert.equal(lastSystemMessage(), '★ This room only allows drawings.');
+    });
+
+    it('refuses a name that is taken or built in', async () => {
+        chat.openRoomEditor();
+        fillEditor({ roomEditorName: 'sketch club' });
+        assert.equal(await chat.saveRoomSettings(), false);
+        assert.equal(chat.roomEditorStatus.textContent, 'There is already a room called Sketch Club.');
+        fillEditor({ roomEditorName: 'Lobby' });
+        assert.equal(await chat.saveRoomSettings(), false);
+        assert.equal(chat.roomEditorStatus.textContent, 'Lobby is one of the built-in rooms.');
+        assert.ok(chat.roomEditorStatus.classList.contains('error'));
+        chat.closeRoomEditor();
+    });
+
+    it('lets the owner change the room', async () => {
+        document.querySelector('[data-room-edit="Sketch Club"]').click();
+        assert.equal(document.getElementById('roomEditorTitle').textContent, 'Edit Sketch Club');
+        assert.equal(document.getElementById('roomEditorName').disabled, true);
+        assert.equal(document.getElementById('roomEditorMode').value, 'draw_only');
+        assert.equal(document.getElementById('roomEditorMaxUsers').value, '6');
+        fillEditor({ roomEditorMode: 'text_only', roomEditorMaxUsers: '', roomEditorJoinCode: 'pencil7' });
+        assert.equal(await chat.saveRoomSettings(), true);
+        assert.equal(lastSystemMessage(), '★ Saved the settings for Sketch Club.');
+        assert.equal(chat.getRoomConfig('Sketch Club').mode, 'text_only');
+        assert.equal(chat.getRoomConfig('Sketch Club').maxUsers, null);
+        assert.equal(chat.roomJoinCodes['Sketch Club'], 'pencil7');
+        assert.equal(JSON.parse(app.window.localStorage.getItem('shapetalk_room_codes'))['Sketch Club'], 'pencil7');
+        chat.updateRoomMenuOccupancy({ 'Sketch Club': 0 });
+        assert.equal(document.querySelector('#roomMenuCustomList [data-room="Sketch Club"]').textContent, 'Sketch Club (0) 🔒');
+    });
+
+    it('lets the owner give the room themed hours', async () => {
+        chat.openRoomEditor('Sketch Club');
+        fillEditor({ roomEditorSchedule: 'Sat 18:00 60 draw_only Doodle Hour\nsaturday 19:00 60 slow Slow Hour' });
+        assert.equal(await chat.saveRoomSettings(), false);
+        assert.equal(chat.roomEditorStatus.textContent, 'Write each themed hour as days, start, minutes, mode and name, like: Sat,Sun 18:00 60 draw_only Doodle Hour');
+        fillEditor({ roomEditorSchedule: 'daily 00:00 1440 all_caps Loud Day\nSat,Sun 18:00 60 draw_only Doodle Hour' });
+        assert.equal(await chat.saveRoomSettings(), true);
+        assert.deepEqual(plain(chat.getRoomConfig('Sketch Club').schedule), [
+            { name: 'Loud Day', mode: 'all_caps', start: '00:00', minutes: 1440 },
+            { name: 'Doodle Hour', mode: 'draw_only', days: [0, 6], start: '18:00', minutes: 60 }
+        ]);
+        assert.equal(chat.getRoomEvent('Sketch Club').name, 'Loud Day');
+
+        chat.openRoomEditor('Sketch Club');
+        assert.equal(document.getElementById('roomEditorSchedule').value, 'daily 00:00 1440 all_caps Loud Day\nSun,Sat 18:00 60 draw_only Doodle Hour');
+        fillEditor({ roomEditorSchedule: '' });
+        assert.equal(await chat.saveRoomSettings(), true);
+        assert.equal(chat.getRoomConfig('Sketch Club').schedule, null);
+    });
+
+    it('asks for the join code of someone else\'s room once', async () => {
+        chat.handleCustomRooms([
+            ...Object.values(chat.customRooms),
+            { name: 'Hideout', ownerId: 'user_ffffffffffffffff', mode: 'open', hasJoinCode: true }
+        ]);
+        assert.equal(document.querySelector('[data-room-edit="Hideout"]'), null);
+        const prompt = mock.method(app.window, 'prompt', () => null);
+        await chat.selectRoom('Hideout');
+        assert.equal(chat.currentRoom, 'Lobby');
+
+        prompt.mock.mockImplementation(() => ' wrong ');
+        const joinRoom = mock.method(chat.transport, 'joinRoom', async () => ({ ok: false, reason: 'That join code is wrong.', previousRoom: 'Lobby' }));
+        await chat.selectRoom('Hideout');
+        assert.deepEqual(plain(joinRoom.mock.calls[0].arguments), ['Hideout', { joinCode: 'wrong' }]);
+        assert.equal(lastSystemMessage(), '★ That join code is wrong.');
+        assert.equal(chat.roomJoinCodes.Hideout, undefined);
+
+        prompt.mock.mockImplementation(() => 'secret1');
+        joinRoom.mock.restore();
+        await chat.selectRoom('Hideout');
+        assert.equal(chat.currentRoom, 'Hideout');
+        assert.equal(chat.roomJoinCodes.Hideout, 'secret1');
+        await chat.selectRoom('Lobby');
+        await chat.selectRoom('Hideout');
+        assert.equal(prompt.mock.callCount(), 3);
+    });
+
+    it('moves everyone out when the owner archives the room', async () => {
+        await chat.selectRoom('Sketch Club');
+        chat.openRoomEditor('Sketch Club');
+        mock.method(app.window, 'confirm', () => true);
+        document.getElementById('roomEditorArchive').click();
+        await nextTick(10);
+        assert.equal(chat.currentRoom, 'Lobby');
+        assert.equal(chat.customRooms['Sketch Club'], undefined);
+        assert.equal(document.querySelector('#roomMenuCustomList [data-room="Sketch Club"]'), null);
+        assert.equal(lastSystemMessage(), '★ Sketch Club was archived by its owner.');
+        assert.equal(chat.roomJoinCodes['Sketch Club'], undefined);
+    });
+});
+
+describe('User-made rooms over Firebase', () => {
+    it('stores the definition apart from its join code', async () => {
+        const backend = FakeFirebase.createBackend();
+        const db = FakeFirebase.createNamespace(backend).database();
+        const app = loadApp({ backend });
+        await nextTick(10);
+        const { chat } = app;
+        chat.openRoomEditor();
+        app.window.document.getElementById('roomEditorName').value = 'Owls';
+        app.window.document.getElementById('roomEditorJoinCode').value = 'hoot42';
+        app.window.document.getElementById('roomEditorSchedule').value = 'Fri 20:00 30 one_word Story Time';
+        assert.equal(await chat.saveRoomSettings(), true);
+        await nextTick(10);
+
+        const stored = (await db.ref('customRooms/Owls').once('value')).val();
+        assert.equal(stored.ownerId, chat.userId);
+        assert.equal(stored.hasJoinCode, true);
+        assert.equal(stored.joinCode, undefined);
+        assert.equal((await db.ref('roomCodes/Owls').once('value')).val(), 'hoot42');
+        assert.equal((await db.ref(`roomKeys/Owls/${chat.userId}`).once('value')).val(), 'hoot42');
+        assert.equal(chat.currentRoom, 'Owls');
+        assert.equal(chat.customRooms.Owls.hasJoinCode, true);
+        assert.deepEqual(plain(chat.customRooms.Owls.schedule), [{ name: 'Story Time', mode: 'one_word', days: [5], start: '20:00', minutes: 30 }]);
+
+        assert.deepEqual(plain(await chat.transport.archiveRoom('Owls')), { ok: true });
+        await nextTick(10);
+        assert.equal((await db.ref('customRooms/Owls/archived').once('value')).val(), true);
+        assert.equal(chat.currentRoom, 'Lobby');
+        await app.close();
+    });
+});
+
+describe('chat server user-made rooms', () => {
+    let chatServer;
+    let port;
+    let amy;
+    let bob;
+
+    // Presence updates from other rooms share the roomSnapshot type
+    const nextSnapshot = async (client, roomName) => {
+        for (;;) {
+            const data = await client.next('roomSnapshot');
+            if (data.room === roomName && data.messages) return data;
+        }
+    };
+
+    const saveRoom = async (client, room) => {
+        client.send({ type: 'saveRoom', requestId: 'r', room });
+        return client.next('roomResult');
+    };
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        port = chatServer.wss.address().port;
+        amy = connect(port, 'username=Amy');
+        assert.deepEqual((await amy.next('customRooms')).rooms, []);
+        await amy.next('welcome');
+        bob = connect(port, 'username=Bob');
+        await bob.next('customRooms');
+        await bob.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        bob.close();
+        await chatServer.close();
+    });
+
+    it('shares new rooms and keeps their join code with the owner', async () => {
+        const result = await saveRoom(amy, { name: 'Owls', mode: 'text_only', maxUsers: 2, maxMessages: 10, topic: 'hoot', joinCode: 'hoot42' });
+        assert.deepEqual([result.ok, result.reason], [true, undefined]);
+        const [mine] = (await amy.next('customRooms')).rooms;
+        const [theirs] = (await bob.next('customRooms')).rooms;
+        assert.equal(mine.joinCode, 'hoot42');
+        assert.equal(theirs.joinCode, undefined);
+        assert.equal(theirs.hasJoinCode, true);
+        assert.equal(theirs.topic, 'hoot');
+        assert.equal(theirs.ownerId, chatServer.customRooms.get('Owls').ownerId);
+    });
+
+    it('refuses taken names and changes by anyone but the owner', async () => {
+        assert.equal((await saveRoom(bob, { name: 'owls', mode: 'open' })).reason, 'There is already a room called Owls.');
+        assert.equal((await saveRoom(bob, { name: 'Owls', mode: 'open' })).reason, 'There is already a room called Owls.');
+        assert.equal((await saveRoom(bob, { name: 'ShapeTalk', mode: 'open' })).reason, 'ShapeTalk is one of the built-in rooms.');
+        bob.send({ type: 'archiveRoom', requestId: 'a', room: 'Owls' });
+        assert.equal((await bob.next('roomResult')).reason, 'Only the person who made a room can archive it.');
+    });
+
+    it('checks join codes, capacity and the room mode', async () => {
+        bob.send({ type: 'join', room: 'Owls' });
+        assert.equal((await bob.next('joinError')).reason, 'Owls needs a join code.');
+        bob.send({ type: 'join', room: 'Owls', code: 'nope' });
+        assert.equal((await bob.next('joinError')).reason, 'That join code is wrong.');
+        bob.send({ type: 'search', requestId: 's', rooms: ['Owls'], query: { text: 'hoot' } });
+        assert.deepEqual((await bob.next('searchResults')).results, []);
+
+        amy.send({ type: 'join', room: 'Owls' });
+        await nextSnapshot(amy, 'Owls');
+        bob.send({ type: 'join', room: 'Owls', code: 'hoot42' });
+        await nextSnapshot(bob, 'Owls');
+
+        const carl = connect(port, 'username=Carl&room=Owls&code=hoot42');
+        assert.equal((await carl.next('joinError')).reason, 'Owls is full right now.');
+        assert.equal((await carl.next('welcome')).room, 'Lobby');
+        carl.close();
+
+        amy.send({ type: 'message', content: '', drawing: DRAWING });
+        assert.equal((await amy.next('error')).message, 'This room does not take drawings.');
+    });
+
+    it('trims history to the room limit', async () => {
+        for (let i = 0; i < 12; i += 1) {
+            amy.send({ type: 'message', content: `hoot ${i}` });
+        }
+        for (let i = 0; i < 12; i += 1) {
+            await amy.next('newMessage');
+        }
+        const messages = chatServer.rooms.get('Owls').messages;
+        assert.equal(messages.length, 10);
+        assert.equal(messages[0].content, 'hoot 2');
+    });
+
+    it('asks watchers for the join code too and does not make rooms for them', async () => {
+        const dan = connect(port, 'username=Dan');
+        await dan.next('welcome');
+        assert.ok(!(await dan.next('roomList')).rooms.includes('Owls'));
+        dan.send({ type: 'watch', room: 'Owls' });
+        assert.equal((await dan.next('watchError')).reason, 'Owls needs a join code.');
+        dan.send({ type: 'watch', room: 'Nowhere' });
+        assert.equal((await dan.next('watchError')).reason, 'There is no room called Nowhere.');
+        assert.ok(!chatServer.rooms.has('Nowhere'));
+
+        bob.send({ type: 'watch', room: 'Owls' });
+        assert.equal((await bob.next('watchStart')).messages.at(-1).content, 'hoot 11');
+        bob.send({ type: 'stopWatch' });
+        dan.close();
+    });
+
+    it('moves everyone out of an archived room and keeps it closed', async () => {
+        amy.send({ type: 'archiveRoom', requestId: 'a', room: 'Owls' });
+        assert.equal((await bob.next('removed')).reason, 'Owls was archived by its owner.');
+        assert.equal((await amy.next('roomResult')).ok, true);
+        assert.deepEqual((await bob.next('customRooms')).rooms, []);
+        amy.send({ type: 'join', room: 'Owls' });
+        assert.equal((await amy.next('joinError')).reason, 'Owls has been archived.');
+        assert.equal((await saveRoom(amy, { name: 'Owls', mode: 'open' })).reason, 'Owls has been archived.');
+    });
+});
@@ -0,0 +1,330 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DmThreads = require('../js/dm-threads.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const amy = { userId: 'user_amy', username: 'Amy' };
+const bob = { userId: 'user_bob', username: 'Bob' };
+const zed = { userId: 'user_zed', username: 'Zed' };
+
+describe('DmThreads', () => {
+    const start = (...invitees) => DmThreads.create('dm_owls1234', amy, invitees).thread;
+
+    it('starts a thread with its creator in it and everyone else invited', () => {
+        const thread = start(zed, bob);
+        assert.deepEqual(thread.members, { user_amy: 'Amy' });
+        assert.deepEqual(Object.keys(thread.invites), ['user_zed', 'user_bob']);
+        assert.equal(DmThreads.getStatus(thread, 'user_amy'), 'member');
+        assert.equal(DmThreads.getStatus(thread, 'user_zed'), 'invited');
+        assert.equal(DmThreads.getStatus(thread, 'user_nobody'), null);
+        assert.equal(DmThreads.getTitle(thread, 'user_amy'), 'Bob & Zed');
+        assert.equal(DmThreads.getTitle(thread, 'user_zed'), 'Amy & Bob');
+        assert.equal(DmThreads.getTitle(start(zed), 'user_amy'), 'Zed');
+    });
+
+    it('refuses invites that do not make sense', () => {
+        const thread = start(zed);
+        assert.equal(DmThreads.create('dm_owls1234', amy, [amy]).reason, 'You cannot DM yourself.');
+        assert.equal(DmThreads.create('dm_owls1234', amy, []).reason, 'Pick someone to invite.');
+        assert.equal(DmThreads.invite(thread, 'user_zed', [bob]).reason, 'Only people in this DM can invite others.');
+        assert.equal(DmThreads.invite(thread, 'user_amy', [zed]).reason, 'Zed is already in this DM.');
+        const crowd = Array.from({ length: DmThreads.maxPeople }, (_, i) => ({ userId: `user_${i}`, username: `Person${i}` }));
+        assert.equal(DmThreads.create('dm_owls1234', amy, crowd).reason, 'DMs hold up to 8 people.');
+    });
+
+    it('moves people in and out by userId, whatever they are called', () => {
+        const accepted = DmThreads.accept(start(zed), 'user_zed', 'Zeddy').thread;
+        assert.deepEqual(accepted.members, { user_amy: 'Amy', user_zed: 'Zeddy' });
+        assert.deepEqual(accepted.invites, {});
+        assert.equal(DmThreads.accept(accepted, 'user_zed').reason, 'That invite is gone.');
+
+        const renamed = DmThreads.rename(accepted, 'user_amy', 'Amelia');
+        assert.equal(DmThreads.getTitle(renamed, 'user_zed'), 'Amelia');
+        assert.equal(DmThreads.rename(renamed, 'user_amy', 'Amelia'), renamed);
+
+        const left = DmThreads.leave(renamed, 'user_zed').thread;
+        assert.deepEqual(left.members, { user_amy: 'Amelia' });
+        assert.equal(DmThreads.leave(left, 'user_zed').reason, 'You are not in that DM.');
+        assert.equal(DmThreads.getTitle(left, 'user_amy'), 'Just you');
+    });
+
+    it('finds the DM that holds just two people and maps rooms to threads', () => {
+        const direct = { ...start(zed), id: 'dm_direct12' };
+        const group = { ...start(zed, bob), id: 'dm_group123' };
+        assert.equal(DmThreads.findDirectThread([group, direct], 'user_amy', 'user_zed'), direct);
+        assert.equal(DmThreads.findDirectThread([group], 'user_amy', 'user_zed'), null);
+        assert.equal(DmThreads.findDirectThread([direct], 'user_zed', 'user_amy'), null);
+
+        assert.equal(DmThreads.getRoomName('dm_owls1234'), 'DM:dm_owls1234');
+        assert.equal(DmThreads.getThreadId('DM:dm_owls1234'), 'dm_owls1234');
+        assert.equal(DmThreads.getThreadId('DM: Amy & Zed'), null);
+        assert.ok(DmThreads.isThreadId(DmThreads.createId()));
+        assert.equal(DmThreads.normalizeThread({ id: 'owls' }), null);
+    });
+});
+
+describe('Chat DM threads', () => {
+    let app;
+    let chat;
+    let window;
+
+    const lastSystemMessage = () => Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent.trim();
+    const sidebar = (selector) => Array.from(window.document.querySelectorAll(`#userList ${selector}`)).map((li) => li.textContent.trim());
+    const type = async (text) => {
+        chat.messageInput.value = text;
+        await chat.sendMessage();
+    };
+    // Someone else's thread arriving in the demo transport, as another client would send it
+    const receive = (thread) => {
+        chat.transport.dmThreads[thread.id] = thread;
+        chat.transport.notifyDmThreads();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+        await chat.selectRoom('Lobby');
+        // Invites find people by name among those last seen in the main room
+        chat.lastMainRoomUsers = [chat.getSelfUser(), { id: zed.userId, username: 'Zed', mood: ':happy:' }, { id: bob.userId, username: 'Bob', mood: ':happy:' }];
+    });
+
+    it('starts a thread with /dm and lists who is in it', async () => {
+        await type('/dm Zed');
+        const roomName = chat.currentRoom;
+        assert.match(roomName, /^DM:dm_/);
+        assert.equal(chat.activePane, 'dm');
+        assert.deepEqual(sidebar('.dm-sidebar-person'), [`${chat.username} (you)`, 'Zed (invited)']);
+
+        await type('/invite bob');
+        assert.equal(lastSystemMessage(), '★ Invited Bob.');
+        assert.equal(chat.getDmPartnerName(roomName), 'Bob & Zed');
+        await type('/invite bob');
+        assert.equal(lastSystemMessage(), '★ Bob is already in this DM.');
+
+        await chat.selectRoom('Lobby');
+        await type('/dm zed');
+        assert.notEqual(chat.currentRoom, roomName, 'a group DM is not reused for a one-to-one DM');
+    });
+
+    it('keeps the thread when you rename', async () => {
+        await chat.openDirectMessage({ id: zed.userId, username: 'Zed' });
+        const roomName = chat.currentRoom;
+        chat.setUsername('Renamed Square', false);
+        assert.equal(chat.transport.dmThreads[DmThreads.getThreadId(roomName)].members[chat.userId], 'Renamed Square');
+        await chat.selectRoom('Lobby');
+        await chat.openDirectMessage({ id: zed.userId, username: 'Zed' });
+        assert.equal(chat.currentRoom, roomName);
+    });
+
+    it('shows an invite as unread until it is accepted', async () => {
+        receive({ id: 'dm_invite123', createdBy: zed.userId, members: { [zed.userId]: 'Zed' }, invites: { [chat.userId]: { username: chat.username, by: zed.userId } }, updatedAt: 1 });
+        assert.ok(chat.dmUnreadRooms['DM:dm_invite123']);
+        assert.ok(!chat.dmRooms.includes('DM:dm_invite123'));
+        assert.match(chat.dmName.textContent, /^DMs \(\d+\)$/);
+
+        await chat.switchToDmPane();
+        assert.ok(sidebar('.dm-sidebar-invite').includes('•Zed✓×'));
+        window.document.querySelector('.dm-sidebar-invite .dm-sidebar-accept').click();
+        await nextTick(10);
+        assert.equal(chat.currentRoom, 'DM:dm_invite123');
+        assert.ok(!chat.dmUnreadRooms['DM:dm_invite123']);
+        assert.deepEqual(sidebar('.dm-sidebar-person'), [`${chat.username} (you)`, 'Zed']);
+    });
+
+    it('drops the thread when you leave or decline it', async () => {
+        receive({ id: 'dm_decline12', createdBy: zed.userId, members: { [zed.userId]: 'Zed' }, invites: { [chat.userId]: { username: chat.username, by: zed.userId } }, updatedAt: 1 });
+        await chat.declineDmInvite('dm_decline12');
+        assert.ok(!chat.dmUnreadRooms['DM:dm_decline12']);
+        assert.equal(chat.dmThreads.dm_decline12, undefined);
+
+        await type('/dm bob');
+        const roomName = chat.currentRoom;
+        await type('/leave');
+        await nextTick(10);
+        assert.notEqual(chat.currentRoom, roomName);
+        assert.ok(!chat.dmRooms.includes(roomName));
+        await chat.selectRoom('Lobby');
+        await type('/leave');
+        assert.equal(lastSystemMessage(), '★ You are not in a DM.');
+    });
+
+    it('ignores invites from blocked users', async () => {
+        await chat.hideUser({ userId: 'user_pest', username: 'Pest' }, 'block');
+        receive({ id: 'dm_blocked12', createdBy: 'user_pest', members: { user_pest: 'Pest' }, invites: { [chat.userId]: { username: chat.username, by: 'user_pest' } }, updatedAt: 1 });
+        assert.ok(!chat.dmUnreadRooms['DM:dm_blocked12']);
+        chat.unhideUser('user_pest');
+    });
+
+    it('only invites people it can find', async () => {
+        await type('/dm Nobody');
+        assert.equal(lastSystemMessage(), '★ Nobody called Nobody is around right now.');
+        await type(`/dm ${chat.username}`);
+        assert.equal(lastSystemMessage(), '★ You cannot DM yourself.');
+        await type('/invite Zed');
+        assert.equal(lastSystemMessage(), '★ Invite people from inside a DM.');
+    });
+});
+
+describe('chat server DM threads', () => {
+    let chatServer;
+    let amyClient;
+    let zedClient;
+    let zedId;
+
+    // The latest thread list pushed to a client, skipping any that were already waiting
+    const threadsFor = async (client, count = 1) => {
+        let data;
+        for (let i = 0; i < count; i += 1) {
+            data = await client.next('dmThreads');
+        }
+        return data.threads;
+    };
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        const port = chatServer.wss.address().port;
+        amyClient = connect(port, 'username=Amy');
+        zedClient = connect(port, 'username=Zed');
+        await amyClient.next('welcome');
+        zedId = (await zedClient.next('welcome')).user.id;
+        assert.deepEqual(await threadsFor(amyClient), []);
+        assert.deepEqual(await threadsFor(zedClient), []);
+    });
+
+    after(async () => {
+        amyClient.close();
+        zedClient.close();
+        await chatServer.close();
+    });
+
+    it('invites, admits and keeps out by membership', async () => {
+        amyClient.send({ type: 'createDm', requestId: 'c1', invitees: [{ userId: zedId, username: 'Zed' }] });
+        const { ok, threadId } = await amyClient.next('dmResult');
+        assert.equal(ok, true);
+        const roomName = DmThreads.getRoomName(threadId);
+        const [invited] = await threadsFor(zedClient);
+        assert.equal(DmThreads.getStatus(DmThreads.normalizeThread(invited), zedId), 'invited');
+
+        zedClient.send({ type: 'join', room: roomName });
+        assert.equal((await zedClient.next('joinError')).reason, 'You are not in that DM.');
+
+        zedClient.send({ type: 'acceptDm', requestId: 'a1', threadId });
+        assert.equal((await zedClient.next('dmResult')).ok, true);
+        await threadsFor(amyClient, 2);
+        zedClient.send({ type: 'join', room: roomName });
+        while ((await zedClient.next('roomSnapshot')).room !== roomName);
+
+        zedClient.send({ type: 'profile', username: 'Zeddy' });
+        const [renamed] = await threadsFor(amyClient);
+        assert.equal(renamed.members[zedId], 'Zeddy');
+        assert.equal(renamed.id, threadId);
+
+        zedClient.send({ type: 'leaveDm', requestId: 'l1', threadId });
+        assert.equal((await zedClient.next('dmResult')).ok, true);
+        assert.equal((await zedClient.next('removed')).reason, 'You left that DM.');
+        assert.equal(chatServer.rooms.get(roomName).users.size, 0);
+        zedClient.send({ type: 'watch', room: roomName });
+        assert.equal((await zedClient.next('watchError')).reason, 'You are not in that DM.');
+        const [left] = await threadsFor(amyClient);
+        assert.equal(DmThreads.getStatus(DmThreads.normalizeThread(left), zedId), null);
+
+        const eveClient = connect(chatServer.wss.address().port, 'username=Eve');
+        await eveClient.next('welcome');
+        const { rooms, counts } = await eveClient.next('roomList');
+        assert.ok(rooms.includes('Lobby'));
+        assert.ok(!rooms.includes(roomName));
+        assert.ok(!(roomName in counts));
+        eveClient.close();
+    });
+
+    it('tells members, and nobody else, about activity in a thread', async () => {
+        amyClient.send({ type: 'createDm', requestId: 'c3', invitees: [{ userId: zedId, username: 'Zed' }] });
+        const { threadId } = await amyClient.next('dmResult');
+        const roomName = DmThreads.getRoomName(threadId);
+        zedClient.send({ type: 'acceptDm', requestId: 'a3', threadId });
+        assert.equal((await zedClient.next('dmResult')).ok, true);
+        const eveClient = connect(chatServer.wss.address().port, 'username=Eve&room=VIP');
+        await eveClient.next('welcome');
+
+        amyClient.send({ type: 'join', room: roomName });
+        while ((await amyClient.next('roomSnapshot')).room !== roomName);
+        amyClient.send({ type: 'message', content: 'just us' });
+        await amyClient.next('newMessage');
+        const activity = await zedClient.next('roomActivity');
+        assert.equal(activity.room, roomName);
+
+        // Eve's next activity is the Lobby one that follows, not the thread's
+        amyClient.send({ type: 'join', room: 'Lobby' });
+        while ((await amyClient.next('roomSnapshot')).room !== 'Lobby');
+        amyClient.send({ type: 'message', content: 'hi all' });
+        assert.equal((await eveClient.next('roomActivity')).room, 'Lobby');
+        eveClient.close();
+    });
+
+    it('refuses invites from people outside the thread', async () => {
+        amyClient.send({ type: 'createDm', requestId: 'c2', invitees: [{ userId: 'user_bob', username: 'Bob' }] });
+        const { threadId } = await amyClient.next('dmResult');
+        zedClient.send({ type: 'inviteDm', requestId: 'i1', threadId, invitees: [{ userId: 'user_cat', username: 'Cat' }] });
+        assert.equal((await zedClient.next('dmResult')).reason, 'Only people in this DM can invite others.');
+        zedClient.send({ type: 'acceptDm', requestId: 'a2', threadId });
+        assert.equal((await zedClient.next('dmResult')).reason, 'That invite is gone.');
+    });
+});
+
+describe('Firebase DM threads', () => {
+    let backend;
+    let apps;
+
+    const open = async () => {
+        const app = loadApp({ backend });
+        apps.push(app);
+        await nextTick(10);
+        return app;
+    };
+
+    beforeEach(() => {
+        backend = FakeFirebase.createBackend();
+        apps = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(apps.map((app) => app.close()));
+    });
+
+    it('delivers invites through the inbox and follows membership', async () => {
+        const { chat: amyChat } = await open();
+        const { chat: bobChat, window: bobWindow } = await open();
+        const result = await amyChat.transport.createDmThread([{ userId: bobChat.userId, username: bobChat.username }]);
+        assert.equal(result.ok, true);
+        const roomName = DmThreads.getRoomName(result.threadId);
+        await nextTick(10);
+        assert.ok(bobChat.dmUnreadRooms[roomName]);
+        assert.deepEqual(plain(await bobWindow.FirebaseChat.canJoinRoom(roomName)), { ok: false, reason: 'You are not in that DM.' });
+
+        await bobChat.acceptDmInvite(result.threadId);
+        await nextTick(10);
+        assert.equal(bobChat.currentRoom, roomName);
+        assert.deepEqual(Object.keys(amyChat.dmThreads[result.threadId].members).sort(), [amyChat.userId, bobChat.userId].sort());
+
+        bobChat.setUsername('Bobbert', false);
+        await nextTick(10);
+        assert.equal(amyChat.getDmPartnerName(roomName), 'Bobbert');
+
+        await bobChat.closeDmRoom(roomName);
+        await nextTick(10);
+        assert.equal(bobChat.dmThreads[result.threadId], undefined);
+        assert.equal(amyChat.getDmPartnerName(roomName), 'Just you');
+    });
+});
@@ -0,0 +1,268 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EmojiPacks = require('../js/emoji-packs.js');
+const EmojiSystem = require('../js/emojis.js');
+const { createChatServer, isEmojiOnlyText } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const rows = (...drawn) => [...drawn, ...new Array(16 - drawn.length).fill('................')];
+const blob = (code = ':blob:', extra = {}) => ({ code, name: 'Blob', palette: ['#ff0000', '#00ff00'], pixels: rows('.00..1..........'), ...extra });
+const pack = (extra = {}) => ({ id: 'pack_test_1', ownerId: 'user_aaaaaaaaaaaaaaaa', name: 'Blobs', scope: 'global', emojis: [blob()], ...extra });
+
+describe('EmojiPacks', () => {
+    it('turns a pixel grid into an SVG with one rect per run', () => {
+        assert.equal(
+            EmojiPacks.pixelsToSvg(['#ff0000', '#00ff00'], rows('.00..1..........')),
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16" shape-rendering="crispEdges">'
+            + '<rect fill="#ff0000" x="1" y="0" width="2" height="1"/><rect fill="#00ff00" x="5" y="0" width="1" height="1"/></svg>'
+        );
+    });
+
+    it('builds a palette from the colors the editor painted', () => {
+        const colors = new Array(256).fill(null);
+        colors[1] = '#FF0000';
+        colors[2] = '#ff0000';
+        colors[17] = '#0000ff';
+        assert.deepEqual(EmojiPacks.fromColors(colors), {
+            palette: ['#ff0000', '#0000ff'],
+            pixels: rows('.00.............', '.1..............')
+        });
+        assert.equal(EmojiPacks.fromColors(new Array(256).fill(null)), null);
+        assert.equal(EmojiPacks.fromColors(colors.map((_, i) => `#0000${i.toString(16).padStart(2, '0')}`)), null);
+    });
+
+    it('reads shortcodes the way people type them', () => {
+        assert.equal(EmojiPacks.normalizeCode('Blob'), ':blob:');
+        assert.equal(EmojiPacks.normalizeCode(':party_cat:'), ':party_cat:');
+        assert.equal(EmojiPacks.normalizeCode('x'), null);
+        assert.equal(EmojiPacks.normalizeCode('no spaces'), null);
+    });
+
+    it('keeps only well-formed packs', () => {
+        assert.deepEqual(EmojiPacks.normalizePack({ ...pack(), extra: true }), { ok: true, pack: pack() });
+        assert.equal(EmojiPacks.normalizePack(pack({ scope: '' })).pack.scope, 'global');
+        assert.equal(EmojiPacks.normalizePack(pack({ name: '' })).reason, 'Give the pack a name of up to 32 characters.');
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [] })).reason, 'A pack holds 1 to 32 emojis.');
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [blob(), blob()] })).reason, ':blob: is in the pack twice.');
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [blob(':blob:', { pixels: rows('2') })] })).ok, false);
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [blob(':blob:', { pixels: ['0'] })] })).ok, false);
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [{ code: ':s:', svg: '<svg/>' }] })).ok, false);
+        assert.deepEqual(EmojiPacks.normalizePack(pack({ emojis: [{ code: ':dot:', svg: ' <svg viewBox="0 0 16 16"><circle r="4"/></svg> ' }] })).pack.emojis, [
+            { code: ':dot:', name: 'dot', svg: '<svg viewBox="0 0 16 16"><circle r="4"/></svg>' }
+        ]);
+        assert.equal(EmojiPacks.normalizePack(pack({ emojis: [{ code: ':big:', svg: `<svg>${' '.repeat(4096)}</svg>` }] })).reason, ':big: needs an <svg> of up to 4 KB.');
+    });
+
+    it('finds shortcodes that are already taken', () => {
+        const other = pack({ id: 'pack_other', emojis: [blob(':wobble:')] });
+        assert.equal(EmojiPacks.findCollision(pack(), [other], [':happy:']), null);
+        assert.equal(EmojiPacks.findCollision(pack({ emojis: [blob(':happy:')] }), [], [':happy:']), ':happy:');
+        assert.equal(EmojiPacks.findCollision(pack({ emojis: [blob(':wobble:')] }), [other]), ':wobble:');
+        // A pack may keep its own codes when it is saved again
+        assert.equal(EmojiPacks.findCollision(other, [other]), null);
+    });
+
+    it('offers global packs everywhere and room packs in their room', () => {
+        const packs = [pack(), pack({ id: 'pack_vip', scope: 'VIP', emojis: [blob(':velvet:')] })];
+        assert.deepEqual(EmojiPacks.getEmojis(packs, 'Lobby').map((emoji) => emoji.code), [':blob:']);
+        assert.deepEqual(EmojiPacks.getEmojis(packs, 'VIP').map((emoji) => emoji.code), [':blob:', ':velvet:']);
+    });
+});
+
+describe('EmojiSystem with custom emojis', () => {
+    after(() => EmojiSystem.setCustomEmojis([]));
+
+    it('parses, checks and escapes custom emojis', () => {
+        EmojiSystem.setCustomEmojis(EmojiPacks.getEmojis([pack({ emojis: [blob(':blob:', { name: '"><b>x' }), blob(':blobby:')] })], 'Lobby'));
+        const html = EmojiSystem.parseEmojis('hi :blob: :blobby: :happy:');
+        assert.equal((html.match(/<img class="emoji"/g) || []).length, 3);
+        assert.match(html, /alt="&quot;&gt;&lt;b&gt;x" title=":blob:"/);
+        assert.match(html, /title=":blobby:"/);
+        assert.equal(EmojiSystem.isEmojiOnlyText(':blob: :happy:'), true);
+        assert.equal(EmojiSystem.isEmojiOnlyText(':blob: hi'), false);
+        assert.equal(EmojiSystem.isEmojiOnlyText(':blob:', EmojiSystem.emojis), false);
+    });
+});
+
+describe('Chat emoji packs', () => {
+    let app;
+    let chat;
+    let document;
+
+    const lastSystemMessage = () => Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent.trim();
+    const paint = (indexes, color = '#123456') => {
+        document.getElementById('emojiEditorColor').value = color;
+        document.getElementById('emojiEditorColor').dispatchEvent(new app.window.Event('input'));
+        indexes.forEach((index) => document.querySelector(`.emoji-editor-cell[data-index="${index}"]`).click());
+    };
+    const makeEmoji = async (code, { packName = 'Mine', scope = 'global' } = {}) => {
+        document.getElementById('emojiMakeBtn').click();
+        paint([0, 1, 16]);
+        document.getElementById('emojiEditorCode').value = code;
+        document.getElementById('emojiEditorPack').value = packName;
+        document.getElementById('emojiEditorScope').value = scope;
+        return chat.saveEditorEmoji();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        document = app.window.document;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+        if (chat.currentRoom !== 'Lobby') {
+            await chat.selectRoom('Lobby');
+        }
+    });
+
+    it('draws an emoji in the pixel editor and adds it to a pack', async () => {
+        document.getElementById('emojiMakeBtn').click();
+        assert.equal(document.getElementById('emojiEditor').hidden, false);
+        assert.equal(document.querySelectorAll('.emoji-editor-cell').length, 256);
+        paint([0, 1]);
+        document.getElementById('emojiEditorErase').click();
+        document.querySelector('.emoji-editor-cell[data-index="1"]').click();
+        assert.equal(document.querySelector('.emoji-editor-cell[data-index="0"]').style.background, 'rgb(18, 52, 86)');
+        assert.equal(document.querySelector('.emoji-editor-cell[data-index="1"]').style.background, '');
+        assert.match(document.getElementById('emojiEditorPreview').src, /^data:image\/svg\+xml,/);
+
+        document.getElementById('emojiEditorCode').value = 'Square';
+        document.getElementById('emojiEditorName').value = 'Square';
+        document.getElementById('emojiEditorPack').value = 'Shapes+';
+        assert.equal(await chat.saveEditorEmoji(), true);
+        assert.equal(document.getElementById('emojiEditor').hidden, true);
+        assert.equal(lastSystemMessage(), '★ Saved Shapes+ for every room: :square:');
+
+        const [saved] = chat.emojiPacks;
+        assert.equal(saved.ownerId, chat.userId);
+        assert.deepEqual(plain(saved.emojis), [{ code: ':square:', name: 'Square', palette: ['#123456'], pixels: rows('0...............') }]);
+        assert.ok(document.querySelector('#emojiGrid .emoji-item-custom[data-code=":square:"]'));
+
+        // Another emoji with the same pack name joins that pack
+        assert.equal(await makeEmoji(':circle:', { packName: 'Shapes+' }), true);
+        assert.equal(chat.emojiPacks.length, 1);
+        assert.deepEqual(plain(chat.emojiPacks[0].emojis.map((emoji) => emoji.code)), [':square:', ':circle:']);
+    });
+
+    it('shows custom emojis in messages, including ones sent before the pack arrived', async () => {
+        chat.addMessage({ messageId: 'early', userId: 'user_ffffffffffffffff', username: 'Zed', content: 'look :sparkle:', timestamp: Date.now() });
+        const sparkle = () => chat.messageElements.early.querySelector('img.emoji[title=":sparkle:"]');
+        assert.equal(sparkle(), null);
+        assert.equal(await makeEmoji(':sparkle:', { packName: 'Sparkles' }), true);
+        assert.ok(sparkle());
+    });
+
+    it('lets custom emojis into the emoji-only room', async () => {
+        await chat.selectRoom('ShapeTalk');
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        chat.messageInput.value = ':square: :happy:';
+        await chat.sendMessage();
+        assert.equal(sendMessage.mock.callCount(), 1);
+    });
+
+    it('keeps room packs to their room', async () => {
+        await chat.selectRoom('VIP');
+        assert.equal(await makeEmoji(':velvet:', { packName: 'VIP only', scope: 'room' }), true);
+        assert.equal(chat.emojiPacks.find((entry) => entry.name === 'VIP only').scope, 'VIP');
+        assert.ok(document.querySelector('#emojiGrid [data-code=":velvet:"]'));
+        await chat.selectRoom('Lobby');
+        assert.equal(document.querySelector('#emojiGrid [data-code=":velvet:"]'), null);
+        assert.equal(chat.isEmojiOnlyText(':velvet:'), false);
+    });
+
+    it('refuses shortcodes that are already taken', async () => {
+        const saveEmojiPack = mock.method(chat.transport, 'saveEmojiPack');
+        assert.equal(await makeEmoji(':happy:', { packName: 'Copycat' }), false);
+        assert.equal(lastSystemMessage(), '★ :happy: is already taken.');
+        assert.equal(await chat.importEmojiPack(JSON.stringify({ name: 'Copycat', emojis: [blob(':square:')] })), false);
+        assert.equal(lastSystemMessage(), '★ :square: is already taken.');
+        assert.equal(saveEmojiPack.mock.callCount(), 0);
+    });
+
+    it('imports a pack from JSON', async () => {
+        assert.equal(await chat.importEmojiPack('not json'), false);
+        assert.equal(lastSystemMessage(), '★ That file is not an emoji pack.');
+        const imported = { name: 'Imported', emojis: [blob(':imported:'), { code: ':dot:', name: 'Dot', svg: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><circle cx="8" cy="8" r="4"/></svg>' }] };
+        assert.equal(await chat.importEmojiPack(JSON.stringify(imported)), true);
+        const saved = chat.emojiPacks.find((entry) => entry.name === 'Imported');
+        assert.ok(EmojiPacks.isPackId(saved.id));
+        assert.equal(saved.ownerId, chat.userId);
+        assert.equal(saved.scope, 'global');
+        assert.ok(document.querySelector('#emojiGrid [data-code=":dot:"]'));
+    });
+});
+
+describe('Emoji packs over Firebase', () => {
+    it('stores packs under emojiPacks and loads them back', async () => {
+        const backend = FakeFirebase.createBackend();
+        const db = FakeFirebase.createNamespace(backend).database();
+        const app = loadApp({ backend });
+        await nextTick(10);
+        const { chat } = app;
+        assert.equal(await chat.importEmojiPack(JSON.stringify({ name: 'Blobs', emojis: [blob()] })), true);
+        await nextTick(10);
+        const stored = Object.values((await db.ref('emojiPacks').once('value')).val());
+        assert.equal(stored.length, 1);
+        assert.equal(stored[0].ownerId, chat.userId);
+        assert.equal(typeof stored[0].updatedAt, 'number');
+        assert.deepEqual(plain(chat.emojiPacks.map((entry) => entry.name)), ['Blobs']);
+        assert.equal(chat.isEmojiOnlyText(':blob:'), true);
+        await app.close();
+    });
+});
+
+describe('chat server emoji packs', () => {
+    let chatServer;
+    let amy;
+    let bob;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        const port = chatServer.wss.address().port;
+        amy = connect(port, 'username=Amy&room=ShapeTalk');
+        await amy.next('welcome');
+        bob = connect(port, 'username=Bob&room=Lobby');
+        await bob.next('welcome');
+        assert.deepEqual((await bob.next('emojiPacks')).packs, []);
+    });
+
+    after(async () => {
+        amy.close();
+        bob.close();
+        await chatServer.close();
+    });
+
+    it('stores packs for their owner and shares them with everyone', async () => {
+        amy.send({ type: 'saveEmojiPack', requestId: 'p1', pack: pack({ ownerId: 'someone_else' }) });
+        const result = await amy.next('emojiPackResult');
+        assert.deepEqual([result.requestId, result.ok, result.packId], ['p1', true, 'pack_test_1']);
+        const { packs } = await bob.next('emojiPacks');
+        assert.equal(packs[0].ownerId, chatServer.emojiPacks.get('pack_test_1').ownerId);
+        assert.notEqual(packs[0].ownerId, 'someone_else');
+
+        bob.send({ type: 'saveEmojiPack', requestId: 'p2', pack: pack({ name: 'Mine now' }) });
+        assert.equal((await bob.next('emojiPackResult')).reason, 'Only the person who made a pack can change it.');
+        bob.send({ type: 'saveEmojiPack', requestId: 'p3', pack: pack({ id: 'pack_bob', emojis: [blob(':blob:')] }) });
+        assert.equal((await bob.next('emojiPackResult')).reason, ':blob: is already taken.');
+        bob.send({ type: 'saveEmojiPack', requestId: 'p4', pack: { name: 'Broken', emojis: [] } });
+        assert.equal((await bob.next('emojiPackResult')).reason, 'A pack holds 1 to 32 emojis.');
+    });
+
+    it('counts the room\'s packs as emojis in emoji-only rooms', async () => {
+        amy.send({ type: 'saveEmojiPack', requestId: 'p5', pack: pack({ id: 'pack_vip', scope: 'VIP', emojis: [blob(':velvet:')] }) });
+        assert.equal((await amy.next('emojiPackResult')).ok, true);
+        amy.send({ type: 'message', content: ':blob: :happy:' });
+        assert.equal((await amy.next('newMessage')).message.content, ':blob: :happy:');
+        amy.send({ type: 'message', content: ':velvet:' });
+        assert.equal((await amy.next('error')).message, 'This room only allows Shape emojis and drawings.');
+        assert.equal(isEmojiOnlyText(':happy:'), true);
+    });
+});
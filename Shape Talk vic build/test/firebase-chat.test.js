@@ -0,0 +1,212 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+describe('FirebaseChat against the fake database', () => {
+    let backend;
+    let db;
+    let apps;
+
+    const open = async () => {
+        const app = loadApp({ backend });
+        apps.push(app);
+        await nextTick(10);
+        return app;
+    };
+
+    beforeEach(() => {
+        backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        apps = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(apps.map((app) => app.close()));
+    });
+
+    it('connects the page through the Firebase transport', async () => {
+        const { chat, window } = await open();
+        assert.equal(chat.transport.name, 'firebase');
+        const user = await db.ref(`rooms/Lobby/users/${window.FirebaseChat.userId}`).once('value');
+        assert.equal(user.val().username, chat.username);
+        assert.equal(user.val().online, true);
+    });
+
+    describe('canJoinRoom', () => {
+        it('always allows rooms without a user limit', async () => {
+            const { window } = await open();
+            for (let i = 0; i < 5; i += 1) {
+                await db.ref(`rooms/Lobby/users/other_${i}`).set({ username: `Other${i}`, online: true });
+            }
+            assert.deepEqual(plain(await window.FirebaseChat.canJoinRoom('Lobby')), { ok: true });
+        });
+
+        it('refuses a full room', async () => {
+            const { window } = await open();
+            await db.ref('rooms/Private 1/users').set({
+                a: { username: 'A', online: true },
+                b: { username: 'B', online: true }
+            });
+            assert.deepEqual(plain(await window.FirebaseChat.canJoinRoom('Private 1')), {
+                ok: false,
+                reason: 'Private 1 is full right now.'
+            });
+        });
+
+        it('does not count offline users', async () => {
+            const { window } = await open();
+            await db.ref('rooms/Private 1/users').set({
+                a: { username: 'A', online: true },
+                b: { username: 'B', online: false }
+            });
+            assert.deepEqual(plain(await window.FirebaseChat.canJoinRoom('Private 1')), { ok: true });
+        });
+
+        it('lets a user who is already in the room back in', async () => {
+            const { window } = await open();
+            const { FirebaseChat } = window;
+            await db.ref('rooms/Private 1/users').set({
+                a: { username: 'A', online: true },
+                [FirebaseChat.userId]: { username: 'Me', online: true }
+            });
+            assert.deepEqual(plain(await FirebaseChat.canJoinRoom('Private 1')), { ok: true });
+        });
+
+        it('frees the slot when a member disconnects', async () => {
+            const first = await open();
+            const second = await open();
+            const third = await open();
+            assert.equal((await first.chat.selectRoom('Private 1'), first.chat.currentRoom), 'Private 1');
+            assert.equal((await second.chat.selectRoom('Private 1'), second.chat.currentRoom), 'Private 1');
+
+            assert.equal((await third.window.FirebaseChat.canJoinRoom('Private 1')).ok, false);
+            second.window.firebase.database().goOffline();
+            assert.equal((await third.window.FirebaseChat.canJoinRoom('Private 1')).ok, true);
+        });
+    });
+
+    describe('trimMessages', () => {
+        const seed = async (count, userId) => {
+            const ref = db.ref('rooms/VIP/messages');
+            for (let i = 0; i < count; i += 1) {
+                // Push order and timestamp order disagree so trimming has to sort by timestamp
+                await ref.push({ userId, content: `m${i}`, timestamp: 1000 - i });
+            }
+        };
+
+        const contents = async () => {
+            const snapshot = await db.ref('rooms/VIP/messages').orderByChild('timestamp').once('value');
+            const result = [];
+            snapshot.forEach((child) => {
+                result.push(child.val().content);
+            });
+            return result;
+        };
+
+        it('keeps only the newest messages by timestamp', async () => {
+            const { window } = await open();
+            await seed(6, window.FirebaseChat.userId);
+            await window.FirebaseChat.trimMessages('VIP', 3);
+            assert.deepEqual(await contents(), ['m2', 'm1', 'm0']);
+        });
+
+        it('leaves other people\'s messages to moderators', async () => {
+            const { window } = await open();
+            await seed(6, 'user_ffffffffffffffff');
+            await window.FirebaseChat.trimMessages('VIP', 3);
+            assert.equal((await contents()).length, 6);
+
+            window.FirebaseChat.isModerator = true;
+            await window.FirebaseChat.trimMessages('VIP', 3);
+            assert.deepEqual(await contents(), ['m2', 'm1', 'm0']);
+        });
+
+        it('leaves rooms under the limit alone', async () => {
+            const { window } = await open();
+            await seed(3);
+            await window.FirebaseChat.trimMessages('VIP', 3);
+            assert.equal((await contents()).length, 3);
+        });
+
+        it('does nothing for rooms without a limit', async () => {
+            const { window } = await open();
+            await seed(4);
+            await window.FirebaseChat.trimMessages('VIP', null);
+            assert.equal((await contents()).length, 4);
+        });
+
+        it('runs after each send in rooms with maxMessages', async () => {
+            const { chat, window } = await open();
+            await chat.selectRoom('VIP');
+            await seed(5, window.FirebaseChat.userId);
+            await window.FirebaseChat.sendMessage('newest', null, { maxMessages: 2 });
+            const remaining = await contents();
+            assert.equal(remaining.length, 2);
+            assert.ok(remaining.includes('newest'));
+        });
+    });
+
+    describe('writes the database rules expect', () => {
+        it('claims its userId for the anonymous auth uid', async () => {
+            const { chat, window } = await open();
+            const claim = (await db.ref(`identities/${chat.userId}`).once('value')).val();
+            assert.equal(claim.uid, window.firebase.auth().currentUser.uid);
+            assert.equal(claim.secret, chat.identity.secret);
+            assert.equal((await db.ref(`uids/${claim.uid}`).once('value')).val(), chat.userId);
+        });
+
+        it('writes only its own reaction key', async () => {
+            const { chat, window } = await open();
+            await window.FirebaseChat.sendMessage('react to me');
+            const [messageId] = Object.keys((await db.ref('rooms/Lobby/messages').once('value')).val());
+            await db.ref(`rooms/Lobby/messages/${messageId}/reactions/user_ffffffffffffffff`).set(':sad:');
+            await nextTick(10);
+
+            await chat.applyReaction(messageId, ':love:');
+            const reactionsRef = db.ref(`rooms/Lobby/messages/${messageId}/reactions`);
+            assert.deepEqual(plain((await reactionsRef.once('value')).val()), {
+                user_ffffffffffffffff: ':sad:',
+                [chat.userId]: ':love:'
+            });
+
+            await nextTick(10);
+            await chat.applyReaction(messageId, ':love:');
+            assert.deepEqual(plain((await reactionsRef.once('value')).val()), { user_ffffffffffffffff: ':sad:' });
+        });
+
+        it('signs tombstones so moderator deletes can be checked', async () => {
+            const { chat, window } = await open();
+            await window.FirebaseChat.sendMessage('gone soon');
+            const [messageId] = Object.keys((await db.ref('rooms/Lobby/messages').once('value')).val());
+            await window.FirebaseChat.deleteMessage(messageId);
+            const message = (await db.ref(`rooms/Lobby/messages/${messageId}`).once('value')).val();
+            assert.equal(message.deleted, true);
+            assert.equal(message.deletedBy, chat.userId);
+        });
+
+        it('keeps only the best leaderboard score', async () => {
+            const { window } = await open();
+            const leaderboard = window.FirebaseLeaderboard;
+            leaderboard.init();
+            const stored = async () => (await db.ref('leaderboard/ballBounce/Amy').once('value')).val();
+
+            assert.equal(leaderboard.submitScore('Amy', 12), true);
+            await nextTick(10);
+            assert.equal(leaderboard.submitScore('Amy', 7), true);
+            await nextTick(10);
+            assert.equal((await stored()).score, 12);
+
+            assert.equal(leaderboard.submitScore('Amy', leaderboard.maxScore + 1), false);
+            assert.equal(leaderboard.submitScore('Amy', 2.5), false);
+        });
+
+        it('covers every tree the client writes in database.rules.json', () => {
+            const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'database.rules.json'), 'utf8')).rules;
+            assert.deepEqual(Object.keys(rules).sort(), ['accounts', 'customRooms', 'dmInbox', 'dmThreads', 'emojiPacks', 'identities', 'leaderboard', 'moderation', 'moderators', 'roomCodes', 'roomKeys', 'rooms', 'uids', 'watchers']);
+            assert.deepEqual(Object.keys(rules.rooms.$roomId).filter((key) => !key.startsWith('.')).sort(), ['$other', 'messages', 'posts', 'reads', 'typing', 'users']);
+            assert.equal(rules.identities['.read'], undefined);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// Boots index.html in jsdom with the same script order the browser uses
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { TextEncoder, TextDecoder } = require('util');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const FakeFirebase = require('../../js/fake-firebase.js');
+
+const APP_ROOT = path.join(__dirname, '..', '..');
+const INDEX_HTML = fs.readFileSync(path.join(APP_ROOT, 'index.html'), 'utf8');
+const SCRIPT_TAG = /<script\b[^>]*>[\s\S]*?<\/script>/gi;
+
+// Local scripts only; the Firebase SDK comes from gstatic and is replaced by FakeFirebase
+function getAppScripts() {
+    return Array.from(INDEX_HTML.matchAll(/<script\s+src="(js\/[^"?]+)[^"]*"\s*><\/script>/g), (match) => match[1]);
+}
+
+// options.backend: a FakeFirebase backend to connect through the Firebase transport;
+// without one the page runs on the in-memory transport
+// options.indexedDB: pass the previous page's app.indexedDB to simulate a reload
+function loadApp(options = {}) {
+    const query = options.backend ? '' : '?backend=memory';
+    // Page console output is dropped; uncaught page errors are collected until close()
+    const errors = [];
+    let closed = false;
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => {
+        if (!closed) errors.push(error);
+    });
+    const dom = new JSDOM(INDEX_HTML.replace(SCRIPT_TAG, ''), {
+        url: `http://localhost/${query}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    // jsdom has getRandomValues but no SubtleCrypto; identity.js needs both
+    Object.defineProperty(window, 'crypto', { configurable: true, value: webcrypto });
+    // jsdom has no IndexedDB either; each page gets its own unless one is handed over
+    window.indexedDB = options.indexedDB || new IDBFactory();
+    if (options.backend) {
+        window.firebase = FakeFirebase.createNamespace(options.backend);
+    }
+    if (options.beforeInit) {
+        options.beforeInit(window);
+    }
+
+    const context = dom.getInternalVMContext();
+    getAppScripts().forEach((src) => {
+        const code = fs.readFileSync(path.join(APP_ROOT, src), 'utf8');
+        new vm.Script(code, { filename: src }).runInContext(context);
+    });
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    // jsdom fires its own DOMContentLoaded once parsing settles; the app must only initialise once
+    window.addEventListener('DOMContentLoaded', (e) => e.stopImmediatePropagation(), { capture: true, once: true });
+
+    return {
+        window,
+        chat: window.ShapeChat,
+        errors,
+        indexedDB: window.indexedDB,
+        // Let pending joins and listeners settle before the document goes away
+        async close() {
+            await nextTick(10);
+            closed = true;
+            window.close();
+        }
+    };
+}
+
+function nextTick(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Page objects come from the jsdom realm; copy them so deepStrictEqual compares values only
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, nextTick, plain, FakeFirebase };
@@ -0,0 +1,35 @@
+const { WebSocket } = require('ws');
+
+// Minimal protocol client: send() JSON and wait for the next event of a given type
+function connect(port, query = '') {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/?${query}`);
+    const received = [];
+    const waiters = [];
+    socket.on('message', (raw) => {
+        const data = JSON.parse(String(raw));
+        const index = waiters.findIndex((waiter) => waiter.type === data.type);
+        if (index >= 0) {
+            waiters.splice(index, 1)[0].resolve(data);
+        } else {
+            received.push(data);
+        }
+    });
+    return {
+        socket,
+        send(payload) {
+            socket.send(JSON.stringify(payload));
+        },
+        next(type) {
+            const index = received.findIndex((data) => data.type === type);
+            if (index >= 0) {
+                return Promise.resolve(received.splice(index, 1)[0]);
+            }
+            return new Promise((resolve) => waiters.push({ type, resolve }));
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
+
+module.exports = { connect };
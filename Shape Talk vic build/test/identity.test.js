@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const saved = {
+    userId: 'user_0123456789abcdef',
+    secret: '0123456789abcdef0123456789abcdef',
+    username: 'CircleKid042',
+    accountName: null
+};
+
+describe('Identity', () => {
+    let app;
+    let Identity;
+    let window;
+
+    before(() => {
+        app = loadApp();
+        window = app.window;
+        // Top-level consts in page scripts are not window properties
+        Identity = window.eval('Identity');
+        Identity.pbkdf2Iterations = 1000;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => window.localStorage.clear());
+
+    it('mints and stores an anonymous identity on first load', () => {
+        const identity = Identity.load();
+        assert.match(identity.userId, /^user_[0-9a-f]{16}$/);
+        assert.match(identity.secret, /^[0-9a-f]{32}$/);
+        assert.ok(identity.username);
+        assert.deepEqual(plain(Identity.load()), plain(identity));
+    });
+
+    it('replaces damaged storage', () => {
+        window.localStorage.setItem(Identity.storageKey, '{"userId":"session_1"}');
+        assert.notEqual(Identity.load().userId, 'session_1');
+    });
+
+    it('round-trips an exported key', () => {
+        const key = Identity.exportKey(saved);
+        assert.ok(key.startsWith('shapetalk-key:'));
+        assert.deepEqual(plain(Identity.importKey(key)), saved);
+        assert.equal(Identity.importKey('shapetalk-key:bm9wZQ=='), null);
+        assert.equal(Identity.importKey('hello'), null);
+    });
+
+    it('seals an account that only the passphrase opens', async () => {
+        const record = await Identity.sealAccount(saved, 'correct horse');
+        assert.equal(record.ownerId, saved.userId);
+        assert.ok(!record.data.includes(saved.secret));
+        assert.deepEqual(plain(await Identity.openAccount(record, 'correct horse')), saved);
+        assert.equal(await Identity.openAccount(record, 'wrong horse'), null);
+    });
+
+    it('folds account names to safe keys', () => {
+        assert.equal(Identity.normalizeAccountName('  Circle.Kid #1 '), 'circlekid1');
+        assert.equal(Identity.normalizeAccountName('$$$'), '');
+    });
+});
+
+describe('Chat identity', () => {
+    it('keeps the stored userId and name across loads', async () => {
+        const app = loadApp({
+            beforeInit: (window) => window.localStorage.setItem('shapetalk_identity', JSON.stringify(saved))
+        });
+        assert.equal(app.chat.userId, saved.userId);
+        assert.equal(app.chat.username, saved.username);
+        assert.equal(app.chat.transport.userId, saved.userId);
+        await app.close();
+    });
+
+    it('remembers a new name', async () => {
+        const app = loadApp();
+        app.chat.setUsername('SquarePal777', false);
+        assert.equal(JSON.parse(app.window.localStorage.getItem('shapetalk_identity')).username, 'SquarePal777');
+        await app.close();
+    });
+});
+
+describe('Chat accounts', () => {
+    let app;
+    let chat;
+    let window;
+    let reload;
+    let Identity;
+
+    const stored = () => JSON.parse(window.localStorage.getItem('shapetalk_identity'));
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+        Identity = window.eval('Identity');
+        Identity.pbkdf2Iterations = 1000;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        reload = mock.method(chat, 'reloadPage', () => {});
+    });
+
+    it('checks the form before talking to the backend', async () => {
+        const saveAccount = mock.method(chat.transport, 'saveAccount');
+        assert.equal(await chat.saveAccount('!!!', 'long enough'), false);
+        assert.match(chat.accountStatus.textContent, /Pick an account name/);
+        assert.equal(await chat.saveAccount('amy', 'short'), false);
+        assert.equal(chat.accountStatus.textContent, 'Passphrases need at least 8 characters.');
+        assert.equal(saveAccount.mock.callCount(), 0);
+    });
+
+    it('saves an account and restores it as the same user', async () => {
+        const original = { ...chat.identity };
+        assert.equal(await chat.saveAccount('Amy', 'correct horse'), true);
+        assert.equal(stored().accountName, 'amy');
+
+        assert.equal(await chat.restoreAccount('amy', 'wrong horse!'), false);
+        assert.equal(chat.accountStatus.textContent, 'That passphrase does not open this account.');
+        assert.equal(reload.mock.callCount(), 0);
+
+        window.localStorage.clear();
+        assert.equal(await chat.restoreAccount('AMY', 'correct horse'), true);
+        assert.equal(reload.mock.callCount(), 1);
+        assert.equal(stored().userId, original.userId);
+        assert.equal(stored().secret, original.secret);
+        assert.equal(stored().accountName, 'amy');
+    });
+
+    it('will not hand an account name to someone else', async () => {
+        await chat.transport.saveAccount('taken', { ownerId: 'user_ffffffffffffffff', salt: 's', iv: 'i', data: 'd' });
+        assert.equal(await chat.saveAccount('taken', 'correct horse'), false);
+        assert.equal(chat.accountStatus.textContent, 'That account name is taken.');
+    });
+
+    it('reports unknown accounts', async () => {
+        assert.equal(await chat.restoreAccount('nobody', 'correct horse'), false);
+        assert.equal(chat.accountStatus.textContent, 'No account with that name.');
+    });
+
+    it('switches to an imported key', () => {
+        assert.equal(chat.importIdentityKey('not a key'), false);
+        assert.equal(chat.importIdentityKey(Identity.exportKey(saved)), true);
+        assert.equal(stored().userId, saved.userId);
+        assert.equal(reload.mock.callCount(), 1);
+    });
+
+    it('starts fresh only after confirming', () => {
+        const before = stored().userId;
+        mock.method(window, 'confirm', () => false);
+        chat.startFreshIdentity();
+        assert.equal(stored().userId, before);
+
+        window.confirm.mock.mockImplementation(() => true);
+        chat.startFreshIdentity();
+        assert.notEqual(stored().userId, before);
+        assert.equal(reload.mock.callCount(), 1);
+    });
+
+    it('shows the key from the panel', () => {
+        chat.toggleAccountPanel(true);
+        window.document.querySelector('[data-account-action="export"]').click();
+        assert.equal(window.document.getElementById('accountKey').value, Identity.exportKey(chat.identity));
+        chat.toggleAccountPanel(false);
+    });
+});
+
+describe('Accounts over Firebase', () => {
+    let app;
+    let db;
+
+    before(async () => {
+        const backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        app = loadApp({ backend });
+        app.window.eval('Identity').pbkdf2Iterations = 1000;
+        await nextTick(10);
+    });
+
+    after(() => app.close());
+
+    it('stores the sealed record and keeps it for its owner', async () => {
+        const { chat } = app;
+        assert.equal(await chat.saveAccount('zed', 'correct horse'), true);
+        const record = (await db.ref('accounts/zed').once('value')).val();
+        assert.equal(record.ownerId, chat.userId);
+        assert.equal(record.secret, undefined);
+
+        const other = { ownerId: 'user_ffffffffffffffff', salt: 's', iv: 'i', data: 'd' };
+        assert.deepEqual(plain(await chat.transport.saveAccount('zed', other)), { ok: false, reason: 'That account name is taken.' });
+        assert.equal((await chat.transport.loadAccount('zed')).ownerId, chat.userId);
+    });
+});
@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Mentions = require('../js/mentions.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain } = require('./helpers/load-app');
+
+describe('Mentions', () => {
+    const names = ['Amy', 'Amy Lou', 'Zed'];
+
+    it('finds known names, longest first, and other @words', () => {
+        assert.deepEqual(Mentions.find('hi @amy lou and @Zed!', names), [
+            { start: 3, end: 11, username: 'Amy Lou' },
+            { start: 16, end: 20, username: 'Zed' }
+        ]);
+        assert.deepEqual(Mentions.find('ping @nobody-here', names).map((mention) => mention.username), ['nobody-here']);
+        assert.deepEqual(Mentions.find('mail amy@example.com or @@zed', names), []);
+        assert.deepEqual(Mentions.find('@Zedd', names).map((mention) => mention.username), ['Zedd']);
+    });
+
+    it('tells whether a username was mentioned and splits text around mentions', () => {
+        assert.ok(Mentions.isMentioned('thanks @AMY', 'Amy', names));
+        assert.ok(!Mentions.isMentioned('thanks @Amy Lou', 'Amy', names));
+        assert.deepEqual(Mentions.split('yo @Zed.', names), [
+            { text: 'yo ', mention: null },
+            { text: '@Zed', mention: 'Zed' },
+            { text: '.', mention: null }
+        ]);
+        assert.deepEqual(Mentions.split('', names), [{ text: '', mention: null }]);
+    });
+
+    it('suggests and completes the name being typed', () => {
+        assert.deepEqual(Mentions.getQuery('hello @am', 9), { start: 6, query: 'am' });
+        assert.equal(Mentions.getQuery('hello amy@am', 12), null);
+        assert.equal(Mentions.getQuery('hello @amy there', 16), null);
+        assert.deepEqual(Mentions.getSuggestions('a', [...names, 'Amy'], 'Amy'), ['Amy Lou']);
+        assert.deepEqual(Mentions.complete('hi @am!', 6, 'Amy Lou'), { value: 'hi @Amy Lou !', caret: 12 });
+    });
+
+    it('keeps the newest mentions once each', () => {
+        let inbox = [];
+        inbox = Mentions.addToInbox(inbox, { messageId: 'a', timestamp: 1 });
+        inbox = Mentions.addToInbox(inbox, { messageId: 'b', timestamp: 3 });
+        inbox = Mentions.addToInbox(inbox, { messageId: 'a', timestamp: 1 });
+        assert.deepEqual(inbox.map((entry) => entry.messageId), ['b', 'a']);
+        for (let i = 0; i < Mentions.maxInbox + 5; i++) {
+            inbox = Mentions.addToInbox(inbox, { messageId: `m${i}`, timestamp: 10 + i });
+        }
+        assert.equal(inbox.length, Mentions.maxInbox);
+        assert.equal(inbox[0].messageId, `m${Mentions.maxInbox + 4}`);
+    });
+});
+
+describe('Chat mentions', () => {
+    let app;
+    let chat;
+    let window;
+    let notifications;
+    let sequence = 0;
+
+    const zed = { id: 'user_zed', username: 'Zed', mood: ':happy:' };
+    const fromZed = (content) => ({
+        messageId: `mention_${++sequence}`,
+        userId: zed.id,
+        username: zed.username,
+        mood: ':happy:',
+        content,
+        timestamp: Date.now()
+    });
+    const typeInto = (value) => {
+        chat.messageInput.value = value;
+        chat.messageInput.setSelectionRange(value.length, value.length);
+        chat.messageInput.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+    // A message from someone else landing in a room this page is not showing
+    const arrive = (roomName, message) => {
+        chat.transport.getRoom(roomName).messages.push(message);
+        chat.transport.roomMessageListeners[roomName].forEach((onMessage) => onMessage(message));
+    };
+    const pressKey = (key) => chat.messageInput.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+    before(() => {
+        app = loadApp({
+            beforeInit(page) {
+                notifications = [];
+                page.Notification = class {
+                    constructor(title, options) {
+                        notifications.push({ title, ...options });
+                    }
+                };
+                page.Notification.permission = 'default';
+                page.Notification.requestPermission = async () => {
+                    page.Notification.permission = 'granted';
+                    return 'granted';
+                };
+            }
+        });
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        mock.method(chat, 'playKeySound', () => {});
+        chat.rateLimits = {};
+        await chat.selectRoom('Lobby');
+        chat.updateUserList([chat.getSelfUser(), zed]);
+        chat.toggleMentionsPanel(false);
+        chat.unseenMentionCount = 0;
+        chat.renderMentionsButton();
+    });
+
+    it('highlights mentions and marks messages that mention you', () => {
+        chat.addMessage(fromZed(`hey @${chat.username}, and @Zed too`));
+        const message = Array.from(chat.chatMessages.querySelectorAll('.message')).at(-1);
+        assert.ok(message.classList.contains('mentions-me'));
+        const mentions = Array.from(message.querySelectorAll('.mention'));
+        assert.deepEqual(mentions.map((span) => span.textContent), [`@${chat.username}`, '@Zed']);
+        assert.ok(mentions[0].classList.contains('mention-self'));
+        assert.ok(!mentions[1].classList.contains('mention-self'));
+
+        chat.addMessage(fromZed('<b>@Zed</b>'));
+        const escaped = Array.from(chat.chatMessages.querySelectorAll('.message')).at(-1);
+        assert.equal(escaped.querySelector('b'), null);
+        assert.ok(!escaped.classList.contains('mentions-me'));
+    });
+
+    it('autocompletes @names from the people online', () => {
+        typeInto('thanks @ze');
+        const options = Array.from(chat.commandSuggestions.querySelectorAll('[data-mention]'));
+        assert.ok(!chat.commandSuggestions.hidden);
+        assert.deepEqual(options.map((option) => option.dataset.mention), ['Zed']);
+
+        pressKey('Tab');
+        assert.equal(chat.messageInput.value, 'thanks @Zed ');
+        assert.ok(chat.commandSuggestions.hidden);
+
+        typeInto('@');
+        assert.ok(!Array.from(chat.commandSuggestions.querySelectorAll('[data-mention]')).some((option) => option.dataset.mention === chat.username));
+        pressKey('Escape');
+        assert.ok(chat.commandSuggestions.hidden);
+        typeInto('');
+    });
+
+    it('badges an inactive room that mentions you and lists it in the inbox', async () => {
+        await chat.openDirectMessage({ id: zed.id, username: 'Zed' });
+        const dmRoom = chat.currentRoom;
+        await chat.selectRoom('Lobby');
+
+        const mention = fromZed(`@${chat.username} look at this`);
+        arrive(dmRoom, mention);
+        assert.ok(chat.mentionedRooms[dmRoom]);
+        assert.match(chat.dmName.textContent, / @$/);
+        assert.ok(chat.dmName.classList.contains('mentioned'));
+        assert.equal(chat.mentionsToggleBtn.textContent, '@ 1');
+
+        chat.mentionsToggleBtn.click();
+        assert.ok(!chat.mentionsPanel.hidden);
+        assert.equal(chat.mentionsToggleBtn.textContent, '@');
+        const entry = chat.mentionsList.querySelector('.search-result');
+        assert.equal(entry.dataset.searchRoom, dmRoom);
+        assert.equal(entry.dataset.searchMessageId, mention.messageId);
+        assert.match(entry.textContent, /look at this/);
+        assert.deepEqual(JSON.parse(window.localStorage.getItem(Mentions.storageKey)).map((item) => item.messageId).slice(0, 1), [mention.messageId]);
+
+        entry.click();
+        await nextTick(10);
+        assert.equal(chat.currentRoom, dmRoom);
+        assert.ok(chat.mentionsPanel.hidden);
+        assert.ok(!chat.mentionedRooms[dmRoom]);
+        assert.doesNotMatch(chat.dmName.textContent, /@/);
+    });
+
+    it('sends a browser notification once alerts are switched on', async () => {
+        await chat.openDirectMessage({ id: zed.id, username: 'Zed' });
+        const dmRoom = chat.currentRoom;
+        await chat.selectRoom('Lobby');
+
+        arrive(dmRoom, fromZed(`@${chat.username} quiet one`));
+        assert.equal(notifications.length, 0);
+
+        const checkbox = window.document.getElementById('mentionAlerts');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+        await nextTick(5);
+        assert.equal(window.localStorage.getItem(Mentions.alertsStorageKey), 'on');
+
+        const loud = fromZed(`@${chat.username} loud one`);
+        arrive(dmRoom, loud);
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].title, `Zed mentioned you in ${chat.getSearchRoomLabel(dmRoom)}`);
+        assert.equal(notifications[0].tag, loud.messageId);
+
+        // Nothing pops up for a mention in the room you are looking at
+        chat.addMessage(fromZed(`@${chat.username} right here`));
+        assert.equal(notifications.length, 1);
+    });
+});
+
+describe('Mentions over the chat server', () => {
+    let chatServer;
+    let app;
+    let chat;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        app = loadApp();
+        chat = app.chat;
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        await chat.selectRoom('Lobby');
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        app.close();
+        await chatServer.close();
+    });
+
+    it('files a mention from a room the user is not looking at', async () => {
+        const port = chatServer.wss.address().port;
+        const me = connect(port, `username=${encodeURIComponent(chat.username)}&room=Lobby`);
+        const zedClient = connect(port, 'username=Zed&room=VIP');
+        await me.next('welcome');
+        await zedClient.next('welcome');
+
+        zedClient.send({ type: 'message', content: `@${chat.username} over here`, replyTo: { messageId: 'msg_earlier', username: 'Amy', content: 'where?' } });
+        const sent = (await zedClient.next('newMessage')).message;
+        const activity = await me.next('roomActivity');
+        me.close();
+        zedClient.close();
+        assert.equal(activity.room, 'VIP');
+        assert.equal(activity.messageId, sent.messageId);
+        assert.equal(activity.timestamp, sent.timestamp);
+        assert.equal(activity.replyTo.messageId, 'msg_earlier');
+
+        // The page's WebSocket transport hands the activity to the inactive-room listener
+        const transport = app.window.eval('WebSocketTransport');
+        transport.chat = chat;
+        const memory = chat.transport;
+        chat.transport = transport;
+        try {
+            chat.attachInactiveRoomListener('VIP');
+            transport.handleMessage(activity);
+            chat.detachInactiveRoomListener('VIP');
+        } finally {
+            chat.transport = memory;
+        }
+
+        assert.ok(chat.mentionedRooms.VIP);
+        assert.deepEqual(plain(chat.mentionInbox.slice(0, 1).map((entry) => [entry.room, entry.messageId, entry.content])),
+            [['VIP', sent.messageId, `@${chat.username} over here`]]);
+    });
+});
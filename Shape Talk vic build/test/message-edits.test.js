@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, nextTick, FakeFirebase } = require('./helpers/load-app');
+
+describe('Chat message editing and deletion', () => {
+    let app;
+    let chat;
+    let window;
+    let systemMessages;
+    let counter = 0;
+
+    const postOwn = async (content) => {
+        chat.messageInput.value = content;
+        await chat.sendMessage();
+        const ids = Object.keys(chat.messageCache);
+        return chat.messageCache[ids[ids.length - 1]];
+    };
+
+    const elementFor = (message) => chat.messageElements[message.messageId];
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        counter += 1;
+        await chat.selectRoom(`Private ${(counter % 9) + 1}`);
+        systemMessages = [];
+        mock.method(chat, 'addSystemMessage', (text) => systemMessages.push(text));
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+    });
+
+    it('edits through the composer and marks the message as edited', async () => {
+        const message = await postOwn('helo');
+        elementFor(message).querySelector('[data-action="editMessage"]').click();
+        assert.equal(chat.messageInput.value, 'helo');
+        assert.equal(window.document.getElementById('replyPreviewLabel').textContent, 'Editing');
+
+        chat.messageInput.value = 'hello';
+        await chat.sendMessage();
+
+        const updated = chat.messageCache[message.messageId];
+        assert.equal(updated.content, 'hello');
+        assert.ok(updated.editedAt);
+        assert.equal(chat.currentEditTarget, null);
+        assert.equal(chat.messageInput.value, '');
+        assert.match(elementFor(message).querySelector('.message-time').textContent, /\(edited\)/);
+        assert.equal(chat.chatMessages.querySelectorAll('.message').length, 1);
+    });
+
+    it('cancelling an edit restores the composer', async () => {
+        const message = await postOwn('draft me');
+        chat.setEditTarget(message);
+        window.document.getElementById('replyCancelBtn').click();
+        assert.equal(chat.currentEditTarget, null);
+        assert.equal(chat.messageInput.value, '');
+        assert.equal(chat.replyPreview.hidden, true);
+        assert.equal(chat.messageCache[message.messageId].content, 'draft me');
+    });
+
+    it('deletes into a tombstone after confirming', async () => {
+        const message = await postOwn('oops');
+        mock.method(window, 'confirm', () => false);
+        elementFor(message).querySelector('[data-action="deleteMessage"]').click();
+        await nextTick();
+        assert.equal(chat.messageCache[message.messageId].deleted, false);
+
+        window.confirm.mock.mockImplementation(() => true);
+        elementFor(message).querySelector('[data-action="deleteMessage"]').click();
+        await nextTick();
+
+        const el = elementFor(message);
+        assert.equal(chat.messageCache[message.messageId].deleted, true);
+        assert.ok(el.classList.contains('deleted'));
+        assert.equal(el.querySelector('.message-content').textContent, 'message deleted');
+        assert.equal(el.querySelector('[data-action]'), null);
+    });
+
+    it('only offers edit and delete on your own recent messages', async () => {
+        const mine = await postOwn('mine');
+        chat.addMessage({ messageId: `theirs_${counter}`, userId: 'someone_else', username: 'Amy', content: 'theirs' });
+        const theirs = chat.messageCache[`theirs_${counter}`];
+        assert.ok(elementFor(mine).querySelector('[data-action="editMessage"]'));
+        assert.equal(elementFor(theirs).querySelector('[data-action="editMessage"]'), null);
+        assert.equal(elementFor(theirs).querySelector('[data-action="deleteMessage"]'), null);
+
+        assert.equal(await chat.editMessage(theirs.messageId, 'hijacked'), false);
+        assert.equal(chat.messageCache[theirs.messageId].content, 'theirs');
+        assert.match(systemMessages[0], /only edit your own messages for 15 minutes/);
+    });
+
+    it('refuses edits once the window has passed', async () => {
+        const message = await postOwn('old news');
+        const later = Date.now() + chat.messageEditWindowMs + 1000;
+        mock.method(window.Date, 'now', () => later);
+        assert.equal(await chat.editMessage(message.messageId, 'new news'), false);
+        assert.equal(await chat.deleteMessage(message.messageId), false);
+        assert.equal(chat.messageCache[message.messageId].content, 'old news');
+    });
+
+    it('keeps edits inside the room mode', async () => {
+        await chat.selectRoom('ShapeTalk');
+        const message = await postOwn(':happy:');
+        chat.setEditTarget(message);
+        chat.messageInput.value = 'words';
+        await chat.sendMessage();
+        assert.equal(chat.messageCache[message.messageId].content, ':happy:');
+        assert.deepEqual(systemMessages.slice(-1), ['This room only allows Shape emojis and drawings.']);
+        chat.clearEditTarget(true);
+    });
+
+    it('updates reply previews when the original changes', async () => {
+        const original = await postOwn('first version');
+        chat.setReplyTarget(original);
+        const reply = await postOwn('replying');
+        const replyText = () => elementFor(reply).querySelector('.message-reply-text').textContent;
+        assert.equal(replyText(), 'first version');
+
+        await chat.editMessage(original.messageId, 'second version');
+        assert.equal(replyText(), 'second version');
+
+        await chat.deleteMessage(original.messageId);
+        assert.equal(replyText(), '[deleted]');
+    });
+});
+
+describe('FirebaseChat message editing', () => {
+    let app;
+    let db;
+
+    before(async () => {
+        const backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        app = loadApp({ backend });
+        await nextTick(10);
+    });
+
+    after(() => app.close());
+
+    it('writes edits and tombstones to the room', async () => {
+        const { chat, window } = app;
+        chat.messageInput.value = 'hello firebase';
+        await chat.sendMessage();
+        const messageId = Object.keys(chat.messageCache).pop();
+
+        await chat.editMessage(messageId, 'hello again');
+        let stored = (await db.ref(`rooms/Lobby/messages/${messageId}`).once('value')).val();
+        assert.equal(stored.content, 'hello again');
+        assert.equal(typeof stored.editedAt, 'number');
+
+        await chat.deleteMessage(messageId);
+        stored = (await db.ref(`rooms/Lobby/messages/${messageId}`).once('value')).val();
+        assert.equal(stored.deleted, true);
+        assert.equal(stored.content, '');
+        assert.equal(stored.userId, window.FirebaseChat.userId);
+        assert.equal(chat.messageCache[messageId].deleted, true);
+    });
+});
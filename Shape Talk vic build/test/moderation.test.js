@@ -0,0 +1,393 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Moderation = require('../js/moderation.js');
+const { createChatServer, hashSecret } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const message = (id, extras = {}) => ({
+    messageId: id,
+    userId: 'user_zed',
+    username: 'Zed',
+    content: 'hello there',
+    timestamp: Date.now(),
+    ...extras
+});
+
+describe('Moderation', () => {
+    it('clamps ban lengths', () => {
+        assert.equal(Moderation.normalizeBanMinutes('15'), 15);
+        assert.equal(Moderation.normalizeBanMinutes('soon'), Moderation.defaultBanMinutes);
+        assert.equal(Moderation.normalizeBanMinutes(-5), Moderation.defaultBanMinutes);
+        assert.equal(Moderation.normalizeBanMinutes(1e9), Moderation.maxBanMinutes);
+    });
+
+    it('treats expired bans as lifted', () => {
+        assert.equal(Moderation.isBanned({ until: 2000 }, 1000), true);
+        assert.equal(Moderation.isBanned({ until: 1000 }, 1000), false);
+        assert.equal(Moderation.isBanned(null), false);
+    });
+
+    it('says how long a ban has left', () => {
+        assert.equal(Moderation.getBanReason('VIP', { until: 10 * 60000 }, 0), 'You are banned from VIP for another 10 min.');
+        assert.equal(Moderation.getBanReason('VIP', { until: 3 * 3600000 }, 0), 'You are banned from VIP for another 3 h.');
+        assert.equal(Moderation.getBanReason('VIP', { until: 3 * 86400000 }, 0), 'You are banned from VIP for another 3 days.');
+    });
+});
+
+describe('Chat mute and block', () => {
+    let app;
+    let chat;
+    let window;
+
+    const stored = () => JSON.parse(window.localStorage.getItem('shapetalk_hidden_users') || '{}');
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        Object.keys(chat.hiddenUsers).forEach((userId) => chat.unhideUser(userId));
+        await chat.selectRoom(chat.currentRoom === 'Lobby' ? 'VIP' : 'Lobby');
+    });
+
+    it('collapses a muted user\'s messages until unmuted', async () => {
+        chat.addMessage(message('m1'));
+        await chat.handleModerationAction('mute', 'm1');
+        const el = chat.messageElements.m1;
+        assert.ok(el.classList.contains('hidden-user'));
+        assert.ok(!el.textContent.includes('hello there'));
+        assert.match(el.textContent, /Message from a muted user/);
+        assert.deepEqual(stored(), { user_zed: { username: 'Zed', level: 'mute' } });
+
+        el.querySelector('[data-action="unhideUser"]').click();
+        assert.ok(chat.messageElements.m1.textContent.includes('hello there'));
+        assert.deepEqual(stored(), {});
+    });
+
+    it('never hides your own messages', async () => {
+        assert.equal(await chat.hideUser({ userId: chat.userId, username: chat.username }, 'mute'), false);
+    });
+
+    it('drops a blocked user\'s reactions and DMs', async () => {
+        const dm = chat.buildDmRoomName('Zed');
+        chat.registerDmRoom(dm);
+        chat.addMessage(message('m2', { userId: 'user_amy', username: 'Amy', reactions: { user_zed: ':love:', user_amy: ':love:' } }));
+        chat.addMessage(message('m3'));
+        await chat.hideUser(chat.messageCache.m3, 'block');
+
+        assert.equal(chat.messageElements.m2.querySelector('.reaction-pill-count').textContent, '1');
+        assert.ok(!chat.dmRooms.includes(dm));
+        chat.handleRoomList([dm]);
+        assert.ok(!chat.dmRooms.includes(dm));
+    });
+
+    it('remembers hidden users across loads', async () => {
+        const next = loadApp({
+            beforeInit: (page) => page.localStorage.setItem('shapetalk_hidden_users', JSON.stringify({ user_zed: { username: 'Zed', level: 'block' } }))
+        });
+        assert.equal(next.chat.getHiddenLevel('user_zed'), 'block');
+        await next.close();
+    });
+});
+
+describe('Chat reports and moderator tools', () => {
+    let app;
+    let chat;
+    let window;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.setModerator(false);
+        await chat.selectRoom(chat.currentRoom === 'Lobby' ? 'VIP' : 'Lobby');
+    });
+
+    it('files a report with a copy of the message', async () => {
+        mock.method(window, 'prompt', () => 'spam');
+        chat.addMessage(message('m1'));
+        chat.messageElements.m1.querySelector('[data-moderation-action="report"]').click();
+        await nextTick();
+
+        const report = plain(chat.transport.reports.pop());
+        assert.equal(report.messageId, 'm1');
+        assert.equal(report.reportedUserId, 'user_zed');
+        assert.equal(report.content, 'hello there');
+        assert.equal(report.reporterId, chat.userId);
+        assert.equal(report.reason, 'spam');
+        assert.equal(report.room, chat.currentRoom);
+    });
+
+    it('drops the report when the prompt is cancelled', async () => {
+        const reportMessage = mock.method(chat.transport, 'reportMessage');
+        mock.method(window, 'prompt', () => null);
+        chat.addMessage(message('m1'));
+        assert.equal(await chat.handleModerationAction('report', 'm1'), false);
+        assert.equal(reportMessage.mock.callCount(), 0);
+    });
+
+    it('only shows moderator actions to moderators', () => {
+        chat.addMessage(message('m1'));
+        assert.equal(chat.messageElements.m1.querySelector('[data-moderation-action="kick"]'), null);
+        chat.setModerator(true);
+        assert.ok(chat.messageElements.m1.querySelector('[data-moderation-action="kick"]'));
+        assert.ok(chat.messageElements.m1.querySelector('[data-moderation-action="ban"]'));
+    });
+
+    it('lets moderators delete other people\'s messages', async () => {
+        chat.addMessage(message('m1', { timestamp: 1 }));
+        assert.equal(await chat.deleteMessage('m1'), false);
+        chat.setModerator(true);
+        assert.equal(await chat.deleteMessage('m1'), true);
+        assert.ok(chat.messageCache.m1.deleted);
+    });
+
+    it('refuses kicks from everyone else', async () => {
+        const kickUser = mock.method(chat.transport, 'kickUser');
+        assert.equal(await chat.kickUser(message('m1')), false);
+        assert.equal(kickUser.mock.callCount(), 0);
+    });
+
+    it('passes clamped ban lengths to the backend', async () => {
+        chat.setModerator(true);
+        const banUser = mock.method(chat.transport, 'banUser', async () => ({ ok: true }));
+        assert.equal(await chat.banUser(message('m1'), 'lots'), true);
+        assert.deepEqual(plain(banUser.mock.calls[0].arguments), [chat.currentRoom, 'user_zed', Moderation.defaultBanMinutes]);
+    });
+
+    it('moves somewhere else when removed from the room', async () => {
+        await chat.selectRoom('VIP');
+        await chat.handleRemovedFromRoom('VIP', 'A moderator removed you from VIP.');
+        assert.equal(chat.currentRoom, 'Lobby');
+        assert.match(chat.chatMessages.lastElementChild.textContent, /removed you from VIP/);
+    });
+});
+
+describe('Moderation over Firebase', () => {
+    let backend;
+    let db;
+    let apps;
+
+    const open = async () => {
+        const app = loadApp({ backend });
+        apps.push(app);
+        await nextTick(10);
+        return app;
+    };
+
+    beforeEach(() => {
+        backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        apps = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(apps.map((app) => app.close()));
+    });
+
+    it('picks up the moderator role from the database', async () => {
+        const amy = await open();
+        assert.equal(amy.chat.isModerator, false);
+        await db.ref(`moderators/${amy.chat.userId}`).set(true);
+        await nextTick(10);
+        assert.equal(amy.chat.isModerator, true);
+    });
+
+    it('bans someone out of the room and keeps them out', async () => {
+        const mod = await open();
+        const zed = await open();
+        await db.ref(`moderators/${mod.chat.userId}`).set(true);
+        await nextTick(10);
+        await zed.chat.selectRoom('VIP');
+        await mod.chat.selectRoom('VIP');
+
+        assert.deepEqual(plain(await mod.chat.transport.banUser('VIP', zed.chat.userId, 30)), { ok: true });
+        await nextTick(20);
+        assert.equal(zed.chat.currentRoom, 'Lobby');
+        assert.match(zed.chat.chatMessages.textContent, /banned from VIP for another 30 min/);
+
+        await zed.chat.selectRoom('VIP');
+        assert.equal(zed.chat.currentRoom, 'Lobby');
+        const result = await zed.window.FirebaseChat.canJoinRoom('VIP');
+        assert.equal(result.ok, false);
+    });
+
+    it('refuses messages from someone banned while inside', async () => {
+        const zed = await open();
+        await db.ref(`moderation/bans/Lobby/${zed.chat.userId}`).set({ until: Date.now() + 60000, by: 'mod' });
+        const sent = await zed.window.FirebaseChat.sendMessage('still here');
+        assert.equal(sent.ok, false);
+        assert.match(sent.reason, /banned from Lobby/);
+    });
+
+    it('ignores old kicks when rejoining', async () => {
+        await db.ref('moderation/kicks/VIP/someone').set({ by: 'mod', at: 1 });
+        const zed = await open();
+        await db.ref(`moderation/kicks/VIP/${zed.chat.userId}`).set({ by: 'mod', at: 1 });
+        await zed.chat.selectRoom('VIP');
+        await nextTick(10);
+        assert.equal(zed.chat.currentRoom, 'VIP');
+    });
+
+    it('only lets moderators kick', async () => {
+        const amy = await open();
+        assert.deepEqual(plain(await amy.chat.transport.kickUser('Lobby', 'user_zed')), { ok: false, reason: 'Only moderators can do that.' });
+    });
+
+    it('queues reports', async () => {
+        const amy = await open();
+        await amy.chat.transport.reportMessage({ room: 'Lobby', messageId: 'm1', reason: 'rude' });
+        const reports = (await db.ref('moderation/reports').once('value')).val();
+        const [report] = Object.values(reports);
+        assert.equal(report.reason, 'rude');
+        assert.ok(report.at);
+    });
+});
+
+describe('chat server moderation', () => {
+    const modId = 'user_00000000000000aa';
+    const modSecret = '0'.repeat(30) + 'aa';
+    const zedId = 'user_00000000000000bb';
+    const zedSecret = '0'.repeat(30) + 'bb';
+    let chatServer;
+    let port;
+    let mod;
+    let zed;
+
+    // Presence updates are roomSnapshots too; the one answering a join carries the room's messages
+    const joined = async (client) => {
+        let snapshot = await client.next('roomSnapshot');
+        while (!Array.isArray(snapshot.messages)) {
+            snapshot = await client.next('roomSnapshot');
+        }
+        return snapshot;
+    };
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, moderators: [`${modId}:${hashSecret(modSecret)}`] });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        port = chatServer.wss.address().port;
+        mod = connect(port, `userId=${modId}&secret=${modSecret}&username=Mod&room=VIP`);
+        zed = connect(port, `userId=${zedId}&secret=${zedSecret}&username=Zed&room=VIP`);
+    });
+
+    after(async () => {
+        mod.close();
+        zed.close();
+        await chatServer.close();
+    });
+
+    it('tells moderators about their role', async () => {
+        assert.equal((await mod.next('welcome')).user.moderator, true);
+        const welcome = await zed.next('welcome');
+        assert.equal(welcome.user.moderator, false);
+        assert.ok(welcome.onlineUsers.every((user) => !('moderator' in user)));
+    });
+
+    it('only gives a moderator\'s userId to the pinned secret', async () => {
+        const server = createChatServer({ port: 0, moderators: [`${modId}:${hashSecret(modSecret)}`, zedId] });
+        await new Promise((resolve) => server.wss.on('listening', resolve));
+        const impostor = connect(server.wss.address().port, `userId=${modId}&secret=${'f'.repeat(32)}&username=Mod`);
+        const { user } = await impostor.next('welcome');
+        assert.notEqual(user.id, modId);
+        assert.equal(user.moderator, false);
+
+        const unpinned = connect(server.wss.address().port, `userId=${zedId}&secret=${zedSecret}&username=Zed`);
+        assert.equal((await unpinned.next('welcome')).user.moderator, false);
+        impostor.close();
+        unpinned.close();
+        await server.close();
+    });
+
+    it('files reports from its own copy of the message', async () => {
+        zed.send({ type: 'message', content: 'buy cheap shapes' });
+        const { message: posted } = await mod.next('newMessage');
+        mod.send({ type: 'report', requestId: 'r1', report: { room: 'VIP', messageId: posted.messageId, content: 'forged', reason: 'spam' } });
+        assert.equal((await mod.next('moderationResult')).ok, true);
+        const report = chatServer.reports[chatServer.reports.length - 1];
+        assert.equal(report.content, 'buy cheap shapes');
+        assert.equal(report.reportedUserId, zedId);
+        assert.equal(report.reporterId, modId);
+
+        mod.send({ type: 'report', requestId: 'r2', report: { room: 'VIP', messageId: 'msg_missing' } });
+        assert.equal((await mod.next('moderationResult')).ok, false);
+    });
+
+    it('lets moderators delete anyone\'s message', async () => {
+        zed.send({ type: 'message', content: 'delete me' });
+        const { message: posted } = await mod.next('newMessage');
+        mod.send({ type: 'delete', messageId: posted.messageId });
+        const { message: changed } = await zed.next('messageChanged');
+        assert.equal(changed.deleted, true);
+    });
+
+    it('refuses moderation from everyone else', async () => {
+        zed.send({ type: 'kick', requestId: 'k0', room: 'VIP', userId: modId });
+        assert.deepEqual(await zed.next('moderationResult'), { type: 'moderationResult', requestId: 'k0', ok: false, reason: 'Only moderators can do that.' });
+    });
+
+    it('kicks every tab of a user out of the room', async () => {
+        const zedTab = connect(port, `userId=${zedId}&secret=${zedSecret}&username=Zed&room=VIP`);
+        await zedTab.next('welcome');
+        mod.send({ type: 'kick', requestId: 'k1', room: 'VIP', userId: zedId });
+        assert.equal((await mod.next('moderationResult')).ok, true);
+        assert.equal((await zed.next('removed')).reason, 'A moderator removed you from VIP.');
+        assert.equal((await zedTab.next('removed')).room, 'VIP');
+        zedTab.close();
+        assert.ok(!Array.from(chatServer.rooms.get('VIP').users.values()).some((client) => client.id === zedId));
+    });
+
+    it('keeps banned users out until the ban runs out', async () => {
+        zed.send({ type: 'join', room: 'VIP' });
+        await joined(zed);
+        mod.send({ type: 'ban', requestId: 'b1', room: 'VIP', userId: zedId, minutes: 5 });
+        await mod.next('moderationResult');
+        assert.match((await zed.next('removed')).reason, /banned from VIP for another 5 min/);
+
+        zed.send({ type: 'join', room: 'VIP' });
+        assert.match((await zed.next('joinError')).reason, /banned from VIP/);
+
+        chatServer.bans.get('VIP').get(zedId).until = Date.now() - 1;
+        zed.send({ type: 'join', room: 'VIP' });
+        assert.equal((await joined(zed)).room, 'VIP');
+        assert.equal(chatServer.bans.has('VIP'), false);
+    });
+
+    it('still welcomes someone banned from Lobby when they reconnect', async () => {
+        const ban = async (room, requestId) => {
+            mod.send({ type: 'ban', requestId, room, userId: zedId, minutes: 5 });
+            assert.equal((await mod.next('moderationResult')).ok, true);
+        };
+        await ban('Lobby', 'b2');
+        const back = connect(port, `userId=${zedId}&secret=${zedSecret}&username=Zed&room=Lobby`);
+        assert.match((await back.next('joinError')).reason, /banned from Lobby/);
+        assert.equal((await back.next('welcome')).room, 'ShapeTalk');
+        back.close();
+
+        await ban('ShapeTalk', 'b3');
+        await ban('VIP', 'b4');
+        const nowhere = connect(port, `userId=${zedId}&secret=${zedSecret}&username=Zed&room=Lobby`);
+        await nowhere.next('joinError');
+        const welcome = await nowhere.next('welcome');
+        assert.equal(welcome.room, null);
+        assert.match(welcome.reason, /banned from Lobby/);
+        nowhere.send({ type: 'message', content: 'anyone?', clientId: 'out_00000001' });
+        assert.equal((await nowhere.next('error')).message, 'You are not in a room.');
+        nowhere.close();
+        ['Lobby', 'ShapeTalk', 'VIP'].forEach((room) => chatServer.bans.delete(room));
+    });
+});
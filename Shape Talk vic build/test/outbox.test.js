@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Outbox = require('../js/outbox.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, FakeFirebase } = require('./helpers/load-app');
+
+describe('Outbox', () => {
+    it('backs off between attempts up to a ceiling', () => {
+        assert.equal(Outbox.getRetryDelay(1), Outbox.baseRetryMs);
+        assert.equal(Outbox.getRetryDelay(3), Outbox.baseRetryMs * 4);
+        assert.equal(Outbox.getRetryDelay(50), Outbox.maxRetryMs);
+    });
+
+    it('mints clientIds the backends accept', () => {
+        const clientId = Outbox.createClientId();
+        assert.ok(Outbox.isClientId(clientId));
+        assert.notEqual(Outbox.createClientId(), clientId);
+        assert.equal(Outbox.isClientId('out_../../x'), false);
+        assert.equal(Outbox.isClientId(42), false);
+    });
+
+    it('keeps entries in memory without IndexedDB', async () => {
+        const entry = { ...Outbox.createEntry('Lobby', { content: 'hi' }), retryTimer: 7 };
+        await Outbox.save(entry);
+        const [stored] = await Outbox.loadAll();
+        assert.equal(stored.content, 'hi');
+        assert.equal(stored.retryTimer, undefined);
+        await Outbox.remove(entry.clientId);
+        assert.deepEqual(await Outbox.loadAll(), []);
+    });
+});
+
+describe('Chat outbox', () => {
+    let app;
+    let chat;
+    let window;
+    let Outbox;
+
+    const type = async (text) => {
+        chat.messageInput.value = text;
+        await chat.sendMessage();
+    };
+    const pending = () => Array.from(chat.chatMessages.querySelectorAll('.message.pending'));
+    const stored = async () => Outbox.loadAll();
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+        Outbox = window.eval('Outbox');
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        mock.method(window, 'setTimeout', () => 0);
+        chat.rateLimits = {};
+        for (const clientId of Object.keys(chat.outbox)) {
+            await chat.forgetOutboxEntry(clientId);
+        }
+    });
+
+    it('delivers and lets go of the message', async () => {
+        await type('straight through');
+        assert.equal(pending().length, 0);
+        assert.deepEqual(await stored(), []);
+        const message = Object.values(chat.messageCache).find((entry) => entry.content === 'straight through');
+        assert.ok(Outbox.isClientId(message.clientId));
+    });
+
+    it('shows an unsent message as pending and keeps it for a resend', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        await type('into the void');
+        assert.equal(chat.messageInput.value, '');
+        const [element] = pending();
+        assert.match(element.textContent, /into the void/);
+        assert.match(element.textContent, /Waiting to resend/);
+        const [entry] = await stored();
+        assert.equal(entry.content, 'into the void');
+        assert.equal(entry.attempts, 1);
+        assert.equal(window.setTimeout.mock.calls.at(-1).arguments[1], Outbox.getRetryDelay(1));
+
+        chat.transport.sendMessage.mock.restore();
+        await chat.deliverOutboxEntry(chat.outbox[entry.clientId]);
+        assert.equal(pending().length, 0);
+        assert.deepEqual(await stored(), []);
+        assert.match(chat.chatMessages.lastElementChild.textContent, /into the void/);
+    });
+
+    it('gives up after the last attempt and offers retry or discard', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        await type('never');
+        const entry = Object.values(chat.outbox)[0];
+        while (entry.status !== 'failed') {
+            await chat.deliverOutboxEntry(entry);
+        }
+        assert.equal(entry.attempts, Outbox.maxAttempts);
+        assert.match(pending()[0].textContent, /Not sent/);
+
+        chat.transport.sendMessage.mock.mockImplementation(async () => true);
+        pending()[0].querySelector('[data-outbox-action="retry"]').click();
+        await nextTick(10);
+        assert.equal(chat.transport.sendMessage.mock.calls.at(-1).arguments[3].resend, false);
+        assert.equal(pending().length, 0);
+    });
+
+    it('shows refusals on the message and discards on request', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => ({ ok: false, reason: 'You are banned from Lobby for another 5 min.' }));
+        await type('let me in');
+        const [element] = pending();
+        assert.ok(element.classList.contains('failed'));
+        assert.match(element.textContent, /banned from Lobby/);
+
+        element.querySelector('[data-outbox-action="discard"]').click();
+        await nextTick(10);
+        assert.equal(pending().length, 0);
+        assert.deepEqual(await stored(), []);
+    });
+
+    it('keeps pending messages below confirmed ones', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        await type('stuck');
+        chat.addMessage({ messageId: 'other_1', userId: 'user_ffffffffffffffff', username: 'Zed', content: 'meanwhile', timestamp: Date.now() });
+        assert.ok(chat.chatMessages.lastElementChild.classList.contains('pending'));
+    });
+
+    it('drops the pending copy when the backend echo arrives', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        await type('echo me');
+        const entry = Object.values(chat.outbox)[0];
+        chat.addMessage({ messageId: 'srv_1', userId: chat.userId, username: chat.username, content: 'echo me', clientId: entry.clientId });
+        await nextTick(10);
+        assert.equal(pending().length, 0);
+        assert.deepEqual(await stored(), []);
+    });
+
+    it('waits for the room the message was written in', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        await type('for the lobby');
+        await chat.selectRoom('VIP');
+        assert.equal(pending().length, 0);
+
+        chat.transport.sendMessage.mock.restore();
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await chat.selectRoom('Lobby');
+        await nextTick(10);
+        assert.equal(sendMessage.mock.callCount(), 1);
+        assert.equal(sendMessage.mock.calls[0].arguments[3].resend, true);
+        assert.equal(pending().length, 0);
+    });
+});
+
+describe('Outbox across reloads', () => {
+    it('resends what the last page could not', async () => {
+        const first = loadApp();
+        mock.method(first.chat.transport, 'sendMessage', async () => false);
+        first.chat.messageInput.value = 'from before the refresh';
+        await first.chat.sendMessage();
+        await first.close();
+
+        const second = loadApp({ indexedDB: first.indexedDB });
+        const resent = () => Object.values(second.chat.messageCache).filter((message) => message.content === 'from before the refresh');
+        // The outbox is restored from IndexedDB after init
+        for (let i = 0; i < 50 && !resent().length; i += 1) {
+            await nextTick(10);
+        }
+        await nextTick(20);
+        assert.equal(resent().length, 1);
+        assert.deepEqual(await second.window.eval('Outbox').loadAll(), []);
+        await second.close();
+    });
+});
+
+describe('Outbox de-duplication', () => {
+    it('stores a clientId once in the memory transport', async () => {
+        const app = loadApp();
+        const { transport } = app.chat;
+        assert.equal(await transport.sendMessage('once', null, null, { clientId: 'out_abc' }), true);
+        assert.equal(await transport.sendMessage('once', null, null, { clientId: 'out_abc', resend: true }), true);
+        assert.equal(transport.getRoom('Lobby').messages.filter((message) => message.clientId === 'out_abc').length, 1);
+        await app.close();
+    });
+
+    it('checks Firebase for an earlier attempt before resending', async () => {
+        const backend = FakeFirebase.createBackend();
+        const db = FakeFirebase.createNamespace(backend).database();
+        const app = loadApp({ backend });
+        await nextTick(10);
+        const { FirebaseChat } = app.window;
+        assert.equal(await FirebaseChat.sendMessage('once', null, null, { clientId: 'out_abc' }), true);
+        assert.equal(await FirebaseChat.sendMessage('once', null, null, { clientId: 'out_abc', resend: true }), true);
+        const messages = Object.values((await db.ref('rooms/Lobby/messages').once('value')).val());
+        assert.deepEqual(messages.map((message) => message.clientId), ['out_abc']);
+        await app.close();
+    });
+
+    it('settles WebSocket sends on the echo or the refusal', async () => {
+        const app = loadApp();
+        const transport = app.window.eval('WebSocketTransport');
+        transport.chat = app.chat;
+        transport.ws = { readyState: app.window.WebSocket.OPEN, send() {} };
+
+        const delivered = transport.sendMessage('hi', null, null, { clientId: 'out_one' });
+        transport.handleMessage({ type: 'newMessage', message: { messageId: 'm1', content: 'hi', clientId: 'out_one' } });
+        assert.equal(await delivered, true);
+
+        const refused = transport.sendMessage('hi', null, null, { clientId: 'out_two' });
+        transport.handleMessage({ type: 'error', message: 'Slow down.', clientId: 'out_two' });
+        assert.equal((await refused).reason, 'Slow down.');
+        transport.ws = null;
+        await app.close();
+    });
+});
+
+describe('chat server outbox resends', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('echoes a repeated clientId without storing it again', async () => {
+        amy.send({ type: 'message', content: 'hello', clientId: 'out_repeat' });
+        const first = (await amy.next('newMessage')).message;
+        amy.send({ type: 'message', content: 'hello', clientId: 'out_repeat' });
+        const second = (await amy.next('newMessage')).message;
+        assert.equal(second.messageId, first.messageId);
+        assert.equal(chatServer.rooms.get('Lobby').messages.filter((message) => message.clientId === 'out_repeat').length, 1);
+    });
+
+    it('tags refusals with the clientId', async () => {
+        amy.send({ type: 'message', content: 'hello', clientId: 'out_dupe' });
+        assert.equal((await amy.next('error')).clientId, 'out_dupe');
+    });
+});
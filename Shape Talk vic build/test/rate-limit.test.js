@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimit = require('../js/rate-limit.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, FakeFirebase } = require('./helpers/load-app');
+
+describe('RateLimit', () => {
+    const send = (state, content, now) => RateLimit.take(state, { content }, now);
+
+    it('allows a burst, then one message per refill', () => {
+        const state = RateLimit.createState(0);
+        for (let i = 0; i < RateLimit.defaults.capacity; i += 1) {
+            assert.equal(send(state, `m${i}`, 0).ok, true);
+        }
+        const refused = send(state, 'one more', 0);
+        assert.equal(refused.ok, false);
+        assert.equal(refused.reason, "You're sending too fast. Wait 5s before the next message.");
+        assert.equal(send(state, 'later', 5000).ok, true);
+    });
+
+    it('doubles the slowdown for repeat offenders and forgives quiet users', () => {
+        const state = RateLimit.createState(0);
+        const flood = (start) => {
+            let result = null;
+            for (let i = 0; i <= RateLimit.defaults.capacity; i += 1) {
+                result = send(state, `m${start}_${i}`, start);
+            }
+            return result;
+        };
+        assert.equal(flood(0).retryInMs, 5000);
+        assert.equal(flood(5000).retryInMs, 10000);
+        assert.match(send(state, 'still?', 6000).reason, /^Slow down\. You can send again in 9s\.$/);
+        assert.equal(flood(15000 + RateLimit.defaults.strikeResetMs).retryInMs, 5000);
+    });
+
+    it('refuses a repeat of a recent message', () => {
+        const state = RateLimit.createState(0);
+        assert.equal(send(state, 'Hello  there', 0).ok, true);
+        assert.equal(send(state, 'hello there', 2000).reason, 'You just sent that. Say something new.');
+        assert.equal(send(state, 'hello there', RateLimit.defaults.duplicateWindowMs + 1).ok, true);
+    });
+
+    it('tells drawings apart and caps their size', () => {
+        const state = RateLimit.createState(0);
+        assert.equal(RateLimit.take(state, { content: '', drawing: 'data:image/png;base64,AAA' }, 0).ok, true);
+        assert.equal(RateLimit.take(state, { content: '', drawing: 'data:image/png;base64,AAB' }, 0).ok, true);
+        assert.equal(RateLimit.take(state, { content: '', drawing: 'data:image/png;base64,AAB' }, 0).ok, false);
+        const huge = `data:image/png;base64,${'A'.repeat(RateLimit.defaults.maxDrawingLength)}`;
+        assert.equal(RateLimit.take(state, { content: '', drawing: huge }, 0).reason, 'That drawing is too big to send. Try a simpler one.');
+    });
+});
+
+describe('Chat send throttling', () => {
+    let app;
+    let chat;
+    let window;
+
+    const type = async (text) => {
+        chat.messageInput.value = text;
+        await chat.sendMessage();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+    });
+
+    it('explains the wait and keeps the draft', async () => {
+        mock.method(window.Date, 'now', () => 7_000_000);
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        for (let i = 0; i < RateLimit.defaults.capacity; i += 1) {
+            await type(`message ${i}`);
+        }
+        await type('flood');
+        assert.equal(sendMessage.mock.callCount(), RateLimit.defaults.capacity);
+        assert.equal(chat.messageInput.value, 'flood');
+        assert.match(chat.chatMessages.lastElementChild.textContent, /sending too fast\. Wait 5s/);
+    });
+
+    it('keeps a separate bucket for each room', async () => {
+        mock.method(window.Date, 'now', () => 8_000_000);
+        await type('same words');
+        await type('same words');
+        assert.match(chat.chatMessages.lastElementChild.textContent, /You just sent that/);
+
+        await chat.selectRoom(chat.currentRoom === 'VIP' ? 'Lobby' : 'VIP');
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await type('same words');
+        assert.equal(sendMessage.mock.callCount(), 1);
+    });
+
+    it('does not count slash commands', async () => {
+        const checkRateLimit = mock.method(chat, 'checkRateLimit');
+        await type('/myunc');
+        assert.equal(checkRateLimit.mock.callCount(), 0);
+    });
+});
+
+describe('Firebase send stamps', () => {
+    it('writes posts/<userId> with every message', async () => {
+        const backend = FakeFirebase.createBackend();
+        const db = FakeFirebase.createNamespace(backend).database();
+        const app = loadApp({ backend });
+        await nextTick(10);
+        app.chat.messageInput.value = 'stamped';
+        await app.chat.sendMessage();
+
+        const room = (await db.ref('rooms/Lobby').once('value')).val();
+        const [message] = Object.values(room.messages);
+        assert.equal(message.content, 'stamped');
+        assert.equal(room.posts[app.chat.userId], message.timestamp);
+        await app.close();
+    });
+});
+
+describe('chat server flood protection', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0 });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('refuses repeats', async () => {
+        amy.send({ type: 'message', content: 'echo' });
+        await amy.next('newMessage');
+        amy.send({ type: 'message', content: 'echo' });
+        assert.equal((await amy.next('error')).message, 'You just sent that. Say something new.');
+    });
+
+    it('stops a flood after a little more burst than the client allows', async () => {
+        const burst = RateLimit.defaults.capacity + 2;
+        for (let i = 0; i < burst + 1; i += 1) {
+            amy.send({ type: 'message', content: `flood ${i}` });
+        }
+        assert.match((await amy.next('error')).message, /sending too fast/);
+        const stored = chatServer.rooms.get('Lobby').messages.filter((message) => message.content.startsWith('flood'));
+        // One token went on the 'echo' message above
+        assert.equal(stored.length, burst - 1);
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('RichText', () => {
+    let app;
+    let RichText;
+    // Plain runs come back escaped and marked, so the tests can see which text reached renderText
+    const render = (text) => RichText.render(text, (run) => `[${RichText.escape(run)}]`);
+
+    before(() => {
+        app = loadApp();
+        RichText = app.window.eval('RichText');
+    });
+
+    after(() => app.close());
+
+    it('formats bold, italic, code and spoilers, nested where it makes sense', () => {
+        assert.equal(render('**big** and *small*'), '<strong>[big]</strong>[ and ]<em>[small]</em>');
+        assert.equal(render('_soft_ but snake_case_name and 2 * 3 * 4'), '<em>[soft]</em>[ but snake_case_name and 2 * 3 * 4]');
+        assert.equal(render('¯\\_(ツ)_/¯'), '[¯\\_(ツ)_/¯]');
+        assert.equal(render('run `**not bold** <b>`'), '[run ]<code class="message-code">**not bold** &lt;b&gt;</code>');
+        assert.equal(render('||**secret**||'), '<span class="spoiler" title="Click to reveal"><strong>[secret]</strong></span>');
+        assert.equal(render('** nope **'), '[** nope **]');
+    });
+
+    it('turns > lines into quote blocks', () => {
+        assert.equal(render('> said this\n> and this\nreply'), '<blockquote class="message-quote">[said this]\n[and this]</blockquote>\n[reply]');
+        assert.equal(render('>_< ouch'), '[&gt;_&lt; ouch]');
+    });
+
+    it('links http and www addresses without trailing punctuation', () => {
+        assert.equal(render('see https://example.com/a?b=1&c=2.'),
+            '[see ]<a class="message-link" href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer nofollow">https://example.com/a?b=1&amp;c=2</a>[.]');
+        assert.match(render('(www.example.com)'), /^\[\(\]<a class="message-link" href="https:\/\/www\.example\.com\/"[^>]*>www\.example\.com<\/a>\[\)\]$/);
+        assert.match(render('https://en.wikipedia.org/wiki/Cube_(film)'), /href="https:\/\/en\.wikipedia\.org\/wiki\/Cube_\(film\)"/);
+        assert.equal(render('javascript:alert(1) and http://"onmouseover="x'), '[javascript:alert(1) and http://&quot;onmouseover=&quot;x]');
+    });
+
+    it('marks links to listed pages so the chat can open them in the Internet app', () => {
+        assert.equal(render('go to Dbay.html!'), '[go to ]<a class="message-link message-link-local" href="../Dbay.html" data-shape-link="dbay.html">Dbay.html</a>[!]');
+        assert.equal(render('https://amibeingwatched.com'), '<a class="message-link message-link-local" href="#" data-shape-link="amibeingwatched.com">https://amibeingwatched.com</a>');
+        assert.equal(render('notshapestore.html'), '[notshapestore.html]');
+        assert.deepEqual(Array.from(RichText.getPreviewPages('shapestore.html `dbay.html` ||bird.html|| shapestore.html blog.html games.html'), (page) => page.url),
+            ['shapestore.html', 'blog.html']);
+    });
+
+    it('leaves pages that only exist in the Internet app unlinked when there is no ShapeOS', () => {
+        const shapeOS = app.window.ShapeOS;
+        app.window.ShapeOS = undefined;
+        try {
+            assert.equal(render('see amibeingwatched.com'), '[see ][amibeingwatched.com]');
+            assert.match(render('https://amibeingwatched.com'), /^<a class="message-link" href="https:\/\/amibeingwatched\.com\/" target="_blank"/);
+            assert.deepEqual(Array.from(RichText.getPreviewPages('amibeingwatched.com dbay.html'), (page) => page.url), ['dbay.html']);
+        } finally {
+            app.window.ShapeOS = shapeOS;
+        }
+    });
+});
+
+describe('Chat rich messages', () => {
+    let app;
+    let chat;
+    let window;
+    let sequence = 0;
+
+    const receive = (content) => {
+        chat.addMessage({ messageId: `rich_${++sequence}`, userId: 'user_zed', username: 'Zed', mood: ':happy:', content, timestamp: Date.now() });
+        return Array.from(chat.chatMessages.querySelectorAll('.message')).at(-1);
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        await chat.selectRoom('Lobby');
+    });
+
+    it('renders formatting around mentions and emojis without letting markup through', () => {
+        const message = receive(`**hey @${chat.username}** :happy: <img src=x onerror=alert(1)>`);
+        const bold = message.querySelector('.message-content strong');
+        assert.ok(bold.querySelector('.mention.mention-self'));
+        assert.ok(message.querySelector('.message-content img.emoji'));
+        assert.equal(message.querySelector('.message-content img:not(.emoji)'), null);
+        assert.match(message.querySelector('.message-content').textContent, /<img src=x onerror=alert\(1\)>/);
+    });
+
+    it('shows a preview card for listed pages and opens them in the Internet app', () => {
+        const message = receive('new drop on shapestore.html and https://example.com');
+        const cards = Array.from(message.querySelectorAll('.link-preview'));
+        assert.equal(cards.length, 1);
+        assert.match(cards[0].textContent, /The Shape Store/);
+        assert.equal(cards[0].querySelector('.link-preview-image').getAttribute('src'), '../logoshapestore.png');
+        assert.equal(message.querySelector('.message-link:not(.message-link-local)').getAttribute('target'), '_blank');
+
+        window.ShapeOS.internetUnblocked = true;
+        const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+        cards[0].dispatchEvent(click);
+        assert.ok(click.defaultPrevented, 'the chat page stays put');
+        const frame = window.document.querySelector('.app-browser .browser-frame');
+        assert.equal(frame.getAttribute('src'), '../shapestore.html');
+        assert.equal(window.document.querySelector('.app-browser .browser-url-input').value, 'shapestore.html');
+
+        message.querySelector('.message-link-local').click();
+        assert.equal(window.document.querySelectorAll('.app-browser').length, 1);
+    });
+
+    it('reveals a spoiler on the first click instead of following its link', () => {
+        const message = receive('||ending is on dbay.html||');
+        const spoiler = message.querySelector('.spoiler');
+        const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+        spoiler.querySelector('a').dispatchEvent(click);
+        assert.ok(click.defaultPrevented);
+        assert.ok(spoiler.classList.contains('revealed'));
+        assert.equal(message.querySelector('.link-preview'), null, 'a card would give the spoiler away');
+    });
+});
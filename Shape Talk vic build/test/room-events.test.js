@@ -0,0 +1,259 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomConfigs = require('../js/room-configs.js');
+const RoomEvents = require('../js/room-events.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp } = require('./helpers/load-app');
+
+const DRAWING = 'strokes:2|100,100|p#000000/4:1,1,2,2';
+// Saturday 17 October 2026, in UTC
+const saturdayAt = (hours, minutes = 0) => Date.UTC(2026, 9, 17, hours, minutes);
+// Runs back to back, so it is on whenever the test happens to run
+const allDay = (mode, name = 'Test Hour') => [{ name, mode, start: '00:00', minutes: 24 * 60 }];
+
+describe('RoomEvents', () => {
+    const lobby = RoomConfigs.schedules.Lobby;
+
+    it('finds the running and the next event from a weekly schedule', () => {
+        const active = RoomEvents.getActive(lobby, saturdayAt(18, 30));
+        assert.equal(active.name, 'Doodle Hour');
+        assert.equal(active.startsAt, saturdayAt(18));
+        assert.equal(active.endsAt, saturdayAt(19));
+        assert.equal(RoomEvents.getActive(lobby, saturdayAt(19)), null);
+        assert.equal(RoomEvents.getNext(lobby, saturdayAt(19)).name, 'Slow Sunday');
+        assert.equal(RoomEvents.getNext(lobby, saturdayAt(19)).startsAt, Date.UTC(2026, 9, 18, 15));
+    });
+
+    it('keeps events that run past midnight and skips broken entries', () => {
+        const schedule = [
+            { name: 'Late Doodles', mode: 'draw_only', days: [6], start: '23:30', minutes: 60 },
+            { name: 'Broken', mode: 'shouting', start: '00:00', minutes: 60 },
+            { name: 'Broken', mode: 'slow', start: '25:00', minutes: 60 }
+        ];
+        assert.equal(RoomEvents.getActive(schedule, Date.UTC(2026, 9, 18, 0, 15)).name, 'Late Doodles');
+        assert.equal(RoomEvents.getActive(schedule, Date.UTC(2026, 9, 18, 0, 30)), null);
+        assert.equal(RoomEvents.getNext(schedule, Date.UTC(2026, 9, 18, 0, 30)).startsAt, Date.UTC(2026, 9, 24, 23, 30));
+        assert.equal(RoomEvents.getActive(null, saturdayAt(12)), null);
+    });
+
+    it('holds messages to the event mode', () => {
+        const refusal = (mode, message) => RoomEvents.getRefusal({ name: 'Test Hour', mode }, message);
+        assert.equal(refusal('draw_only', { content: 'hi' }), 'Test Hour is on. Only drawings until it ends.');
+        assert.equal(refusal('draw_only', { content: 'hi', drawing: DRAWING }), null);
+        assert.equal(refusal('one_word', { content: 'two words' }), 'Test Hour is on. One word per message.');
+        assert.equal(refusal('one_word', { content: ' once ' }), null);
+        assert.equal(refusal('all_caps', { content: 'quiet please' }), 'Test Hour is on. TYPE IN ALL CAPS.');
+        assert.equal(refusal('all_caps', { content: 'LOUD :happy: 123!' }), null);
+        assert.equal(refusal('all_caps', { content: '2d6', kind: 'roll' }), null);
+        assert.equal(refusal('slow', { content: 'anything at all' }), null);
+        assert.equal(RoomEvents.getRefusal(null, { content: 'anything' }), null);
+    });
+
+    it('spaces out messages in slow mode and formats countdowns', () => {
+        const slow = { name: 'Slow Sunday', mode: 'slow' };
+        assert.equal(RoomEvents.getSlowModeWait(slow, 1000, 21000), 10000);
+        assert.equal(RoomEvents.getSlowModeWait(slow, 1000, 31000), 0);
+        assert.equal(RoomEvents.getSlowModeWait(slow, 0, 1000), 0);
+        assert.equal(RoomEvents.getSlowModeWait({ name: 'Loud', mode: 'all_caps' }, 1000, 2000), 0);
+        assert.equal(RoomEvents.getSlowModeRefusal(slow, 9001), 'Slow Sunday is on. You can send again in 10s.');
+        assert.equal(RoomEvents.formatCountdown(65000), '1:05');
+        assert.equal(RoomEvents.formatCountdown(3723000), '1:02:03');
+    });
+
+    it('writes a schedule as lines for the room editor and reads them back', () => {
+        const text = RoomEvents.formatSchedule(lobby);
+        assert.equal(text.split('\n')[0], 'Sat 18:00 60 draw_only Doodle Hour');
+        assert.deepEqual(RoomEvents.parseSchedule(text), { ok: true, schedule: lobby });
+        assert.deepEqual(RoomEvents.parseSchedule(' daily 00:00 1440 slow Slow  Day \n\n'), {
+            ok: true,
+            schedule: [{ name: 'Slow  Day', mode: 'slow', start: '00:00', minutes: 1440 }]
+        });
+        assert.equal(RoomEvents.parseSchedule('Sat 18:00 draw_only Doodle Hour').ok, false);
+        assert.equal(RoomEvents.parseSchedule('Someday 18:00 60 draw_only Doodle Hour').ok, false);
+        assert.equal(RoomEvents.formatSchedule(null), '');
+        assert.deepEqual(RoomConfigs.eventModes, Object.keys(RoomEvents.modes));
+    });
+
+    it('keeps themed hours off until a deployment switches them on', () => {
+        assert.equal(RoomConfigs.get('Lobby').schedule, null);
+        const rooms = RoomConfigs.withSchedules();
+        assert.equal(rooms.Lobby.schedule, lobby);
+        assert.equal(rooms.VIP.schedule, undefined);
+        assert.equal(RoomConfigs.rooms.Lobby.schedule, undefined);
+    });
+});
+
+describe('Chat room events', () => {
+    let app;
+    let chat;
+    let bar;
+
+    const lastSystemMessage = () => Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent.trim();
+    const type = async (text) => {
+        chat.messageInput.value = text;
+        await chat.sendMessage();
+    };
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        bar = app.window.document.getElementById('roomEventBar');
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+        chat.lastSentAt = {};
+        chat.roomConfigs.Lobby.schedule = null;
+        chat.renderRoomEvent();
+    });
+
+    it('counts down to the next event and through the running one', () => {
+        chat.roomConfigs.Lobby.schedule = RoomConfigs.schedules.Lobby;
+        chat.renderRoomEvent(saturdayAt(16));
+        assert.equal(bar.hidden, true);
+
+        chat.renderRoomEvent(saturdayAt(17, 45));
+        assert.equal(bar.hidden, false);
+        assert.equal(bar.dataset.state, 'upcoming');
+        assert.equal(bar.textContent.replace(/\s+/g, ' ').trim(), '🎨 Doodle Hour Drawings only starts in 15:00');
+
+        chat.renderRoomEvent(saturdayAt(18, 20));
+        assert.equal(bar.dataset.state, 'active');
+        assert.equal(bar.querySelector('.room-event-countdown').textContent, 'ends in 40:00');
+        assert.equal(lastSystemMessage(), '★ Doodle Hour has started: Drawings only for the next 60 minutes.');
+
+        chat.renderRoomEvent(saturdayAt(19));
+        assert.equal(bar.hidden, true);
+        assert.equal(lastSystemMessage(), '★ Doodle Hour is over.');
+    });
+
+    it('enforces the running event when sending and editing', async () => {
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        chat.roomConfigs.Lobby.schedule = allDay('one_word');
+        chat.renderRoomEvent();
+        await type('two words');
+        assert.equal(sendMessage.mock.callCount(), 0);
+        assert.equal(lastSystemMessage(), '★ Test Hour is on. One word per message.');
+        assert.equal(chat.messageInput.value, 'two words');
+
+        await type('hello');
+        assert.equal(sendMessage.mock.callCount(), 1);
+
+        chat.roomConfigs.Lobby.schedule = allDay('all_caps');
+        assert.equal(chat.getRoomModeRefusal({ content: 'quiet edit' }), 'Test Hour is on. TYPE IN ALL CAPS.');
+    });
+
+    it('lets one message through every 30 seconds in slow mode', async () => {
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        chat.roomConfigs.Lobby.schedule = allDay('slow', 'Slow Hour');
+        await type('first');
+        await type('second');
+        assert.equal(sendMessage.mock.callCount(), 1);
+        assert.equal(lastSystemMessage(), '★ Slow Hour is on. You can send again in 30s.');
+
+        chat.lastSentAt.Lobby -= RoomEvents.slowModeMs;
+        await type('second');
+        assert.equal(sendMessage.mock.callCount(), 2);
+    });
+
+    it('keeps events out of DMs', () => {
+        chat.roomConfigs.Lobby.schedule = allDay('draw_only');
+        assert.equal(chat.getRoomEvent('DM:user_a|user_b'), null);
+        assert.ok(chat.getRoomEvent('Lobby'));
+    });
+
+    it('takes the themed hours when the page switches them on', () => {
+        const scheduled = loadApp({ beforeInit: (page) => { page.SHAPETALK_ROOM_EVENTS = true; } });
+        try {
+            assert.equal(scheduled.chat.getRoomConfig('Lobby').schedule, scheduled.window.eval('RoomConfigs').schedules.Lobby);
+            assert.equal(scheduled.chat.getRoomConfig('Somewhere').schedule, null);
+        } finally {
+            scheduled.close();
+        }
+    });
+});
+
+describe('chat server room events', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        const schedules = { Lobby: allDay('all_caps', 'Loud Hour'), VIP: allDay('slow', 'Slow Hour') };
+        const roomConfigs = { get: (roomName) => ({ ...RoomConfigs.get(roomName), schedule: schedules[roomName] || null }) };
+        chatServer = createChatServer({ port: 0, rateLimits: null, roomConfigs });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy');
+        await amy.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('refuses messages and edits that break the running event', async () => {
+        amy.send({ type: 'message', content: 'quiet please' });
+        assert.equal((await amy.next('error')).message, 'Loud Hour is on. TYPE IN ALL CAPS.');
+        amy.send({ type: 'message', content: 'HELLO :happy:' });
+        const { message } = await amy.next('newMessage');
+        assert.equal(message.content, 'HELLO :happy:');
+
+        amy.send({ type: 'edit', messageId: message.messageId, content: 'hello' });
+        assert.equal((await amy.next('error')).message, 'Loud Hour is on. TYPE IN ALL CAPS.');
+        assert.equal(chatServer.rooms.get('Lobby').messages.at(-1).content, 'HELLO :happy:');
+    });
+
+    it('holds each user to one message per 30 seconds in slow mode', async () => {
+        amy.send({ type: 'join', room: 'VIP' });
+        for (;;) {
+            const data = await amy.next('roomSnapshot');
+            if (data.room === 'VIP' && data.messages) break;
+        }
+        amy.send({ type: 'message', content: 'first' });
+        await amy.next('newMessage');
+        amy.send({ type: 'message', content: 'second' });
+        assert.match((await amy.next('error')).message, /^Slow Hour is on\. You can send again in (29|30)s\.$/);
+
+        chatServer.rooms.get('VIP').messages.at(-1).timestamp -= RoomEvents.slowModeMs;
+        amy.send({ type: 'message', content: 'second' });
+        assert.equal((await amy.next('newMessage')).message.content, 'second');
+    });
+
+    it('runs the themed hours of a user-made room without being switched on', async () => {
+        amy.send({ type: 'saveRoom', requestId: 'r', room: { name: 'Shouting', mode: 'open', schedule: allDay('all_caps', 'Loud Hour') } });
+        assert.equal((await amy.next('roomResult')).ok, true);
+        amy.send({ type: 'join', room: 'Shouting' });
+        for (;;) {
+            const data = await amy.next('roomSnapshot');
+            if (data.room === 'Shouting' && data.messages) break;
+        }
+        amy.send({ type: 'message', content: 'hi' });
+        assert.equal((await amy.next('error')).message, 'Loud Hour is on. TYPE IN ALL CAPS.');
+    });
+
+    it('runs the built-in themed hours only when switched on', async () => {
+        const lobby = RoomConfigs.schedules.Lobby;
+        RoomConfigs.schedules.Lobby = allDay('all_caps', 'Loud Hour');
+        const replies = [];
+        try {
+            for (const roomEvents of [false, true]) {
+                const server = createChatServer({ port: 0, rateLimits: null, roomEvents });
+                await new Promise((resolve) => server.wss.on('listening', resolve));
+                const bob = connect(server.wss.address().port, 'username=Bob');
+                await bob.next('welcome');
+                bob.send({ type: 'message', content: 'hi' });
+                replies.push(await Promise.race([bob.next('newMessage').then(() => 'sent'), bob.next('error').then((data) => data.message)]));
+                bob.close();
+                await server.close();
+            }
+        } finally {
+            RoomConfigs.schedules.Lobby = lobby;
+        }
+        assert.deepEqual(replies, ['sent', 'Loud Hour is on. TYPE IN ALL CAPS.']);
+    });
+});
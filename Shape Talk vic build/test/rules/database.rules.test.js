@@ -0,0 +1,425 @@
+// Checks database.rules.json against the Realtime Database emulator over its REST API.
+// Run with `npm run test:rules` (needs the Firebase CLI and Java); skipped when no emulator is running.
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+const NAMESPACE = 'shapetalk-rules-test';
+const RULES = fs.readFileSync(path.join(__dirname, '..', '..', 'database.rules.json'), 'utf8');
+const TIMESTAMP = { '.sv': 'timestamp' };
+
+const amy = { uid: 'uid_amy', userId: 'user_aaaaaaaaaaaaaaaa', secret: 'a'.repeat(32) };
+const bob = { uid: 'uid_bob', userId: 'user_bbbbbbbbbbbbbbbb', secret: 'b'.repeat(32) };
+const mod = { uid: 'uid_mod', userId: 'user_cccccccccccccccc', secret: 'c'.repeat(32) };
+
+// The emulator does not check signatures, so an unsigned ID token is enough to sign in as anyone
+function idToken(uid) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({
+        iss: `https://securetoken.google.com/${NAMESPACE}`,
+        aud: NAMESPACE,
+        sub: uid,
+        user_id: uid,
+        iat: now,
+        exp: now + 3600,
+        auth_time: now,
+        firebase: { sign_in_provider: 'anonymous', identities: {} }
+    })}.`;
+}
+
+// as: a user from above, 'admin' to bypass the rules, or null for a signed-out client
+async function request(method, dbPath, as, body) {
+    const url = new URL(`http://${HOST}/${dbPath}.json`);
+    url.searchParams.set('ns', NAMESPACE);
+    const headers = { 'Content-Type': 'application/json' };
+    if (as === 'admin') {
+        headers.Authorization = 'Bearer owner';
+    } else if (as) {
+        url.searchParams.set('auth', idToken(as.uid));
+    }
+    const response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return response.status;
+}
+
+const write = (as, dbPath, value) => request('PUT', dbPath, as, value);
+const update = (as, dbPath, value) => request('PATCH', dbPath, as, value);
+const read = (as, dbPath) => request('GET', dbPath, as);
+const claim = (user) => write(user, `identities/${user.userId}`, { uid: user.uid, secret: user.secret });
+
+const message = (user, extra = {}) => ({
+    userId: user.userId,
+    username: 'Amy',
+    mood: ':happy:',
+    content: 'hi',
+    timestamp: TIMESTAMP,
+    ...extra
+});
+
+// Messages have to arrive with a fresh posts/<userId> stamp, as FirebaseChat.sendMessage writes them
+const post = (as, room, key, data) => update(as, `rooms/${room}`, {
+    [`messages/${key}`]: data,
+    [`posts/${data.userId}`]: TIMESTAMP
+});
+
+describe('database.rules.json', { skip: !HOST && 'FIREBASE_DATABASE_EMULATOR_HOST is not set' }, () => {
+    before(async () => {
+        const status = await request('PUT', '.settings/rules', 'admin', JSON.parse(RULES));
+        assert.equal(status, 200);
+    });
+
+    beforeEach(async () => {
+        assert.equal(await write('admin', '', null), 200);
+        for (const user of [amy, bob, mod]) {
+            assert.equal(await claim(user), 200);
+            assert.equal(await write(user, `uids/${user.uid}`, user.userId), 200);
+        }
+        assert.equal(await write('admin', `moderators/${mod.userId}`, true), 200);
+    });
+
+    describe('identities', () => {
+        it('keeps claims private', async () => {
+            assert.equal(await read(amy, `identities/${amy.userId}`), 401);
+        });
+
+        it('refuses a claim on someone else\'s userId without their secret', async () => {
+            assert.equal(await write(bob, `identities/${amy.userId}`, { uid: bob.uid, secret: bob.secret }), 401);
+        });
+
+        it('lets the secret move a userId to a new session', async () => {
+            assert.equal(await write({ uid: 'uid_amy_laptop' }, `identities/${amy.userId}`, { uid: 'uid_amy_laptop', secret: amy.secret }), 200);
+        });
+
+        it('only points a uid at the userId it has claimed', async () => {
+            assert.equal(await write(bob, `uids/${bob.uid}`, amy.userId), 401);
+            assert.equal(await write(bob, `uids/${amy.uid}`, bob.userId), 401);
+        });
+
+        it('refuses writes from signed-out clients', async () => {
+            assert.equal(await write(null, `rooms/Lobby/users/${amy.userId}`, { username: 'Amy', online: true }), 401);
+        });
+    });
+
+    describe('messages', () => {
+        it('accepts a well-formed message with its posts stamp', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy, { clientId: 'out_abc_123' })), 200);
+        });
+
+        it('refuses a message without a posts stamp', async () => {
+            assert.equal(await write(amy, 'rooms/Lobby/messages/m1', message(amy)), 401);
+        });
+
+        it('refuses posting as someone else', async () => {
+            assert.equal(await post(bob, 'Lobby', 'm1', message(amy)), 401);
+        });
+
+        it('refuses a second message inside the stamp interval', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy)), 200);
+            assert.equal(await post(amy, 'Lobby', 'm2', message(amy, { content: 'again' })), 401);
+        });
+
+        it('checks the shape of each field', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy, { content: 'x'.repeat(201) })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm2', message(amy, { drawing: 'javascript:alert(1)' })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm3', message(amy, { messageBgColor: 'red' })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm4', message(amy, { admin: true })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm5', message(amy, { timestamp: 1 })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm6', message(amy, { clientId: 'out/../x' })), 401);
+        });
+
+        it('takes drawings as strokes or, from older clients, PNGs', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy, { drawing: 'strokes:1|520,180|p#ff0000/4:10,10,2,2|e/12:50,50,10,0' })), 200);
+            assert.equal(await post(amy, 'VIP', 'm2', message(amy, { drawing: 'data:image/png;base64,AAAA' })), 200);
+            assert.equal(await post(amy, 'Shapes', 'm3', message(amy, { drawing: 'strokes:1|520,180|<svg onload=alert(1)>' })), 401);
+            assert.equal(await post(amy, 'ShapeTalk', 'm4', message(amy, { drawing: 'strokes:2|520,180|r#00ff00@1/4:10,10,20,20|e/12:50,50,10,0|f#0000ff/1:0,0,5' })), 200);
+            assert.equal(await post(amy, 'DMs', 'm5', message(amy, { drawing: 'strokes:2|520,180|x#00ff00/4:10,10,20,20' })), 401);
+        });
+
+        it('lets only the author edit', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy)), 200);
+            assert.equal(await update(amy, 'rooms/Lobby/messages/m1', { content: 'edited', editedAt: TIMESTAMP }), 200);
+            assert.equal(await update(bob, 'rooms/Lobby/messages/m1', { content: 'hacked', editedAt: TIMESTAMP }), 401);
+            assert.equal(await write(amy, 'rooms/Lobby/messages/m1/userId', bob.userId), 401);
+        });
+
+        it('keeps dice rolls as they were rolled', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy, { kind: 'roll', content: 'I rolled 36' })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm2', message(amy, { kind: 'system' })), 401);
+            assert.equal(await post(amy, 'Lobby', 'm3', message(amy, { kind: 'roll', content: '6d6' })), 200);
+            assert.equal(await update(amy, 'rooms/Lobby/messages/m3', { content: '1d6', editedAt: TIMESTAMP }), 401);
+            assert.equal(await write(amy, 'rooms/Lobby/messages/m3/kind', 'action'), 401);
+            const tombstone = { content: '', drawing: null, reactions: null, deleted: true, deletedBy: amy.userId, editedAt: TIMESTAMP };
+            assert.equal(await update(amy, 'rooms/Lobby/messages/m3', tombstone), 200);
+        });
+
+        it('lets moderators leave a tombstone on anyone\'s message', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy)), 200);
+            const tombstone = (by) => ({ content: '', drawing: null, reactions: null, deleted: true, deletedBy: by.userId, editedAt: TIMESTAMP });
+            assert.equal(await update(bob, 'rooms/Lobby/messages/m1', tombstone(bob)), 401);
+            assert.equal(await update(bob, 'rooms/Lobby/messages/m1', tombstone(mod)), 401);
+            assert.equal(await update(mod, 'rooms/Lobby/messages/m1', tombstone(mod)), 200);
+        });
+
+        it('only lets the author or a moderator remove a message', async () => {
+            assert.equal(await post(amy, 'VIP', 'm1', message(amy)), 200);
+            assert.equal(await write(bob, 'rooms/VIP/messages/m1', null), 401);
+            assert.equal(await write(amy, 'rooms/VIP/messages/m1', null), 200);
+            assert.equal(await post(amy, 'Lobby', 'm2', message(amy)), 200);
+            assert.equal(await write(mod, 'rooms/Lobby/messages/m2', null), 200);
+        });
+
+        it('only lets moderators remove a built-in room', async () => {
+            assert.equal(await post(amy, 'Private 1', 'm1', message(amy)), 200);
+            assert.equal(await write(amy, 'rooms/Private 1', null), 401);
+            assert.equal(await write(bob, 'rooms/Private 1', null), 401);
+            assert.equal(await write(mod, 'rooms/Private 1', null), 200);
+        });
+
+        it('keeps reactions to the reacting user\'s own key', async () => {
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy)), 200);
+            assert.equal(await write(bob, `rooms/Lobby/messages/m1/reactions/${bob.userId}`, ':love:'), 200);
+            assert.equal(await write(bob, `rooms/Lobby/messages/m1/reactions/${amy.userId}`, ':love:'), 401);
+            assert.equal(await write(bob, 'rooms/Lobby/messages/m1/reactions', { [bob.userId]: ':sad:' }), 401);
+        });
+    });
+
+    describe('presence', () => {
+        it('lets users write only their own presence, typing and read keys', async () => {
+            assert.equal(await write(amy, `rooms/Lobby/users/${amy.userId}`, { username: 'Amy', mood: ':happy:', joinedAt: TIMESTAMP, online: true }), 200);
+            assert.equal(await write(amy, `rooms/Lobby/users/${bob.userId}`, { username: 'Bob', online: false }), 401);
+            assert.equal(await write(amy, `rooms/Lobby/typing/${bob.userId}`, { username: 'Bob', at: TIMESTAMP }), 401);
+            assert.equal(await write(amy, `rooms/Lobby/reads/${amy.userId}`, { username: 'Amy', messageId: 'm1', timestamp: 1, at: TIMESTAMP }), 200);
+            assert.equal(await write(amy, `watchers/Lobby/${bob.userId}`, { username: 'Bob', room: 'Lobby', online: true, updatedAt: TIMESTAMP }), 401);
+        });
+
+        it('keeps outsiders from showing up in DM threads and coded rooms', async () => {
+            const here = { username: 'Bob', online: true };
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', { createdBy: amy.userId, members: { [amy.userId]: 'Amy' }, updatedAt: TIMESTAMP }), 200);
+            assert.equal(await write(amy, `rooms/DM:dm_owls1234/users/${amy.userId}`, { username: 'Amy', online: true }), 200);
+            assert.equal(await write(bob, `rooms/DM:dm_owls1234/users/${bob.userId}`, here), 401);
+            assert.equal(await write(bob, `rooms/DM:dm_owls1234/typing/${bob.userId}`, { username: 'Bob', at: TIMESTAMP }), 401);
+            assert.equal(await write(bob, `rooms/DM:dm_owls1234/reads/${bob.userId}`, { username: 'Bob', messageId: 'm1', timestamp: 1, at: TIMESTAMP }), 401);
+
+            assert.equal(await write(amy, 'customRooms/Owls', { ownerId: amy.userId, mode: 'open', ephemeral: false, hasJoinCode: true, archived: false, updatedAt: TIMESTAMP }), 200);
+            assert.equal(await write(amy, 'roomCodes/Owls', 'hoot42'), 200);
+            assert.equal(await write(bob, `rooms/Owls/users/${bob.userId}`, here), 401);
+            assert.equal(await write(bob, `roomKeys/Owls/${bob.userId}`, 'hoot42'), 200);
+            assert.equal(await write(bob, `rooms/Owls/users/${bob.userId}`, here), 200);
+
+            // Leaving still works once the key or membership is gone
+            assert.equal(await write('admin', `roomKeys/Owls/${bob.userId}`, null), 200);
+            assert.equal(await update(bob, `rooms/Owls/users/${bob.userId}`, { online: false }), 200);
+            assert.equal(await write(bob, `rooms/Owls/users/${bob.userId}`, null), 200);
+        });
+
+        it('refuses unknown room trees', async () => {
+            assert.equal(await write(amy, 'rooms/Lobby/secrets/x', 'y'), 401);
+        });
+    });
+
+    describe('moderation', () => {
+        it('only takes bans and kicks from moderators', async () => {
+            const ban = (by) => ({ until: Date.now() + 60000, by: by.userId });
+            assert.equal(await write(bob, `moderation/bans/Lobby/${amy.userId}`, ban(bob)), 401);
+            assert.equal(await write(bob, `moderation/bans/Lobby/${amy.userId}`, ban(mod)), 401);
+            assert.equal(await write(mod, `moderation/bans/Lobby/${amy.userId}`, ban(mod)), 200);
+            assert.equal(await write(mod, `moderation/kicks/Lobby/${amy.userId}`, { by: mod.userId, at: TIMESTAMP }), 200);
+        });
+
+        it('refuses messages from someone banned from the room until the ban runs out', async () => {
+            assert.equal(await write(mod, `moderation/bans/Lobby/${amy.userId}`, { until: Date.now() + 60000, by: mod.userId }), 200);
+            assert.equal(await post(amy, 'Lobby', 'm1', message(amy)), 401);
+            assert.equal(await post(amy, 'VIP', 'm1', message(amy)), 200);
+            assert.equal(await write('admin', `moderation/bans/Lobby/${amy.userId}`, { until: Date.now() - 1, by: mod.userId }), 200);
+            assert.equal(await post(amy, 'Lobby', 'm2', message(amy)), 200);
+        });
+
+        it('files reports once and keeps them from clients', async () => {
+            const report = { room: 'Lobby', messageId: 'm1', content: 'hi', hasDrawing: false, reporterId: bob.userId, reporterName: 'Bob', reason: '', at: TIMESTAMP };
+            assert.equal(await write(bob, 'moderation/reports/r1', report), 200);
+            assert.equal(await write(bob, 'moderation/reports/r1', { ...report, reason: 'changed' }), 401);
+            assert.equal(await write(amy, 'moderation/reports/r2', report), 401);
+            assert.equal(await read(bob, 'moderation/reports'), 401);
+        });
+    });
+
+    describe('emoji packs', () => {
+        const pixels = ['.00.............', ...new Array(15).fill('................')];
+        const pack = (owner, extra = {}) => ({
+            ownerId: owner.userId,
+            name: 'Blobs',
+            scope: 'global',
+            emojis: [{ code: ':blob:', name: 'Blob', palette: ['#ff0000'], pixels }],
+            updatedAt: TIMESTAMP,
+            ...extra
+        });
+
+        it('lets only the owner write a pack', async () => {
+            assert.equal(await write(amy, 'emojiPacks/pack_amy', pack(amy)), 200);
+            assert.equal(await write(bob, 'emojiPacks/pack_amy', pack(bob)), 401);
+            assert.equal(await write(bob, 'emojiPacks/pack_bob', pack(amy)), 401);
+            assert.equal(await write(amy, 'emojiPacks/pack_amy', pack(amy, { scope: 'VIP' })), 200);
+            assert.equal(await write(amy, 'emojiPacks/pack_amy', null), 401);
+            assert.equal(await read(bob, 'emojiPacks/pack_amy'), 200);
+        });
+
+        it('checks the shape of each emoji', async () => {
+            const emoji = (fields) => pack(amy, { emojis: [{ code: ':blob:', name: 'Blob', ...fields }] });
+            assert.equal(await write(amy, 'emojiPacks/pack_svg', emoji({ svg: '<svg viewBox="0 0 16 16"></svg>' })), 200);
+            assert.equal(await write(amy, 'emojiPacks/pack_x', emoji({ svg: '<img src=x>' })), 401);
+            assert.equal(await write(amy, 'emojiPacks/pack_x', emoji({ svg: '<svg></svg>', palette: ['#ff0000'], pixels })), 401);
+            assert.equal(await write(amy, 'emojiPacks/pack_x', emoji({ palette: ['red'], pixels })), 401);
+            assert.equal(await write(amy, 'emojiPacks/pack_x', emoji({ palette: ['#ff0000'], pixels: pixels.slice(1) })), 401);
+            assert.equal(await write(amy, 'emojiPacks/pack_x', emoji({ code: 'blob', svg: '<svg></svg>' })), 401);
+            assert.equal(await write(amy, 'emojiPacks/not_a_pack', pack(amy)), 401);
+        });
+    });
+
+    describe('user-made rooms', () => {
+        const room = (owner, extra = {}) => ({
+            ownerId: owner.userId,
+            mode: 'open',
+            maxUsers: 4,
+            ephemeral: false,
+            topic: 'hoot',
+            hasJoinCode: false,
+            archived: false,
+            updatedAt: TIMESTAMP,
+            ...extra
+        });
+
+        it('lets only the owner change a room', async () => {
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy)), 200);
+            assert.equal(await write(bob, 'customRooms/Owls', room(bob)), 401);
+            assert.equal(await write(bob, 'customRooms/Bats', room(amy)), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { mode: 'draw_only' })), 200);
+            assert.equal(await write(amy, 'customRooms/Owls', null), 401);
+            assert.equal(await read(bob, 'customRooms/Owls'), 200);
+        });
+
+        it('checks names and settings', async () => {
+            assert.equal(await write(amy, 'customRooms/VIP', room(amy)), 401);
+            assert.equal(await write(amy, 'customRooms/private 11', room(amy)), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { mode: 'shouting' })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { maxUsers: 1 })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { maxMessages: 501 })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { joinCode: 'hoot42' })), 401);
+        });
+
+        it('checks a room\'s themed hours', async () => {
+            const event = { name: 'Doodle Hour', mode: 'draw_only', days: [0, 6], start: '18:00', minutes: 60 };
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: [event, { ...event, days: null }] })), 200);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: [{ ...event, mode: 'text_only' }] })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: [{ ...event, start: '24:00' }] })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: [{ ...event, minutes: 1441 }] })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: [{ ...event, days: [7] }] })), 401);
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { schedule: Array(9).fill(event) })), 401);
+        });
+
+        it('keeps join codes unreadable and posts to the people who know them', async () => {
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { hasJoinCode: true })), 200);
+            assert.equal(await write(bob, 'roomCodes/Owls', 'bobcode'), 401);
+            assert.equal(await write(amy, 'roomCodes/Owls', 'hoot42'), 200);
+            assert.equal(await read(bob, 'roomCodes/Owls'), 401);
+
+            assert.equal(await write(bob, `roomKeys/Owls/${bob.userId}`, 'guess1'), 401);
+            assert.equal(await post(bob, 'Owls', 'm1', message(bob)), 401);
+            assert.equal(await write(bob, `roomKeys/Owls/${amy.userId}`, 'hoot42'), 401);
+            assert.equal(await write(bob, `roomKeys/Owls/${bob.userId}`, 'hoot42'), 200);
+            assert.equal(await post(bob, 'Owls', 'm1', message(bob)), 200);
+        });
+
+        it('keeps a coded room readable only with its key', async () => {
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { hasJoinCode: true })), 200);
+            assert.equal(await write(amy, 'roomCodes/Owls', 'hoot42'), 200);
+            assert.equal(await write(amy, `roomKeys/Owls/${amy.userId}`, 'hoot42'), 200);
+            assert.equal(await read(amy, 'rooms/Owls/messages'), 200);
+            assert.equal(await read(bob, 'rooms/Owls/messages'), 401);
+            assert.equal(await read(null, 'rooms/Owls'), 401);
+            assert.equal(await write(bob, `roomKeys/Owls/${bob.userId}`, 'hoot42'), 200);
+            assert.equal(await read(bob, 'rooms/Owls/users'), 200);
+            assert.equal(await read(bob, 'rooms'), 401);
+            assert.equal(await read(null, 'rooms/Lobby'), 200);
+        });
+
+        it('follows the room settings for removal, trimming and archiving', async () => {
+            assert.equal(await write(amy, 'customRooms/Owls', room(amy, { ephemeral: true, maxMessages: 10 })), 200);
+            assert.equal(await post(amy, 'Owls', 'm1', message(amy)), 200);
+            assert.equal(await write(bob, 'rooms/Owls/messages/m1', null), 401);
+            assert.equal(await write(bob, 'rooms/Owls', null), 401);
+            assert.equal(await write(amy, 'rooms/Owls', null), 200);
+
+            assert.equal(await update(amy, 'customRooms/Owls', { archived: true, updatedAt: TIMESTAMP }), 200);
+            assert.equal(await post(amy, 'Owls', 'm2', message(amy)), 401);
+            assert.equal(await update(amy, 'customRooms/Owls', { archived: false, updatedAt: TIMESTAMP }), 401);
+        });
+    });
+
+    describe('DM threads', () => {
+        const thread = (creator) => ({ createdBy: creator.userId, members: { [creator.userId]: 'Amy' }, updatedAt: TIMESTAMP });
+        const invite = (by) => ({ username: 'Bob', by: by.userId });
+
+        it('lets the creator start a thread holding only themselves', async () => {
+            assert.equal(await write(bob, 'dmThreads/dm_owls1234', thread(amy)), 401);
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', { ...thread(amy), members: { [amy.userId]: 'Amy', [bob.userId]: 'Bob' } }), 401);
+            assert.equal(await write(amy, 'dmThreads/owls', thread(amy)), 401);
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', thread(amy)), 200);
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', thread(amy)), 401);
+        });
+
+        it('takes invites from members and lets the invitee accept or decline', async () => {
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', thread(amy)), 200);
+            assert.equal(await write(bob, `dmThreads/dm_owls1234/members/${bob.userId}`, 'Bob'), 401);
+            assert.equal(await write(bob, `dmThreads/dm_owls1234/invites/${bob.userId}`, invite(bob)), 401);
+            assert.equal(await write(bob, `dmInbox/${bob.userId}/dm_owls1234`, true), 200);
+            assert.equal(await write(amy, `dmInbox/${mod.userId}/dm_owls1234`, true), 401);
+
+            assert.equal(await write(amy, `dmThreads/dm_owls1234/invites/${bob.userId}`, invite(amy)), 200);
+            assert.equal(await write(amy, `dmInbox/${bob.userId}/dm_owls1234`, true), 200);
+            assert.equal(await read(amy, `dmInbox/${bob.userId}`), 401);
+            assert.equal(await write(amy, `dmThreads/dm_owls1234/members/${bob.userId}`, 'Bob'), 401);
+            assert.equal(await update(bob, 'dmThreads/dm_owls1234', {
+                [`members/${bob.userId}`]: 'Bob',
+                [`invites/${bob.userId}`]: null,
+                updatedAt: TIMESTAMP
+            }), 200);
+            assert.equal(await write(bob, `dmThreads/dm_owls1234/members/${bob.userId}`, 'Bobby'), 200);
+            assert.equal(await write(bob, `dmThreads/dm_owls1234/members/${bob.userId}`, null), 200);
+            assert.equal(await write(bob, `dmThreads/dm_owls1234/members/${bob.userId}`, 'Bob'), 401);
+        });
+
+        it('only takes messages in a thread room from its members', async () => {
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', thread(amy)), 200);
+            assert.equal(await post(bob, 'DM:dm_owls1234', 'm1', message(bob)), 401);
+            assert.equal(await post(amy, 'DM:dm_owls1234', 'm1', message(amy)), 200);
+            assert.equal(await post(bob, 'DM: Amy & Bob', 'm1', message(bob)), 200);
+        });
+
+        it('keeps a thread room readable only by its members', async () => {
+            assert.equal(await write(amy, 'dmThreads/dm_owls1234', thread(amy)), 200);
+            assert.equal(await read(amy, 'rooms/DM:dm_owls1234/messages'), 200);
+            assert.equal(await read(bob, 'rooms/DM:dm_owls1234/messages'), 401);
+            assert.equal(await read({ uid: 'uid_nobody' }, 'rooms/DM:dm_owls1234'), 401);
+        });
+    });
+
+    describe('leaderboard', () => {
+        const score = (value) => ({ username: 'Amy', score: value, timestamp: TIMESTAMP });
+
+        it('only accepts a higher score', async () => {
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(10)), 200);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(5)), 401);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(10)), 401);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(11)), 200);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', null), 401);
+        });
+
+        it('bounds scores', async () => {
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(100001)), 401);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(1.5)), 401);
+            assert.equal(await write(amy, 'leaderboard/ballBounce/Amy', score(-3)), 401);
+        });
+    });
+});
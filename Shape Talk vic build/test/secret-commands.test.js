@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app');
+
+describe('Chat.runCommand', () => {
+    let app;
+    let chat;
+    let window;
+    let lines;
+
+    const run = (command) => chat.runCommand(command, {
+        writeLine: (text, cls) => lines.push({ text, cls })
+    });
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        lines = [];
+        mock.restoreAll();
+        window.localStorage.clear();
+        window.sessionStorage.clear();
+    });
+
+    it('ignores input that is not a command', async () => {
+        assert.equal(await run('hello'), false);
+        assert.equal(await run('/definitelynotacommand'), false);
+        assert.deepEqual(lines, []);
+    });
+
+    it('/infinitearchive prints the message as binary', async () => {
+        assert.equal(await run('/infinitearchive'), true);
+        assert.equal(lines[0].cls, 'bin');
+        const bytes = lines[0].text.split(' ').map((bits) => parseInt(bits, 2));
+        assert.equal(Buffer.from(bytes).toString('utf8'), 'Yo touch some grass if you found this shit dude');
+    });
+
+    it('/myunc and /money print their lore lines', async () => {
+        await run('/myunc');
+        await run('/money');
+        assert.deepEqual(lines, [
+            { text: 'Unc is real 2007', cls: 'lore' },
+            { text: 'I live in a picture...', cls: 'lore' }
+        ]);
+    });
+
+    it('/unc me switches to the unc mood', async () => {
+        assert.equal(await run('/unc me'), true);
+        assert.equal(chat.currentMood, ':unc:');
+        assert.equal(lines[0].text, 'unc mode enabled.');
+    });
+
+    describe('/namehack', () => {
+        it('renames the user and starts the cooldown', async () => {
+            assert.equal(await run('/namehack "Foo Bar"'), true);
+            assert.equal(chat.username, 'Foo Bar');
+            assert.equal(lines[0].text, 'identity rewritten as Foo Bar.');
+            assert.ok(Number(window.localStorage.getItem(chat.nameHackStorageKey)) > 0);
+        });
+
+        it('stays locked until the cooldown runs out', async () => {
+            const start = 1_000_000;
+            mock.method(window.Date, 'now', () => start);
+            await run('/namehack "First"');
+
+            window.Date.now.mock.mockImplementation(() => start + 60 * 1000);
+            await run('/namehack "Second"');
+            assert.equal(chat.username, 'First');
+            assert.deepEqual(lines[1], { text: 'namehack locked for 14m 00s.', cls: 'err' });
+
+            window.Date.now.mock.mockImplementation(() => start + chat.nameHackCooldownMs);
+            await run('/namehack "Second"');
+            assert.equal(chat.username, 'Second');
+        });
+
+        it('needs a name and does not spend the cooldown without one', async () => {
+            await run('/namehack');
+            assert.deepEqual(lines[0], { text: 'namehack needs a quoted name.', cls: 'err' });
+            assert.equal(window.localStorage.getItem(chat.nameHackStorageKey), null);
+        });
+    });
+
+    describe('/pimpmybg', () => {
+        it('expands and upper-cases a hex color', async () => {
+            await run('/pimpmybg #abc');
+            assert.equal(chat.messageBgColor, '#AABBCC');
+            await run('/pimpmybg 12ab9f');
+            assert.equal(chat.messageBgColor, '#12AB9F');
+            assert.equal(lines[1].text, 'message background set to #12AB9F.');
+        });
+
+        it('falls back to a random palette color for bad or missing hex', async () => {
+            mock.method(window.Math, 'random', () => 0);
+            await run('/pimpmybg notacolor');
+            assert.equal(lines[0].text, 'bad hex. using a random color instead.');
+            assert.equal(chat.messageBgColor, '#FFD54F');
+
+            lines = [];
+            await run('/pimpmybg');
+            assert.equal(lines.length, 1);
+            assert.equal(chat.messageBgColor, '#FFD54F');
+        });
+    });
+
+    describe('/watching and /watch', () => {
+        it('asks for a room when none is given', async () => {
+            const startWatching = mock.method(chat, 'startWatching', () => {});
+            assert.equal(await run('/watching'), true);
+            assert.deepEqual(lines[0], { text: 'What room do you want to watch?', cls: 'err' });
+            assert.equal(startWatching.mock.callCount(), 0);
+        });
+
+        it('watches a known room and unblocks the Internet app', async () => {
+            const startWatching = mock.method(chat, 'startWatching', () => {});
+            await run('/watching "Private 2"');
+            await run('/watch VIP');
+            await run('/watch "VIP"');
+            assert.deepEqual(startWatching.mock.calls.map((call) => call.arguments[0]), ['Private 2', 'VIP', chat.buildDmRoomName('"VIP"')]);
+            assert.equal(window.ShapeOS.internetUnblocked, true);
+            assert.equal(lines[0].text, 'passive intercept engaged for Private 2.');
+        });
+
+        it('treats an unknown target as a username and watches the DM', async () => {
+            const startWatching = mock.method(chat, 'startWatching', () => {});
+            chat.username = 'Amy';
+            await run('/watch Zed');
+            assert.equal(startWatching.mock.calls[0].arguments[0], 'DM: Amy & Zed');
+            assert.ok(chat.dmRooms.includes('DM: Amy & Zed'));
+        });
+    });
+
+    it('writes to the chat as system messages when no writeLine is given', async () => {
+        const addSystemMessage = mock.method(chat, 'addSystemMessage', () => {});
+        assert.equal(await chat.runCommand('/myunc'), true);
+        assert.deepEqual(plain(addSystemMessage.mock.calls[0].arguments), ['Unc is real 2007']);
+    });
+});
+
+describe('Chat.getRemainingCooldown', () => {
+    let app;
+    let chat;
+    let window;
+    const key = 'test_cooldown_last_used_at';
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        window.localStorage.clear();
+        window.sessionStorage.clear();
+        mock.method(window.Date, 'now', () => 10_000_000);
+    });
+
+    it('is zero when the action was never used', () => {
+        assert.equal(chat.getRemainingCooldown(5000, key), 0);
+    });
+
+    it('counts down from the last use', () => {
+        window.localStorage.setItem(key, String(10_000_000 - 1500));
+        assert.equal(chat.getRemainingCooldown(5000, key), 3500);
+    });
+
+    it('never goes below zero once the cooldown has passed', () => {
+        window.localStorage.setItem(key, String(10_000_000 - 9000));
+        assert.equal(chat.getRemainingCooldown(5000, key), 0);
+    });
+
+    it('reads session storage when asked to', () => {
+        window.sessionStorage.setItem(key, String(10_000_000 - 1000));
+        assert.equal(chat.getRemainingCooldown(5000, key), 0);
+        assert.equal(chat.getRemainingCooldown(5000, key, true), 4000);
+    });
+
+    it('formats what is left for display', () => {
+        assert.equal(chat.formatCooldown(4000), '4s');
+        assert.equal(chat.formatCooldown(3500), '4s');
+        assert.equal(chat.formatCooldown(14 * 60 * 1000), '14m 00s');
+        assert.equal(chat.formatCooldown(61 * 1000), '1m 01s');
+    });
+});
@@ -0,0 +1,445 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Strokes = require('../js/strokes.js');
+const RateLimit = require('../js/rate-limit.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+const pen = (points, color = '#ff0000', size = 4, layer = 0) => ({ tool: 'pen', color, size, layer, points });
+const eraser = (points, size = 12, layer = 0) => ({ tool: 'eraser', color: null, size, layer, points });
+const sample = () => Strokes.encode({
+    width: 520,
+    height: 180,
+    strokes: [pen([[10, 10], [12.4, 11.6], [12, 12], [30, 40]]), eraser([[50, 50], [60, 50]])]
+});
+
+describe('Strokes', () => {
+    it('stores each point as a step from the one before', () => {
+        assert.equal(sample(), 'strokes:2|520,180|p#ff0000/4:10,10,2,2,18,28|e/12:50,50,10,0');
+    });
+
+    it('writes shapes, fills, pressure and layers', () => {
+        const encoded = Strokes.encode({
+            width: 520,
+            height: 180,
+            strokes: [
+                { tool: 'rect', color: '#00FF00', size: 2, layer: 1, points: [[5, 5], [5, 5]] },
+                { tool: 'fill', color: '#0000ff', size: 1, layer: 0, points: [[3, 4, 10], [2, 5, 12]] },
+                pen([[0, 0, 1.25], [4, 4, 2.5]])
+            ]
+        });
+        assert.equal(encoded, 'strokes:2|520,180|r#00ff00@1/2:5,5,0,0|f#0000ff/1:3,4,10,-1,1,2|P#ff0000/4:0,0,13,4,4,12');
+        assert.deepEqual(Strokes.decode(encoded).strokes, [
+            { tool: 'rect', color: '#00ff00', size: 2, layer: 1, points: [[5, 5], [5, 5]] },
+            { tool: 'fill', color: '#0000ff', size: 1, layer: 0, points: [[3, 4, 10], [2, 5, 12]] },
+            pen([[0, 0, 1.3], [4, 4, 2.5]])
+        ]);
+    });
+
+    it('still reads the first version, whose eraser painted white', () => {
+        assert.deepEqual(Strokes.decode('strokes:1|520,180|p#ff0000/4:10,10,2,2|e/12:50,50,10,0').strokes, [
+            pen([[10, 10], [12, 12]]),
+            pen([[50, 50], [60, 50]], '#ffffff', 12)
+        ]);
+    });
+
+    it('reads back what it wrote', () => {
+        assert.deepEqual(Strokes.decode(sample()), {
+            width: 520,
+            height: 180,
+            strokes: [
+                pen([[10, 10], [12, 12], [30, 40]]),
+                eraser([[50, 50], [60, 50]])
+            ]
+        });
+    });
+
+    it('leaves out strokes too short to see', () => {
+        assert.equal(Strokes.encode({ width: 520, height: 180, strokes: [pen([[5, 5]]), pen([[5, 5], [5.2, 4.9]])] }), null);
+    });
+
+    it('refuses anything that is not a stroke string', () => {
+        assert.equal(Strokes.decode('strokes:1|520,180'), null);
+        assert.equal(Strokes.decode('strokes:1|520,180|p#ff0000/4:10,10,2'), null);
+        assert.equal(Strokes.decode('strokes:1|520,180|p red/4:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:1|99999,180|e/4:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:1|520,180|e/0:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:2|520,180|e#ff0000/4:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:2|520,180|p/4:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:2|520,180|p#ff0000@2/4:10,10,2,2'), null);
+        assert.equal(Strokes.decode('strokes:2|520,180|l#ff0000/4:1,1,2,2,3,3'), null);
+        assert.equal(Strokes.decode('strokes:2|520,180|f#ff0000/1:1,1'), null);
+        assert.equal(Strokes.isDrawing('data:image/png;base64,AAAA'), true);
+        assert.equal(Strokes.isDrawing(sample()), true);
+        assert.equal(Strokes.isDrawing('javascript:alert(1)'), false);
+    });
+
+    it('draws only the first points for a replay', () => {
+        const drawing = Strokes.decode(sample());
+        assert.equal(Strokes.countPoints(drawing), 5);
+        assert.equal((Strokes.toSvg(drawing).match(/<polyline/g) || []).length, 2);
+        assert.match(Strokes.toSvg(drawing, 2), /<polyline points="10,10 12,12" fill="none" stroke="#ff0000" stroke-width="4"/);
+        assert.equal((Strokes.toSvg(drawing, 4).match(/<polyline/g) || []).length, 1);
+        assert.doesNotMatch(Strokes.toSvg(drawing, 1), /<polyline/);
+    });
+
+    it('erases to transparent within its own layer', () => {
+        const svg = Strokes.toSvg({
+            width: 100,
+            height: 50,
+            strokes: [pen([[0, 0], [10, 10]]), pen([[0, 10], [10, 0]], '#0000ff', 4, 1), eraser([[5, 0], [5, 10]], 6, 1)]
+        });
+        const [, maskId] = svg.match(/<mask id="([^"]+)"/);
+        assert.match(svg, new RegExp(`<mask id="${maskId}"[^>]*><rect width="100" height="50" fill="#ffffff"/><polyline points="5,0 5,10" fill="none" stroke="#000000" stroke-width="6"`));
+        // The back layer keeps its red line; only the front layer's blue one is masked
+        assert.match(svg, new RegExp(`<g><polyline points="0,0 10,10"[^>]*/></g><g><g mask="url\\(#${maskId}\\)"><polyline points="0,10 10,0" fill="none" stroke="#0000ff"`));
+    });
+
+    it('draws shapes, fills and pressure strokes', () => {
+        const svg = Strokes.toSvg({
+            width: 100,
+            height: 50,
+            strokes: [
+                { tool: 'line', color: '#111111', size: 2, layer: 0, points: [[1, 2], [3, 4]] },
+                { tool: 'rect', color: '#222222', size: 2, layer: 0, points: [[30, 20], [10, 5]] },
+                { tool: 'ellipse', color: '#333333', size: 2, layer: 0, points: [[0, 0], [5, 8]] },
+                { tool: 'fill', color: '#444444', size: 1, layer: 0, points: [[2, 3, 4]] },
+                pen([[0, 0, 1], [4, 0, 3]])
+            ]
+        });
+        assert.match(svg, /<line x1="1" y1="2" x2="3" y2="4" fill="none" stroke="#111111"/);
+        assert.match(svg, /<rect x="10" y="5" width="20" height="15" fill="none" stroke="#222222"/);
+        assert.match(svg, /<ellipse cx="2.5" cy="4" rx="2.5" ry="4" fill="none" stroke="#333333"/);
+        assert.match(svg, /<path d="M2 3h4v1h-4z" fill="#444444" shape-rendering="crispEdges"\/>/);
+        assert.match(svg, /<g stroke="#ff0000" stroke-linecap="round"><line x1="0" y1="0" x2="4" y2="0" stroke-width="2"\/><\/g>/);
+    });
+
+    it('flood fills the connected area of one color', () => {
+        // A 5x3 white image with a black wall down column 2
+        const width = 5;
+        const height = 3;
+        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+        for (let y = 0; y < height; y += 1) {
+            data.fill(0, (y * width + 2) * 4, (y * width + 2) * 4 + 3);
+        }
+        assert.deepEqual(Strokes.floodFill({ width, height, data }, 0, 1), [[0, 0, 2], [0, 1, 2], [0, 2, 2]]);
+        assert.deepEqual(Strokes.floodFill({ width, height, data }, 4.6, 0.2), [[3, 0, 2], [3, 1, 2], [3, 2, 2]]);
+        assert.deepEqual(Strokes.floodFill({ width, height, data }, 9, 9), []);
+    });
+});
+
+describe('Chat drawings', () => {
+    let app;
+    let chat;
+    let window;
+
+    // jsdom has no 2D canvas; the strokes only need something to draw on, and the tests count the lines
+    const fakeContext = (calls = []) => ({
+        calls,
+        save() {},
+        restore() {},
+        beginPath() {},
+        moveTo() {},
+        lineTo() {},
+        rect() {},
+        ellipse() {},
+        stroke() { calls.push(['stroke', this.globalCompositeOperation, this.lineWidth]); },
+        fillRect() {},
+        clearRect() { calls.length = 0; },
+        drawImage() {},
+        getImageData: () => ({ width: 520, height: 180, data: new Uint8ClampedArray(520 * 180 * 4).fill(255) })
+    });
+    const at = (x, y, extra = {}) => ({ clientX: x, clientY: y, ...extra });
+    const scribble = (points) => {
+        chat.startDrawing(at(...points[0]));
+        points.slice(1).forEach((point) => chat.draw(at(...point)));
+        chat.stopDrawing();
+    };
+    const lastMessage = () => Array.from(chat.chatMessages.querySelectorAll('.message[data-message-id]')).at(-1);
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.ctx = fakeContext();
+        chat.layers = [0, 1].map(() => ({ canvas: {}, ctx: fakeContext() }));
+        chat.currentTool = 'pen';
+        chat.currentSize = 4;
+        chat.setDrawColor('#000000');
+        chat.setDrawLayer(0);
+        mock.method(chat.canvas, 'getBoundingClientRect', () => ({ left: 0, top: 0, width: chat.canvas.width, height: chat.canvas.height }));
+        chat.rateLimits = {};
+        chat.clearCanvas();
+    });
+
+    it('records strokes with their tool, color and size', () => {
+        chat.currentTool = 'pen';
+        chat.currentColor = '#00ff00';
+        chat.currentSize = 2;
+        scribble([[1, 1], [5, 5], [9, 3]]);
+        chat.currentTool = 'eraser';
+        scribble([[20, 20], [25, 20]]);
+        chat.currentTool = 'pen';
+        chat.startDrawing(at(100, 100));
+        chat.stopDrawing();
+
+        assert.equal(chat.getDrawingData(), 'strokes:2|520,180|p#00ff00/2:1,1,4,4,4,-2|e/6:20,20,5,0');
+        chat.clearCanvas();
+        assert.equal(chat.getDrawingData(), null);
+        assert.deepEqual(plain(chat.strokes), []);
+    });
+
+    it('undoes and redoes whole strokes', () => {
+        const document = window.document;
+        scribble([[1, 1], [5, 5]]);
+        scribble([[10, 10], [20, 20]]);
+        assert.equal(document.getElementById('drawUndo').disabled, false);
+        assert.equal(document.getElementById('drawRedo').disabled, true);
+
+        chat.undoDrawing();
+        assert.equal(chat.strokes.length, 1);
+        assert.equal(chat.layers[0].ctx.calls.length, 1);
+        assert.equal(document.getElementById('drawRedo').disabled, false);
+        chat.redoDrawing();
+        assert.equal(chat.getDrawingData(), 'strokes:2|520,180|p#000000/4:1,1,4,4|p#000000/4:10,10,10,10');
+
+        chat.undoDrawing();
+        chat.undoDrawing();
+        assert.equal(chat.hasDrawing(), false);
+        assert.equal(document.getElementById('drawUndo').disabled, true);
+        scribble([[3, 3], [4, 4]]);
+        assert.equal(document.getElementById('drawRedo').disabled, true);
+        chat.redoDrawing();
+        assert.equal(chat.strokes.length, 1);
+    });
+
+    it('places shapes on release and keeps each layer apart', () => {
+        chat.setDrawTool('rect');
+        assert.ok(window.document.getElementById('drawToolRect').classList.contains('active'));
+        chat.startDrawing(at(10, 10));
+        chat.draw(at(20, 15));
+        chat.draw(at(40, 30));
+        assert.equal(chat.strokes.length, 0);
+        chat.stopDrawing();
+
+        window.document.getElementById('drawLayer').click();
+        assert.equal(window.document.getElementById('drawLayer').textContent, 'FRONT');
+        chat.setDrawTool('eraser');
+        scribble([[0, 0], [50, 50]]);
+        assert.equal(chat.getDrawingData(), 'strokes:2|520,180|r#000000/4:10,10,30,20|e@1/12:0,0,50,50');
+        assert.deepEqual(chat.layers[1].ctx.calls, [['stroke', 'destination-out', 12]]);
+    });
+
+    it('widens pen strokes with pressure', () => {
+        chat.startDrawing(at(0, 0, { pointerType: 'pen', pressure: 0.25 }));
+        chat.draw(at(10, 0, { pointerType: 'pen', pressure: 1 }));
+        chat.stopDrawing();
+        assert.deepEqual(plain(chat.strokes[0].points), [[0, 0, 2], [10, 0, 8]]);
+        assert.equal(chat.getDrawingData(), 'strokes:2|520,180|P#000000/4:0,0,20,10,0,60');
+        assert.deepEqual(chat.layers[0].ctx.calls, [['stroke', 'source-over', 5]]);
+    });
+
+    it('fills from what is on screen and picks colors back up', () => {
+        chat.setDrawColor('#123456');
+        chat.setDrawTool('fill');
+        chat.startDrawing(at(5, 5));
+        assert.equal(chat.strokes.length, 1);
+        assert.equal(chat.strokes[0].tool, 'fill');
+        assert.equal(chat.strokes[0].points.length, 180);
+
+        chat.ctx.getImageData = () => ({ data: [0xab, 0xcd, 0xef, 255] });
+        chat.setDrawTool('picker');
+        chat.startDrawing(at(5, 5));
+        assert.equal(chat.currentColor, '#abcdef');
+        assert.equal(window.document.getElementById('drawColor').value, '#abcdef');
+        assert.equal(chat.currentTool, 'pen');
+        assert.equal(chat.strokes.length, 1);
+    });
+
+    it('keeps recently used colors in a palette', () => {
+        window.localStorage.removeItem(chat.recentColorsStorageKey);
+        chat.recentColors = [];
+        for (let i = 0; i < 10; i += 1) {
+            chat.setDrawColor(`#00000${i}`);
+            scribble([[1, 1], [2, 2]]);
+        }
+        chat.setDrawColor('#000003');
+        scribble([[1, 1], [2, 2]]);
+        const expected = ['#000003', '#000009', '#000008', '#000007', '#000006', '#000005', '#000004', '#000002'];
+        assert.deepEqual(JSON.parse(window.localStorage.getItem(chat.recentColorsStorageKey)), expected);
+        assert.deepEqual(plain(chat.loadRecentColors()), expected);
+
+        const swatches = window.document.querySelectorAll('#drawPalette .draw-swatch');
+        assert.equal(swatches.length, 8);
+        swatches[1].click();
+        assert.equal(chat.currentColor, '#000009');
+
+        window.localStorage.setItem(chat.recentColorsStorageKey, '["red","#abcdef"]');
+        assert.deepEqual(plain(chat.loadRecentColors()), ['#abcdef']);
+    });
+
+    it('sends strokes and draws them as SVG', async () => {
+        scribble([[10, 10], [40, 60]]);
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await chat.sendMessage();
+        assert.ok(Strokes.isStrokes(sendMessage.mock.calls[0].arguments[1]));
+        const svg = lastMessage().querySelector('.message-drawing svg');
+        assert.equal(svg.getAttribute('viewBox'), '0 0 520 180');
+        assert.equal(svg.querySelector('polyline').getAttribute('points'), '10,10 40,60');
+        assert.ok(lastMessage().querySelector('[data-action="replayDrawing"]'));
+        assert.equal(chat.getDrawingData(), null);
+    });
+
+    it('remixes a drawing as a reply to it', async () => {
+        const document = window.document;
+        chat.addMessage({ messageId: 'remix_me', userId: 'user_ffffffffffffffff', username: 'Zed', content: '', drawing: sample(), timestamp: Date.now() });
+        lastMessage().querySelector('[data-action="remixDrawing"]').click();
+        assert.ok(document.getElementById('drawPicker').classList.contains('active'));
+        assert.equal(chat.strokes.length, 2);
+        assert.equal(chat.hasDrawing(), false);
+        assert.equal(document.getElementById('drawUndo').disabled, true);
+        assert.equal(chat.currentReplyTarget.messageId, 'remix_me');
+        assert.equal(document.getElementById('replyPreviewThumb').hidden, false);
+        assert.ok(document.querySelector('#replyPreviewThumb svg polyline'));
+
+        scribble([[100, 100], [120, 110]]);
+        chat.undoDrawing();
+        chat.undoDrawing();
+        assert.equal(chat.strokes.length, 2);
+        chat.redoDrawing();
+
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await chat.sendMessage();
+        const [, drawing, , extras] = sendMessage.mock.calls[0].arguments;
+        assert.equal(drawing, 'strokes:2|520,180|p#ff0000/4:10,10,2,2,18,28|e/12:50,50,10,0|p#000000/4:100,100,20,10');
+        assert.equal(extras.replyTo.messageId, 'remix_me');
+        assert.equal(extras.replyTo.drawing, sample());
+        const reply = lastMessage().querySelector('.message-reply-ref');
+        assert.equal(reply.dataset.messageId, 'remix_me');
+        assert.ok(reply.querySelector('.message-reply-thumb svg'));
+        assert.equal(chat.remixBaseLength, 0);
+        assert.equal(document.getElementById('replyPreview').hidden, true);
+        assert.equal(document.getElementById('replyPreviewThumb').hidden, true);
+    });
+
+    it('still shows PNG drawings from older messages', () => {
+        chat.addMessage({ messageId: 'old_png', userId: 'user_ffffffffffffffff', username: 'Zed', content: '', drawing: 'data:image/png;base64,AAAA', timestamp: Date.now() });
+        const message = lastMessage();
+        assert.equal(message.querySelector('.message-drawing img').getAttribute('src'), 'data:image/png;base64,AAAA');
+        assert.equal(message.querySelector('[data-action="replayDrawing"]'), null);
+    });
+
+    it('remixes a PNG drawing over the picture and sends a PNG back', async () => {
+        chat.addMessage({ messageId: 'old_png_remix', userId: 'user_ffffffffffffffff', username: 'Zed', content: '', drawing: 'data:image/png;base64,AAAA', timestamp: Date.now() });
+        lastMessage().querySelector('[data-action="remixDrawing"]').click();
+        assert.equal(chat.remixBaseImage.src, 'data:image/png;base64,AAAA');
+        assert.equal(chat.strokes.length, 0);
+        assert.equal(chat.hasDrawing(), false);
+        assert.equal(chat.currentReplyTarget.messageId, 'old_png_remix');
+
+        scribble([[100, 100], [120, 110]]);
+        mock.method(chat.canvas, 'toDataURL', () => 'data:image/png;base64,BBBB');
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await chat.sendMessage();
+        const [, drawing, , extras] = sendMessage.mock.calls[0].arguments;
+        assert.equal(drawing, 'data:image/png;base64,BBBB');
+        assert.equal(extras.replyTo.messageId, 'old_png_remix');
+        assert.equal(chat.remixBaseImage, null);
+    });
+
+    it('drops the remix when its reply is cancelled or changed', () => {
+        const document = window.document;
+        chat.addMessage({ messageId: 'remix_cancel', userId: 'user_ffffffffffffffff', username: 'Zed', content: '', drawing: sample(), timestamp: Date.now() });
+        chat.addMessage({ messageId: 'other_one', userId: 'user_ffffffffffffffff', username: 'Zed', content: 'hi', timestamp: Date.now() });
+        chat.remixDrawing('remix_cancel');
+        scribble([[100, 100], [120, 110]]);
+        document.getElementById('replyCancelBtn').click();
+        assert.equal(chat.strokes.length, 0);
+        assert.equal(chat.getDrawingData(), null);
+
+        chat.remixDrawing('remix_cancel');
+        chat.setReplyTarget(chat.messageCache.other_one);
+        assert.equal(chat.strokes.length, 0);
+        assert.equal(chat.currentReplyTarget.messageId, 'other_one');
+    });
+
+    it('replays a drawing point by point', () => {
+        const frames = [];
+        window.requestAnimationFrame = (callback) => frames.push(callback);
+        window.cancelAnimationFrame = () => {};
+        chat.addMessage({ messageId: 'replay_me', userId: 'user_ffffffffffffffff', username: 'Zed', drawing: sample(), timestamp: Date.now() });
+        lastMessage().querySelector('[data-action="replayDrawing"]').click();
+
+        const duration = 5 * chat.replayPointMs;
+        const polylines = () => lastMessage().querySelectorAll('.message-drawing-strokes polyline').length;
+        frames.shift()(1000);
+        assert.equal(polylines(), 0);
+        frames.shift()(1000 + duration / 2);
+        assert.equal(polylines(), 1);
+        frames.shift()(1000 + duration);
+        assert.equal(polylines(), 2);
+        assert.equal(frames.length, 0);
+        assert.equal(chat.drawingReplays.replay_me, undefined);
+    });
+});
+
+describe('Stroke drawings over Firebase', () => {
+    it('stores the stroke string and renders it', async () => {
+        const backend = FakeFirebase.createBackend();
+        const db = FakeFirebase.createNamespace(backend).database();
+        const app = loadApp({ backend });
+        await nextTick(10);
+        assert.equal(await app.window.FirebaseChat.sendMessage('', sample()), true);
+        await nextTick(10);
+        const [stored] = Object.entries((await db.ref('rooms/Lobby/messages').once('value')).val());
+        assert.equal(stored[1].drawing, sample());
+        assert.ok(app.chat.messageElements[stored[0]].querySelector('.message-drawing svg polyline'));
+        await app.close();
+    });
+});
+
+describe('chat server drawings', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('accepts strokes and PNGs and drops anything else', async () => {
+        amy.send({ type: 'message', content: '', drawing: sample() });
+        assert.equal((await amy.next('newMessage')).message.drawing, sample());
+        amy.send({ type: 'message', content: '', drawing: 'data:image/png;base64,AAAA' });
+        assert.equal((await amy.next('newMessage')).message.drawing, 'data:image/png;base64,AAAA');
+        amy.send({ type: 'message', content: '', drawing: 'strokes:1|520,180|e/12:50,50,10,0' });
+        assert.equal((await amy.next('newMessage')).message.drawing, 'strokes:1|520,180|e/12:50,50,10,0');
+        amy.send({ type: 'message', content: 'caption', drawing: 'strokes:2|520,180|<script>' });
+        assert.equal((await amy.next('newMessage')).message.drawing, null);
+    });
+
+    it('drops a quoted drawing bigger than one that could be sent', async () => {
+        const huge = `data:image/png;base64,${'A'.repeat(RateLimit.defaults.maxDrawingLength)}`;
+        amy.send({ type: 'message', content: 'nice', replyTo: { messageId: 'msg_big', username: 'Zed', drawing: huge } });
+        const { replyTo } = (await amy.next('newMessage')).message;
+        assert.equal(replyTo.messageId, 'msg_big');
+        assert.equal(replyTo.drawing, null);
+        amy.send({ type: 'message', content: 'also nice', replyTo: { messageId: 'msg_small', username: 'Zed', drawing: sample() } });
+        assert.equal((await amy.next('newMessage')).message.replyTo.drawing, sample());
+    });
+});
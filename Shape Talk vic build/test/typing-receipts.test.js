@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+describe('Chat typing indicator', () => {
+    let app;
+    let chat;
+    let window;
+    let setTyping;
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        chat.stopTyping();
+        chat.updateTypingUsers([]);
+        chat.messageInput.value = '';
+        setTyping = mock.method(chat.transport, 'setTyping', async () => {});
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+    });
+
+    it('announces typing at most once per throttle window', () => {
+        const start = 5_000_000;
+        mock.method(window.Date, 'now', () => start);
+        chat.messageInput.value = 'h';
+        chat.noteTyping();
+        chat.messageInput.value = 'he';
+        chat.noteTyping();
+        assert.deepEqual(setTyping.mock.calls.map((call) => call.arguments[0]), [true]);
+
+        window.Date.now.mock.mockImplementation(() => start + chat.typingThrottleMs);
+        chat.noteTyping();
+        assert.equal(setTyping.mock.callCount(), 2);
+    });
+
+    it('stops when the composer is cleared or the message is sent', async () => {
+        chat.messageInput.value = 'hey';
+        chat.noteTyping();
+        chat.messageInput.value = '';
+        chat.noteTyping();
+        assert.deepEqual(setTyping.mock.calls.map((call) => call.arguments[0]), [true, false]);
+
+        chat.messageInput.value = 'hey again';
+        chat.noteTyping();
+        await chat.sendMessage();
+        assert.deepEqual(setTyping.mock.calls.map((call) => call.arguments[0]), [true, false, true, false]);
+    });
+
+    it('names one or two typists and summarises more', () => {
+        const text = () => chat.typingIndicator.textContent;
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 1 }]);
+        assert.equal(text(), 'Amy is typing…');
+        assert.equal(chat.typingIndicator.hidden, false);
+
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 1 }, { id: 'z', username: 'Zed', at: 1 }]);
+        assert.equal(text(), 'Amy and Zed are typing…');
+
+        chat.updateTypingUsers([
+            { id: 'a', username: 'Amy', at: 1 },
+            { id: 'z', username: 'Zed', at: 1 },
+            { id: 'q', username: 'Quin', at: 1 }
+        ]);
+        assert.equal(text(), 'Several people are typing…');
+
+        chat.updateTypingUsers([]);
+        assert.equal(chat.typingIndicator.hidden, true);
+    });
+
+    it('leaves yourself out', () => {
+        chat.updateTypingUsers([{ id: chat.userId, username: chat.username, at: 1 }]);
+        assert.equal(chat.typingIndicator.hidden, true);
+    });
+
+    it('drops typists that stop refreshing', () => {
+        const start = 6_000_000;
+        mock.method(window.Date, 'now', () => start);
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 1 }]);
+
+        window.Date.now.mock.mockImplementation(() => start + chat.typingTimeoutMs);
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 1 }]);
+        assert.equal(chat.typingIndicator.hidden, true);
+
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 2 }]);
+        assert.equal(chat.typingIndicator.textContent, 'Amy is typing…');
+    });
+
+    it('clears when switching rooms', async () => {
+        chat.updateTypingUsers([{ id: 'a', username: 'Amy', at: 1 }]);
+        await chat.selectRoom(chat.currentRoom === 'VIP' ? 'Lobby' : 'VIP');
+        assert.equal(chat.typingIndicator.hidden, true);
+    });
+});
+
+describe('Chat DM read receipts', () => {
+    let app;
+    let chat;
+    let window;
+    let roomName;
+    let counter = 0;
+
+    const partnerMessage = (timestamp) => ({
+        messageId: `theirs_${counter}_${timestamp}`,
+        userId: 'partner',
+        username: 'Zed',
+        content: 'hi',
+        timestamp
+    });
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+        window = app.window;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        counter += 1;
+        chat.username = `Amy${counter}`;
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        await chat.openDirectMessage({ id: 'user_zed', username: 'Zed' });
+        roomName = chat.currentRoom;
+    });
+
+    it('shows Sent until the partner reads past the message', async () => {
+        chat.messageInput.value = 'you there?';
+        await chat.sendMessage();
+        const message = Object.values(chat.messageCache).pop();
+        const receipt = () => chat.messageElements[message.messageId].querySelector('.message-receipt').textContent;
+        assert.equal(receipt(), 'Sent');
+
+        chat.handleReadReceipts(roomName, { partner: { username: 'Zed', messageId: message.messageId, timestamp: message.timestamp } });
+        assert.equal(receipt(), 'Seen');
+        const row = Array.from(window.document.querySelectorAll('.dm-sidebar-row'))
+            .find((li) => li.querySelector('.dm-sidebar-name').textContent === 'Zed');
+        assert.equal(row.querySelector('.dm-sidebar-receipt').textContent, 'Seen');
+    });
+
+    it('ignores your own read pointer', async () => {
+        chat.messageInput.value = 'hello?';
+        await chat.sendMessage();
+        const message = Object.values(chat.messageCache).pop();
+        chat.handleReadReceipts(roomName, { me: { username: chat.username, messageId: message.messageId, timestamp: message.timestamp } });
+        assert.equal(chat.isSeenByPartner(roomName, message), false);
+    });
+
+    it('marks the newest partner message as read once', () => {
+        const markRead = mock.method(chat.transport, 'markRead', async () => {});
+        chat.addMessage(partnerMessage(100));
+        chat.addMessage(partnerMessage(200));
+        chat.markCurrentRoomRead();
+        chat.markCurrentRoomRead();
+        assert.equal(markRead.mock.callCount(), 1);
+        assert.deepEqual(plain(markRead.mock.calls[0].arguments), [roomName, { messageId: `theirs_${counter}_200`, timestamp: 200 }]);
+    });
+
+    it('waits until the page is visible', () => {
+        const markRead = mock.method(chat.transport, 'markRead', async () => {});
+        Object.defineProperty(window.document, 'visibilityState', { configurable: true, get: () => 'hidden' });
+        chat.addMessage(partnerMessage(300));
+        chat.markCurrentRoomRead();
+        assert.equal(markRead.mock.callCount(), 0);
+
+        delete window.document.visibilityState;
+        chat.markCurrentRoomRead();
+        assert.equal(markRead.mock.callCount(), 1);
+    });
+
+    it('does not send receipts outside DMs', async () => {
+        await chat.selectRoom('Lobby');
+        const markRead = mock.method(chat.transport, 'markRead', async () => {});
+        chat.addMessage(partnerMessage(400));
+        chat.markCurrentRoomRead();
+        assert.equal(markRead.mock.callCount(), 0);
+    });
+});
+
+describe('Typing and read receipts over Firebase', () => {
+    let backend;
+    let db;
+    let apps;
+
+    const open = async () => {
+        const app = loadApp({ backend });
+        apps.push(app);
+        await nextTick(10);
+        return app;
+    };
+
+    beforeEach(() => {
+        backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        apps = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(apps.map((app) => app.close()));
+    });
+
+    it('shows who is typing in the room and clears on send', async () => {
+        const amy = await open();
+        const zed = await open();
+        amy.chat.messageInput.value = 'typing away';
+        amy.chat.noteTyping();
+        await nextTick(10);
+
+        const entry = await db.ref(`rooms/Lobby/typing/${amy.window.FirebaseChat.userId}`).once('value');
+        assert.equal(entry.val().username, amy.chat.username);
+        assert.deepEqual(plain(zed.chat.getTypingNames()), [amy.chat.username]);
+
+        await amy.chat.sendMessage();
+        await nextTick(10);
+        assert.equal((await db.ref('rooms/Lobby/typing').once('value')).val(), null);
+        assert.deepEqual(plain(zed.chat.getTypingNames()), []);
+    });
+
+    it('removes the typing entry when the typist disconnects', async () => {
+        const amy = await open();
+        amy.chat.messageInput.value = 'brb';
+        amy.chat.noteTyping();
+        await nextTick(10);
+        amy.window.firebase.database().goOffline();
+        assert.equal((await db.ref('rooms/Lobby/typing').once('value')).val(), null);
+    });
+
+    it('shares read pointers for a DM', async () => {
+        const amy = await open();
+        const seen = [];
+        const stop = amy.chat.transport.listenForReadReceipts('DM: A & B', (reads) => seen.push(plain(reads)));
+        await amy.chat.transport.markRead('DM: A & B', { messageId: 'm1', timestamp: 1234 });
+        await nextTick(10);
+        stop();
+
+        const reads = seen.pop();
+        const pointer = reads[amy.window.FirebaseChat.userId];
+        assert.equal(pointer.username, amy.chat.username);
+        assert.equal(pointer.messageId, 'm1');
+        assert.equal(pointer.timestamp, 1234);
+    });
+});
@@ -0,0 +1,279 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Dice = require('../js/dice.js');
+const { createChatServer } = require('../server/chat-server');
+const { connect } = require('./helpers/ws-client');
+const { loadApp, nextTick, plain, FakeFirebase } = require('./helpers/load-app');
+
+describe('Dice', () => {
+    it('reads NdM with a default of one six-sided die', () => {
+        assert.deepEqual(Dice.parse(''), { count: 1, sides: 6 });
+        assert.deepEqual(Dice.parse('d20'), { count: 1, sides: 20 });
+        assert.deepEqual(Dice.parse(' 3D8 '), { count: 3, sides: 8 });
+        assert.equal(Dice.parse('21d6'), null);
+        assert.equal(Dice.parse('2d1'), null);
+        assert.equal(Dice.parse('2d101'), null);
+        assert.equal(Dice.parse('0d6'), null);
+        assert.equal(Dice.parse('2d6+1'), null);
+    });
+
+    it('gives every client the same faces for the same message', () => {
+        const message = { kind: 'roll', content: '20d6', messageId: 'msg_abc', timestamp: 1700000000000 };
+        const roll = Dice.rollFor(message);
+        assert.deepEqual(Dice.rollFor({ ...message }), roll);
+        assert.equal(roll.faces.length, 20);
+        assert.ok(roll.faces.every((face) => face >= 1 && face <= 6));
+        assert.equal(roll.total, roll.faces.reduce((sum, face) => sum + face, 0));
+        assert.notDeepEqual(Dice.rollFor({ ...message, timestamp: message.timestamp + 1 }).faces, roll.faces);
+        assert.equal(Dice.rollFor({ ...message, kind: null }), null);
+    });
+});
+
+describe('User commands', () => {
+    let app;
+    let chat;
+
+    const type = async (text) => {
+        chat.messageInput.value = text;
+        await chat.sendMessage();
+    };
+    const lastMessage = () => Array.from(chat.chatMessages.querySelectorAll('.message[data-message-id]')).at(-1);
+    const lastSystemMessage = () => Array.from(chat.chatMessages.querySelectorAll('.system-message')).at(-1).textContent.trim();
+
+    before(() => {
+        app = loadApp();
+        chat = app.chat;
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        mock.restoreAll();
+        mock.method(chat, 'maybeScheduleAiReply', () => {});
+        chat.rateLimits = {};
+        if (chat.currentRoom !== 'Lobby') {
+            await chat.selectRoom('Lobby');
+        }
+    });
+
+    it('shows /me as an action by the sender', async () => {
+        await type('/me waves hello');
+        const content = lastMessage().querySelector('.message-content');
+        assert.ok(content.classList.contains('message-action'));
+        assert.equal(content.textContent, `* ${chat.username} waves hello`);
+        assert.equal(chat.messageInput.value, '');
+        const message = chat.messageCache[lastMessage().dataset.messageId];
+        assert.equal(message.kind, 'action');
+        assert.equal(message.content, 'waves hello');
+        assert.equal(chat.makeMessagePreviewText(message), `* ${chat.username} waves hello`);
+    });
+
+    it('adds a shrug to /shrug', async () => {
+        await type('/shrug who knows');
+        assert.equal(lastMessage().querySelector('.message-content').textContent, 'who knows ¯\\_(ツ)_/¯');
+    });
+
+    it('rolls dice the backend numbered and will not edit them', async () => {
+        await type('/roll 2d6');
+        const message = chat.messageCache[lastMessage().dataset.messageId];
+        const roll = Dice.rollFor(message);
+        assert.equal(message.content, '2d6');
+        assert.equal(lastMessage().querySelector('.message-roll').textContent, `🎲 rolled 2d6: ${roll.faces.join(' + ')} = ${roll.total}`);
+        assert.equal(lastMessage().querySelector('[data-action="editMessage"]'), null);
+        assert.ok(lastMessage().querySelector('[data-action="deleteMessage"]'));
+        assert.equal(await chat.editMessage(message.messageId, '6d6'), false);
+        assert.equal(lastSystemMessage(), '★ Dice rolls cannot be edited.');
+
+        // The same dice again is a new roll, not a repeat
+        await type('/roll 2d6');
+        assert.notEqual(chat.messageCache[lastMessage().dataset.messageId].messageId, message.messageId);
+    });
+
+    it('shows a pending roll as still rolling', async () => {
+        mock.method(chat.transport, 'sendMessage', async () => false);
+        mock.method(app.window, 'setTimeout', () => 0);
+        await type('/roll d20');
+        const pending = chat.chatMessages.querySelector('.message.pending .message-roll');
+        assert.equal(pending.textContent, '🎲 rolling 1d20...');
+        for (const clientId of Object.keys(chat.outbox)) {
+            await chat.forgetOutboxEntry(clientId);
+        }
+    });
+
+    it('explains dice it cannot roll', async () => {
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await type('/roll 99d6');
+        assert.equal(sendMessage.mock.callCount(), 0);
+        assert.equal(lastSystemMessage(), '★ Roll up to 20 dice with 2 to 100 sides, e.g. /roll 2d6.');
+    });
+
+    it('keeps rolls and actions out of emoji-only rooms', async () => {
+        await chat.selectRoom('ShapeTalk');
+        const sendMessage = mock.method(chat.transport, 'sendMessage');
+        await type('/roll');
+        await type('/me dances');
+        assert.equal(sendMessage.mock.callCount(), 0);
+        assert.equal(lastSystemMessage(), '★ This room only allows Shape emojis and drawings.');
+    });
+
+    it('renames with /nick on the rename cooldown', async () => {
+        app.window.sessionStorage.removeItem(chat.renameCooldownStorageKey);
+        const updateProfile = mock.method(chat.transport, 'updateProfile');
+        await type('/nick Captain Square');
+        assert.equal(chat.username, 'Captain Square');
+        assert.deepEqual(plain(updateProfile.mock.calls[0].arguments[0]), { username: 'Captain Square', mood: chat.currentMood });
+        assert.equal(lastSystemMessage(), '★ You changed your name to Captain Square!');
+
+        await type('/nick Someone Else');
+        assert.equal(chat.username, 'Captain Square');
+        assert.match(lastSystemMessage(), /Name change cooldown: 5m 00s remaining\./);
+        chat.regenerateName();
+        assert.equal(chat.username, 'Captain Square');
+
+        app.window.sessionStorage.removeItem(chat.renameCooldownStorageKey);
+        await type(`/nick ${'x'.repeat(41)}`);
+        assert.equal(lastSystemMessage(), '★ Names can be up to 40 characters.');
+    });
+
+    it('opens a direct message with /dm', async () => {
+        chat.onlineUsers = [chat.getSelfUser(), { id: 'user_ffffffffffffffff', username: 'Zed', mood: ':happy:' }];
+        await type('/dm zed');
+        assert.match(chat.currentRoom, /^DM:dm_/);
+        assert.equal(chat.getDmPartnerName(chat.currentRoom), 'Zed');
+        assert.ok(chat.dmRooms.includes(chat.currentRoom));
+
+        const room = chat.currentRoom;
+        await type(`/dm ${chat.username}`);
+        assert.equal(chat.currentRoom, room);
+        assert.equal(lastSystemMessage(), '★ You cannot DM yourself.');
+    });
+
+    it('moves rooms with /join', async () => {
+        await type('/join vip');
+        assert.equal(chat.currentRoom, 'VIP');
+        await type('/join VIP');
+        assert.equal(lastSystemMessage(), '★ You are already in VIP.');
+        await type('/join Narnia');
+        assert.equal(chat.currentRoom, 'VIP');
+        assert.match(lastSystemMessage(), /^★ No room called Narnia\. Try Lobby, /);
+    });
+
+    it('says why /join could not get into a room', async () => {
+        mock.method(chat.transport, 'joinRoom', async () => ({ ok: false, reason: 'Private 1 is full right now.', previousRoom: 'Lobby' }));
+        await type('/join private 1');
+        assert.equal(chat.currentRoom, 'Lobby');
+        assert.equal(lastSystemMessage(), '★ Private 1 is full right now.');
+    });
+
+    it('clears only the local view with /clear', async () => {
+        await type('before the clear');
+        const [message] = chat.transport.getRoom('Lobby').messages.slice(-1);
+        await type('/clear');
+        assert.equal(chat.chatMessages.querySelectorAll('.message').length, 0);
+        assert.deepEqual(plain(chat.messageCache), {});
+        assert.equal(lastSystemMessage(), '★ Cleared your screen. Nothing was deleted for anyone else.');
+        assert.equal(chat.transport.getRoom('Lobby').messages.at(-1), message);
+
+        await type('after the clear');
+        assert.equal(chat.chatMessages.querySelectorAll('.message').length, 1);
+    });
+});
+
+describe('User commands over Firebase', () => {
+    let app;
+    let backend;
+    let db;
+
+    before(async () => {
+        backend = FakeFirebase.createBackend();
+        db = FakeFirebase.createNamespace(backend).database();
+        app = loadApp({ backend });
+        await nextTick(10);
+        mock.method(app.chat, 'maybeScheduleAiReply', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await app.close();
+    });
+
+    it('stores the kind and rolls from the stored id and timestamp', async () => {
+        app.chat.messageInput.value = '/roll 3d8';
+        await app.chat.sendMessage();
+        await nextTick(10);
+        const stored = Object.entries((await db.ref('rooms/Lobby/messages').once('value')).val())
+            .map(([messageId, message]) => ({ messageId, ...message }))
+            .find((message) => message.kind === 'roll');
+        assert.equal(stored.content, '3d8');
+        const roll = Dice.rollFor(stored);
+        const rendered = app.chat.messageElements[stored.messageId].querySelector('.message-roll');
+        assert.equal(rendered.textContent, `🎲 rolled 3d8: ${roll.faces.join(' + ')} = ${roll.total}`);
+    });
+
+    it('surfaces a full room on /join', async () => {
+        await db.ref('rooms/Private 1/users').set({
+            a: { username: 'A', online: true },
+            b: { username: 'B', online: true }
+        });
+        app.chat.messageInput.value = '/join Private 1';
+        await app.chat.sendMessage();
+        assert.equal(app.chat.currentRoom, 'Lobby');
+        const notes = Array.from(app.chat.chatMessages.querySelectorAll('.system-message'), (note) => note.textContent.trim());
+        assert.equal(notes.at(-1), '★ Private 1 is full right now.');
+    });
+});
+
+describe('WebSocket transport message kinds', () => {
+    it('sends the kind with the message', async () => {
+        const app = loadApp();
+        const transport = app.window.eval('WebSocketTransport');
+        const sent = [];
+        transport.chat = app.chat;
+        transport.ws = { readyState: app.window.WebSocket.OPEN, send: (raw) => sent.push(JSON.parse(raw)) };
+        await transport.sendMessage('waves', null, null, { kind: 'action' });
+        assert.equal(sent[0].kind, 'action');
+        transport.ws = null;
+        await app.close();
+    });
+});
+
+describe('chat server message kinds', () => {
+    let chatServer;
+    let amy;
+
+    before(async () => {
+        chatServer = createChatServer({ port: 0, rateLimits: null });
+        await new Promise((resolve) => chatServer.wss.on('listening', resolve));
+        amy = connect(chatServer.wss.address().port, 'username=Amy&room=Lobby');
+        await amy.next('welcome');
+    });
+
+    after(async () => {
+        amy.close();
+        await chatServer.close();
+    });
+
+    it('keeps actions and rolls, and drops kinds it does not know', async () => {
+        amy.send({ type: 'message', content: 'waves', kind: 'action' });
+        assert.equal((await amy.next('newMessage')).message.kind, 'action');
+        amy.send({ type: 'message', content: ' 2D6 ', kind: 'roll' });
+        const roll = (await amy.next('newMessage')).message;
+        assert.equal(roll.kind, 'roll');
+        assert.equal(roll.content, '2d6');
+        amy.send({ type: 'message', content: 'sneaky', kind: 'system' });
+        assert.equal((await amy.next('newMessage')).message.kind, null);
+    });
+
+    it('refuses rolls it cannot make and edits to rolls', async () => {
+        amy.send({ type: 'message', content: '6d6 = 36', kind: 'roll', clientId: 'out_bad_roll' });
+        const refusal = await amy.next('error');
+        assert.equal(refusal.message, 'That is not a roll. Try /roll 2d6.');
+        assert.equal(refusal.clientId, 'out_bad_roll');
+
+        amy.send({ type: 'message', content: '1d20', kind: 'roll' });
+        const { message } = await amy.next('newMessage');
+        amy.send({ type: 'edit', messageId: message.messageId, content: '20d20' });
+        assert.equal((await amy.next('error')).message, 'Dice rolls cannot be edited.');
+        assert.equal(chatServer.rooms.get('Lobby').messages.at(-1).content, '1d20');
+    });
+});